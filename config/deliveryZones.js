@@ -0,0 +1,47 @@
+// Delivery zones and shipping costs (₦)
+// Orders only send the zone key - the cost is always taken from this table
+const deliveryZones = {
+  'calabar': {
+    name: 'Calabar (within city)',
+    cost: 2000,
+    estimatedDays: '1-2'
+  },
+  'port-harcourt': {
+    name: 'Port Harcourt (within city)',
+    cost: 2500,
+    estimatedDays: '1-2'
+  },
+  'south-south': {
+    name: 'Other South-South states',
+    cost: 4000,
+    estimatedDays: '2-4'
+  },
+  'lagos': {
+    name: 'Lagos',
+    cost: 5000,
+    estimatedDays: '2-4'
+  },
+  'abuja': {
+    name: 'Abuja (FCT)',
+    cost: 5000,
+    estimatedDays: '2-4'
+  },
+  'other': {
+    name: 'Other states',
+    cost: 6500,
+    estimatedDays: '3-7'
+  }
+};
+
+// Look up a zone by key (returns undefined for unknown zones)
+const getDeliveryZone = (zone) => {
+  if (!zone || !Object.prototype.hasOwnProperty.call(deliveryZones, zone)) {
+    return undefined;
+  }
+  return { zone, ...deliveryZones[zone] };
+};
+
+module.exports = {
+  deliveryZones,
+  getDeliveryZone
+};
@@ -0,0 +1,44 @@
+// Notification channel configuration.
+// SMS goes through SMS_PROVIDER (Termii, or the fake channel locally) and
+// WhatsApp through the Cloud API with a pre-approved template. Booking
+// reminders go out on BOOKING_REMINDER_CHANNEL at each offset before the
+// appointment.
+
+const list = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Hours before the appointment, largest first
+const offsets = value => [...new Set(list(value).map(Number).filter(hours => hours > 0))].sort((a, b) => b - a);
+
+const notificationConfig = {
+  channels: {
+    sms: process.env.SMS_PROVIDER || 'termii',
+    whatsapp: process.env.WHATSAPP_PROVIDER || 'whatsapp'
+  },
+  reminders: {
+    channel: process.env.BOOKING_REMINDER_CHANNEL || 'sms',
+    offsetsHours: offsets(process.env.BOOKING_REMINDER_OFFSETS_HOURS || '24,2')
+  },
+  termii: {
+    baseURL: process.env.TERMII_BASE_URL || 'https://api.ng.termii.com',
+    apiKey: process.env.TERMII_API_KEY,
+    senderId: process.env.TERMII_SENDER_ID || 'LuluArtistry',
+    // Termii doesn't sign delivery reports, so the report URL carries this token
+    webhookToken: process.env.NOTIFICATION_WEBHOOK_TOKEN
+  },
+  whatsapp: {
+    baseURL: process.env.WHATSAPP_BASE_URL || 'https://graph.facebook.com/v19.0',
+    accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+    phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+    appSecret: process.env.WHATSAPP_APP_SECRET,
+    verifyToken: process.env.WHATSAPP_VERIFY_TOKEN,
+    language: process.env.WHATSAPP_TEMPLATE_LANGUAGE || 'en',
+    templates: {
+      bookingReminder: process.env.WHATSAPP_REMINDER_TEMPLATE || 'booking_reminder'
+    }
+  },
+  fake: {
+    webhookToken: process.env.NOTIFICATION_WEBHOOK_TOKEN || 'fake_notification_token'
+  }
+};
+
+module.exports = { notificationConfig };
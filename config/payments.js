@@ -0,0 +1,42 @@
+// Payment provider configuration.
+// Each flow (order, booking, enrollment) uses its own provider if one is set,
+// otherwise PAYMENT_PROVIDER. Customers may choose any enabled provider at
+// checkout, e.g. Flutterwave when Paystack declines their card.
+
+const list = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const defaultProvider = process.env.PAYMENT_PROVIDER || 'paystack';
+
+const flows = {
+  order: process.env.ORDER_PAYMENT_PROVIDER || defaultProvider,
+  booking: process.env.BOOKING_PAYMENT_PROVIDER || defaultProvider,
+  enrollment: process.env.ENROLLMENT_PAYMENT_PROVIDER || defaultProvider
+};
+
+// Flow defaults are always enabled
+const enabled = [...new Set([...list(process.env.PAYMENT_PROVIDERS), ...Object.values(flows)])]
+  // The fake provider never takes real money
+  .filter(name => name !== 'fake' || process.env.NODE_ENV !== 'production');
+
+const paymentConfig = {
+  enabled,
+  flows,
+  paystack: {
+    baseURL: process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co',
+    secretKey: process.env.PAYSTACK_SECRET_KEY,
+    callbackUrl: process.env.PAYSTACK_CALLBACK_URL
+  },
+  flutterwave: {
+    baseURL: process.env.FLUTTERWAVE_BASE_URL || 'https://api.flutterwave.com/v3',
+    secretKey: process.env.FLUTTERWAVE_SECRET_KEY,
+    webhookHash: process.env.FLUTTERWAVE_WEBHOOK_HASH,
+    callbackUrl: process.env.FLUTTERWAVE_CALLBACK_URL || process.env.PAYSTACK_CALLBACK_URL
+  },
+  fake: {
+    secret: process.env.FAKE_PAYMENT_SECRET || 'fake_payment_secret',
+    outcome: process.env.FAKE_PAYMENT_OUTCOME,
+    callbackUrl: process.env.PAYSTACK_CALLBACK_URL || 'http://localhost:3000/payment/callback'
+  }
+};
+
+module.exports = { paymentConfig };
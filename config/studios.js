@@ -0,0 +1,101 @@
+// Studio opening hours and booking rules.
+// Times are studio-local "HH:mm"; weekdays run 0 (Sunday) to 6 (Saturday).
+// A weekday that is missing from `hours` is a closed day.
+
+const list = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// Whole-number setting from the environment; allows 0 (e.g. no buffer), falls back when unset or invalid
+const setting = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+const studios = {
+  'calabar': {
+    name: 'Calabar Studio',
+    hours: {
+      1: { open: '09:00', close: '18:00' },
+      2: { open: '09:00', close: '18:00' },
+      3: { open: '09:00', close: '18:00' },
+      4: { open: '09:00', close: '18:00' },
+      5: { open: '09:00', close: '18:00' },
+      6: { open: '10:00', close: '16:00' }
+    },
+    // Public holidays and closures, "YYYY-MM-DD"
+    daysOff: list(process.env.CALABAR_DAYS_OFF)
+  },
+  'port-harcourt': {
+    name: 'Port Harcourt Studio',
+    hours: {
+      1: { open: '09:00', close: '18:00' },
+      2: { open: '09:00', close: '18:00' },
+      3: { open: '09:00', close: '18:00' },
+      4: { open: '09:00', close: '18:00' },
+      5: { open: '09:00', close: '18:00' },
+      6: { open: '10:00', close: '16:00' }
+    },
+    daysOff: list(process.env.PORT_HARCOURT_DAYS_OFF)
+  }
+};
+
+const bookingRules = {
+  // Clean-up time kept free after every appointment
+  bufferMinutes: setting(process.env.BOOKING_BUFFER_MINUTES, 15),
+  // Spacing between the start times offered to customers
+  slotIntervalMinutes: setting(process.env.BOOKING_SLOT_INTERVAL_MINUTES, 30) || 30,
+  // Studios run on West Africa Time (UTC+1, no daylight saving)
+  utcOffsetMinutes: 60,
+  // Customers may move a booking this many times, up to this many hours before it starts
+  maxReschedules: setting(process.env.BOOKING_MAX_RESCHEDULES, 2),
+  rescheduleNoticeHours: setting(process.env.BOOKING_RESCHEDULE_NOTICE_HOURS, 24),
+  // How long a new booking holds its slot while the deposit is unpaid
+  holdMinutes: setting(process.env.BOOKING_HOLD_MINUTES, 60) || 60,
+  // Confirmed bookings not checked in this long after the start are no-shows
+  noShowGraceMinutes: setting(process.env.BOOKING_NO_SHOW_GRACE_MINUTES, 30),
+  // Longest recurring series a customer can book in one go
+  maxSeriesOccurrences: setting(process.env.BOOKING_MAX_SERIES_OCCURRENCES, 12) || 12,
+  // Later appointments in a series keep their slot until this many hours before they start
+  seriesDepositDueHours: setting(process.env.BOOKING_SERIES_DEPOSIT_DUE_HOURS, 48)
+};
+
+// Client health information needed before lash and brow work
+const intakeRules = {
+  // An intake form is answered again after this many months
+  validMonths: setting(process.env.INTAKE_VALID_MONTHS, 6) || 6,
+  // Default validity of a patch test, for services that don't set their own
+  patchTestValidMonths: setting(process.env.PATCH_TEST_VALID_MONTHS, 6) || 6
+};
+
+// What a customer gets back when a booking doesn't go ahead.
+// The percentages apply to the deposit; a paid balance is always refunded in full.
+const cancellationPolicy = {
+  // Cancelled at least this many hours before the appointment: everything back
+  fullRefundHours: setting(process.env.BOOKING_FULL_REFUND_HOURS, 24),
+  // Cancelled later than that
+  lateRefundPercent: Math.min(100, setting(process.env.BOOKING_LATE_CANCEL_REFUND_PERCENT, 50)),
+  // Didn't turn up
+  noShowRefundPercent: Math.min(100, setting(process.env.BOOKING_NO_SHOW_REFUND_PERCENT, 0))
+};
+
+// When a booked slot or course seat frees up, the first customer waiting for it
+// gets an unpaid booking or enrollment held for this long
+const waitlistRules = {
+  holdMinutes: setting(process.env.WAITLIST_HOLD_MINUTES, 120) || 120
+};
+
+// Look up a studio by location key (returns undefined for unknown locations)
+const getStudio = (location) => {
+  if (!location || !Object.prototype.hasOwnProperty.call(studios, location)) {
+    return undefined;
+  }
+  return { location, ...studios[location] };
+};
+
+module.exports = {
+  studios,
+  bookingRules,
+  cancellationPolicy,
+  waitlistRules,
+  intakeRules,
+  getStudio
+};
@@ -0,0 +1,115 @@
+const User = require('../models/User');
+const StatsService = require('../src/core/services/StatsService');
+const ExportService = require('../src/core/services/ExportService');
+
+// Filters shared by the customer list and its export
+const customerFilter = ({ search }) => {
+  const query = { role: 'customer' };
+  if (search) {
+    const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    query.$or = [{ firstName: pattern }, { lastName: pattern }, { email: pattern }, { phone: pattern }];
+  }
+  return query;
+};
+
+// @desc    Get dashboard statistics
+// @route   GET /api/admin/dashboard?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private/Admin
+exports.getDashboard = async (req, res, next) => {
+  try {
+    const range = StatsService.range(req.query);
+    const stats = await StatsService.dashboard(range);
+
+    res.status(200).json({
+      success: true,
+      range: { from: range.from, to: range.to },
+      data: stats
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get order statistics
+// @route   GET /api/admin/orders/stats?from&to&limit
+// @access  Private/Admin
+exports.getOrderStats = async (req, res, next) => {
+  try {
+    const range = StatsService.range(req.query);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 50);
+    const stats = await StatsService.orderStats(range, limit);
+
+    res.status(200).json({
+      success: true,
+      range: { from: range.from, to: range.to },
+      data: stats
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get revenue by day, week or month
+// @route   GET /api/admin/revenue?from&to&interval=day|week|month
+// @access  Private/Admin
+exports.getRevenue = async (req, res, next) => {
+  try {
+    const range = StatsService.range(req.query);
+    const revenue = await StatsService.revenue(range, req.query.interval || 'day');
+
+    res.status(200).json({
+      success: true,
+      range: { from: range.from, to: range.to },
+      data: revenue
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get all customers, with new and returning counts for the range
+// @route   GET /api/admin/customers?from&to&search&page&limit
+// @access  Private/Admin
+exports.getCustomers = async (req, res, next) => {
+  try {
+    const range = StatsService.range(req.query);
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const query = customerFilter(req.query);
+
+    const [total, customers, stats] = await Promise.all([
+      User.countDocuments(query),
+      User.find(query)
+        .select('firstName lastName email phone isVerified createdAt')
+        .sort('-createdAt')
+        .skip(startIndex)
+        .limit(limit),
+      StatsService.customerStats(range)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: customers.length,
+      total,
+      pages: Math.ceil(total / limit),
+      range: { from: range.from, to: range.to },
+      stats,
+      data: customers
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Export customers as CSV or Excel
+// @route   GET /api/admin/customers/export?format=csv|xlsx&search
+// @access  Private/Admin
+exports.exportCustomers = async (req, res, next) => {
+  try {
+    await ExportService.send(res, 'customers', customerFilter(req.query), req.query.format);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,141 @@
+const Artist = require('../models/Artist');
+const ErrorResponse = require('../utils/errorResponse');
+
+// Staff leave reasons and linked accounts are for admins only
+const PRIVATE_FIELDS = { 'timeOff.reason': 0, user: 0 };
+
+// Fields admins may set - the slug follows the name
+const ARTIST_FIELDS = ['name', 'tier', 'location', 'services', 'workingHours', 'timeOff', 'user', 'bio', 'image', 'isActive', 'displayOrder'];
+
+const artistFields = body => ARTIST_FIELDS
+  .filter(field => body[field] !== undefined)
+  .reduce((fields, field) => ({ ...fields, [field]: body[field] }), {});
+
+const isAdmin = req => Boolean(req.user && req.user.role === 'admin');
+
+// @desc    Get all artists
+// @route   GET /api/artists
+// @access  Public
+exports.getArtists = async (req, res, next) => {
+  try {
+    const query = {};
+
+    // Only admins can see inactive artists
+    if (!isAdmin(req)) {
+      query.isActive = true;
+    } else if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    if (req.query.location) {
+      query.location = req.query.location;
+    }
+
+    if (req.query.tier) {
+      query.tier = req.query.tier;
+    }
+
+    if (req.query.service) {
+      query.services = req.query.service;
+    }
+
+    const artists = await Artist.find(query)
+      .select(isAdmin(req) ? {} : PRIVATE_FIELDS)
+      .populate('services', 'name category duration')
+      .sort('displayOrder name');
+
+    res.status(200).json({
+      success: true,
+      count: artists.length,
+      data: artists
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single artist
+// @route   GET /api/artists/:id
+// @access  Public
+exports.getArtist = async (req, res, next) => {
+  try {
+    const artist = await Artist.findById(req.params.id)
+      .select(isAdmin(req) ? {} : PRIVATE_FIELDS)
+      .populate('services', 'name category duration');
+
+    if (!artist || (!artist.isActive && !isAdmin(req))) {
+      return next(new ErrorResponse('Artist not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: artist
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create artist
+// @route   POST /api/artists
+// @access  Private/Admin
+exports.createArtist = async (req, res, next) => {
+  try {
+    const artist = await Artist.create(artistFields(req.body));
+
+    res.status(201).json({
+      success: true,
+      data: artist
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update artist (shifts, time off, services, tier)
+// @route   PUT /api/artists/:id
+// @access  Private/Admin
+exports.updateArtist = async (req, res, next) => {
+  try {
+    const artist = await Artist.findById(req.params.id);
+
+    if (!artist) {
+      return next(new ErrorResponse('Artist not found', 404));
+    }
+
+    // Use save() so the slug and shift checks run
+    artist.set(artistFields(req.body));
+    await artist.save();
+
+    res.status(200).json({
+      success: true,
+      data: artist
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete artist
+// @route   DELETE /api/artists/:id
+// @access  Private/Admin
+exports.deleteArtist = async (req, res, next) => {
+  try {
+    const artist = await Artist.findById(req.params.id);
+
+    if (!artist) {
+      return next(new ErrorResponse('Artist not found', 404));
+    }
+
+    // Soft delete - existing bookings still reference this artist
+    artist.isActive = false;
+    await artist.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Artist deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,4 +1,5 @@
 const UserService = require('../src/core/services/UserService');
+const CartService = require('../src/core/services/CartService');
 const ErrorResponse = require('../utils/errorResponse');
 const { sendEmail } = require('../utils/sendEmail');
 const { welcomeEmail, passwordResetEmail } = require('../utils/emailTemplates');
@@ -23,6 +24,7 @@ exports.register = async (req, res, next) => {
       console.error('Welcome email failed:', err.message);
     }
 
+    await mergeGuestCart(req, res, user);
     sendTokenResponse(user, 201, res);
   } catch (error) {
     next(error);
@@ -36,6 +38,7 @@ exports.login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
     const user = await UserService.authenticateUser(email, password);
+    await mergeGuestCart(req, res, user);
     sendTokenResponse(user, 200, res);
   } catch (error) {
     next(error);
@@ -192,6 +195,22 @@ exports.logout = async (req, res, next) => {
   });
 };
 
+// Helper function to move a guest's session cart into their account
+const mergeGuestCart = async (req, res, user) => {
+  const sessionId = req.headers['x-cart-session'] || req.cookies[CartService.sessionCookie];
+  if (!sessionId) {
+    return;
+  }
+
+  try {
+    await CartService.mergeGuestCart(sessionId, user._id);
+    res.clearCookie(CartService.sessionCookie);
+  } catch (err) {
+    // Never block login because of the cart
+    console.error('Guest cart merge failed:', err.message);
+  }
+};
+
 // Helper function to get token from model, create cookie and send response
 const sendTokenResponse = (user, statusCode, res) => {
   // Create token
@@ -1,5 +1,9 @@
 const Booking = require('../models/Booking');
-const Service = require('../models/Service');
+const AvailabilityService = require('../src/core/services/AvailabilityService');
+const BookingService = require('../src/core/services/BookingService');
+const PaymentService = require('../src/core/services/PaymentService');
+const CalendarService = require('../src/core/services/CalendarService');
+const ExportService = require('../src/core/services/ExportService');
 const ErrorResponse = require('../utils/errorResponse');
 const sendEmail = require('../utils/sendEmail');
 const { bookingConfirmationEmail } = require('../utils/emailTemplates');
@@ -9,84 +13,34 @@ const { bookingConfirmationEmail } = require('../utils/emailTemplates');
 // @access  Private
 exports.createBooking = async (req, res, next) => {
   try {
-    const {
-      service,
-      artist,
-      location,
-      appointmentDate,
-      timeSlot,
-      notes
-    } = req.body;
-
-    // Get service details
-    const serviceDoc = await Service.findById(service);
-    if (!serviceDoc) {
-      return next(new ErrorResponse('Service not found', 404));
-    }
-
-    // Find artist pricing
-    const artistPricing = serviceDoc.pricing.find(p => p.artistType === artist.type);
-    if (!artistPricing) {
-      return next(new ErrorResponse('Invalid artist type for this service', 400));
-    }
-
-    const servicePrice = artistPricing.price;
-    const depositAmount = Math.round(servicePrice * 0.5); // 50% deposit
-    const balanceAmount = servicePrice - depositAmount;
-
-    // Check for conflicting bookings
-    const conflict = await Booking.findOne({
-      appointmentDate: new Date(appointmentDate),
-      location,
-      'artist.type': artist.type,
-      'timeSlot.start': timeSlot.start,
-      status: { $in: ['pending', 'confirmed'] }
-    });
-
-    if (conflict) {
-      return next(new ErrorResponse('This time slot is already booked', 400));
-    }
-
-    // Create booking
-    const booking = await Booking.create({
-      customer: req.user.id,
-      customerInfo: {
-        firstName: req.user.firstName,
-        lastName: req.user.lastName,
-        email: req.user.email,
-        phone: req.user.phone
-      },
-      service,
-      serviceSnapshot: {
-        name: serviceDoc.name,
-        description: serviceDoc.description,
-        duration: serviceDoc.duration
-      },
-      artist,
-      location,
-      appointmentDate,
-      timeSlot,
-      pricing: {
-        servicePrice,
-        depositAmount,
-        balanceAmount
-      },
-      notes: {
-        customerNotes: notes
-      }
-    });
+    // One or more services ({ service } or { services: [...] }) done back-to-back, checked
+    // against opening hours and other bookings. With { recurrence: { intervalWeeks,
+    // occurrences } } every date of the series is checked and booked. Intake answers
+    // ({ intake: { category, answers, consent } }) may be sent along with the booking.
+    const bookings = await BookingService.create(req.user, req.body, { ipAddress: req.ip });
+    const [booking] = bookings;
 
     // Send confirmation email
     try {
       await sendEmail({
         email: req.user.email,
         subject: 'Booking Confirmed - Lulu Artistry',
-        html: bookingConfirmationEmail(booking)
+        html: bookingConfirmationEmail(booking, bookings.length > 1 ? bookings : undefined),
+        attachments: bookings.map(item => CalendarService.bookingInvite(item))
       });
     } catch (err) {
       console.error('Booking confirmation email failed:', err.message);
     }
 
+    if (bookings.length > 1) {
+      return res.status(201).json({
+        success: true,
+        count: bookings.length,
+        seriesId: booking.series.seriesId,
+        data: bookings
+      });
+    }
+
     res.status(201).json({
       success: true,
       data: booking
@@ -165,7 +119,7 @@ exports.getBooking = async (req, res, next) => {
 // @access  Private/Admin
 exports.updateBookingStatus = async (req, res, next) => {
   try {
-    const { status, note } = req.body;
+    const { status, note, refundAmount, fullRefund } = req.body;
 
     let booking = await Booking.findById(req.params.id);
 
@@ -173,7 +127,19 @@ exports.updateBookingStatus = async (req, res, next) => {
       return next(new ErrorResponse('Booking not found', 404));
     }
 
+    // Cancellations and no-shows settle the deposit under the cancellation policy
+    if (status === 'cancelled') {
+      booking = await BookingService.cancel(booking, { reason: note, refundAmount, fullRefund }, req.user);
+      return res.status(200).json({ success: true, data: booking });
+    }
+
+    if (status === 'no-show') {
+      booking = await BookingService.markNoShow(booking, req.user, note);
+      return res.status(200).json({ success: true, data: booking });
+    }
+
     booking.status = status;
+    BookingService.recordStatus(booking, note, 'admin');
     
     if (note) {
       booking.notes.adminNotes = note;
@@ -206,26 +172,134 @@ exports.cancelBooking = async (req, res, next) => {
       return next(new ErrorResponse('Not authorized', 403));
     }
 
-    // Check if can cancel (at least 24 hours before appointment)
-    const hoursBefore = (new Date(booking.appointmentDate) - new Date()) / (1000 * 60 * 60);
-    if (hoursBefore < 24 && req.user.role !== 'admin') {
-      return next(new ErrorResponse('Cannot cancel within 24 hours of appointment', 400));
+    // Refund follows the cancellation policy; admins may override it
+    const { reason, refundAmount, fullRefund } = req.body;
+    const cancelled = await BookingService.cancel(booking, { reason, refundAmount, fullRefund }, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking cancelled successfully',
+      data: cancelled
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Bookings in a recurring series, if the user may see them
+const findSeries = async (req) => {
+  const bookings = await Booking.find({ 'series.seriesId': req.params.seriesId })
+    .sort('appointmentDate');
+
+  if (!bookings.length) {
+    throw new ErrorResponse('Booking series not found', 404);
+  }
+  if (bookings[0].customer.toString() !== req.user.id && req.user.role !== 'admin') {
+    throw new ErrorResponse('Not authorized', 403);
+  }
+
+  return bookings;
+};
+
+// @desc    Get every appointment in a recurring series
+// @route   GET /api/bookings/series/:seriesId
+// @access  Private
+exports.getBookingSeries = async (req, res, next) => {
+  try {
+    const bookings = await findSeries(req);
+
+    res.status(200).json({
+      success: true,
+      count: bookings.length,
+      data: bookings
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel the remaining appointments in a recurring series
+// @route   PUT /api/bookings/series/:seriesId/cancel
+// @access  Private
+exports.cancelBookingSeries = async (req, res, next) => {
+  try {
+    const bookings = await findSeries(req);
+
+    // Each appointment is refunded under the policy on its own notice period
+    const { reason, fullRefund } = req.body;
+    const cancelled = await BookingService.cancelSeries(bookings, { reason, fullRefund }, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `${cancelled.length} appointment${cancelled.length === 1 ? '' : 's'} cancelled`,
+      count: cancelled.length,
+      data: cancelled
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reschedule booking
+// @route   PUT /api/bookings/:id/reschedule
+// @access  Private
+exports.rescheduleBooking = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return next(new ErrorResponse('Booking not found', 404));
+    }
+
+    // Check authorization
+    if (booking.customer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return next(new ErrorResponse('Not authorized', 403));
     }
 
-    booking.status = 'cancelled';
-    booking.cancellation = {
-      isCancelled: true,
-      cancelledBy: req.user.role === 'admin' ? 'admin' : 'customer',
-      cancelledAt: new Date(),
-      reason: req.body.reason
-    };
+    const { appointmentDate, timeSlot, artist, reason } = req.body;
 
-    await booking.save();
+    if (!appointmentDate && !(timeSlot && timeSlot.start) && !(artist && artist.artistId)) {
+      return next(new ErrorResponse('Please provide a new date, time or artist', 400));
+    }
+
+    const updated = await BookingService.reschedule(
+      booking,
+      { appointmentDate, timeSlot, artist, reason },
+      req.user
+    );
 
     res.status(200).json({
       success: true,
-      message: 'Booking cancelled successfully',
-      data: booking
+      message: 'Booking rescheduled successfully',
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Record a cash or transfer payment taken at the studio
+// @route   POST /api/bookings/:id/payments
+// @access  Private/Admin
+exports.recordBookingPayment = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return next(new ErrorResponse('Booking not found', 404));
+    }
+
+    const { intent, method, amount, reference, note } = req.body;
+
+    const result = await PaymentService.recordBookingPayment(
+      booking,
+      { intent, method, amount, reference, note },
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      data: result
     });
   } catch (error) {
     next(error);
@@ -237,52 +311,69 @@ exports.cancelBooking = async (req, res, next) => {
 // @access  Public
 exports.getAvailability = async (req, res, next) => {
   try {
-    const { date, location, artistType } = req.query;
+    const { date, location, artistType, artist, service } = req.query;
 
-    if (!date || !location || !artistType) {
-      return next(new ErrorResponse('Please provide date, location, and artist type', 400));
+    if (!date || !location || (!artistType && !artist)) {
+      return next(new ErrorResponse('Please provide date, location, and artist or artist type', 400));
     }
 
-    // Studio hours: 8 AM to 6 PM
-    const studioHours = {
-      start: 8,
-      end: 18
-    };
-
-    // Generate all possible time slots (1-hour intervals)
-    const allSlots = [];
-    for (let hour = studioHours.start; hour < studioHours.end; hour++) {
-      allSlots.push({
-        start: `${hour.toString().padStart(2, '0')}:00`,
-        end: `${(hour + 1).toString().padStart(2, '0')}:00`
-      });
+    // Slots are as long as the chosen services together (?service=id1,id2);
+    // without one they default to an hour
+    let duration;
+    let serviceId;
+    if (service) {
+      const serviceDocs = await BookingService.resolveServices(String(service).split(',').filter(Boolean));
+      if (artistType) {
+        BookingService.priceFor(serviceDocs, artistType);
+      }
+      duration = serviceDocs.reduce((sum, doc) => sum + doc.duration, 0);
+      serviceId = serviceDocs.length > 1 ? serviceDocs.map(doc => doc._id) : serviceDocs[0]._id;
     }
 
-    // Get existing bookings for that date/location/artist
-    const existingBookings = await Booking.find({
-      appointmentDate: new Date(date),
+    const availability = await AvailabilityService.getSlots({
+      date,
       location,
-      'artist.type': artistType,
-      status: { $in: ['pending', 'confirmed', 'in-progress'] }
+      artistType,
+      artistId: artist,
+      serviceId,
+      duration
     });
 
-    // Filter out booked slots
-    const bookedSlots = existingBookings.map(b => b.timeSlot.start);
-    const availableSlots = allSlots.filter(slot => !bookedSlots.includes(slot.start));
-
     res.status(200).json({
       success: true,
-      date,
+      date: availability.day,
       location,
       artistType,
-      availableSlots,
-      bookedSlots: allSlots.filter(slot => bookedSlots.includes(slot.start))
+      closed: availability.closed,
+      openingHours: availability.openingHours,
+      duration: availability.duration,
+      artists: availability.artists,
+      availableSlots: availability.availableSlots,
+      bookedSlots: availability.bookedSlots
     });
   } catch (error) {
     next(error);
   }
 };
 
+// Filters shared by the admin list and its export
+const adminBookingFilter = ({ status, location, artist, date }) => {
+  const query = {};
+  if (status) {
+    query.status = status;
+  }
+  if (location) {
+    query.location = location;
+  }
+  if (artist) {
+    query['artist.artistId'] = artist;
+  }
+  if (date) {
+    query.appointmentDate = new Date(date);
+  }
+  return query;
+};
+
 // @desc    Get all bookings (Admin)
 // @route   GET /api/bookings/admin/all
 // @access  Private/Admin
@@ -292,16 +383,7 @@ exports.getAllBookings = async (req, res, next) => {
     const limit = parseInt(req.query.limit, 10) || 20;
     const startIndex = (page - 1) * limit;
 
-    const query = {};
-    if (req.query.status) {
-      query.status = req.query.status;
-    }
-    if (req.query.location) {
-      query.location = req.query.location;
-    }
-    if (req.query.date) {
-      query.appointmentDate = new Date(req.query.date);
-    }
+    const query = adminBookingFilter(req.query);
 
     const total = await Booking.countDocuments(query);
     const bookings = await Booking.find(query)
@@ -320,4 +402,15 @@ exports.getAllBookings = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// @desc    Export bookings as CSV or Excel (Admin)
+// @route   GET /api/bookings/admin/export?format=csv|xlsx
+// @access  Private/Admin
+exports.exportBookings = async (req, res, next) => {
+  try {
+    await ExportService.send(res, 'bookings', adminBookingFilter(req.query), req.query.format);
+  } catch (error) {
+    next(error);
+  }
+};
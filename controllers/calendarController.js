@@ -0,0 +1,73 @@
+const Artist = require('../models/Artist');
+const CalendarService = require('../src/core/services/CalendarService');
+const { studios } = require('../config/studios');
+const ErrorResponse = require('../utils/errorResponse');
+
+const feedUrl = (req, path, token) =>
+  `${process.env.API_URL || `${req.protocol}://${req.get('host')}`}/api/calendar/${path}.ics?token=${token}`;
+
+const sendCalendar = (res, filename, calendar) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `inline; filename="${filename}.ics"`);
+  res.status(200).send(calendar);
+};
+
+// @desc    Get calendar feed URLs for each studio and artist
+// @route   GET /api/calendar/feeds
+// @access  Private/Admin
+exports.getFeedLinks = async (req, res, next) => {
+  try {
+    const artists = await Artist.find({ isActive: true }).sort('location displayOrder name');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        locations: Object.entries(studios).map(([location, studio]) => ({
+          location,
+          name: studio.name,
+          url: feedUrl(req, `locations/${location}`, CalendarService.feedToken('location', location))
+        })),
+        artists: artists.map(artist => ({
+          _id: artist._id,
+          name: artist.name,
+          location: artist.location,
+          url: feedUrl(req, `artists/${artist._id}`, CalendarService.feedToken('artist', artist._id.toString()))
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Studio calendar feed
+// @route   GET /api/calendar/locations/:location.ics?token=
+// @access  Public (tokenized)
+exports.getLocationFeed = async (req, res, next) => {
+  try {
+    if (!CalendarService.verifyToken('location', req.params.location, req.query.token)) {
+      return next(new ErrorResponse('Invalid calendar feed link', 401));
+    }
+
+    const calendar = await CalendarService.locationFeed(req.params.location);
+    sendCalendar(res, req.params.location, calendar);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Artist calendar feed
+// @route   GET /api/calendar/artists/:id.ics?token=
+// @access  Public (tokenized)
+exports.getArtistFeed = async (req, res, next) => {
+  try {
+    if (!CalendarService.verifyToken('artist', req.params.id, req.query.token)) {
+      return next(new ErrorResponse('Invalid calendar feed link', 401));
+    }
+
+    const calendar = await CalendarService.artistFeed(req.params.id);
+    sendCalendar(res, `artist-${req.params.id}`, calendar);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const CartService = require('../src/core/services/CartService');
+const ErrorResponse = require('../utils/errorResponse');
+
+const CART_SESSION_COOKIE = CartService.sessionCookie;
+
+// Identify the cart owner: logged in user, or guest session from header/cookie
+const getCartOwner = (req, res) => {
+  if (req.user) {
+    return { userId: req.user.id };
+  }
+
+  let sessionId = req.headers['x-cart-session'] || req.cookies[CART_SESSION_COOKIE];
+
+  if (!sessionId) {
+    sessionId = crypto.randomUUID();
+    res.cookie(CART_SESSION_COOKIE, sessionId, {
+      expires: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+      httpOnly: true
+    });
+  }
+
+  return { sessionId };
+};
+
+// Shared response shape for every cart endpoint
+const sendCart = (res, { cart, changes }, owner, message) => {
+  res.status(200).json({
+    success: true,
+    ...(message && { message }),
+    ...(owner.sessionId && { sessionId: owner.sessionId }),
+    data: cart,
+    changes
+  });
+};
+
+// @desc    Get cart
+// @route   GET /api/cart
+// @access  Public
+exports.getCart = async (req, res, next) => {
+  try {
+    const owner = getCartOwner(req, res);
+    const result = await CartService.getCart(owner);
+    sendCart(res, result, owner);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add item to cart
+// @route   POST /api/cart/items
+// @access  Public
+exports.addToCart = async (req, res, next) => {
+  try {
+    const owner = getCartOwner(req, res);
+    const { productId, variantId, quantity } = req.body;
+    const result = await CartService.addItem(owner, { productId, variantId, quantity });
+    sendCart(res, result, owner, 'Item added to cart');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update cart item quantity
+// @route   PUT /api/cart/items/:itemId
+// @access  Public
+exports.updateCartItem = async (req, res, next) => {
+  try {
+    const owner = getCartOwner(req, res);
+    const result = await CartService.updateItem(owner, req.params.itemId, req.body.quantity);
+    sendCart(res, result, owner, 'Cart updated');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove item from cart
+// @route   DELETE /api/cart/items/:itemId
+// @access  Public
+exports.removeFromCart = async (req, res, next) => {
+  try {
+    const owner = getCartOwner(req, res);
+    const result = await CartService.removeItem(owner, req.params.itemId);
+    sendCart(res, result, owner, 'Item removed from cart');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Clear cart
+// @route   DELETE /api/cart
+// @access  Public
+exports.clearCart = async (req, res, next) => {
+  try {
+    const owner = getCartOwner(req, res);
+    const result = await CartService.clearCart(owner);
+    sendCart(res, result, owner, 'Cart cleared');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Apply coupon to cart
+// @route   POST /api/cart/coupon
+// @access  Public
+exports.applyCoupon = async (req, res, next) => {
+  try {
+    const owner = getCartOwner(req, res);
+    const result = await CartService.applyCoupon(owner, req.body.code);
+    sendCart(res, result, owner, 'Coupon applied');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove coupon from cart
+// @route   DELETE /api/cart/coupon
+// @access  Public
+exports.removeCoupon = async (req, res, next) => {
+  try {
+    const owner = getCartOwner(req, res);
+    const result = await CartService.removeCoupon(owner);
+    sendCart(res, result, owner, 'Coupon removed');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Merge guest cart into logged in user's cart
+// @route   POST /api/cart/merge
+// @access  Private
+exports.mergeCart = async (req, res, next) => {
+  try {
+    const sessionId = req.body.sessionId || req.headers['x-cart-session'] || req.cookies[CART_SESSION_COOKIE];
+
+    if (!sessionId) {
+      return next(new ErrorResponse('No guest cart session provided', 400));
+    }
+
+    const owner = { userId: req.user.id };
+    const result = await CartService.mergeGuestCart(sessionId, req.user.id)
+      || await CartService.getCart(owner);
+
+    res.clearCookie(CART_SESSION_COOKIE);
+    sendCart(res, result, owner, 'Cart merged');
+  } catch (error) {
+    next(error);
+  }
+};
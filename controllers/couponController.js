@@ -0,0 +1,201 @@
+const Coupon = require('../models/Coupon');
+const Product = require('../models/Product');
+const CouponService = require('../src/core/services/CouponService');
+const ErrorResponse = require('../utils/errorResponse');
+
+// @desc    Validate coupon
+// @route   POST /api/coupons/validate
+// @access  Public
+exports.validateCoupon = async (req, res, next) => {
+  try {
+    const { code, items, scope, amount } = req.body;
+
+    if (!code) {
+      return next(new ErrorResponse('Please provide a coupon code', 400));
+    }
+
+    let lines;
+
+    if (Array.isArray(items) && items.length > 0) {
+      // Price product lines from the catalog, never from the client
+      const products = await Product.find({ _id: { $in: items.map(item => item.product) } });
+      const byId = new Map(products.map(p => [p._id.toString(), p]));
+
+      lines = items.map(item => {
+        const product = byId.get(String(item.product));
+        if (!product) {
+          return { product: item.product, lineTotal: 0 };
+        }
+        const variant = item.variantId ? product.variants.id(item.variantId) : null;
+        const unitPrice = product.price + (variant ? variant.priceAdjustment || 0 : 0);
+        return {
+          product: product._id,
+          category: product.category,
+          lineTotal: unitPrice * (parseInt(item.quantity, 10) || 1)
+        };
+      });
+    } else if (amount) {
+      // Services and courses are validated against a single amount
+      lines = [{ lineTotal: Number(amount) }];
+    } else {
+      return next(new ErrorResponse('Please provide items or an amount to validate against', 400));
+    }
+
+    const { coupon, discount, eligibleSubtotal } = await CouponService.validate({
+      code,
+      userId: req.user ? req.user.id : undefined,
+      scope: scope || 'products',
+      items: lines
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        code: coupon.code,
+        description: coupon.description,
+        discountType: coupon.discountType,
+        discountValue: coupon.discountValue,
+        eligibleSubtotal,
+        discountAmount: discount
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get all coupons
+// @route   GET /api/coupons
+// @access  Private/Admin
+exports.getCoupons = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+    if (req.query.applicableTo) {
+      query.applicableTo = req.query.applicableTo;
+    }
+    if (req.query.search) {
+      query.code = { $regex: req.query.search.toUpperCase(), $options: 'i' };
+    }
+
+    const total = await Coupon.countDocuments(query);
+    const coupons = await Coupon.find(query)
+      .select('-usedBy')
+      .sort('-createdAt')
+      .skip(startIndex)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: coupons.length,
+      total,
+      pages: Math.ceil(total / limit),
+      data: coupons
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single coupon
+// @route   GET /api/coupons/:id
+// @access  Private/Admin
+exports.getCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('applicableCategories', 'name slug')
+      .populate('applicableProducts', 'name slug')
+      .populate('usedBy.user', 'firstName lastName email');
+
+    if (!coupon) {
+      return next(new ErrorResponse('Coupon not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create coupon
+// @route   POST /api/coupons
+// @access  Private/Admin
+exports.createCoupon = async (req, res, next) => {
+  try {
+    // Usage is only ever recorded through redemption
+    delete req.body.usageCount;
+    delete req.body.usedBy;
+
+    const coupon = await Coupon.create({
+      ...req.body,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update coupon
+// @route   PUT /api/coupons/:id
+// @access  Private/Admin
+exports.updateCoupon = async (req, res, next) => {
+  try {
+    delete req.body.usageCount;
+    delete req.body.usedBy;
+    delete req.body.createdBy;
+
+    const coupon = await Coupon.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!coupon) {
+      return next(new ErrorResponse('Coupon not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete coupon
+// @route   DELETE /api/coupons/:id
+// @access  Private/Admin
+exports.deleteCoupon = async (req, res, next) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return next(new ErrorResponse('Coupon not found', 404));
+    }
+
+    // Soft delete - keep the redemption history
+    coupon.isActive = false;
+    await coupon.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,188 @@
+const Course = require('../models/Course');
+const ErrorResponse = require('../utils/errorResponse');
+
+// @desc    Get all courses
+// @route   GET /api/courses
+// @access  Public
+exports.getCourses = async (req, res, next) => {
+  try {
+    const query = {};
+
+    // Only admins can see inactive courses
+    if (!req.user || req.user.role !== 'admin') {
+      query.isActive = true;
+    } else if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    if (req.query.category) {
+      query.category = req.query.category;
+    }
+
+    if (req.query.type) {
+      query.type = req.query.type;
+    }
+
+    if (req.query.level) {
+      query.level = req.query.level;
+    }
+
+    // Courses offered in both studios match either location
+    if (req.query.location) {
+      query.location = { $in: [req.query.location, 'both'] };
+    }
+
+    if (req.query.featured === 'true') {
+      query.isFeatured = true;
+    }
+
+    if (req.query.minPrice || req.query.maxPrice) {
+      query.price = {};
+      if (req.query.minPrice) query.price.$gte = Number(req.query.minPrice);
+      if (req.query.maxPrice) query.price.$lte = Number(req.query.maxPrice);
+    }
+
+    if (req.query.search) {
+      query.$text = { $search: req.query.search };
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 12;
+    const startIndex = (page - 1) * limit;
+
+    const sortBy = req.query.sort ? req.query.sort.split(',').join(' ') : '-isFeatured -createdAt';
+
+    const total = await Course.countDocuments(query);
+    const courses = await Course.find(query)
+      .sort(sortBy)
+      .skip(startIndex)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: courses.length,
+      total,
+      pages: Math.ceil(total / limit),
+      data: courses
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single course
+// @route   GET /api/courses/:id
+// @access  Public
+exports.getCourse = async (req, res, next) => {
+  try {
+    const course = await Course.findById(req.params.id);
+
+    if (!course || (!course.isActive && (!req.user || req.user.role !== 'admin'))) {
+      return next(new ErrorResponse('Course not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: course
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get courses by category
+// @route   GET /api/courses/category/:category
+// @access  Public
+exports.getCoursesByCategory = async (req, res, next) => {
+  try {
+    const query = {
+      category: req.params.category,
+      isActive: true
+    };
+
+    if (req.query.level) {
+      query.level = req.query.level;
+    }
+
+    if (req.query.location) {
+      query.location = { $in: [req.query.location, 'both'] };
+    }
+
+    const courses = await Course.find(query).sort('-isFeatured price');
+
+    res.status(200).json({
+      success: true,
+      count: courses.length,
+      data: courses
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create course
+// @route   POST /api/courses
+// @access  Private/Admin
+exports.createCourse = async (req, res, next) => {
+  try {
+    const course = await Course.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: course
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update course
+// @route   PUT /api/courses/:id
+// @access  Private/Admin
+exports.updateCourse = async (req, res, next) => {
+  try {
+    const course = await Course.findById(req.params.id);
+
+    if (!course) {
+      return next(new ErrorResponse('Course not found', 404));
+    }
+
+    // Enrollment count is maintained by the Enrollment model
+    delete req.body.totalEnrollments;
+
+    // Use save() so the slug hook runs when the title changes
+    course.set(req.body);
+    await course.save();
+
+    res.status(200).json({
+      success: true,
+      data: course
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete course
+// @route   DELETE /api/courses/:id
+// @access  Private/Admin
+exports.deleteCourse = async (req, res, next) => {
+  try {
+    const course = await Course.findById(req.params.id);
+
+    if (!course) {
+      return next(new ErrorResponse('Course not found', 404));
+    }
+
+    // Soft delete - existing enrollments still reference this course
+    course.isActive = false;
+    await course.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Course deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,310 @@
+const Enrollment = require('../models/Enrollment');
+const Course = require('../models/Course');
+const WaitlistService = require('../src/core/services/WaitlistService');
+const CalendarService = require('../src/core/services/CalendarService');
+const ExportService = require('../src/core/services/ExportService');
+const ErrorResponse = require('../utils/errorResponse');
+const sendEmail = require('../utils/sendEmail');
+const { enrollmentConfirmationEmail } = require('../utils/emailTemplates');
+
+// @desc    Create enrollment
+// @route   POST /api/enrollments
+// @access  Private
+exports.createEnrollment = async (req, res, next) => {
+  try {
+    const { course, startDate, location, address, notes } = req.body;
+
+    if (!course || !startDate || !location) {
+      return next(new ErrorResponse('Please provide course, start date and location', 400));
+    }
+
+    const courseDoc = await Course.findById(course);
+    if (!courseDoc || !courseDoc.isActive) {
+      return next(new ErrorResponse('Course not found', 404));
+    }
+
+    if (courseDoc.location !== 'both' && courseDoc.location !== location) {
+      return next(new ErrorResponse(`This course is not offered in ${location}`, 400));
+    }
+
+    if (new Date(startDate) < new Date()) {
+      return next(new ErrorResponse('Start date must be in the future', 400));
+    }
+
+    if (courseDoc.isFull) {
+      return next(new ErrorResponse('This course is fully booked - join the waitlist to be offered a seat if one frees up', 400));
+    }
+
+    // Prevent duplicate enrollments in the same course
+    const existing = await Enrollment.findOne({
+      student: req.user.id,
+      course,
+      status: { $in: ['pending', 'active', 'on-hold'] }
+    });
+
+    if (existing) {
+      return next(new ErrorResponse('You are already enrolled in this course', 400));
+    }
+
+    // Claim a seat atomically so two students can't take the last spot
+    const seat = await Course.findOneAndUpdate(
+      { _id: course, $expr: { $lt: ['$totalEnrollments', '$maxStudents'] } },
+      { $inc: { totalEnrollments: 1 } },
+      { new: true }
+    );
+
+    if (!seat) {
+      return next(new ErrorResponse('This course is fully booked - join the waitlist to be offered a seat if one frees up', 400));
+    }
+
+    let enrollment;
+    try {
+      enrollment = await Enrollment.create({
+        student: req.user.id,
+        studentInfo: {
+          firstName: req.user.firstName,
+          lastName: req.user.lastName,
+          email: req.user.email,
+          phone: req.user.phone,
+          address
+        },
+        course,
+        courseSnapshot: {
+          title: courseDoc.title,
+          category: courseDoc.category,
+          type: courseDoc.type,
+          price: courseDoc.price,
+          duration: courseDoc.duration
+        },
+        startDate,
+        location,
+        payment: {
+          amount: courseDoc.price
+        },
+        notes: {
+          studentNotes: notes
+        }
+      });
+    } catch (err) {
+      // Give the seat back if the enrollment could not be created
+      await Course.findByIdAndUpdate(course, { $inc: { totalEnrollments: -1 } });
+      throw err;
+    }
+
+    // Send confirmation email
+    try {
+      await sendEmail({
+        email: req.user.email,
+        subject: 'Enrollment Confirmed - Lulu Artistry',
+        html: enrollmentConfirmationEmail(enrollment),
+        attachments: [CalendarService.enrollmentInvite(enrollment, courseDoc.durationInDays)]
+      });
+    } catch (err) {
+      console.error('Enrollment confirmation email failed:', err.message);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: enrollment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get user enrollments
+// @route   GET /api/enrollments
+// @access  Private
+exports.getEnrollments = async (req, res, next) => {
+  try {
+    const enrollments = await Enrollment.find({ student: req.user.id })
+      .populate('course', 'title slug category type images')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: enrollments.length,
+      data: enrollments
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single enrollment
+// @route   GET /api/enrollments/:id
+// @access  Private
+exports.getEnrollment = async (req, res, next) => {
+  try {
+    const enrollment = await Enrollment.findById(req.params.id)
+      .populate('course', 'title slug category type curriculum images instructor');
+
+    if (!enrollment) {
+      return next(new ErrorResponse('Enrollment not found', 404));
+    }
+
+    // Check authorization
+    if (enrollment.student.toString() !== req.user.id && req.user.role !== 'admin') {
+      return next(new ErrorResponse('Not authorized', 403));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: enrollment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Filters shared by the admin list and its export
+const adminEnrollmentFilter = ({ status, course, location, paymentStatus }) => {
+  const query = {};
+  if (status) {
+    query.status = status;
+  }
+  if (course) {
+    query.course = course;
+  }
+  if (location) {
+    query.location = location;
+  }
+  if (paymentStatus) {
+    query['payment.status'] = paymentStatus;
+  }
+  return query;
+};
+
+// @desc    Get all enrollments (Admin)
+// @route   GET /api/enrollments/admin/all
+// @access  Private/Admin
+exports.getAllEnrollments = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const query = adminEnrollmentFilter(req.query);
+
+    const total = await Enrollment.countDocuments(query);
+    const enrollments = await Enrollment.find(query)
+      .populate('student', 'firstName lastName email phone')
+      .populate('course', 'title category type')
+      .sort('startDate')
+      .skip(startIndex)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: enrollments.length,
+      total,
+      data: enrollments
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Export enrollments as CSV or Excel (Admin)
+// @route   GET /api/enrollments/admin/export?format=csv|xlsx
+// @access  Private/Admin
+exports.exportEnrollments = async (req, res, next) => {
+  try {
+    await ExportService.send(res, 'enrollments', adminEnrollmentFilter(req.query), req.query.format);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update enrollment status
+// @route   PUT /api/enrollments/:id/status
+// @access  Private/Admin
+exports.updateEnrollmentStatus = async (req, res, next) => {
+  try {
+    const { status, completedDays, note } = req.body;
+
+    const validStatuses = ['pending', 'active', 'completed', 'cancelled', 'on-hold'];
+    if (!status || !validStatuses.includes(status)) {
+      return next(new ErrorResponse('Invalid enrollment status', 400));
+    }
+
+    const enrollment = await Enrollment.findById(req.params.id);
+
+    if (!enrollment) {
+      return next(new ErrorResponse('Enrollment not found', 404));
+    }
+
+    // Dropping a pending or active enrollment frees a seat for the waitlist
+    const freesSeat = status === 'cancelled' && ['pending', 'active'].includes(enrollment.status);
+
+    enrollment.status = status;
+
+    if (completedDays !== undefined) {
+      enrollment.progress.completedDays = completedDays;
+    }
+
+    if (status === 'completed' && !enrollment.completedAt) {
+      enrollment.completedAt = new Date();
+    }
+
+    if (note) {
+      enrollment.notes.instructorNotes = note;
+    }
+
+    // The post-save hook recounts the course's active enrollments
+    await enrollment.save();
+
+    if (freesSeat) {
+      try {
+        await WaitlistService.seatFreed(enrollment);
+      } catch (err) {
+        console.error(`Waitlist offer for enrollment ${enrollment.enrollmentNumber} failed:`, err.message);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: enrollment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Issue certificate
+// @route   POST /api/enrollments/:id/certificate
+// @access  Private/Admin
+exports.issueCertificate = async (req, res, next) => {
+  try {
+    const enrollment = await Enrollment.findById(req.params.id);
+
+    if (!enrollment) {
+      return next(new ErrorResponse('Enrollment not found', 404));
+    }
+
+    if (enrollment.certificate.issued) {
+      return next(new ErrorResponse('Certificate already issued', 400));
+    }
+
+    if (!enrollment.eligibleForCertificate) {
+      return next(new ErrorResponse('Student has not completed enough of the course for a certificate', 400));
+    }
+
+    enrollment.certificate = {
+      issued: true,
+      certificateNumber: enrollment.enrollmentNumber.replace(/^ENR/, 'CERT'),
+      issuedDate: new Date(),
+      certificateUrl: req.body.certificateUrl
+    };
+
+    await enrollment.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Certificate issued successfully',
+      data: enrollment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
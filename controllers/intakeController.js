@@ -0,0 +1,120 @@
+const IntakeSubmission = require('../models/IntakeSubmission');
+const User = require('../models/User');
+const IntakeService = require('../src/core/services/IntakeService');
+const ErrorResponse = require('../utils/errorResponse');
+
+// @desc    Get the intake form for a service category
+// @route   GET /api/intake/forms/:category
+// @access  Public
+exports.getIntakeForm = async (req, res, next) => {
+  try {
+    const form = await IntakeService.formFor(req.params.category);
+
+    if (!form) {
+      return next(new ErrorResponse('No intake form for this category', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: form
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create or update the intake form for a service category
+// @route   PUT /api/intake/forms/:category
+// @access  Private/Admin
+exports.saveIntakeForm = async (req, res, next) => {
+  try {
+    const form = await IntakeService.saveForm(req.params.category, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: form
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Submit an intake form
+// @route   POST /api/intake/submissions
+// @access  Private
+exports.submitIntake = async (req, res, next) => {
+  try {
+    const submission = await IntakeService.submit(req.user, req.body, { ipAddress: req.ip });
+
+    res.status(201).json({
+      success: true,
+      data: submission
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get user intake submissions
+// @route   GET /api/intake/submissions
+// @access  Private
+exports.getMySubmissions = async (req, res, next) => {
+  try {
+    const submissions = await IntakeSubmission.find({ customer: req.user.id })
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: submissions.length,
+      data: submissions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a client's intake submissions and patch tests
+// @route   GET /api/intake/customers/:id
+// @access  Private/Admin
+exports.getCustomerIntake = async (req, res, next) => {
+  try {
+    const customer = await User.findById(req.params.id)
+      .select('firstName lastName email phone patchTests')
+      .populate('patchTests.recordedBy', 'firstName lastName');
+
+    if (!customer) {
+      return next(new ErrorResponse('Customer not found', 404));
+    }
+
+    const submissions = await IntakeSubmission.find({ customer: customer._id })
+      .populate('bookings', 'bookingNumber appointmentDate status')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        customer,
+        patchTests: customer.patchTests,
+        submissions
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Record a patch test result on a client's profile
+// @route   POST /api/intake/customers/:id/patch-tests
+// @access  Private/Admin
+exports.recordPatchTest = async (req, res, next) => {
+  try {
+    const customer = await IntakeService.recordPatchTest(req.params.id, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: customer.patchTests
+    });
+  } catch (error) {
+    next(error);
+  }
+};
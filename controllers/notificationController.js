@@ -0,0 +1,39 @@
+const ReminderService = require('../src/core/services/ReminderService');
+const { getNotificationChannel } = require('../src/core/providers/notifications');
+
+// @desc    Delivery report from an SMS or WhatsApp provider
+// @route   POST /api/notifications/status/:provider
+// @access  Public (authenticated by the provider's signature or token)
+exports.deliveryStatus = async (req, res, next) => {
+  try {
+    const channel = getNotificationChannel(req.params.provider);
+
+    // Verified against the untouched body - req.body has been through the sanitizers
+    const updates = channel.parseStatus(req.rawBody, req.headers, req.query);
+    if (!updates) {
+      return res.status(400).send('Invalid signature');
+    }
+
+    await ReminderService.recordDelivery(channel.name, updates);
+
+    res.status(200).send('Status received');
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Webhook subscription check (WhatsApp)
+// @route   GET /api/notifications/status/:provider
+// @access  Public
+exports.verifySubscription = async (req, res, next) => {
+  try {
+    const challenge = getNotificationChannel(req.params.provider).verifySubscription(req.query);
+    if (!challenge) {
+      return res.status(403).send('Verification failed');
+    }
+
+    res.status(200).send(challenge);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,6 +1,10 @@
 const Order = require('../models/Order');
-const Product = require('../models/Product');
 const Cart = require('../models/Cart');
+const CouponService = require('../src/core/services/CouponService');
+const OrderService = require('../src/core/services/OrderService');
+const InventoryService = require('../src/core/services/InventoryService');
+const ExportService = require('../src/core/services/ExportService');
+const { deliveryZones } = require('../config/deliveryZones');
 const ErrorResponse = require('../utils/errorResponse');
 const sendEmail = require('../utils/sendEmail');
 const { orderConfirmationEmail } = require('../utils/emailTemplates');
@@ -27,7 +31,7 @@ exports.createOrder = async (req, res, next) => {
       return next(new ErrorResponse('Payment method is required', 400));
     }
 
-    if (!['paystack', 'bank_transfer'].includes(paymentMethod)) {
+    if (!['paystack', 'flutterwave', 'bank_transfer'].includes(paymentMethod)) {
       return next(new ErrorResponse('Invalid payment method', 400));
     }
 
@@ -36,21 +40,29 @@ exports.createOrder = async (req, res, next) => {
       return next(new ErrorResponse('Order must have at least one item', 400));
     }
 
-    // Validate stock availability
-    for (const item of items) {
-      const product = await Product.findById(item.product);
-      if (!product) {
-        return next(new ErrorResponse(`Product not found: ${item.product}`, 404));
-      }
-      if (product.stock < item.quantity) {
-        return next(new ErrorResponse(`Insufficient stock for ${product.name}`, 400));
-      }
+    // Re-price every line from the catalog and take shipping from the zone table
+    const { items: orderItems, products: productsById, subtotal } = await OrderService.priceItems(items);
+    const zone = OrderService.quoteShipping(deliveryZone);
+    const shippingCost = zone.cost;
+
+    // Look the coupon up server-side - a client supplied discount is never trusted
+    let discount = 0;
+    let appliedCoupon;
+    if (coupon && coupon.code) {
+      const result = await CouponService.validate({
+        code: coupon.code,
+        userId: req.user.id,
+        scope: 'products',
+        items: orderItems.map(item => ({
+          product: item.product,
+          category: productsById.get(String(item.product)).category,
+          lineTotal: item.subtotal
+        }))
+      });
+      discount = result.discount;
+      appliedCoupon = result.coupon;
     }
 
-    // Calculate pricing
-    const subtotal = items.reduce((acc, item) => acc + (item.price * item.quantity), 0);
-    const shippingCost = deliveryZone.cost;
-    const discount = coupon?.discountAmount || 0;
     const total = subtotal + shippingCost - discount;
 
     // Set status based on payment method
@@ -65,45 +77,59 @@ exports.createOrder = async (req, res, next) => {
       orderStatus = 'pending_payment';
       paymentStatus = 'awaiting_transfer';
       paymentData.status = 'awaiting_transfer';
-    } else if (paymentMethod === 'paystack') {
-      // Paystack: Create order, mark as pending verification
+    } else {
+      // Card (Paystack/Flutterwave): Create order, mark as pending verification
       orderStatus = 'pending_verification';
       paymentStatus = 'pending';
       paymentData.status = 'pending';
     }
 
-    // Create order
-    const order = await Order.create({
-      user: req.user ? req.user.id : undefined,
-      customerInfo,
-      items,
-      shippingAddress,
-      deliveryZone,
-      pricing: {
-        subtotal,
-        shippingCost,
-        discount,
-        total
-      },
-      coupon,
-      isGift,
-      giftMessage,
-      notes: {
-        customerNote: notes
-      },
-      payment: paymentData,
-      orderStatus,
-      paymentStatus  // Add this if your schema has it at root level
-    });
+    // Hold the stock atomically until payment succeeds or the hold expires
+    await InventoryService.reserve(orderItems);
 
-    // Update product stock
-    for (const item of items) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { 
-          stock: -item.quantity,
-          totalSales: item.quantity
+    // Create order
+    let order;
+    try {
+      order = await Order.create({
+        user: req.user ? req.user.id : undefined,
+        customerInfo,
+        items: orderItems,
+        shippingAddress,
+        deliveryZone: zone,
+        pricing: {
+          subtotal,
+          shippingCost,
+          discount,
+          total
+        },
+        coupon: appliedCoupon ? { code: appliedCoupon.code, discountAmount: discount } : undefined,
+        isGift,
+        giftMessage,
+        notes: {
+          customerNote: notes
+        },
+        payment: paymentData,
+        orderStatus,
+        paymentStatus,  // Add this if your schema has it at root level
+        reservation: {
+          status: 'reserved',
+          expiresAt: InventoryService.reservationExpiry(paymentMethod)
         }
       });
+    } catch (err) {
+      await InventoryService.restock(orderItems);
+      throw err;
+    }
+
+    // Record the redemption; usage limits are re-checked atomically
+    if (appliedCoupon) {
+      try {
+        await CouponService.redeem(appliedCoupon, req.user.id, order.orderNumber);
+      } catch (err) {
+        await Order.deleteOne({ _id: order._id });
+        await InventoryService.restock(orderItems);
+        return next(err);
+      }
     }
 
     // Clear user's cart after order
@@ -189,18 +215,24 @@ exports.getOrder = async (req, res, next) => {
   }
 };
 
+// Filters shared by the admin list and its export
+const adminOrderFilter = ({ status }) => {
+  const query = {};
+  if (status) {
+    query.orderStatus = status;
+  }
+  return query;
+};
+
 // @desc    Get all orders (Admin)
 // @route   GET /api/orders/admin/all
 // @access  Private/Admin
 exports.getAllOrders = async (req, res, next) => {
   try {
-    const { status, page = 1, limit = 10 } = req.query;
+    const { page = 1, limit = 10 } = req.query;
     const skip = (page - 1) * limit;
 
-    let query = {};
-    if (status) {
-      query.status = status;
-    }
+    const query = adminOrderFilter(req.query);
 
     const orders = await Order.find(query)
       .populate('items.product', 'name images')
@@ -223,6 +255,17 @@ exports.getAllOrders = async (req, res, next) => {
   }
 };
 
+// @desc    Export orders as CSV or Excel (Admin)
+// @route   GET /api/orders/admin/export?format=csv|xlsx
+// @access  Private/Admin
+exports.exportOrders = async (req, res, next) => {
+  try {
+    await ExportService.send(res, 'orders', adminOrderFilter(req.query), req.query.format);
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Update order status
 // @route   PUT /api/orders/:id/status
 // @access  Private/Admin
@@ -235,16 +278,24 @@ exports.updateOrderStatus = async (req, res, next) => {
       return next(new ErrorResponse('Invalid order status', 400));
     }
 
-    const order = await Order.findByIdAndUpdate(
-      req.params.id,
-      { status },
-      { new: true, runValidators: true }
-    ).populate('items.product', 'name images');
+    const order = await Order.findById(req.params.id);
 
     if (!order) {
       return next(new ErrorResponse('Order not found', 404));
     }
 
+    if (status === 'cancelled') {
+      await OrderService.cancel(order, { cancelledBy: 'admin', reason: req.body.reason });
+    } else {
+      if (status === 'delivered' && !order.deliveredAt) {
+        order.deliveredAt = new Date();
+      }
+
+      order.orderStatus = status;
+      await order.save();
+    }
+    await order.populate('items.product', 'name images');
+
     res.status(200).json({
       success: true,
       data: order,
@@ -271,20 +322,14 @@ exports.cancelOrder = async (req, res, next) => {
       return next(new ErrorResponse('Not authorized to cancel this order', 403));
     }
 
-    // Only allow cancellation of pending orders
-    if (order.status !== 'pending') {
+    // Only allow cancellation of orders that have not been paid yet
+    if (!['pending', 'pending_payment', 'pending_verification'].includes(order.orderStatus) ||
+        order.payment.status === 'paid') {
       return next(new ErrorResponse('Can only cancel pending orders', 400));
     }
 
-    // Restore product stock
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { stock: item.quantity, totalSales: -item.quantity }
-      });
-    }
-
-    order.status = 'cancelled';
-    await order.save();
+    // Return the held stock and the coupon use
+    await OrderService.cancel(order, { cancelledBy: 'customer', reason: req.body.reason });
 
     res.status(200).json({
       success: true,
@@ -294,4 +339,21 @@ exports.cancelOrder = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// @desc    Get delivery zones and shipping costs
+// @route   GET /api/orders/delivery-zones
+// @access  Public
+exports.getDeliveryZones = async (req, res, next) => {
+  try {
+    const zones = Object.entries(deliveryZones).map(([zone, details]) => ({ zone, ...details }));
+
+    res.status(200).json({
+      success: true,
+      count: zones.length,
+      data: zones
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,54 +1,41 @@
-const axios = require('axios');
 const Order = require('../models/Order');
-const Booking = require('../models/Booking');
-const Enrollment = require('../models/Enrollment');
+const Payment = require('../models/Payment');
+const Refund = require('../models/Refund');
+const PaymentService = require('../src/core/services/PaymentService');
+const RefundService = require('../src/core/services/RefundService');
 const ErrorResponse = require('../utils/errorResponse');
 const sendEmail = require('../utils/sendEmail');
 const { orderConfirmationEmail } = require('../utils/emailTemplates');
 
-const paystackAPI = axios.create({
-  baseURL: 'https://api.paystack.co',
-  headers: {
-    Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
-    'Content-Type': 'application/json'
-  }
-});
-
 // @desc    Initialize payment
 // @route   POST /api/payment/initialize
 // @access  Private
 exports.initializePayment = async (req, res, next) => {
   try {
-    const { type, referenceId, amount, email } = req.body;
+    const { type, referenceId, email, provider, intent } = req.body;
     // type: 'order', 'booking', 'enrollment'
     // referenceId: ID of the order/booking/enrollment
+    // provider: optional - e.g. 'flutterwave' when Paystack declines the card
+    // intent: bookings only - 'deposit' or 'balance' (defaults to whichever is due next)
 
-    // Generate unique reference
-    const reference = `${type}-${referenceId}-${Date.now()}`;
-
-    // Initialize Paystack transaction
-    const response = await paystackAPI.post('/transaction/initialize', {
+    const checkout = await PaymentService.initialize({
+      entityType: type,
+      entityId: referenceId,
       email,
-      amount: amount * 100, // Paystack expects amount in kobo (₦1 = 100 kobo)
-      reference,
-      callback_url: `${process.env.PAYSTACK_CALLBACK_URL}?ref=${reference}`,
-      metadata: {
-        type,
-        referenceId,
-        userId: req.user ? req.user.id : null
-      }
+      provider,
+      intent,
+      userId: req.user ? req.user.id : undefined
     });
 
     res.status(200).json({
       success: true,
-      data: {
-        authorizationUrl: response.data.data.authorization_url,
-        accessCode: response.data.data.access_code,
-        reference: response.data.data.reference
-      }
+      data: checkout
     });
   } catch (error) {
-    console.error('Paystack initialization error:', error.response?.data || error.message);
+    if (error.statusCode) {
+      return next(error);
+    }
+    console.error('Payment initialization error:', error.response?.data || error.message);
     next(new ErrorResponse('Payment initialization failed', 500));
   }
 };
@@ -58,205 +45,210 @@ exports.initializePayment = async (req, res, next) => {
 // @access  Public
 exports.verifyPayment = async (req, res, next) => {
   try {
-    const { reference } = req.params;
-
-    // Verify transaction with Paystack
-    const response = await paystackAPI.get(`/transaction/verify/${reference}`);
-
-    const { status, data } = response.data;
-
-    if (status && data.status === 'success') {
-      const { type, referenceId } = data.metadata;
-
-      // Update payment status based on type
-      if (type === 'order') {
-        await handleOrderPayment(referenceId, data);
-      } else if (type === 'booking') {
-        await handleBookingPayment(referenceId, data);
-      } else if (type === 'enrollment') {
-        await handleEnrollmentPayment(referenceId, data);
-      }
+    // Record the charge; a reference already applied by the webhook is not applied again
+    const { charge, payment } = await PaymentService.verify(req.params.reference);
 
+    if (charge.status === 'success' && payment && payment.status === 'success') {
       res.status(200).json({
         success: true,
         message: 'Payment verified successfully',
         data: {
-          reference: data.reference,
-          amount: data.amount / 100,
-          status: data.status
+          reference: charge.reference,
+          amount: charge.amount,
+          status: charge.status,
+          provider: charge.provider
         }
       });
+    } else if (charge.status === 'success' && payment && payment.status === 'amount_mismatch') {
+      return next(new ErrorResponse('Amount paid does not match the amount due. Please contact support.', 400));
     } else {
       return next(new ErrorResponse('Payment verification failed', 400));
     }
   } catch (error) {
+    if (error.statusCode) {
+      return next(error);
+    }
     console.error('Payment verification error:', error.response?.data || error.message);
     next(new ErrorResponse('Payment verification failed', 500));
   }
 };
 
-// @desc    Paystack webhook
-// @route   POST /api/payment/webhook
+// @desc    Payment provider webhook
+// @route   POST /api/payment/webhook (Paystack)
+// @route   POST /api/payment/webhook/:provider
 // @access  Public
-exports.paystackWebhook = async (req, res, next) => {
+exports.paymentWebhook = async (req, res, next) => {
   try {
-    const hash = require('crypto')
-      .createHmac('sha512', process.env.PAYSTACK_SECRET_KEY)
-      .update(JSON.stringify(req.body))
-      .digest('hex');
-
-    if (hash === req.headers['x-paystack-signature']) {
-      const event = req.body;
-
-      // Handle different event types
-      switch (event.event) {
-        case 'charge.success':
-          const { type, referenceId } = event.data.metadata;
-          
-          if (type === 'order') {
-            await handleOrderPayment(referenceId, event.data);
-          } else if (type === 'booking') {
-            await handleBookingPayment(referenceId, event.data);
-          } else if (type === 'enrollment') {
-            await handleEnrollmentPayment(referenceId, event.data);
-          }
-          break;
-
-        case 'transfer.success':
-          // Handle refunds
-          console.log('Transfer successful:', event.data);
-          break;
-
-        default:
-          console.log('Unhandled webhook event:', event.event);
-      }
+    // Verified against the untouched body - req.body has been through the sanitizers
+    const event = await PaymentService.handleWebhook(
+      req.params.provider || 'paystack',
+      req.rawBody,
+      req.headers
+    );
 
-      res.status(200).send('Webhook received');
-    } else {
-      res.status(400).send('Invalid signature');
+    if (!event) {
+      return res.status(400).send('Invalid signature');
     }
+
+    res.status(200).send('Webhook received');
   } catch (error) {
     console.error('Webhook error:', error);
     next(error);
   }
 };
 
-// Helper function to handle order payment
-async function handleOrderPayment(orderId, paymentData) {
+// @desc    Initiate refund
+// @route   POST /api/payment/refund
+// @access  Private/Admin
+exports.initiateRefund = async (req, res, next) => {
   try {
-    const order = await Order.findById(orderId).populate('items.product');
+    const { reference, amount, reason, items, method } = req.body;
+    let { type, referenceId } = req.body;
+
+    // Older clients refund by charge reference
+    if (reference && !referenceId) {
+      const payment = await Payment.findOne({ reference });
+      if (!payment) {
+        return next(new ErrorResponse('Payment not found', 404));
+      }
+      type = payment.entityType;
+      referenceId = payment.entityId;
+    }
 
-    if (!order) {
-      throw new Error('Order not found');
+    if (!type || !referenceId) {
+      return next(new ErrorResponse('Please provide the order, booking or enrollment to refund', 400));
     }
 
-    order.payment.status = 'paid';
-    order.payment.paymentId = paymentData.id;
-    order.payment.paystackReference = paymentData.reference;
-    order.payment.paidAt = new Date();
-    order.orderStatus = 'processing';
+    const refunds = await RefundService.create({
+      entityType: type,
+      entityId: referenceId,
+      amount,
+      reason,
+      method: method === 'transfer' ? 'transfer' : 'gateway',
+      items: type === 'order' ? items : undefined,
+      requestedBy: req.user.id
+    });
 
-    await order.save();
+    const failed = refunds.filter(refund => refund.status === 'failed');
 
-    // Send order confirmation email
-    if (order.customerInfo.email) {
-      await sendEmail({
-        email: order.customerInfo.email,
-        subject: `Order Confirmed - ${order.orderNumber}`,
-        html: orderConfirmationEmail(order)
-      });
-    }
-
-    console.log(`Order ${orderId} payment processed successfully`);
+    res.status(failed.length > 0 ? 502 : 201).json({
+      success: failed.length === 0,
+      message: failed.length > 0
+        ? `Refund could not be started: ${failed[0].failureReason}`
+        : 'Refund initiated successfully',
+      data: refunds
+    });
   } catch (error) {
-    console.error('Error handling order payment:', error);
+    next(error);
   }
-}
+};
 
-// Helper function to handle booking payment
-async function handleBookingPayment(bookingId, paymentData) {
+// @desc    Get refunds
+// @route   GET /api/payment/refunds
+// @access  Private/Admin
+exports.getRefunds = async (req, res, next) => {
   try {
-    const booking = await Booking.findById(bookingId);
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
 
-    if (!booking) {
-      throw new Error('Booking not found');
+    const query = {};
+    if (req.query.status) {
+      query.status = req.query.status;
     }
-
-    // Check if it's deposit or balance payment
-    const amount = paymentData.amount / 100;
-    
-    if (amount === booking.pricing.depositAmount) {
-      booking.payment.depositPaid = true;
-      booking.payment.depositPaymentId = paymentData.id;
-      booking.payment.depositPaidAt = new Date();
-      booking.status = 'confirmed';
-    } else if (amount === booking.pricing.balanceAmount) {
-      booking.payment.balancePaid = true;
-      booking.payment.balancePaymentId = paymentData.id;
-      booking.payment.balancePaidAt = new Date();
+    if (req.query.type) {
+      query.entityType = req.query.type;
+    }
+    if (req.query.referenceId) {
+      query.entityId = req.query.referenceId;
+    }
+    if (req.query.method) {
+      query.method = req.query.method;
     }
 
-    booking.payment.paymentMethod = 'paystack';
-
-    await booking.save();
+    const total = await Refund.countDocuments(query);
+    const refunds = await Refund.find(query)
+      .populate('user', 'firstName lastName email')
+      .populate('requestedBy', 'firstName lastName')
+      .sort('-createdAt')
+      .skip(startIndex)
+      .limit(limit);
 
-    console.log(`Booking ${bookingId} payment processed successfully`);
+    res.status(200).json({
+      success: true,
+      count: refunds.length,
+      total,
+      pages: Math.ceil(total / limit),
+      data: refunds
+    });
   } catch (error) {
-    console.error('Error handling booking payment:', error);
+    next(error);
   }
-}
+};
 
-// Helper function to handle enrollment payment
-async function handleEnrollmentPayment(enrollmentId, paymentData) {
+// @desc    Get single refund
+// @route   GET /api/payment/refunds/:id
+// @access  Private/Admin
+exports.getRefund = async (req, res, next) => {
   try {
-    const enrollment = await Enrollment.findById(enrollmentId);
-
-    if (!enrollment) {
-      throw new Error('Enrollment not found');
+    const refund = await Refund.findById(req.params.id)
+      .populate('entityId')
+      .populate('payment')
+      .populate('user', 'firstName lastName email')
+      .populate('requestedBy', 'firstName lastName');
+
+    if (!refund) {
+      return next(new ErrorResponse('Refund not found', 404));
     }
 
-    enrollment.payment.status = 'paid';
-    enrollment.payment.method = 'paystack';
-    enrollment.payment.paymentId = paymentData.id;
-    enrollment.payment.paidAt = new Date();
-    enrollment.status = 'active';
-
-    await enrollment.save();
-
-    console.log(`Enrollment ${enrollmentId} payment processed successfully`);
+    res.status(200).json({
+      success: true,
+      data: refund
+    });
   } catch (error) {
-    console.error('Error handling enrollment payment:', error);
+    next(error);
   }
-}
+};
 
-// @desc    Initiate refund
-// @route   POST /api/payment/refund
+// @desc    Mark a refund processed or failed (e.g. a bank transfer refund paid manually)
+// @route   PUT /api/payment/refunds/:id/status
 // @access  Private/Admin
-exports.initiateRefund = async (req, res, next) => {
+exports.updateRefundStatus = async (req, res, next) => {
   try {
-    const { reference, amount, reason } = req.body;
+    const { status, note } = req.body;
 
-    const response = await paystackAPI.post('/refund', {
-      transaction: reference,
-      amount: amount ? amount * 100 : undefined, // Partial or full refund
-      merchant_note: reason
-    });
+    if (!['processed', 'failed'].includes(status)) {
+      return next(new ErrorResponse('Status must be processed or failed', 400));
+    }
+
+    const refund = await Refund.findById(req.params.id);
+
+    if (!refund) {
+      return next(new ErrorResponse('Refund not found', 404));
+    }
+
+    if (refund.status !== 'pending') {
+      return next(new ErrorResponse(`Refund is already ${refund.status}`, 400));
+    }
+
+    const updated = status === 'processed'
+      ? await RefundService.markProcessed(refund, 'admin', note)
+      : await RefundService.markFailed(refund, note || 'Marked failed by admin', 'admin');
 
     res.status(200).json({
       success: true,
-      message: 'Refund initiated successfully',
-      data: response.data.data
+      data: updated || await Refund.findById(refund._id),
+      message: `Refund marked ${status}`
     });
   } catch (error) {
-    console.error('Refund error:', error.response?.data || error.message);
-    next(new ErrorResponse('Refund initiation failed', 500));
+    next(error);
   }
 };
 
-// @desc    Verify Paystack payment and update order
-// @route   POST /api/orders/:id/verify-payment
+// @desc    Verify an order's payment and return the updated order
+// @route   POST /api/payment/verify-order/:id
 // @access  Private
-exports.verifyPaystackPayment = async (req, res, next) => {
+exports.verifyOrderPayment = async (req, res, next) => {
   try {
     const { reference } = req.body;
 
@@ -276,38 +268,32 @@ exports.verifyPaystackPayment = async (req, res, next) => {
       return next(new ErrorResponse('Not authorized', 403));
     }
 
-    // Verify payment with Paystack
-    const response = await axios.get(
-      `https://api.paystack.co/transaction/verify/${reference}`,
-      {
-        headers: {
-          Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`
-        }
-      }
-    );
+    // The reference must have been issued for this order
+    const ledger = await Payment.findOne({ reference });
+    if (ledger && ledger.entityId.toString() !== order._id.toString()) {
+      return next(new ErrorResponse('Payment reference does not belong to this order', 400));
+    }
 
-    const paymentData = response.data.data;
+    const { charge, payment } = await PaymentService.verify(reference);
 
-    if (paymentData.status === 'success') {
-      // Payment successful - update order
-      order.payment.status = 'paid';
-      order.payment.reference = reference;
-      order.payment.paidAt = Date.now();
-      order.paymentStatus = 'paid';
-      order.orderStatus = 'processing';
+    if (!ledger && String(charge.metadata.referenceId) !== order._id.toString()) {
+      return next(new ErrorResponse('Payment reference does not belong to this order', 400));
+    }
 
-      await order.save();
+    if (charge.status === 'success' && payment && payment.status === 'success') {
+      const updated = await Order.findById(order._id);
 
       res.status(200).json({
         success: true,
-        data: order,
+        data: updated,
         message: 'Payment verified successfully'
       });
     } else {
-      // Payment failed
       res.status(400).json({
         success: false,
-        message: 'Payment verification failed'
+        message: payment && payment.status === 'amount_mismatch'
+          ? 'Amount paid does not match the order total. Please contact support.'
+          : 'Payment verification failed'
       });
     }
 
@@ -349,6 +335,8 @@ exports.confirmBankTransferPayment = async (req, res, next) => {
     order.payment.reference = transactionReference || `BANK-${Date.now()}`;
     order.payment.paidAt = Date.now();
     order.orderStatus = 'processing';
+
+    await PaymentService.confirmOrderStock(order);
     
     // Add to status history if available
     if (order.statusHistory) {
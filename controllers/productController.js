@@ -1,4 +1,5 @@
 const Product = require('../models/Product');
+const ProductImportService = require('../src/core/services/ProductImportService');
 const ErrorResponse = require('../utils/errorResponse');
 
 // @desc    Get all products
@@ -134,21 +135,37 @@ exports.createProduct = async (req, res, next) => {
   }
 };
 
+// @desc    Import or update products from a CSV or Excel file
+// @route   POST /api/products/import?commit=true
+// @access  Private/Admin
+exports.importProducts = async (req, res, next) => {
+  try {
+    const commit = String(req.query.commit || req.body.commit) === 'true';
+    const result = await ProductImportService.run(req.file, { commit });
+
+    res.status(commit && result.valid ? 201 : 200).json({
+      success: result.valid,
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Update product
 // @route   PUT /api/products/:id
 // @access  Private/Admin
 exports.updateProduct = async (req, res, next) => {
   try {
-    let product = await Product.findById(req.params.id);
+    const product = await Product.findById(req.params.id);
 
     if (!product) {
       return next(new ErrorResponse('Product not found', 404));
     }
 
-    product = await Product.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true
-    });
+    // Use save() so the product stock is re-summed from the variants
+    product.set(req.body);
+    await product.save();
 
     res.status(200).json({
       success: true,
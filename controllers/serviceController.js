@@ -0,0 +1,156 @@
+const Service = require('../models/Service');
+const ErrorResponse = require('../utils/errorResponse');
+
+// @desc    Get all services
+// @route   GET /api/services
+// @access  Public
+exports.getServices = async (req, res, next) => {
+  try {
+    const query = {};
+
+    // Only admins can see inactive services
+    if (!req.user || req.user.role !== 'admin') {
+      query.isActive = true;
+    } else if (req.query.isActive !== undefined) {
+      query.isActive = req.query.isActive === 'true';
+    }
+
+    if (req.query.category) {
+      query.category = req.query.category;
+    }
+
+    if (req.query.artistType) {
+      query['pricing.artistType'] = req.query.artistType;
+    }
+
+    if (req.query.search) {
+      query.$text = { $search: req.query.search };
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const sortBy = req.query.sort ? req.query.sort.split(',').join(' ') : 'displayOrder name';
+
+    const total = await Service.countDocuments(query);
+    const services = await Service.find(query)
+      .sort(sortBy)
+      .skip(startIndex)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: services.length,
+      total,
+      pages: Math.ceil(total / limit),
+      data: services
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single service
+// @route   GET /api/services/:id
+// @access  Public
+exports.getService = async (req, res, next) => {
+  try {
+    const service = await Service.findById(req.params.id);
+
+    if (!service || (!service.isActive && (!req.user || req.user.role !== 'admin'))) {
+      return next(new ErrorResponse('Service not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: service
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get services by category
+// @route   GET /api/services/category/:category
+// @access  Public
+exports.getServicesByCategory = async (req, res, next) => {
+  try {
+    const services = await Service.find({
+      category: req.params.category,
+      isActive: true
+    }).sort('displayOrder name');
+
+    res.status(200).json({
+      success: true,
+      count: services.length,
+      data: services
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create service
+// @route   POST /api/services
+// @access  Private/Admin
+exports.createService = async (req, res, next) => {
+  try {
+    const service = await Service.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: service
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update service
+// @route   PUT /api/services/:id
+// @access  Private/Admin
+exports.updateService = async (req, res, next) => {
+  try {
+    const service = await Service.findById(req.params.id);
+
+    if (!service) {
+      return next(new ErrorResponse('Service not found', 404));
+    }
+
+    // Use save() so the slug hook runs when the name changes
+    service.set(req.body);
+    await service.save();
+
+    res.status(200).json({
+      success: true,
+      data: service
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete service
+// @route   DELETE /api/services/:id
+// @access  Private/Admin
+exports.deleteService = async (req, res, next) => {
+  try {
+    const service = await Service.findById(req.params.id);
+
+    if (!service) {
+      return next(new ErrorResponse('Service not found', 404));
+    }
+
+    // Soft delete - existing bookings still reference this service
+    service.isActive = false;
+    await service.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Service deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,137 @@
+const Booking = require('../models/Booking');
+const TreatmentRecord = require('../models/TreatmentRecord');
+const TreatmentService = require('../src/core/services/TreatmentService');
+const ErrorResponse = require('../utils/errorResponse');
+
+// @desc    Get user treatment records shared with them
+// @route   GET /api/treatments
+// @access  Private
+exports.getMyTreatments = async (req, res, next) => {
+  try {
+    const records = await TreatmentRecord.find({ customer: req.user.id, sharedWithClient: true })
+      .populate('booking', 'bookingNumber')
+      .sort('-performedAt');
+
+    res.status(200).json({
+      success: true,
+      count: records.length,
+      data: records.map(record => TreatmentService.forClient(record))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a client's treatment history
+// @route   GET /api/treatments/customers/:id
+// @access  Private/Admin
+exports.getCustomerTreatments = async (req, res, next) => {
+  try {
+    const records = await TreatmentRecord.find({ customer: req.params.id })
+      .populate('booking', 'bookingNumber status')
+      .populate('recordedBy', 'firstName lastName')
+      .sort('-performedAt');
+
+    res.status(200).json({
+      success: true,
+      count: records.length,
+      data: records
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the treatment record for a booking
+// @route   GET /api/treatments/bookings/:bookingId
+// @access  Private (clients only once it is shared)
+exports.getBookingTreatment = async (req, res, next) => {
+  try {
+    const record = await TreatmentRecord.findOne({ booking: req.params.bookingId })
+      .populate('productsUsed.product', 'name slug images');
+
+    const isAdmin = req.user.role === 'admin';
+    const visible = record && (isAdmin ||
+      (record.customer.toString() === req.user.id && record.sharedWithClient));
+
+    if (!visible) {
+      return next(new ErrorResponse('Treatment record not found', 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: isAdmin ? record : TreatmentService.forClient(record)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Record the treatment given at a booking
+// @route   PUT /api/treatments/bookings/:bookingId
+// @access  Private/Admin
+exports.saveBookingTreatment = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId);
+
+    if (!booking) {
+      return next(new ErrorResponse('Booking not found', 404));
+    }
+
+    const record = await TreatmentService.record(booking, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: record
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Upload before or after photos
+// @route   POST /api/treatments/bookings/:bookingId/images
+// @access  Private/Admin
+exports.uploadTreatmentImages = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.bookingId);
+
+    if (!booking) {
+      return next(new ErrorResponse('Booking not found', 404));
+    }
+
+    // Photos can go up before any notes are written
+    const record = await TreatmentService.record(booking, {}, req.user);
+    const { stage, caption } = req.body;
+    const updated = await TreatmentService.addImages(record, req.files, { stage, caption });
+
+    res.status(201).json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a treatment photo
+// @route   DELETE /api/treatments/bookings/:bookingId/images/:imageId
+// @access  Private/Admin
+exports.deleteTreatmentImage = async (req, res, next) => {
+  try {
+    const record = await TreatmentRecord.findOne({ booking: req.params.bookingId });
+
+    if (!record) {
+      return next(new ErrorResponse('Treatment record not found', 404));
+    }
+
+    const updated = await TreatmentService.removeImage(record, req.params.imageId);
+
+    res.status(200).json({
+      success: true,
+      data: updated
+    });
+  } catch (error) {
+    next(error);
+  }
+};
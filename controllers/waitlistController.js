@@ -0,0 +1,108 @@
+const Waitlist = require('../models/Waitlist');
+const WaitlistService = require('../src/core/services/WaitlistService');
+const ErrorResponse = require('../utils/errorResponse');
+
+// @desc    Join a waitlist for a fully booked day or a full course
+// @route   POST /api/waitlist
+// @access  Private
+exports.joinWaitlist = async (req, res, next) => {
+  try {
+    const entry = await WaitlistService.join(req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get user waitlist entries
+// @route   GET /api/waitlist
+// @access  Private
+exports.getMyWaitlist = async (req, res, next) => {
+  try {
+    const entries = await Waitlist.find({ customer: req.user.id })
+      .populate('service', 'name category duration')
+      .populate('course', 'title slug category type')
+      .populate('offer.booking', 'bookingNumber appointmentDate timeSlot artist pricing status holdExpiresAt')
+      .populate('offer.enrollment', 'enrollmentNumber startDate payment status holdExpiresAt')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Leave a waitlist
+// @route   DELETE /api/waitlist/:id
+// @access  Private
+exports.leaveWaitlist = async (req, res, next) => {
+  try {
+    let entry = await Waitlist.findById(req.params.id);
+
+    if (!entry) {
+      return next(new ErrorResponse('Waitlist entry not found', 404));
+    }
+
+    // Check authorization
+    if (entry.customer.toString() !== req.user.id && req.user.role !== 'admin') {
+      return next(new ErrorResponse('Not authorized', 403));
+    }
+
+    entry = await WaitlistService.leave(entry);
+
+    res.status(200).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get all waitlist entries (Admin)
+// @route   GET /api/waitlist/admin/all
+// @access  Private/Admin
+exports.getAllWaitlist = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const query = {};
+    ['type', 'status', 'location', 'artistType', 'service', 'course'].forEach(field => {
+      if (req.query[field]) {
+        query[field] = req.query[field];
+      }
+    });
+    if (req.query.date) {
+      query.date = new Date(req.query.date);
+    }
+
+    const total = await Waitlist.countDocuments(query);
+    const entries = await Waitlist.find(query)
+      .populate('customer', 'firstName lastName email phone')
+      .populate('service', 'name category duration')
+      .populate('course', 'title category type')
+      .sort('createdAt')
+      .skip(startIndex)
+      .limit(limit);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      pages: Math.ceil(total / limit),
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const ErrorResponse = require('../utils/errorResponse');
 
 const errorHandler = (err, req, res, next) => {
@@ -22,8 +23,8 @@ const errorHandler = (err, req, res, next) => {
     error = new ErrorResponse(message, 400);
   }
 
-  // Mongoose validation error
-  if (err.name === 'ValidationError') {
+  // Mongoose validation error (our own ValidationError shares the name)
+  if (err instanceof mongoose.Error.ValidationError) {
     const message = Object.values(err.errors).map(val => val.message).join(', ');
     error = new ErrorResponse(message, 400);
   }
@@ -51,6 +52,8 @@ const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     success: false,
     error: error.message || 'Server Error',
+    // Structured details, e.g. the price differences from OrderService
+    ...(Array.isArray(err.errors) && { errors: err.errors }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
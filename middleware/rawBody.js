@@ -0,0 +1,10 @@
+// Keep the raw request bytes for routes that verify a signature over them.
+// Used as the `verify` option of express.json(), so the copy is taken before
+// mongo-sanitize and xss-clean rewrite req.body.
+const rawBodyRoutes = /^\/api\/(payment\/webhook|notifications\/status)(\/[\w-]+)?$/;
+
+exports.captureRawBody = (req, res, buf) => {
+  if (rawBodyRoutes.test(req.originalUrl.split('?')[0])) {
+    req.rawBody = Buffer.from(buf);
+  }
+};
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+
+const TIME_FORMAT = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const ArtistSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Please provide artist name'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    unique: true
+  },
+  // Tier the artist is priced at - matches Service.pricing.artistType
+  tier: {
+    type: String,
+    enum: ['lulu', 'senior', 'artist'],
+    required: [true, 'Please specify artist tier']
+  },
+  // Home studio - the artist only takes bookings here
+  location: {
+    type: String,
+    enum: ['calabar', 'port-harcourt'],
+    required: [true, 'Please select a location']
+  },
+  services: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  }],
+  // Weekly shifts in studio time (day 0 = Sunday). No shifts means the artist works all studio hours.
+  workingHours: [{
+    day: {
+      type: Number,
+      min: 0,
+      max: 6,
+      required: true
+    },
+    start: {
+      type: String, // e.g., "09:00"
+      match: [TIME_FORMAT, 'Shift start must be in HH:mm format'],
+      required: true
+    },
+    end: {
+      type: String, // e.g., "17:00"
+      match: [TIME_FORMAT, 'Shift end must be in HH:mm format'],
+      required: true
+    }
+  }],
+  timeOff: [{
+    start: {
+      type: Date,
+      required: true
+    },
+    end: {
+      type: Date,
+      required: true
+    },
+    reason: String
+  }],
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Staff account, if the artist has one
+  },
+  bio: {
+    type: String,
+    maxlength: [1000, 'Bio cannot exceed 1000 characters']
+  },
+  image: {
+    url: String,
+    publicId: String,
+    alt: String
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  displayOrder: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Shifts and time off must end after they start
+ArtistSchema.pre('validate', function(next) {
+  (this.workingHours || []).forEach((shift, index) => {
+    if (shift.start && shift.end && shift.start >= shift.end) {
+      this.invalidate(`workingHours.${index}.end`, 'Shift must end after it starts');
+    }
+  });
+
+  (this.timeOff || []).forEach((period, index) => {
+    if (period.start && period.end && period.start >= period.end) {
+      this.invalidate(`timeOff.${index}.end`, 'Time off must end after it starts');
+    }
+  });
+
+  next();
+});
+
+// Create slug before saving
+ArtistSchema.pre('save', function(next) {
+  if (this.isModified('name') || this.isModified('location')) {
+    this.slug = `${slugify(this.name, { lower: true, strict: true })}-${this.location}`;
+  }
+  next();
+});
+
+ArtistSchema.index({ location: 1, tier: 1, isActive: 1 });
+ArtistSchema.index({ services: 1 });
+
+module.exports = mongoose.model('Artist', ArtistSchema);
@@ -27,13 +27,29 @@ const BookingSchema = new mongoose.Schema({
     description: String,
     duration: Number
   },
+  // Every service in a bundle, done back-to-back in this order. `service` is the first
+  // of them and serviceSnapshot carries the combined name and duration.
+  services: [{
+    service: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Service'
+    },
+    name: String,
+    duration: Number,
+    price: Number
+  }],
   artist: {
     type: {
       type: String,
       enum: ['lulu', 'senior', 'artist'],
       required: true
     },
-    name: String
+    name: String,
+    // The artist doing the appointment (older bookings only carry the tier)
+    artistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Artist'
+    }
   },
   location: {
     type: String,
@@ -83,7 +99,7 @@ const BookingSchema = new mongoose.Schema({
     balancePaidAt: Date,
     paymentMethod: {
       type: String,
-      enum: ['paystack', 'cash', 'transfer']
+      enum: ['paystack', 'flutterwave', 'cash', 'transfer']
     }
   },
   status: {
@@ -91,6 +107,27 @@ const BookingSchema = new mongoose.Schema({
     enum: ['pending', 'confirmed', 'in-progress', 'completed', 'cancelled', 'no-show'],
     default: 'pending'
   },
+  // Recurring appointments booked together share a seriesId
+  series: {
+    seriesId: mongoose.Schema.Types.ObjectId,
+    index: Number, // 1-based position in the series
+    count: Number,
+    intervalWeeks: Number
+  },
+  // Unpaid pending bookings release their slot after this
+  holdExpiresAt: Date,
+  statusHistory: [{
+    status: String,
+    note: String,
+    source: {
+      type: String,
+      enum: ['customer', 'admin', 'system']
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   notes: {
     customerNotes: String, // Customer's special requests
     adminNotes: String // Internal notes for admin
@@ -102,16 +139,50 @@ const BookingSchema = new mongoose.Schema({
     },
     cancelledBy: {
       type: String,
-      enum: ['customer', 'admin']
+      enum: ['customer', 'admin', 'system']
     },
     cancelledAt: Date,
     reason: String,
+    // Which rule of the cancellation policy decided the refund
+    policy: {
+      type: String,
+      enum: ['full', 'late', 'no-show', 'expired', 'override']
+    },
+    hoursNotice: Number,
+    forfeitedAmount: Number,
     refundAmount: Number,
     refundStatus: {
       type: String,
-      enum: ['pending', 'processed', 'rejected']
+      enum: ['pending', 'processed', 'rejected', 'failed']
     }
   },
+  // Slots the booking was moved away from, oldest first
+  rescheduleHistory: [{
+    appointmentDate: Date,
+    timeSlot: {
+      start: String,
+      end: String
+    },
+    artist: {
+      type: {
+        type: String
+      },
+      name: String,
+      artistId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Artist'
+      }
+    },
+    rescheduledBy: {
+      type: String,
+      enum: ['customer', 'admin']
+    },
+    reason: String,
+    rescheduledAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   reminder: {
     emailSent: {
       type: Boolean,
@@ -122,7 +193,25 @@ const BookingSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
-    smsSentAt: Date
+    smsSentAt: Date,
+    // Text or WhatsApp reminders, one per offset before the appointment, with delivery status
+    messages: [{
+      offsetHours: Number,
+      channel: {
+        type: String,
+        enum: ['sms', 'whatsapp']
+      },
+      provider: String,
+      to: String,
+      messageId: String,
+      status: {
+        type: String,
+        enum: ['sent', 'delivered', 'read', 'failed', 'skipped']
+      },
+      error: String,
+      sentAt: Date,
+      updatedAt: Date
+    }]
   },
   rating: {
     score: {
@@ -139,9 +228,9 @@ const BookingSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Generate booking number before saving
-BookingSchema.pre('save', async function(next) {
-  if (this.isNew) {
+// Generate booking number before validation - it is a required field
+BookingSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.bookingNumber) {
     const date = new Date();
     const year = date.getFullYear();
     const month = String(date.getMonth() + 1).padStart(2, '0');
@@ -165,6 +254,10 @@ BookingSchema.virtual('isUpcoming').get(function() {
 // Note: bookingNumber unique index already created by unique: true in schema
 BookingSchema.index({ customer: 1, appointmentDate: -1 });
 BookingSchema.index({ appointmentDate: 1, location: 1, 'artist.type': 1 });
+BookingSchema.index({ 'artist.artistId': 1, appointmentDate: 1 });
 BookingSchema.index({ status: 1, appointmentDate: 1 });
+BookingSchema.index({ status: 1, holdExpiresAt: 1 });
+BookingSchema.index({ 'reminder.messages.messageId': 1 });
+BookingSchema.index({ 'series.seriesId': 1, appointmentDate: 1 });
 
 module.exports = mongoose.model('Booking', BookingSchema);
\ No newline at end of file
@@ -17,6 +17,8 @@ const CartSchema = new mongoose.Schema({
       required: true
     },
     variant: {
+      variantId: mongoose.Schema.Types.ObjectId, // Product.variants _id
+      sku: String,
       name: String,
       value: String
     },
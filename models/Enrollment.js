@@ -26,7 +26,7 @@ const EnrollmentSchema = new mongoose.Schema({
   courseSnapshot: {
     title: String,
     category: String,
-    type: String,
+    type: { type: String }, // Wrapped so mongoose doesn't read it as the snapshot's own type
     price: Number,
     duration: String
   },
@@ -51,10 +51,14 @@ const EnrollmentSchema = new mongoose.Schema({
     },
     method: {
       type: String,
-      enum: ['paystack', 'transfer', 'cash']
+      enum: ['paystack', 'flutterwave', 'transfer', 'cash']
     },
     paymentId: String,
     paidAt: Date,
+    refundedAmount: {
+      type: Number,
+      default: 0
+    },
     installments: [{
       amount: Number,
       paidAt: Date,
@@ -66,6 +70,8 @@ const EnrollmentSchema = new mongoose.Schema({
     enum: ['pending', 'active', 'completed', 'cancelled', 'on-hold'],
     default: 'pending'
   },
+  // Seats held for a waitlisted student are released if still unpaid after this
+  holdExpiresAt: Date,
   progress: {
     completedDays: {
       type: Number,
@@ -110,9 +116,9 @@ const EnrollmentSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Generate enrollment number before saving
-EnrollmentSchema.pre('save', async function(next) {
-  if (this.isNew) {
+// Generate enrollment number before validation - it is a required field
+EnrollmentSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.enrollmentNumber) {
     const date = new Date();
     const year = date.getFullYear();
     const count = await this.constructor.countDocuments() + 1;
@@ -140,6 +146,7 @@ EnrollmentSchema.virtual('eligibleForCertificate').get(function() {
 EnrollmentSchema.index({ student: 1, createdAt: -1 });
 EnrollmentSchema.index({ course: 1, startDate: 1 });
 EnrollmentSchema.index({ status: 1, startDate: 1 });
+EnrollmentSchema.index({ status: 1, holdExpiresAt: 1 });
 
 // Update course total enrollments after save
 EnrollmentSchema.post('save', async function() {
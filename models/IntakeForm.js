@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Health and consent questions asked before lash and brow work, one form per service category.
+// Changing a form bumps its version, so clients answer the new questions before their next booking.
+const IntakeFormSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: ['brows', 'lashes', 'signature'],
+    required: [true, 'Please specify service category'],
+    unique: true
+  },
+  title: {
+    type: String,
+    required: [true, 'Please provide form title'],
+    trim: true
+  },
+  description: String,
+  version: {
+    type: Number,
+    default: 1
+  },
+  questions: [{
+    // Answers are keyed by this, e.g. "allergies", "pregnant"
+    key: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    label: {
+      type: String,
+      required: true
+    },
+    type: {
+      type: String,
+      enum: ['yes-no', 'text', 'choice', 'date'],
+      default: 'yes-no'
+    },
+    options: [String], // Choices for a "choice" question
+    required: {
+      type: Boolean,
+      default: true
+    },
+    // Answers that should be reviewed by the artist before the appointment,
+    // e.g. "yes" to "Are you pregnant or breastfeeding?"
+    flagAnswers: [String]
+  }],
+  consent: {
+    text: {
+      type: String,
+      default: 'I confirm the information above is accurate and I consent to the treatment.'
+    },
+    // Clients sign by typing their full name
+    required: {
+      type: Boolean,
+      default: true
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('IntakeForm', IntakeFormSchema);
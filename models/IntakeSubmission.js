@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A client's answers to an intake form. One submission covers every booking in its
+// category until it lapses or the form changes.
+const IntakeSubmissionSchema = new mongoose.Schema({
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  form: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'IntakeForm',
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['brows', 'lashes', 'signature'],
+    required: true
+  },
+  formVersion: {
+    type: Number,
+    required: true
+  },
+  answers: [{
+    key: String,
+    label: String, // As asked at the time
+    value: mongoose.Schema.Types.Mixed
+  }],
+  // Labels of the answers the artist should review
+  flagged: [String],
+  consent: {
+    signature: String,
+    signedAt: Date,
+    ipAddress: String
+  },
+  bookings: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }]
+}, {
+  timestamps: true
+});
+
+IntakeSubmissionSchema.index({ customer: 1, category: 1, createdAt: -1 });
+
+module.exports = mongoose.model('IntakeSubmission', IntakeSubmissionSchema);
@@ -40,6 +40,8 @@ const OrderSchema = new mongoose.Schema({
       price: Number
     },
     variant: {
+      variantId: mongoose.Schema.Types.ObjectId, // Product.variants _id
+      sku: String,
       name: String,
       value: String
     },
@@ -107,23 +109,40 @@ const OrderSchema = new mongoose.Schema({
   payment: {
     method: {
       type: String,
-      enum: ['paystack', 'transfer', 'cash-on-delivery'],
+      enum: ['paystack', 'flutterwave', 'bank_transfer', 'transfer', 'cash-on-delivery'],
       required: true
     },
     status: {
       type: String,
-      enum: ['pending', 'paid', 'failed', 'refunded'],
+      enum: ['pending', 'awaiting_transfer', 'paid', 'failed', 'refunded'],
       default: 'pending'
     },
     paymentId: String,
     paidAt: Date,
+    provider: String, // Gateway that took the payment (see config/payments.js)
+    refundedAmount: {
+      type: Number,
+      default: 0
+    },
+    reference: String,
     paystackReference: String
   },
   orderStatus: {
     type: String,
-    enum: ['pending', 'processing', 'shipped', 'delivered', 'cancelled'],
+    enum: ['pending', 'pending_payment', 'pending_verification', 'processing', 'shipped', 'delivered', 'cancelled'],
     default: 'pending'
   },
+  // Stock held for this order until payment succeeds or the hold expires
+  reservation: {
+    status: {
+      type: String,
+      enum: ['reserved', 'confirmed', 'released']
+    },
+    expiresAt: Date,
+    confirmedAt: Date,
+    releasedAt: Date,
+    releaseReason: String
+  },
   statusHistory: [{
     status: String,
     updatedAt: {
@@ -153,9 +172,9 @@ const OrderSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Generate order number before saving
-OrderSchema.pre('save', async function(next) {
-  if (this.isNew) {
+// Generate order number before validation - it is a required field
+OrderSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.orderNumber) {
     const date = new Date();
     const year = date.getFullYear();
     const month = String(date.getMonth() + 1).padStart(2, '0');
@@ -177,26 +196,11 @@ OrderSchema.pre('save', function(next) {
   next();
 });
 
-// Update product sales count after order
-OrderSchema.post('save', async function() {
-  if (this.payment.status === 'paid' && this.isModified('payment.status')) {
-    const Product = mongoose.model('Product');
-    
-    for (const item of this.items) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { 
-          totalSales: item.quantity,
-          stock: -item.quantity
-        }
-      });
-    }
-  }
-});
-
 // Index for efficient queries
 // Note: orderNumber unique index already created by unique: true in schema
 OrderSchema.index({ user: 1, createdAt: -1 });
 OrderSchema.index({ orderStatus: 1, createdAt: -1 });
 OrderSchema.index({ 'payment.status': 1 });
+OrderSchema.index({ 'reservation.status': 1, 'reservation.expiresAt': 1 });
 
 module.exports = mongoose.model('Order', OrderSchema);
\ No newline at end of file
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const PaymentSchema = new mongoose.Schema({
+  // Provider transaction reference - one ledger entry per charge
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    // manual: cash or transfer taken at the studio and recorded by an admin
+    enum: ['paystack', 'flutterwave', 'fake', 'manual'],
+    default: 'paystack'
+  },
+  providerTransactionId: String,
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // What the payment is for
+  entityType: {
+    type: String,
+    enum: ['order', 'booking', 'enrollment'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'entityModel'
+  },
+  entityModel: {
+    type: String,
+    enum: ['Order', 'Booking', 'Enrollment']
+  },
+  // Which part of the bill this pays - bookings are paid as a deposit then a balance
+  intent: {
+    type: String,
+    enum: ['full', 'deposit', 'balance'],
+    default: 'full'
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // Admin who recorded a manual payment
+  },
+  // Amount we expect to receive (₦), set when the payment is initialized
+  expectedAmount: Number,
+  // Amount actually charged (₦), reported by the provider
+  amount: Number,
+  currency: {
+    type: String,
+    default: 'NGN'
+  },
+  channel: String, // card, bank, ussd, bank_transfer...
+  status: {
+    type: String,
+    enum: ['pending', 'success', 'failed', 'abandoned', 'amount_mismatch'],
+    default: 'pending'
+  },
+  statusHistory: [{
+    from: String,
+    to: String,
+    source: {
+      type: String,
+      enum: ['initialize', 'verify', 'webhook', 'admin']
+    },
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Refunds started against this charge (pending or processed)
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Set while a handler is applying this payment to its entity
+  claimedAt: Date,
+  // Set once the entity has been updated - later deliveries are ignored
+  processedAt: Date,
+  paidAt: Date,
+  rawPayload: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+// Fill the model name used by refPath
+PaymentSchema.pre('validate', function(next) {
+  const models = { order: 'Order', booking: 'Booking', enrollment: 'Enrollment' };
+  this.entityModel = models[this.entityType];
+  next();
+});
+
+// Index for efficient queries
+// Note: reference unique index already created by unique: true in schema
+PaymentSchema.index({ entityType: 1, entityId: 1 });
+PaymentSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payment', PaymentSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const RefundSchema = new mongoose.Schema({
+  refundNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  // What is being refunded
+  entityType: {
+    type: String,
+    enum: ['order', 'booking', 'enrollment'],
+    required: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    refPath: 'entityModel'
+  },
+  entityModel: {
+    type: String,
+    enum: ['Order', 'Booking', 'Enrollment']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // gateway: refunded through the provider that took the charge
+  // transfer: paid out by bank transfer using refundNumber as the transfer reference
+  method: {
+    type: String,
+    enum: ['gateway', 'transfer'],
+    default: 'gateway'
+  },
+  // Ledger entry of the charge being refunded (gateway refunds)
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  reference: String, // Charge reference
+  provider: String,
+  providerRefundId: String,
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Refund amount must be greater than 0']
+  },
+  currency: {
+    type: String,
+    default: 'NGN'
+  },
+  reason: String,
+  status: {
+    type: String,
+    enum: ['pending', 'processed', 'failed'],
+    default: 'pending'
+  },
+  statusHistory: [{
+    status: String,
+    source: {
+      type: String,
+      enum: ['admin', 'provider', 'webhook']
+    },
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Returned order items put back into stock
+  items: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    },
+    variant: {
+      variantId: mongoose.Schema.Types.ObjectId,
+      sku: String,
+      name: String,
+      value: String
+    },
+    quantity: Number
+  }],
+  restockedAt: Date,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  processedAt: Date,
+  failedAt: Date,
+  failureReason: String
+}, {
+  timestamps: true
+});
+
+// Generate refund number and fill the refPath model name before validation
+RefundSchema.pre('validate', async function(next) {
+  const models = { order: 'Order', booking: 'Booking', enrollment: 'Enrollment' };
+  this.entityModel = models[this.entityType];
+
+  if (this.isNew && !this.refundNumber) {
+    const date = new Date();
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const count = await this.constructor.countDocuments() + 1;
+    this.refundNumber = `RF-${year}${month}-${String(count).padStart(4, '0')}`;
+  }
+  next();
+});
+
+// Index for efficient queries
+// Note: refundNumber unique index already created by unique: true in schema
+RefundSchema.index({ entityType: 1, entityId: 1 });
+RefundSchema.index({ reference: 1, status: 1 });
+RefundSchema.index({ providerRefundId: 1 });
+RefundSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Refund', RefundSchema);
@@ -49,6 +49,15 @@ const ServiceSchema = new mongoose.Schema({
   requirements: [{
     type: String // e.g., "Come with clean face", "No makeup"
   }],
+  // Services that need a passed patch test in the category before they can be booked
+  patchTest: {
+    required: {
+      type: Boolean,
+      default: false
+    },
+    // How long a patch test stays valid; falls back to intakeRules.patchTestValidMonths
+    validMonths: Number
+  },
   aftercare: [{
     type: String // Post-service instructions
   }],
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+// What was done at a completed appointment, so the next artist can match it at refills
+const TreatmentRecordSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  serviceName: String,
+  artist: {
+    name: String,
+    artistId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Artist'
+    }
+  },
+  location: String,
+  performedAt: Date,
+  // Products and the exact variant used, e.g. Classic Lashes "Curl: C" and "Length: 11mm"
+  productsUsed: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    name: String,
+    variantLabel: String, // e.g. "Length: 11mm"
+    sku: String,
+    notes: String // e.g. "outer corners only"
+  }],
+  // Styling notes - mapping, curl, length, anything to repeat next time
+  notes: {
+    type: String,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  // Never shown to the client
+  internalNotes: {
+    type: String,
+    maxlength: [2000, 'Notes cannot exceed 2000 characters']
+  },
+  images: [{
+    stage: {
+      type: String,
+      enum: ['before', 'after'],
+      required: true
+    },
+    url: {
+      type: String,
+      required: true
+    },
+    publicId: String,
+    caption: String,
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Whether the client can see the record (without internal notes)
+  sharedWithClient: {
+    type: Boolean,
+    default: false
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+TreatmentRecordSchema.index({ customer: 1, performedAt: -1 });
+
+module.exports = mongoose.model('TreatmentRecord', TreatmentRecordSchema);
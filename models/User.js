@@ -64,6 +64,32 @@ const UserSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product'
   }],
+  // Patch tests done at the studio, newest last
+  patchTests: [{
+    category: {
+      type: String,
+      enum: ['brows', 'lashes', 'signature'],
+      required: true
+    },
+    result: {
+      type: String,
+      enum: ['pass', 'fail'],
+      required: true
+    },
+    testedAt: {
+      type: Date,
+      required: true
+    },
+    location: {
+      type: String,
+      enum: ['calabar', 'port-harcourt']
+    },
+    notes: String,
+    recordedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
   isVerified: {
     type: Boolean,
     default: false
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const WaitlistSchema = new mongoose.Schema({
+  // A booking waitlist is for a day at a studio with an artist tier;
+  // a course waitlist is for a course start date
+  type: {
+    type: String,
+    enum: ['booking', 'course'],
+    required: [true, 'Please specify what the waitlist is for']
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  customerInfo: {
+    firstName: String,
+    lastName: String,
+    email: String,
+    phone: String
+  },
+  location: {
+    type: String,
+    enum: ['calabar', 'port-harcourt'],
+    required: [true, 'Please select a location']
+  },
+  // Booking waitlists
+  service: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Service'
+  },
+  artistType: {
+    type: String,
+    enum: ['lulu', 'senior', 'artist']
+  },
+  date: Date, // UTC midnight of the studio day, like Booking.appointmentDate
+  // Course waitlists
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course'
+  },
+  startDate: Date,
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'declined', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // The pending booking or enrollment held for the customer when a place frees up
+  offer: {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    enrollment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Enrollment'
+    },
+    offeredAt: Date,
+    expiresAt: Date,
+    claimedAt: Date
+  },
+  notes: String
+}, {
+  timestamps: true
+});
+
+// Each type needs its own fields
+WaitlistSchema.pre('validate', function(next) {
+  const required = this.type === 'course'
+    ? { course: 'Please select a course', startDate: 'Please provide course start date' }
+    : { service: 'Please select a service', artistType: 'Please select an artist type', date: 'Please provide appointment date' };
+
+  Object.entries(required).forEach(([field, message]) => {
+    if (!this[field]) {
+      this.invalidate(field, message);
+    }
+  });
+
+  next();
+});
+
+// Queues are first come, first served
+WaitlistSchema.index({ type: 1, status: 1, date: 1, location: 1, artistType: 1, createdAt: 1 });
+WaitlistSchema.index({ type: 1, status: 1, course: 1, createdAt: 1 });
+WaitlistSchema.index({ customer: 1, createdAt: -1 });
+WaitlistSchema.index({ 'offer.booking': 1 });
+WaitlistSchema.index({ 'offer.enrollment': 1 });
+
+module.exports = mongoose.model('Waitlist', WaitlistSchema);
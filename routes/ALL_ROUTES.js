@@ -14,6 +14,19 @@
  * DELETE /api/categories/:id              - Delete category (Admin only)
  */
 
+/**
+ * PRODUCT ROUTES
+ * Base URL: /api/products
+ * GET    /api/products                    - Get all products
+ * GET    /api/products/featured/all       - Get featured products
+ * GET    /api/products/category/:categoryId - Get products by category
+ * GET    /api/products/:id                - Get product by ID
+ * POST   /api/products                    - Create product (Admin only)
+ * POST   /api/products/import             - Import products from CSV or Excel, a dry run unless ?commit=true (Admin only)
+ * PUT    /api/products/:id                - Update product (Admin only)
+ * DELETE /api/products/:id                - Delete product (Admin only)
+ */
+
 /**
  * SERVICE ROUTES
  * Base URL: /api/services
@@ -25,6 +38,16 @@
  * DELETE /api/services/:id                - Delete service (Admin only)
  */
 
+/**
+ * ARTIST ROUTES
+ * Base URL: /api/artists
+ * GET    /api/artists                     - Get all artists (?location, tier, service)
+ * GET    /api/artists/:id                 - Get artist by ID
+ * POST   /api/artists                     - Create artist (Admin only)
+ * PUT    /api/artists/:id                 - Update artist, shifts and time off (Admin only)
+ * DELETE /api/artists/:id                 - Delete artist (Admin only)
+ */
+
 /**
  * COURSE ROUTES
  * Base URL: /api/courses
@@ -42,11 +65,58 @@
  * GET    /api/enrollments                 - Get user enrollments (Authenticated)
  * POST   /api/enrollments                 - Create enrollment (Authenticated)
  * GET    /api/enrollments/admin/all       - Get all enrollments (Admin only)
+ * GET    /api/enrollments/admin/export    - Export enrollments, same filters (?format=csv|xlsx) (Admin only)
  * GET    /api/enrollments/:id             - Get enrollment by ID (Authenticated)
  * PUT    /api/enrollments/:id/status      - Update enrollment status (Admin only)
  * POST   /api/enrollments/:id/certificate - Issue certificate (Admin only)
  */
 
+/**
+ * WAITLIST ROUTES
+ * Base URL: /api/waitlist
+ * GET    /api/waitlist                    - Get user waitlist entries (Authenticated)
+ * POST   /api/waitlist                    - Join a booking or course waitlist (Authenticated)
+ * GET    /api/waitlist/admin/all          - Get all waitlist entries (Admin only)
+ * DELETE /api/waitlist/:id                - Leave a waitlist (Authenticated)
+ */
+
+/**
+ * INTAKE ROUTES
+ * Base URL: /api/intake
+ * GET    /api/intake/forms/:category      - Get the intake form for a service category
+ * PUT    /api/intake/forms/:category      - Create or update an intake form (Admin only)
+ * GET    /api/intake/submissions          - Get user intake submissions (Authenticated)
+ * POST   /api/intake/submissions          - Submit an intake form (Authenticated)
+ * GET    /api/intake/customers/:id        - Get a client's intake and patch tests (Admin only)
+ * POST   /api/intake/customers/:id/patch-tests - Record a patch test result (Admin only)
+ */
+
+/**
+ * TREATMENT ROUTES
+ * Base URL: /api/treatments
+ * GET    /api/treatments                  - Get treatment records shared with the user (Authenticated)
+ * GET    /api/treatments/customers/:id    - Get a client's treatment history (Admin only)
+ * GET    /api/treatments/bookings/:bookingId - Get a booking's treatment record (Admin, or the client once shared)
+ * PUT    /api/treatments/bookings/:bookingId - Record products, notes and sharing (Admin only)
+ * POST   /api/treatments/bookings/:bookingId/images - Upload before/after photos (Admin only)
+ * DELETE /api/treatments/bookings/:bookingId/images/:imageId - Delete a photo (Admin only)
+ */
+
+/**
+ * CALENDAR ROUTES
+ * Base URL: /api/calendar
+ * GET    /api/calendar/feeds              - Get iCal feed URLs per studio and artist (Admin only)
+ * GET    /api/calendar/locations/:location.ics?token= - Studio feed of confirmed bookings and course sessions
+ * GET    /api/calendar/artists/:id.ics?token=         - Artist feed of confirmed bookings
+ */
+
+/**
+ * NOTIFICATION ROUTES
+ * Base URL: /api/notifications
+ * GET    /api/notifications/status/:provider - Webhook subscription check (WhatsApp)
+ * POST   /api/notifications/status/:provider - SMS/WhatsApp delivery reports (termii | whatsapp | fake)
+ */
+
 /**
  * REVIEW ROUTES
  * Base URL: /api/reviews
@@ -67,10 +137,24 @@
  * DELETE /api/wishlist/remove/:productId  - Remove from wishlist (Authenticated)
  */
 
+/**
+ * CART ROUTES
+ * Base URL: /api/cart
+ * Guests are identified by the X-Cart-Session header or cartSession cookie
+ * GET    /api/cart                        - Get cart (re-priced against catalog)
+ * DELETE /api/cart                        - Clear cart
+ * POST   /api/cart/items                  - Add item { productId, variantId, quantity }
+ * PUT    /api/cart/items/:itemId          - Update item quantity
+ * DELETE /api/cart/items/:itemId          - Remove item
+ * POST   /api/cart/coupon                 - Apply coupon { code }
+ * DELETE /api/cart/coupon                 - Remove coupon
+ * POST   /api/cart/merge                  - Merge guest cart into user cart (Authenticated)
+ */
+
 /**
  * COUPON ROUTES
  * Base URL: /api/coupons
- * POST   /api/coupons/validate            - Validate coupon (Public)
+ * POST   /api/coupons/validate            - Validate coupon { code, items | amount, scope } (Public)
  * GET    /api/coupons                     - Get all coupons (Admin only)
  * POST   /api/coupons                     - Create coupon (Admin only)
  * GET    /api/coupons/:id                 - Get coupon by ID (Admin only)
@@ -90,9 +174,11 @@
  * ADMIN ROUTES
  * Base URL: /api/admin
  * All routes require Admin authentication
+ * Statistics take ?from=YYYY-MM-DD&to=YYYY-MM-DD (studio time, default the last 30 days)
  * GET    /api/admin/dashboard             - Get dashboard statistics
- * GET    /api/admin/orders/stats          - Get order statistics
- * GET    /api/admin/revenue               - Get revenue statistics
- * GET    /api/admin/customers             - Get all customers
+ * GET    /api/admin/orders/stats          - Get order statistics (?limit top products)
+ * GET    /api/admin/revenue               - Get revenue statistics (?interval=day|week|month)
+ * GET    /api/admin/customers             - Get all customers, with new vs returning (?search)
+ * GET    /api/admin/customers/export      - Export customers (?format=csv|xlsx&search)
  * PUT    /api/admin/customers/:id/role    - Update user role
  */
\ No newline at end of file
@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  getDashboard,
+  getOrderStats,
+  getRevenue,
+  getCustomers,
+  exportCustomers
+} = require('../controllers/adminController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// All admin routes require Admin authentication
+router.use(protect, authorize('admin'));
+
+// Statistics - all take ?from=YYYY-MM-DD&to=YYYY-MM-DD (default: the last 30 days)
+router.get('/dashboard', getDashboard);
+router.get('/orders/stats', getOrderStats);
+router.get('/revenue', getRevenue);
+
+// Customers
+router.get('/customers', getCustomers);
+router.get('/customers/export', exportCustomers);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  getArtists,
+  getArtist,
+  createArtist,
+  updateArtist,
+  deleteArtist
+} = require('../controllers/artistController');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Get all artists & Create artist (admin only)
+router.route('/')
+  .get(optionalAuth, getArtists)
+  .post(protect, authorize('admin'), createArtist);
+
+// Get single artist, Update artist (admin), Delete artist (admin)
+router.route('/:id')
+  .get(optionalAuth, getArtist)
+  .put(protect, authorize('admin'), updateArtist)
+  .delete(protect, authorize('admin'), deleteArtist);
+
+module.exports = router;
@@ -5,8 +5,13 @@ const {
   getBooking,
   updateBookingStatus,
   cancelBooking,
+  getBookingSeries,
+  cancelBookingSeries,
+  rescheduleBooking,
+  recordBookingPayment,
   getAvailability,
-  getAllBookings
+  getAllBookings,
+  exportBookings
 } = require('../controllers/bookingController');
 const { protect, authorize } = require('../middleware/auth');
 
@@ -23,6 +28,13 @@ router.get('/availability', getAvailability);
 // Get all bookings (Admin only)
 router.get('/admin/all', protect, authorize('admin'), getAllBookings);
 
+// Export bookings as CSV or Excel (Admin only)
+router.get('/admin/export', protect, authorize('admin'), exportBookings);
+
+// Recurring series - every appointment, or cancel the rest
+router.get('/series/:seriesId', protect, getBookingSeries);
+router.put('/series/:seriesId/cancel', protect, cancelBookingSeries);
+
 // Get single booking
 router.get('/:id', protect, getBooking);
 
@@ -32,4 +44,10 @@ router.put('/:id/status', protect, authorize('admin'), updateBookingStatus);
 // Cancel booking
 router.put('/:id/cancel', protect, cancelBooking);
 
+// Move booking to a new slot
+router.put('/:id/reschedule', protect, rescheduleBooking);
+
+// Record a cash or transfer payment taken at the studio (Admin only)
+router.post('/:id/payments', protect, authorize('admin'), recordBookingPayment);
+
 module.exports = router;
\ No newline at end of file
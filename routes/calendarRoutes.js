@@ -0,0 +1,18 @@
+const express = require('express');
+const {
+  getFeedLinks,
+  getLocationFeed,
+  getArtistFeed
+} = require('../controllers/calendarController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Feed URLs for calendar apps (Admin only)
+router.get('/feeds', protect, authorize('admin'), getFeedLinks);
+
+// Read-only feeds - the token in the URL stands in for a login
+router.get('/locations/:location.ics', getLocationFeed);
+router.get('/artists/:id.ics', getArtistFeed);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const {
+  getCart,
+  addToCart,
+  updateCartItem,
+  removeFromCart,
+  clearCart,
+  applyCoupon,
+  removeCoupon,
+  mergeCart
+} = require('../controllers/cartController');
+const { protect, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Guests use a cart session (X-Cart-Session header or cookie), users their account
+router.use(optionalAuth);
+
+// Get cart & Clear cart
+router.route('/')
+  .get(getCart)
+  .delete(clearCart);
+
+// Add item to cart
+router.post('/items', addToCart);
+
+// Update & Remove cart item
+router.route('/items/:itemId')
+  .put(updateCartItem)
+  .delete(removeFromCart);
+
+// Apply & Remove coupon
+router.route('/coupon')
+  .post(applyCoupon)
+  .delete(removeCoupon);
+
+// Merge guest cart into user cart (after login)
+router.post('/merge', protect, mergeCart);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+  validateCoupon,
+  getCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/couponController');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Validate coupon (Public - per-user limits are checked when logged in)
+router.post('/validate', optionalAuth, validateCoupon);
+
+// Get all coupons & Create coupon (Admin only)
+router.route('/')
+  .get(protect, authorize('admin'), getCoupons)
+  .post(protect, authorize('admin'), createCoupon);
+
+// Get, Update & Delete coupon (Admin only)
+router.route('/:id')
+  .get(protect, authorize('admin'), getCoupon)
+  .put(protect, authorize('admin'), updateCoupon)
+  .delete(protect, authorize('admin'), deleteCoupon);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+  getCourses,
+  getCourse,
+  getCoursesByCategory,
+  createCourse,
+  updateCourse,
+  deleteCourse
+} = require('../controllers/courseController');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Get all courses & Create course (admin only)
+router.route('/')
+  .get(optionalAuth, getCourses)
+  .post(protect, authorize('admin'), createCourse);
+
+// Get courses by category
+router.get('/category/:category', getCoursesByCategory);
+
+// Get single course, Update course (admin), Delete course (admin)
+router.route('/:id')
+  .get(optionalAuth, getCourse)
+  .put(protect, authorize('admin'), updateCourse)
+  .delete(protect, authorize('admin'), deleteCourse);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const {
+  createEnrollment,
+  getEnrollments,
+  getEnrollment,
+  getAllEnrollments,
+  exportEnrollments,
+  updateEnrollmentStatus,
+  issueCertificate
+} = require('../controllers/enrollmentController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Get user enrollments & Create new enrollment
+router.route('/')
+  .get(protect, getEnrollments)
+  .post(protect, createEnrollment);
+
+// Get all enrollments (Admin only)
+router.get('/admin/all', protect, authorize('admin'), getAllEnrollments);
+
+// Export enrollments as CSV or Excel (Admin only)
+router.get('/admin/export', protect, authorize('admin'), exportEnrollments);
+
+// Get single enrollment
+router.get('/:id', protect, getEnrollment);
+
+// Update enrollment status (Admin only)
+router.put('/:id/status', protect, authorize('admin'), updateEnrollmentStatus);
+
+// Issue certificate (Admin only)
+router.post('/:id/certificate', protect, authorize('admin'), issueCertificate);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+  getIntakeForm,
+  saveIntakeForm,
+  submitIntake,
+  getMySubmissions,
+  getCustomerIntake,
+  recordPatchTest
+} = require('../controllers/intakeController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Intake form per service category (Public) & Create or update it (Admin only)
+router.route('/forms/:category')
+  .get(getIntakeForm)
+  .put(protect, authorize('admin'), saveIntakeForm);
+
+// Get user submissions & Submit an intake form
+router.route('/submissions')
+  .get(protect, getMySubmissions)
+  .post(protect, submitIntake);
+
+// Client intake history and patch tests (Admin only)
+router.get('/customers/:id', protect, authorize('admin'), getCustomerIntake);
+router.post('/customers/:id/patch-tests', protect, authorize('admin'), recordPatchTest);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const {
+  deliveryStatus,
+  verifySubscription
+} = require('../controllers/notificationController');
+
+const router = express.Router();
+
+// Public routes - providers post delivery reports here
+router.route('/status/:provider')
+  .get(verifySubscription)
+  .post(deliveryStatus);
+
+module.exports = router;
@@ -5,7 +5,9 @@ const {
   getOrder,
   updateOrderStatus,
   cancelOrder,
-  getAllOrders
+  getAllOrders,
+  exportOrders,
+  getDeliveryZones
 } = require('../controllers/orderController');
 const {
   initializePayment,
@@ -18,9 +20,15 @@ const router = express.Router();
 // Get user orders & Create new order
 router.route('/').get(protect, getOrders).post(protect, createOrder);
 
+// Get delivery zones (Public)
+router.get('/delivery-zones', getDeliveryZones);
+
 // Get all orders (Admin only)
 router.get('/admin/all', protect, authorize('admin'), getAllOrders);
 
+// Export orders as CSV or Excel (Admin only)
+router.get('/admin/export', protect, authorize('admin'), exportOrders);
+
 // Get single order
 router.get('/:id', protect, getOrder);
 
@@ -2,9 +2,12 @@ const express = require('express');
 const {
   initializePayment,
   verifyPayment,
-  paystackWebhook,
+  paymentWebhook,
   initiateRefund,
-  verifyPaystackPayment,
+  getRefunds,
+  getRefund,
+  updateRefundStatus,
+  verifyOrderPayment,
   confirmBankTransferPayment  // ← Add this
 } = require('../controllers/paymentController');
 
@@ -13,14 +16,18 @@ const router = express.Router();
 
 // Public routes
 router.get('/verify/:reference', verifyPayment);
-router.post('/webhook', paystackWebhook);
+router.post('/webhook', paymentWebhook); // Paystack
+router.post('/webhook/:provider', paymentWebhook);
 
 // User routes
 router.post('/initialize', protect, initializePayment);
-router.post('/verify-order/:id', protect, verifyPaystackPayment);  // ← For orders specifically
+router.post('/verify-order/:id', protect, verifyOrderPayment);  // ← For orders specifically
 
 // Admin routes
 router.post('/refund', protect, authorize('admin'), initiateRefund);
+router.get('/refunds', protect, authorize('admin'), getRefunds);
+router.get('/refunds/:id', protect, authorize('admin'), getRefund);
+router.put('/refunds/:id/status', protect, authorize('admin'), updateRefundStatus);
 router.put('/confirm-bank-transfer/:orderId', protect, authorize('admin'), confirmBankTransferPayment);  // ← NEW
 
 module.exports = router;
\ No newline at end of file
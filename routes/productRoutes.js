@@ -1,4 +1,5 @@
 const express = require('express');
+const multer = require('multer');
 const {
   getProducts,
   getProduct,
@@ -6,17 +7,36 @@ const {
   updateProduct,
   deleteProduct,
   getFeaturedProducts,
-  getProductsByCategory
+  getProductsByCategory,
+  importProducts
 } = require('../controllers/productController');
 const { protect, authorize } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Import files are read in memory, never stored
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    if (/\.(csv|xlsx)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV or Excel (.xlsx) files are allowed!'), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  }
+});
+
 // Get all products & Create product (admin only)
 router.route('/')
   .get(getProducts)
   .post(protect, authorize('admin'), createProduct);
 
+// Import products from CSV or Excel (admin) - a dry run unless ?commit=true
+router.post('/import', protect, authorize('admin'), importUpload.single('file'), importProducts);
+
 // Get featured products
 router.get('/featured/all', getFeaturedProducts);
 
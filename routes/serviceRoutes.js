@@ -0,0 +1,28 @@
+const express = require('express');
+const {
+  getServices,
+  getService,
+  getServicesByCategory,
+  createService,
+  updateService,
+  deleteService
+} = require('../controllers/serviceController');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Get all services & Create service (admin only)
+router.route('/')
+  .get(optionalAuth, getServices)
+  .post(protect, authorize('admin'), createService);
+
+// Get services by category
+router.get('/category/:category', getServicesByCategory);
+
+// Get single service, Update service (admin), Delete service (admin)
+router.route('/:id')
+  .get(optionalAuth, getService)
+  .put(protect, authorize('admin'), updateService)
+  .delete(protect, authorize('admin'), deleteService);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const {
+  getMyTreatments,
+  getCustomerTreatments,
+  getBookingTreatment,
+  saveBookingTreatment,
+  uploadTreatmentImages,
+  deleteTreatmentImage
+} = require('../controllers/treatmentController');
+const { protect, authorize } = require('../middleware/auth');
+const { upload } = require('../config/cloudinary');
+
+const router = express.Router();
+
+// Get treatment records shared with the user
+router.get('/', protect, getMyTreatments);
+
+// Client treatment history (Admin only)
+router.get('/customers/:id', protect, authorize('admin'), getCustomerTreatments);
+
+// Treatment record for a booking - admins record it, clients see it once shared
+router.route('/bookings/:bookingId')
+  .get(protect, getBookingTreatment)
+  .put(protect, authorize('admin'), saveBookingTreatment);
+
+// Before/after photos (Admin only)
+router.post('/bookings/:bookingId/images', protect, authorize('admin'), upload.array('images', 10), uploadTreatmentImages);
+router.delete('/bookings/:bookingId/images/:imageId', protect, authorize('admin'), deleteTreatmentImage);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+  getAllWaitlist
+} = require('../controllers/waitlistController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Get user waitlist entries & Join a waitlist
+router.route('/')
+  .get(protect, getMyWaitlist)
+  .post(protect, joinWaitlist);
+
+// Get all waitlist entries (Admin only)
+router.get('/admin/all', protect, authorize('admin'), getAllWaitlist);
+
+// Leave a waitlist
+router.delete('/:id', protect, leaveWaitlist);
+
+module.exports = router;
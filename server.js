@@ -26,17 +26,30 @@ const categoryRoutes = require('./routes/categoryRoutes');
 const orderRoutes = require('./routes/orderRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
 const bookingRoutes = require('./routes/bookingRoutes');
+const serviceRoutes = require('./routes/serviceRoutes');
+const artistRoutes = require('./routes/artistRoutes');
+const courseRoutes = require('./routes/courseRoutes');
+const enrollmentRoutes = require('./routes/enrollmentRoutes');
+const waitlistRoutes = require('./routes/waitlistRoutes');
+const intakeRoutes = require('./routes/intakeRoutes');
+const treatmentRoutes = require('./routes/treatmentRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const cartRoutes = require('./routes/cartRoutes');
+const couponRoutes = require('./routes/couponRoutes');
 
 // Middleware
 const errorHandler = require('./middleware/errorHandler');
 const responseMiddleware = require('./middleware/response');
 const requestLogger = require('./middleware/requestLogger');
+const { captureRawBody } = require('./middleware/rawBody');
 
 // Initialize app
 const app = express();
 
-// Body parser
-app.use(express.json());
+// Body parser (webhook signatures are checked against the raw bytes)
+app.use(express.json({ verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true }));
 
 // Cookie parser
@@ -87,6 +100,18 @@ app.use('/api/categories', categoryRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/payment', paymentRoutes);
 app.use('/api/bookings', bookingRoutes);
+app.use('/api/services', serviceRoutes);
+app.use('/api/artists', artistRoutes);
+app.use('/api/courses', courseRoutes);
+app.use('/api/enrollments', enrollmentRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/intake', intakeRoutes);
+app.use('/api/treatments', treatmentRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/coupons', couponRoutes);
 
 // ADD THIS RIGHT AFTER app.use('/api/bookings', bookingRoutes);
 
@@ -119,7 +144,19 @@ app.get('/', (req, res) => {
       products: '/api/products',
       categories: '/api/categories',
       orders: '/api/orders',
-      bookings: '/api/bookings'
+      bookings: '/api/bookings',
+      services: '/api/services',
+      artists: '/api/artists',
+      courses: '/api/courses',
+      enrollments: '/api/enrollments',
+      waitlist: '/api/waitlist',
+      intake: '/api/intake',
+      treatments: '/api/treatments',
+      admin: '/api/admin',
+      calendar: '/api/calendar',
+      notifications: '/api/notifications',
+      cart: '/api/cart',
+      coupons: '/api/coupons'
     }
   });
 });
@@ -127,6 +164,29 @@ app.get('/', (req, res) => {
 // Error handler (must be last middleware)
 app.use(errorHandler);
 
+// Scheduled jobs
+const cron = require('node-cron');
+const {
+  releaseExpiredReservations,
+  expireUnpaidBookings,
+  flagNoShows,
+  expireWaitlistHolds,
+  sendSmsReminders
+} = require('./utils/cronJobs');
+
+// Release stock held by unpaid orders every 5 minutes
+cron.schedule('*/5 * * * *', releaseExpiredReservations);
+
+// Release unpaid booking holds every 5 minutes, and flag no-shows every 15
+cron.schedule('*/5 * * * *', expireUnpaidBookings);
+cron.schedule('*/15 * * * *', flagNoShows);
+
+// Booking holds from the waitlist expire with the job above; course seat holds here
+cron.schedule('*/5 * * * *', expireWaitlistHolds);
+
+// Text/WhatsApp booking reminders at the configured offsets, checked every 15 minutes
+cron.schedule('*/15 * * * *', sendSmsReminders);
+
 
 
 const PORT = process.env.PORT || 5000;
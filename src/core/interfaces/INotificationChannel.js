@@ -0,0 +1,54 @@
+/**
+ * src/core/interfaces/INotificationChannel.js
+ * Interface for text message channels (SMS, WhatsApp, fake)
+ * Phone numbers are passed in international format without the plus, e.g. 2348030000000.
+ *
+ * A message carries both forms so each channel can use the one it supports:
+ *   { to, text, template: { name, params }, reference }
+ * SMS sends the text; WhatsApp sends the pre-approved template with its params.
+ *
+ * A normalised delivery update looks like:
+ *   { messageId, status, error, raw }
+ * where status is 'sent', 'delivered', 'read' or 'failed'.
+ */
+
+class INotificationChannel {
+  /**
+   * Provider key used in configuration and on delivery records
+   * @returns {String}
+   */
+  get name() {
+    throw new Error('name not implemented');
+  }
+
+  /**
+   * Send a message
+   * @param {Object} message - { to, text, template, reference }
+   * @returns {Promise<Object>} - { messageId, status, raw }
+   */
+  async send(message) {
+    throw new Error('send() method not implemented');
+  }
+
+  /**
+   * Authenticate and parse a delivery report
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers
+   * @param {Object} query - Query string
+   * @returns {Object[]|null} - Delivery updates, null if not authentic
+   */
+  parseStatus(rawBody, headers, query) {
+    throw new Error('parseStatus() method not implemented');
+  }
+
+  /**
+   * Answer a webhook subscription check, for providers that make one
+   * @param {Object} query - Query string
+   * @returns {String|null} - Challenge to echo back, null if not accepted
+   */
+  verifySubscription(query) {
+    return null;
+  }
+}
+
+module.exports = INotificationChannel;
@@ -0,0 +1,70 @@
+/**
+ * src/core/interfaces/IPaymentProvider.js
+ * Interface for payment gateways (Paystack, Flutterwave, fake)
+ * Amounts are always in Naira; providers convert to their own units.
+ *
+ * A normalised charge looks like:
+ *   { provider, method, reference, transactionId, status, amount, currency, channel, metadata, raw }
+ * where status is 'success', 'failed', 'abandoned' or 'pending'.
+ *
+ * A normalised refund update looks like:
+ *   { provider, reference, refundId, transferReference, status, amount, reason, raw }
+ * where status is 'pending', 'processed' or 'failed'.
+ */
+
+class IPaymentProvider {
+  /**
+   * Provider key used in configuration and on the payment ledger
+   * @returns {String}
+   */
+  get name() {
+    throw new Error('name not implemented');
+  }
+
+  /**
+   * Value recorded as the payment method on orders, bookings and enrollments
+   * @returns {String}
+   */
+  get method() {
+    return this.name;
+  }
+
+  /**
+   * Start a hosted checkout
+   * @param {Object} params - { reference, amount, currency, email, metadata }
+   * @returns {Promise<Object>} - { authorizationUrl, accessCode, reference }
+   */
+  async initialize(params) {
+    throw new Error('initialize() method not implemented');
+  }
+
+  /**
+   * Look a transaction up with the provider
+   * @param {String} reference - Transaction reference
+   * @returns {Promise<Object>} - Normalised charge
+   */
+  async verify(reference) {
+    throw new Error('verify() method not implemented');
+  }
+
+  /**
+   * Refund all or part of a charge
+   * @param {Object} params - { reference, transactionId, amount, reason }
+   * @returns {Promise<Object>} - { refundId, status, raw }
+   */
+  async refund(params) {
+    throw new Error('refund() method not implemented');
+  }
+
+  /**
+   * Authenticate and parse a webhook delivery
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers
+   * @returns {Object|null} - { type: 'charge' | 'refund' | 'unknown', name, charge, refund, raw }, null if not authentic
+   */
+  parseWebhook(rawBody, headers) {
+    throw new Error('parseWebhook() method not implemented');
+  }
+}
+
+module.exports = IPaymentProvider;
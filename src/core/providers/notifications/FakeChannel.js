@@ -0,0 +1,65 @@
+/**
+ * src/core/providers/notifications/FakeChannel.js
+ * In-process channel for tests and local development - nothing leaves the machine.
+ * Sent messages are kept in memory; report() builds a delivery report for them.
+ */
+
+const crypto = require('crypto');
+const INotificationChannel = require('../../interfaces/INotificationChannel');
+
+class FakeChannel extends INotificationChannel {
+  /**
+   * @param {Object} config - { webhookToken }
+   */
+  constructor(config) {
+    super();
+    this.config = config;
+    this.messages = [];
+    this.nextId = 1;
+  }
+
+  get name() {
+    return 'fake';
+  }
+
+  async send(message) {
+    const messageId = `fake-${this.nextId++}`;
+    this.messages.push({ ...message, messageId });
+    console.log(`[fake notification] to ${message.to}: ${message.text}`);
+
+    return { messageId, status: 'sent', raw: { messageId } };
+  }
+
+  /**
+   * Build a delivery report as the provider would post it
+   * @param {String} messageId - From send()
+   * @param {String} status - delivered | read | failed
+   * @returns {Object} - { rawBody, headers, query }
+   */
+  report(messageId, status = 'delivered') {
+    return {
+      rawBody: JSON.stringify({ messageId, status }),
+      headers: { 'content-type': 'application/json' },
+      query: { token: this.config.webhookToken }
+    };
+  }
+
+  parseStatus(rawBody, headers, query) {
+    const expected = Buffer.from(String(this.config.webhookToken));
+    const received = Buffer.from(String(query.token || ''));
+    if (!rawBody || expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    let report;
+    try {
+      report = JSON.parse(rawBody.toString('utf8'));
+    } catch (err) {
+      return null;
+    }
+
+    return [{ messageId: report.messageId, status: report.status, raw: report }];
+  }
+}
+
+module.exports = FakeChannel;
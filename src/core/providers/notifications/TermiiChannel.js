@@ -0,0 +1,80 @@
+/**
+ * src/core/providers/notifications/TermiiChannel.js
+ * SMS through Termii's HTTP API
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const INotificationChannel = require('../../interfaces/INotificationChannel');
+
+class TermiiChannel extends INotificationChannel {
+  /**
+   * @param {Object} config - { baseURL, apiKey, senderId, webhookToken }
+   */
+  constructor(config) {
+    super();
+    this.config = config;
+    this.client = axios.create({
+      baseURL: config.baseURL,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  get name() {
+    return 'termii';
+  }
+
+  async send({ to, text }) {
+    const response = await this.client.post('/api/sms/send', {
+      api_key: this.config.apiKey,
+      to,
+      from: this.config.senderId,
+      sms: text,
+      type: 'plain',
+      channel: 'generic'
+    });
+
+    return {
+      messageId: response.data.message_id !== undefined ? String(response.data.message_id) : undefined,
+      status: 'sent',
+      raw: response.data
+    };
+  }
+
+  /**
+   * Delivery reports are authenticated by the token in the report URL
+   */
+  parseStatus(rawBody, headers, query) {
+    const expected = Buffer.from(String(this.config.webhookToken || ''));
+    const received = Buffer.from(String(query.token || ''));
+    if (!rawBody || !this.config.webhookToken ||
+      expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    let report;
+    try {
+      report = JSON.parse(rawBody.toString('utf8'));
+    } catch (err) {
+      return null;
+    }
+
+    // e.g. "DELIVERED", "Message Sent", "Message Failed", "Rejected", "Expired", "DND Active on Phone Number"
+    const status = String(report.status || '').toLowerCase();
+    let normalised = 'failed';
+    if (status === 'delivered') {
+      normalised = 'delivered';
+    } else if (status === 'message sent' || status === 'sent') {
+      normalised = 'sent';
+    }
+
+    return [{
+      messageId: String(report.message_id),
+      status: normalised,
+      error: normalised === 'failed' ? report.status : undefined,
+      raw: report
+    }];
+  }
+}
+
+module.exports = TermiiChannel;
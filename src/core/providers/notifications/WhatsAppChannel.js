@@ -0,0 +1,104 @@
+/**
+ * src/core/providers/notifications/WhatsAppChannel.js
+ * WhatsApp Cloud API - business-initiated messages must use a pre-approved template
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const INotificationChannel = require('../../interfaces/INotificationChannel');
+
+class WhatsAppChannel extends INotificationChannel {
+  /**
+   * @param {Object} config - { baseURL, accessToken, phoneNumberId, appSecret, verifyToken, language }
+   */
+  constructor(config) {
+    super();
+    this.config = config;
+    this.client = axios.create({
+      baseURL: config.baseURL,
+      headers: {
+        Authorization: `Bearer ${config.accessToken}`,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  get name() {
+    return 'whatsapp';
+  }
+
+  async send({ to, template }) {
+    const response = await this.client.post(`/${this.config.phoneNumberId}/messages`, {
+      messaging_product: 'whatsapp',
+      to,
+      type: 'template',
+      template: {
+        name: template.name,
+        language: { code: this.config.language },
+        components: [{
+          type: 'body',
+          parameters: template.params.map(text => ({ type: 'text', text: String(text) }))
+        }]
+      }
+    });
+
+    const [message] = response.data.messages || [];
+    return {
+      messageId: message && message.id,
+      status: 'sent',
+      raw: response.data
+    };
+  }
+
+  /**
+   * Status callbacks are signed with the app secret (X-Hub-Signature-256) over the raw body
+   */
+  parseStatus(rawBody, headers) {
+    const signature = headers['x-hub-signature-256'];
+    if (!rawBody || !signature || !this.config.appSecret) {
+      return null;
+    }
+
+    const expected = Buffer.from(
+      `sha256=${crypto.createHmac('sha256', this.config.appSecret).update(rawBody).digest('hex')}`
+    );
+    const received = Buffer.from(String(signature));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch (err) {
+      return null;
+    }
+
+    // One callback can carry several statuses; incoming customer messages are ignored
+    const updates = [];
+    (payload.entry || []).forEach(entry => {
+      (entry.changes || []).forEach(change => {
+        ((change.value && change.value.statuses) || []).forEach(status => {
+          updates.push({
+            messageId: status.id,
+            status: ['sent', 'delivered', 'read'].includes(status.status) ? status.status : 'failed',
+            error: status.errors && status.errors[0] ? status.errors[0].title : undefined,
+            raw: status
+          });
+        });
+      });
+    });
+
+    return updates;
+  }
+
+  verifySubscription(query) {
+    if (query['hub.mode'] === 'subscribe' && this.config.verifyToken &&
+      query['hub.verify_token'] === this.config.verifyToken) {
+      return query['hub.challenge'];
+    }
+    return null;
+  }
+}
+
+module.exports = WhatsAppChannel;
@@ -0,0 +1,55 @@
+/**
+ * src/core/providers/notifications/index.js
+ * Notification channel registry - picks the provider for SMS or WhatsApp from config/notifications.js
+ */
+
+const { notificationConfig } = require('../../../../config/notifications');
+const TermiiChannel = require('./TermiiChannel');
+const WhatsAppChannel = require('./WhatsAppChannel');
+const FakeChannel = require('./FakeChannel');
+const ValidationError = require('../../errors/ValidationError');
+
+const factories = {
+  termii: () => new TermiiChannel(notificationConfig.termii),
+  whatsapp: () => new WhatsAppChannel(notificationConfig.whatsapp),
+  fake: () => new FakeChannel(notificationConfig.fake)
+};
+
+// One instance per provider - the fake channel keeps its messages in memory
+const instances = new Map();
+
+/**
+ * Get a provider by name
+ * @param {String} name - termii | whatsapp | fake
+ * @returns {INotificationChannel}
+ */
+const getNotificationChannel = (name) => {
+  // The fake channel never reaches real customers
+  if (!factories[name] || (name === 'fake' && process.env.NODE_ENV === 'production')) {
+    throw new ValidationError(`Notification provider not available: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, factories[name]());
+  }
+
+  return instances.get(name);
+};
+
+/**
+ * Provider configured for a kind of message
+ * @param {String} kind - sms | whatsapp
+ * @returns {INotificationChannel}
+ */
+const channelFor = (kind) => {
+  if (!notificationConfig.channels[kind]) {
+    throw new ValidationError(`Unknown notification channel: ${kind}`);
+  }
+
+  return getNotificationChannel(notificationConfig.channels[kind]);
+};
+
+module.exports = {
+  getNotificationChannel,
+  channelFor
+};
@@ -0,0 +1,167 @@
+/**
+ * src/core/providers/payments/FakeProvider.js
+ * In-process gateway for tests and local development - no network, no money.
+ * Checkouts succeed unless told otherwise (FAKE_PAYMENT_OUTCOME or pay()).
+ */
+
+const crypto = require('crypto');
+const IPaymentProvider = require('../../interfaces/IPaymentProvider');
+const NotFoundError = require('../../errors/NotFoundError');
+
+class FakeProvider extends IPaymentProvider {
+  /**
+   * @param {Object} config - { secret, callbackUrl, outcome }
+   */
+  constructor(config) {
+    super();
+    this.config = config;
+    this.transactions = new Map();
+    this.refunds = [];
+    this.nextId = 1;
+  }
+
+  get name() {
+    return 'fake';
+  }
+
+  // Recorded as Paystack so local data has the same shape as production
+  get method() {
+    return 'paystack';
+  }
+
+  normalize(transaction) {
+    return {
+      provider: this.name,
+      method: this.method,
+      reference: transaction.reference,
+      transactionId: String(transaction.id),
+      status: transaction.status,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      channel: 'card',
+      metadata: transaction.metadata || {},
+      raw: { ...transaction }
+    };
+  }
+
+  async initialize({ reference, amount, currency = 'NGN', email, metadata }) {
+    this.transactions.set(reference, {
+      id: this.nextId++,
+      reference,
+      amount,
+      currency,
+      email,
+      metadata,
+      status: this.config.outcome || 'success'
+    });
+
+    return {
+      authorizationUrl: `${this.config.callbackUrl}?ref=${reference}&provider=fake`,
+      accessCode: `fake_${reference}`,
+      reference
+    };
+  }
+
+  /**
+   * Simulate the customer finishing (or failing) checkout
+   * @param {String} reference - Transaction reference
+   * @param {Object} overrides - e.g. { status: 'failed' } or { amount: 100 }
+   * @returns {Object} - Normalised charge
+   */
+  pay(reference, overrides = {}) {
+    const transaction = this.transactions.get(reference);
+    if (!transaction) {
+      throw new NotFoundError('Transaction reference not found');
+    }
+
+    Object.assign(transaction, { status: 'success' }, overrides);
+    return this.normalize(transaction);
+  }
+
+  async verify(reference) {
+    const transaction = this.transactions.get(reference);
+    if (!transaction) {
+      throw new NotFoundError('Transaction reference not found');
+    }
+
+    return this.normalize(transaction);
+  }
+
+  async refund({ reference, amount, reason }) {
+    const transaction = this.transactions.get(reference);
+    const refund = {
+      id: `fake-refund-${this.refunds.length + 1}`,
+      reference,
+      amount: amount || (transaction ? transaction.amount : undefined),
+      reason,
+      status: 'pending'
+    };
+    this.refunds.push(refund);
+
+    return { refundId: refund.id, status: refund.status, raw: refund };
+  }
+
+  /**
+   * Build a signed webhook delivery, as a test or local script would post
+   * it to /api/payment/webhook/fake
+   * @param {String} reference - Transaction reference, or refund ID for refund events
+   * @param {String} event - charge.success | refund.processed | refund.failed
+   * @returns {Object} - { rawBody, headers }
+   */
+  webhook(reference, event = 'charge.success') {
+    const data = event.startsWith('refund.')
+      ? this.refunds.find(refund => refund.id === reference)
+      : this.transactions.get(reference);
+    const rawBody = JSON.stringify({ event, data });
+    const signature = crypto.createHmac('sha256', this.config.secret).update(rawBody).digest('hex');
+
+    return { rawBody, headers: { 'x-fake-signature': signature } };
+  }
+
+  parseWebhook(rawBody, headers) {
+    const signature = headers['x-fake-signature'];
+    if (!rawBody || !signature) {
+      return null;
+    }
+
+    const expected = Buffer.from(
+      crypto.createHmac('sha256', this.config.secret).update(rawBody).digest('hex')
+    );
+    const received = Buffer.from(String(signature));
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody.toString('utf8'));
+    } catch (err) {
+      return null;
+    }
+
+    if (event.event === 'charge.success') {
+      return { type: 'charge', name: event.event, charge: this.normalize(event.data), raw: event };
+    }
+
+    if (event.event === 'refund.processed' || event.event === 'refund.failed') {
+      return {
+        type: 'refund',
+        name: event.event,
+        refund: {
+          provider: this.name,
+          reference: event.data.reference,
+          refundId: event.data.id,
+          status: event.event === 'refund.processed' ? 'processed' : 'failed',
+          amount: event.data.amount,
+          raw: event.data
+        },
+        raw: event
+      };
+    }
+
+    return { type: 'unknown', name: event.event, raw: event };
+  }
+}
+
+module.exports = FakeProvider;
@@ -0,0 +1,138 @@
+/**
+ * src/core/providers/payments/FlutterwaveProvider.js
+ * Flutterwave gateway (v3 API) - amounts are sent and received in Naira
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const IPaymentProvider = require('../../interfaces/IPaymentProvider');
+
+class FlutterwaveProvider extends IPaymentProvider {
+  /**
+   * @param {Object} config - { baseURL, secretKey, webhookHash, callbackUrl }
+   */
+  constructor(config) {
+    super();
+    this.config = config;
+    this.client = axios.create({
+      baseURL: config.baseURL,
+      headers: {
+        Authorization: `Bearer ${config.secretKey}`,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  get name() {
+    return 'flutterwave';
+  }
+
+  /**
+   * Normalise a Flutterwave transaction payload
+   * @param {Object} data - Flutterwave transaction
+   * @returns {Object} - Normalised charge
+   */
+  normalize(data) {
+    const statuses = { successful: 'success', failed: 'failed', cancelled: 'abandoned' };
+
+    return {
+      provider: this.name,
+      method: this.method,
+      reference: data.tx_ref,
+      transactionId: data.id !== undefined ? String(data.id) : undefined,
+      status: statuses[data.status] || 'pending',
+      amount: Number(data.amount),
+      currency: data.currency || 'NGN',
+      channel: data.payment_type,
+      // Webhook payloads don't carry meta - the ledger entry made at initialize does
+      metadata: data.meta || {},
+      raw: data
+    };
+  }
+
+  async initialize({ reference, amount, currency = 'NGN', email, metadata }) {
+    const response = await this.client.post('/payments', {
+      tx_ref: reference,
+      amount,
+      currency,
+      redirect_url: `${this.config.callbackUrl}?ref=${reference}`,
+      customer: { email },
+      meta: metadata
+    });
+
+    return {
+      authorizationUrl: response.data.data.link,
+      accessCode: undefined,
+      reference
+    };
+  }
+
+  async verify(reference) {
+    const response = await this.client.get('/transactions/verify_by_reference', {
+      params: { tx_ref: reference }
+    });
+    return this.normalize(response.data.data);
+  }
+
+  async refund({ transactionId, amount, reason }) {
+    const response = await this.client.post(`/transactions/${transactionId}/refund`, {
+      amount,
+      comments: reason
+    });
+
+    const data = response.data.data;
+    return {
+      refundId: data.id !== undefined ? String(data.id) : undefined,
+      status: data.status,
+      raw: data
+    };
+  }
+
+  /**
+   * Flutterwave sends the secret hash configured on the dashboard in verif-hash
+   */
+  parseWebhook(rawBody, headers) {
+    const hash = headers['verif-hash'];
+    if (!rawBody || !hash || !this.config.webhookHash) {
+      return null;
+    }
+
+    const expected = Buffer.from(this.config.webhookHash);
+    const received = Buffer.from(String(hash));
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody.toString('utf8'));
+    } catch (err) {
+      return null;
+    }
+
+    if (event.event === 'charge.completed') {
+      return { type: 'charge', name: event.event, charge: this.normalize(event.data), raw: event };
+    }
+
+    if (event.event === 'refund.completed') {
+      const statuses = { completed: 'processed', failed: 'failed' };
+      return {
+        type: 'refund',
+        name: event.event,
+        refund: {
+          provider: this.name,
+          refundId: event.data.id !== undefined ? String(event.data.id) : undefined,
+          status: statuses[String(event.data.status).toLowerCase()] || 'pending',
+          amount: Number(event.data.amount_refunded || event.data.AmountRefunded) || undefined,
+          raw: event.data
+        },
+        raw: event
+      };
+    }
+
+    return { type: 'unknown', name: event.event, raw: event };
+  }
+}
+
+module.exports = FlutterwaveProvider;
@@ -0,0 +1,166 @@
+/**
+ * src/core/providers/payments/PaystackProvider.js
+ * Paystack gateway - amounts are sent and received in kobo
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const IPaymentProvider = require('../../interfaces/IPaymentProvider');
+
+class PaystackProvider extends IPaymentProvider {
+  /**
+   * @param {Object} config - { baseURL, secretKey, callbackUrl }
+   */
+  constructor(config) {
+    super();
+    this.config = config;
+    this.client = axios.create({
+      baseURL: config.baseURL,
+      headers: {
+        Authorization: `Bearer ${config.secretKey}`,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  get name() {
+    return 'paystack';
+  }
+
+  /**
+   * Normalise a Paystack transaction payload
+   * @param {Object} data - Paystack transaction (amount in kobo)
+   * @returns {Object} - Normalised charge
+   */
+  normalize(data) {
+    const statuses = { success: 'success', failed: 'failed', abandoned: 'abandoned', reversed: 'failed' };
+
+    return {
+      provider: this.name,
+      method: this.method,
+      reference: data.reference,
+      transactionId: data.id !== undefined ? String(data.id) : undefined,
+      status: statuses[data.status] || 'pending',
+      amount: data.amount / 100,
+      currency: data.currency || 'NGN',
+      channel: data.channel,
+      metadata: data.metadata || {},
+      raw: data
+    };
+  }
+
+  async initialize({ reference, amount, currency = 'NGN', email, metadata }) {
+    const response = await this.client.post('/transaction/initialize', {
+      email,
+      amount: Math.round(amount * 100), // Paystack expects amount in kobo (₦1 = 100 kobo)
+      currency,
+      reference,
+      callback_url: `${this.config.callbackUrl}?ref=${reference}`,
+      metadata
+    });
+
+    return {
+      authorizationUrl: response.data.data.authorization_url,
+      accessCode: response.data.data.access_code,
+      reference: response.data.data.reference
+    };
+  }
+
+  async verify(reference) {
+    const response = await this.client.get(`/transaction/verify/${encodeURIComponent(reference)}`);
+    return this.normalize(response.data.data);
+  }
+
+  async refund({ reference, amount, reason }) {
+    const response = await this.client.post('/refund', {
+      transaction: reference,
+      amount: amount ? Math.round(amount * 100) : undefined, // Partial or full refund
+      merchant_note: reason
+    });
+
+    const data = response.data.data;
+    return {
+      refundId: data.id !== undefined ? String(data.id) : undefined,
+      status: data.status,
+      raw: data
+    };
+  }
+
+  /**
+   * The HMAC is computed over the raw request bytes and compared in constant time
+   */
+  parseWebhook(rawBody, headers) {
+    const signature = headers['x-paystack-signature'];
+    if (!rawBody || !signature || !this.config.secretKey) {
+      return null;
+    }
+
+    const expected = Buffer.from(
+      crypto.createHmac('sha512', this.config.secretKey).update(rawBody).digest('hex')
+    );
+    const received = Buffer.from(String(signature));
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return null;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(rawBody.toString('utf8'));
+    } catch (err) {
+      return null;
+    }
+
+    if (event.event === 'charge.success') {
+      return { type: 'charge', name: event.event, charge: this.normalize(event.data), raw: event };
+    }
+
+    const refundStatuses = {
+      'refund.pending': 'pending',
+      'refund.processing': 'pending',
+      'refund.processed': 'processed',
+      'refund.failed': 'failed'
+    };
+    if (refundStatuses[event.event]) {
+      return {
+        type: 'refund',
+        name: event.event,
+        refund: {
+          provider: this.name,
+          reference: event.data.transaction_reference,
+          refundId: event.data.id !== undefined ? String(event.data.id) : undefined,
+          status: refundStatuses[event.event],
+          amount: event.data.amount !== undefined ? event.data.amount / 100 : undefined,
+          raw: event.data
+        },
+        raw: event
+      };
+    }
+
+    // Refunds paid out by bank transfer use the refund number as the transfer reference
+    const transferStatuses = {
+      'transfer.success': 'processed',
+      'transfer.failed': 'failed',
+      'transfer.reversed': 'failed'
+    };
+    if (transferStatuses[event.event]) {
+      return {
+        type: 'refund',
+        name: event.event,
+        refund: {
+          provider: this.name,
+          transferReference: event.data.reference,
+          status: transferStatuses[event.event],
+          amount: event.data.amount / 100,
+          reason: event.data.reason,
+          raw: event.data
+        },
+        raw: event
+      };
+    }
+
+    return { type: 'unknown', name: event.event, raw: event };
+  }
+}
+
+module.exports = PaystackProvider;
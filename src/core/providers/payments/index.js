@@ -0,0 +1,50 @@
+/**
+ * src/core/providers/payments/index.js
+ * Payment provider registry - picks the gateway for a flow from config/payments.js
+ */
+
+const { paymentConfig } = require('../../../../config/payments');
+const PaystackProvider = require('./PaystackProvider');
+const FlutterwaveProvider = require('./FlutterwaveProvider');
+const FakeProvider = require('./FakeProvider');
+const ValidationError = require('../../errors/ValidationError');
+
+const factories = {
+  paystack: () => new PaystackProvider(paymentConfig.paystack),
+  flutterwave: () => new FlutterwaveProvider(paymentConfig.flutterwave),
+  fake: () => new FakeProvider(paymentConfig.fake)
+};
+
+// One instance per provider - the fake provider keeps its transactions in memory
+const instances = new Map();
+
+/**
+ * Get an enabled provider by name
+ * @param {String} name - paystack | flutterwave | fake
+ * @returns {IPaymentProvider}
+ */
+const getPaymentProvider = (name) => {
+  if (!factories[name] || !paymentConfig.enabled.includes(name)) {
+    throw new ValidationError(`Payment provider not available: ${name}`);
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, factories[name]());
+  }
+
+  return instances.get(name);
+};
+
+/**
+ * Provider for a flow, or the one the customer asked for if it is enabled
+ * @param {String} entityType - order | booking | enrollment
+ * @param {String} requested - Provider chosen at checkout (optional)
+ * @returns {IPaymentProvider}
+ */
+const providerFor = (entityType, requested) =>
+  getPaymentProvider(requested || paymentConfig.flows[entityType] || paymentConfig.flows.order);
+
+module.exports = {
+  getPaymentProvider,
+  providerFor
+};
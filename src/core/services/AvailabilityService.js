@@ -0,0 +1,478 @@
+/**
+ * src/core/services/AvailabilityService.js
+ * Works out when an appointment fits: studio opening hours and days off,
+ * each artist's shifts and time off, the length of the service and a buffer between clients.
+ * Times are studio-local "HH:mm" strings, handled internally as minutes after midnight.
+ */
+
+const Booking = require('../../../models/Booking');
+const Artist = require('../../../models/Artist');
+const { getStudio, bookingRules } = require('../../../config/studios');
+const ValidationError = require('../errors/ValidationError');
+const NotFoundError = require('../errors/NotFoundError');
+const ConflictError = require('../errors/ConflictError');
+
+// Bookings in these states hold their slot
+const ACTIVE_STATUSES = ['pending', 'confirmed', 'in-progress'];
+
+// Used when availability is asked for without a service
+const DEFAULT_DURATION = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class AvailabilityService {
+  /**
+   * Parse "HH:mm" into minutes after midnight
+   * @param {String} time
+   * @returns {Number} - NaN when the time is not valid
+   */
+  toMinutes(time) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(String(time || ''));
+    if (!match) {
+      return NaN;
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+  }
+
+  /**
+   * Format minutes after midnight as "HH:mm"
+   * @param {Number} minutes
+   * @returns {String}
+   */
+  toTime(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Whether two half-open intervals [start, end) share any time
+   * @param {Object} a - { start, end } in minutes
+   * @param {Object} b - { start, end } in minutes
+   * @returns {Boolean}
+   */
+  overlaps(a, b) {
+    return a.start < b.end && b.start < a.end;
+  }
+
+  /**
+   * The studio calendar day an appointment date falls on
+   * @param {String|Date} date
+   * @returns {Object} - { day: "YYYY-MM-DD", start: Date, end: Date } where start/end bound the stored dates
+   */
+  dayRange(date) {
+    const parsed = new Date(date);
+    if (!date || Number.isNaN(parsed.getTime())) {
+      throw new ValidationError('Please provide a valid appointment date');
+    }
+
+    // Date-only strings parse as UTC midnight; full timestamps are read in studio time
+    const day = new Date(parsed.getTime() + bookingRules.utcOffsetMinutes * 60 * 1000)
+      .toISOString()
+      .slice(0, 10);
+    const start = new Date(`${day}T00:00:00.000Z`);
+
+    return { day, start, end: new Date(start.getTime() + DAY_MS) };
+  }
+
+  /**
+   * Opening hours for a location on a given day
+   * @param {String} location - Studio location key
+   * @param {String} day - "YYYY-MM-DD"
+   * @returns {Object} - { studio, weekday, open, close } in minutes, open/close null when closed
+   */
+  openingHours(location, day) {
+    const studio = getStudio(location);
+    if (!studio) {
+      throw new ValidationError(`Invalid location: ${location}`);
+    }
+
+    const weekday = new Date(`${day}T00:00:00.000Z`).getUTCDay();
+    const hours = studio.hours[weekday];
+    if (!hours || studio.daysOff.includes(day)) {
+      return { studio, weekday, open: null, close: null };
+    }
+
+    return { studio, weekday, open: this.toMinutes(hours.open), close: this.toMinutes(hours.close) };
+  }
+
+  /**
+   * The moment an appointment starts
+   * @param {Object} booking - { appointmentDate, timeSlot }
+   * @returns {Date}
+   */
+  startsAt({ appointmentDate, timeSlot }) {
+    const { start } = this.dayRange(appointmentDate);
+    const minutes = this.toMinutes(timeSlot.start) - bookingRules.utcOffsetMinutes;
+    return new Date(start.getTime() + minutes * 60 * 1000);
+  }
+
+  /**
+   * Earliest start still in the future on a given day
+   * @param {String} day - "YYYY-MM-DD"
+   * @returns {Number} - Minutes after midnight (Infinity for past days)
+   */
+  earliestStart(day) {
+    const now = new Date(Date.now() + bookingRules.utcOffsetMinutes * 60 * 1000);
+    const today = now.toISOString().slice(0, 10);
+
+    if (day < today) {
+      return Infinity;
+    }
+    if (day > today) {
+      return 0;
+    }
+    return now.getUTCHours() * 60 + now.getUTCMinutes();
+  }
+
+  /**
+   * Stand-in for a whole tier at a studio with no artists on the roster yet. It works
+   * all studio hours and every booking of the tier counts against it, as before artists.
+   * @param {String} location
+   * @param {String} tier
+   * @returns {Object}
+   */
+  tierArtist(location, tier) {
+    return { _id: null, name: undefined, tier, location, services: [], workingHours: [], timeOff: [] };
+  }
+
+  /**
+   * Artists who could take the appointment: the one asked for, or every active artist
+   * of the tier at the location who performs the service (all of them, for a bundle).
+   * Where the tier has no active artists at the location, the tier itself takes bookings.
+   * @param {Object} params - { location, artistType, artistId, serviceId } - serviceId may be an array
+   * @returns {Promise<Array>}
+   */
+  async findArtists({ location, artistType, artistId, serviceId }) {
+    const serviceIds = [].concat(serviceId || []).map(String);
+
+    if (artistId) {
+      const artist = await Artist.findById(artistId);
+      if (!artist || !artist.isActive) {
+        throw new NotFoundError('Artist not found');
+      }
+      if (artist.location !== location) {
+        throw new ValidationError(`${artist.name} does not work at this location`);
+      }
+      if (artistType && artist.tier !== artistType) {
+        throw new ValidationError(`${artist.name} is not a ${artistType} artist`);
+      }
+      const performs = id => artist.services.some(service => service.toString() === id);
+      if (!serviceIds.every(performs)) {
+        throw new ValidationError(
+          `${artist.name} does not perform ${serviceIds.length > 1 ? 'all of these services' : 'this service'}`
+        );
+      }
+      return [artist];
+    }
+
+    if (!artistType) {
+      throw new ValidationError('Please choose an artist or an artist type');
+    }
+
+    const query = { location, tier: artistType, isActive: true };
+    if (serviceIds.length === 1) {
+      query.services = serviceId;
+    } else if (serviceIds.length > 1) {
+      query.services = { $all: serviceIds };
+    }
+
+    const artists = await Artist.find(query).sort('displayOrder name');
+    if (artists.length === 0 && !(await Artist.exists({ location, tier: artistType, isActive: true }))) {
+      return [this.tierArtist(location, artistType)];
+    }
+
+    return artists;
+  }
+
+  /**
+   * Time each booking occupies, in minutes
+   * @param {Array} bookings - Bookings with timeSlot and serviceSnapshot
+   * @returns {Array} - [{ start, end, buffer, booking }]
+   */
+  bookedIntervals(bookings) {
+    return bookings
+      .map(booking => {
+        const start = this.toMinutes(booking.timeSlot.start);
+        let end = this.toMinutes(booking.timeSlot.end);
+
+        // Older bookings may carry a one-hour end regardless of the service
+        const duration = booking.serviceSnapshot && booking.serviceSnapshot.duration;
+        if (duration && (Number.isNaN(end) || end < start + duration)) {
+          end = start + duration;
+        }
+        if (Number.isNaN(end)) {
+          end = start + DEFAULT_DURATION;
+        }
+
+        return { start, end, buffer: true, booking };
+      })
+      .filter(interval => !Number.isNaN(interval.start));
+  }
+
+  /**
+   * Time off that falls on a day, in minutes (no buffer needed around it)
+   * @param {Object} artist
+   * @param {Object} range - From dayRange
+   * @returns {Array} - [{ start, end }]
+   */
+  timeOffIntervals(artist, range) {
+    // Studio midnight as an instant
+    const dayStart = range.start.getTime() - bookingRules.utcOffsetMinutes * 60 * 1000;
+    const dayEnd = dayStart + DAY_MS;
+
+    return (artist.timeOff || [])
+      .filter(period => period.start.getTime() < dayEnd && period.end.getTime() > dayStart)
+      .map(period => ({
+        start: Math.max(0, Math.floor((period.start.getTime() - dayStart) / 60000)),
+        end: Math.min(24 * 60, Math.ceil((period.end.getTime() - dayStart) / 60000)),
+        buffer: false
+      }));
+  }
+
+  /**
+   * Shifts an artist works on a day, clipped to studio hours
+   * @param {Object} artist
+   * @param {Object} hours - From openingHours
+   * @returns {Array} - [{ start, end }]
+   */
+  workingWindows(artist, hours) {
+    const shifts = artist.workingHours && artist.workingHours.length > 0
+      ? artist.workingHours
+        .filter(shift => shift.day === hours.weekday)
+        .map(shift => ({ start: this.toMinutes(shift.start), end: this.toMinutes(shift.end) }))
+      : [{ start: hours.open, end: hours.close }];
+
+    return shifts
+      .map(shift => ({ start: Math.max(shift.start, hours.open), end: Math.min(shift.end, hours.close) }))
+      .filter(shift => shift.start < shift.end);
+  }
+
+  /**
+   * Bookings that hold time for the given artists on a day.
+   * Bookings made before artists were assigned count against every artist of their tier.
+   * @param {Object} params - { range, location, artists, excludeId }
+   * @returns {Promise<Array>}
+   */
+  async findBookings({ range, location, artists, excludeId }) {
+    const tiers = [...new Set(artists.map(artist => artist.tier))];
+    const query = {
+      appointmentDate: { $gte: range.start, $lt: range.end },
+      location,
+      status: { $in: ACTIVE_STATUSES },
+      $or: [
+        { 'artist.artistId': { $in: artists.map(artist => artist._id) } },
+        { 'artist.artistId': null, 'artist.type': { $in: tiers } }
+      ]
+    };
+    if (excludeId) {
+      query._id = { $ne: excludeId };
+    }
+
+    return Booking.find(query).select('timeSlot serviceSnapshot status artist');
+  }
+
+  /**
+   * Each artist's shifts and blocked time for a day
+   * @param {Array} artists
+   * @param {Object} range - From dayRange
+   * @param {Object} hours - From openingHours
+   * @param {String} excludeId - Booking to leave out, e.g. the one being moved
+   * @returns {Promise<Array>} - [{ artist, windows, blocked, bookedMinutes }]
+   */
+  async schedules(artists, range, hours, excludeId) {
+    if (artists.length === 0) {
+      return [];
+    }
+
+    const location = artists[0].location;
+    const booked = this.bookedIntervals(await this.findBookings({ range, location, artists, excludeId }));
+
+    return artists.map(artist => {
+      const own = booked.filter(interval => {
+        const assigned = interval.booking.artist && interval.booking.artist.artistId;
+        return assigned
+          ? assigned.toString() === String(artist._id)
+          : interval.booking.artist.type === artist.tier;
+      });
+
+      return {
+        artist,
+        windows: this.workingWindows(artist, hours),
+        blocked: [...own, ...this.timeOffIntervals(artist, range)],
+        bookedMinutes: own.reduce((sum, interval) => sum + interval.end - interval.start, 0)
+      };
+    });
+  }
+
+  /**
+   * Whether a candidate slot clashes with blocked time, keeping the buffer around bookings
+   * @param {Object} slot - { start, end } in minutes
+   * @param {Array} blocked - Booked and time-off intervals
+   * @returns {Object|undefined} - The clashing interval
+   */
+  findClash(slot, blocked) {
+    return blocked.find(interval => {
+      const buffer = interval.buffer ? bookingRules.bufferMinutes : 0;
+      return this.overlaps(
+        { start: slot.start, end: slot.end + buffer },
+        { start: interval.start, end: interval.end + buffer }
+      );
+    });
+  }
+
+  /**
+   * Whether a slot sits inside one of the artist's shifts
+   * @param {Object} schedule - From schedules
+   * @param {Object} slot - { start, end } in minutes
+   * @returns {Boolean}
+   */
+  isWorking(schedule, slot) {
+    return schedule.windows.some(window => slot.start >= window.start && slot.end <= window.end);
+  }
+
+  /**
+   * Whether an artist can take a slot
+   * @param {Object} schedule - From schedules
+   * @param {Object} slot - { start, end } in minutes
+   * @returns {Boolean}
+   */
+  isFree(schedule, slot) {
+    return this.isWorking(schedule, slot) && !this.findClash(slot, schedule.blocked);
+  }
+
+  /**
+   * Start times a service can be booked at on a day, with the artists free at each
+   * @param {Object} params - { date, location, artistType, artistId, serviceId, duration }
+   * @returns {Promise<Object>} - { day, closed, openingHours, duration, artists, availableSlots, bookedSlots }
+   */
+  async getSlots({ date, location, artistType, artistId, serviceId, duration = DEFAULT_DURATION }) {
+    const range = this.dayRange(date);
+    const hours = this.openingHours(location, range.day);
+    const artists = await this.findArtists({ location, artistType, artistId, serviceId });
+
+    const result = {
+      day: range.day,
+      closed: hours.open === null,
+      openingHours: null,
+      duration,
+      artists: artists.filter(artist => artist._id).map(artist => ({ _id: artist._id, name: artist.name, tier: artist.tier })),
+      availableSlots: [],
+      bookedSlots: []
+    };
+
+    if (result.closed) {
+      return result;
+    }
+
+    result.openingHours = { open: this.toTime(hours.open), close: this.toTime(hours.close) };
+
+    const schedules = await this.schedules(artists, range, hours);
+    const earliest = this.earliestStart(range.day);
+
+    for (let start = hours.open; start + duration <= hours.close; start += bookingRules.slotIntervalMinutes) {
+      if (start < earliest) {
+        continue;
+      }
+
+      const slot = { start, end: start + duration };
+      const times = { start: this.toTime(slot.start), end: this.toTime(slot.end) };
+      const free = schedules.filter(schedule => this.isFree(schedule, slot));
+
+      if (free.length > 0) {
+        result.availableSlots.push({
+          ...times,
+          artists: free
+            .filter(schedule => schedule.artist._id)
+            .map(schedule => ({ _id: schedule.artist._id, name: schedule.artist.name }))
+        });
+      } else if (schedules.some(schedule => this.isWorking(schedule, slot))) {
+        // Someone is working then, but fully booked
+        result.bookedSlots.push(times);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Check a requested slot before it is booked and settle who takes it.
+   * With no artist named, the free artist with the lightest day gets the booking.
+   * @param {Object} params - { date, location, artistType, artistId, serviceId, start, duration, excludeId }
+   * @returns {Promise<Object>} - { appointmentDate, timeSlot: { start, end }, artist }
+   */
+  async assertAvailable({ date, location, artistType, artistId, serviceId, start, duration = DEFAULT_DURATION, excludeId }) {
+    const range = this.dayRange(date);
+    const hours = this.openingHours(location, range.day);
+    const { studio, open, close } = hours;
+
+    if (open === null) {
+      throw new ValidationError(`${studio.name} is closed on ${range.day}`);
+    }
+
+    const startMinutes = this.toMinutes(start);
+    if (Number.isNaN(startMinutes)) {
+      throw new ValidationError('Please provide a start time in HH:mm format');
+    }
+
+    const slot = { start: startMinutes, end: startMinutes + duration };
+
+    if (slot.start < this.earliestStart(range.day)) {
+      throw new ValidationError('This time slot has already passed');
+    }
+
+    if (slot.start < open || slot.end > close) {
+      throw new ValidationError(
+        `${studio.name} is open ${this.toTime(open)}-${this.toTime(close)} on ${range.day}; ` +
+        `a ${duration}-minute appointment starting at ${this.toTime(slot.start)} does not fit`
+      );
+    }
+
+    const artists = await this.findArtists({ location, artistType, artistId, serviceId });
+    if (artists.length === 0) {
+      throw new ValidationError(`No ${artistType} artist at ${studio.name} offers this service`);
+    }
+
+    const schedules = await this.schedules(artists, range, hours, excludeId);
+    const free = schedules
+      .filter(schedule => this.isFree(schedule, slot))
+      .sort((a, b) => a.bookedMinutes - b.bookedMinutes);
+
+    if (free.length === 0) {
+      if (artistId && !this.isWorking(schedules[0], slot)) {
+        throw new ValidationError(`${schedules[0].artist.name} is not working at that time`);
+      }
+      throw new ConflictError('This time slot is already booked');
+    }
+
+    return {
+      appointmentDate: range.start,
+      timeSlot: { start: this.toTime(slot.start), end: this.toTime(slot.end) },
+      artist: free[0].artist
+    };
+  }
+
+  /**
+   * Check a booking once it is saved. Two requests for the same time can both pass
+   * assertAvailable before either is saved; each looks again afterwards and gives way
+   * if the other is there, so at most one of them keeps the time.
+   * @param {Object} booking - Saved booking
+   * @throws {ConflictError} - When another active booking now overlaps it
+   */
+  async assertNoClash(booking) {
+    const range = this.dayRange(booking.appointmentDate);
+    const artist = { _id: booking.artist.artistId || null, tier: booking.artist.type };
+    const others = await this.findBookings({
+      range,
+      location: booking.location,
+      artists: [artist],
+      excludeId: booking._id
+    });
+
+    const [own] = this.bookedIntervals([booking]);
+    if (this.findClash(own, this.bookedIntervals(others))) {
+      throw new ConflictError('This time slot has just been booked - please choose another');
+    }
+  }
+}
+
+module.exports = new AvailabilityService();
@@ -0,0 +1,666 @@
+/**
+ * src/core/services/BookingService.js
+ * New bookings (service bundles and recurring series), and changes to existing bookings
+ * that go beyond a status update: rescheduling, payment holds, and cancellations and
+ * no-shows under the refund policy
+ */
+
+const mongoose = require('mongoose');
+const Booking = require('../../../models/Booking');
+const Service = require('../../../models/Service');
+const User = require('../../../models/User');
+const AvailabilityService = require('./AvailabilityService');
+const RefundService = require('./RefundService');
+const WaitlistService = require('./WaitlistService');
+const CalendarService = require('./CalendarService');
+const IntakeService = require('./IntakeService');
+const { bookingRules, cancellationPolicy } = require('../../../config/studios');
+const sendEmail = require('../../../utils/sendEmail');
+const { bookingRescheduledEmail, bookingExpiredEmail } = require('../../../utils/emailTemplates');
+const ValidationError = require('../errors/ValidationError');
+const NotFoundError = require('../errors/NotFoundError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class BookingService {
+  /**
+   * When a new booking's unpaid hold runs out - never later than the appointment itself
+   * @param {Object} slot - { appointmentDate, timeSlot }
+   * @returns {Date}
+   */
+  holdExpiry(slot) {
+    const held = new Date(Date.now() + bookingRules.holdMinutes * 60 * 1000);
+    const startsAt = AvailabilityService.startsAt(slot);
+    return startsAt < held ? startsAt : held;
+  }
+
+  /**
+   * Load the services for a booking, in the order they will be done
+   * @param {Array} ids - Service ids
+   * @returns {Promise<Array>} - Service documents
+   */
+  async resolveServices(ids) {
+    const wanted = ids.map(String);
+    if (!wanted.length) {
+      throw new ValidationError('Please select a service');
+    }
+    if (new Set(wanted).size !== wanted.length) {
+      throw new ValidationError('Each service can only be booked once per appointment');
+    }
+
+    const docs = await Service.find({ _id: { $in: wanted } });
+    const services = wanted.map(id => docs.find(doc => doc._id.toString() === id));
+    if (services.some(service => !service)) {
+      throw new NotFoundError('Service not found');
+    }
+
+    return services;
+  }
+
+  /**
+   * Price of a set of services done by an artist of the given tier
+   * @param {Array} services - Service documents
+   * @param {String} tier - lulu | senior | artist
+   * @returns {Object} - { servicePrice, items } - items are the booking's `services` entries
+   */
+  priceFor(services, tier) {
+    const items = services.map(service => {
+      const pricing = service.pricing.find(p => p.artistType === tier);
+      if (!pricing) {
+        throw new ValidationError(
+          `Invalid artist type for ${services.length > 1 ? service.name : 'this service'}`
+        );
+      }
+      return { service: service._id, name: service.name, duration: service.duration, price: pricing.price };
+    });
+
+    return { servicePrice: items.reduce((sum, item) => sum + item.price, 0), items };
+  }
+
+  /**
+   * Days of a recurring series, starting with the first appointment
+   * @param {String|Date} date - First appointment
+   * @param {Object} recurrence - { intervalWeeks, occurrences }
+   * @returns {String[]} - "YYYY-MM-DD" days
+   */
+  occurrenceDates(date, { intervalWeeks, occurrences } = {}) {
+    const interval = Number(intervalWeeks);
+    const count = Number(occurrences);
+
+    if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+      throw new ValidationError('Repeat interval must be a whole number of weeks between 1 and 52');
+    }
+    if (!Number.isInteger(count) || count < 2 || count > bookingRules.maxSeriesOccurrences) {
+      throw new ValidationError(
+        `A series must have between 2 and ${bookingRules.maxSeriesOccurrences} appointments`
+      );
+    }
+
+    const { start } = AvailabilityService.dayRange(date);
+    return Array.from({ length: count }, (_, i) =>
+      new Date(start.getTime() + i * interval * 7 * DAY_MS).toISOString().slice(0, 10)
+    );
+  }
+
+  /**
+   * Book one or more services back-to-back, once or as a recurring series. Every
+   * occurrence is checked before anything is saved; a series is only booked if all of
+   * its dates are free. The first appointment is held as usual, later ones until
+   * seriesDepositDueHours before they start. The client needs a current intake form and,
+   * for some services, a valid patch test; intake answers may come with the booking.
+   * @param {Object} user - The customer
+   * @param {Object} details - { service, services, artist, location, appointmentDate, timeSlot, notes, recurrence, intake }
+   * @param {Object} meta - { ipAddress } for the consent signature
+   * @returns {Promise<Array>} - The created bookings, in date order
+   */
+  async create(user, { service, services, artist, location, appointmentDate, timeSlot, notes, recurrence, intake }, meta = {}) {
+    const serviceDocs = await this.resolveServices(
+      Array.isArray(services) && services.length ? services : [].concat(service || [])
+    );
+    const serviceIds = serviceDocs.map(doc => doc._id);
+    const duration = serviceDocs.reduce((sum, doc) => sum + doc.duration, 0);
+
+    const dates = recurrence ? this.occurrenceDates(appointmentDate, recurrence) : [appointmentDate];
+
+    // Customers pick an artist ({ artistId }) or any artist of a tier ({ type })
+    const requested = artist || {};
+    const slots = [];
+    const unavailable = [];
+
+    for (const date of dates) {
+      try {
+        slots.push(await AvailabilityService.assertAvailable({
+          date,
+          location,
+          artistType: requested.type,
+          artistId: requested.artistId,
+          serviceId: serviceIds.length > 1 ? serviceIds : serviceIds[0],
+          start: timeSlot && timeSlot.start,
+          duration
+        }));
+      } catch (err) {
+        if (dates.length === 1 || !err.statusCode || err.statusCode >= 500) {
+          throw err;
+        }
+        unavailable.push({ date, message: err.message });
+      }
+    }
+
+    if (unavailable.length) {
+      throw new ValidationError(
+        `${unavailable.length} of ${dates.length} dates in this series are not available`,
+        unavailable
+      );
+    }
+
+    const submissions = await IntakeService.assertReady(
+      user,
+      serviceDocs,
+      slots.map(slot => slot.appointmentDate),
+      intake,
+      meta
+    );
+
+    const series = dates.length > 1
+      ? { seriesId: new mongoose.Types.ObjectId(), count: dates.length, intervalWeeks: Number(recurrence.intervalWeeks) }
+      : null;
+
+    const bookings = [];
+    try {
+      for (const [i, slot] of slots.entries()) {
+        const { servicePrice, items } = this.priceFor(serviceDocs, slot.artist.tier);
+        const depositAmount = Math.round(servicePrice * 0.5); // 50% deposit
+
+        let holdExpiresAt = this.holdExpiry(slot);
+        if (i > 0) {
+          const due = new Date(AvailabilityService.startsAt(slot).getTime() - bookingRules.seriesDepositDueHours * 60 * 60 * 1000);
+          holdExpiresAt = due > holdExpiresAt ? due : holdExpiresAt;
+        }
+
+        // Created one at a time - booking numbers are counted from the bookings before
+        bookings.push(await Booking.create({
+          customer: user.id,
+          customerInfo: {
+            firstName: user.firstName,
+            lastName: user.lastName,
+            email: user.email,
+            phone: user.phone
+          },
+          service: serviceIds[0],
+          services: items,
+          serviceSnapshot: {
+            name: serviceDocs.map(doc => doc.name).join(' + '),
+            description: serviceDocs.map(doc => doc.description).join(' '),
+            duration
+          },
+          series: series ? { ...series, index: i + 1 } : undefined,
+          artist: {
+            type: slot.artist.tier,
+            name: slot.artist.name,
+            artistId: slot.artist._id
+          },
+          location,
+          appointmentDate: slot.appointmentDate,
+          timeSlot: slot.timeSlot,
+          holdExpiresAt,
+          pricing: {
+            servicePrice,
+            depositAmount,
+            balanceAmount: servicePrice - depositAmount
+          },
+          notes: {
+            customerNotes: notes
+          }
+        }));
+      }
+
+      // Another request may have taken one of these times while they were being saved
+      for (const booking of bookings) {
+        await AvailabilityService.assertNoClash(booking);
+      }
+    } catch (err) {
+      // Don't leave half a series holding slots
+      if (bookings.length) {
+        await Booking.deleteMany({ _id: { $in: bookings.map(booking => booking._id) } });
+      }
+      throw err;
+    }
+
+    await IntakeService.linkBookings(submissions, bookings);
+
+    return bookings;
+  }
+
+  /**
+   * Which services a booking covers, for availability checks
+   * @param {Object} booking - Booking document
+   * @returns {ObjectId|ObjectId[]}
+   */
+  serviceIds(booking) {
+    return booking.services && booking.services.length > 1
+      ? booking.services.map(item => item.service)
+      : booking.service;
+  }
+
+  /**
+   * Add an audit entry for a status change. Does not save.
+   * @param {Object} booking - Booking document
+   * @param {String} note - What happened and why
+   * @param {String} source - customer | admin | system
+   */
+  recordStatus(booking, note, source) {
+    booking.statusHistory.push({ status: booking.status, note, source, updatedAt: new Date() });
+  }
+
+  /**
+   * Move a booking to a new slot. Payments stay on the booking, so a paid deposit
+   * carries over. The tier (and so the price) is kept; the artist may change within it.
+   * Customers are held to the notice period and reschedule limit; admins are not.
+   * Either way the client needs a current intake and patch test on the new date.
+   * @param {Object} booking - Booking document
+   * @param {Object} changes - { appointmentDate, timeSlot: { start }, artist: { artistId }, reason }
+   * @param {Object} actor - { role } of the user making the change
+   * @returns {Promise<Object>} - Saved booking
+   */
+  async reschedule(booking, { appointmentDate, timeSlot, artist, reason }, actor) {
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      throw new ValidationError(`A ${booking.status} booking cannot be rescheduled`);
+    }
+
+    const isAdmin = actor.role === 'admin';
+
+    if (!isAdmin) {
+      const hoursBefore = (AvailabilityService.startsAt(booking) - Date.now()) / (1000 * 60 * 60);
+      if (hoursBefore < bookingRules.rescheduleNoticeHours) {
+        throw new ValidationError(
+          `Cannot reschedule within ${bookingRules.rescheduleNoticeHours} hours of appointment`
+        );
+      }
+
+      if (booking.rescheduleHistory.length >= bookingRules.maxReschedules) {
+        throw new ValidationError(
+          `This booking has already been rescheduled ${booking.rescheduleHistory.length} times - please contact us`
+        );
+      }
+    }
+
+    // Stay with the same artist unless another one (of the same tier) is asked for
+    const artistId = (artist && artist.artistId) || booking.artist.artistId;
+
+    const slot = await AvailabilityService.assertAvailable({
+      date: appointmentDate || booking.appointmentDate,
+      location: booking.location,
+      artistType: booking.artist.type,
+      artistId,
+      serviceId: this.serviceIds(booking),
+      start: (timeSlot && timeSlot.start) || booking.timeSlot.start,
+      duration: booking.serviceSnapshot.duration,
+      excludeId: booking._id
+    });
+
+    const unchanged = slot.appointmentDate.getTime() === new Date(booking.appointmentDate).getTime() &&
+      slot.timeSlot.start === booking.timeSlot.start &&
+      String(slot.artist._id || '') === String(booking.artist.artistId || '');
+    if (unchanged) {
+      throw new ValidationError('The booking is already in this slot');
+    }
+
+    // Intake and patch tests are checked for the new date, as for a new booking
+    const [client, services] = await Promise.all([
+      User.findById(booking.customer),
+      this.resolveServices([].concat(this.serviceIds(booking)))
+    ]);
+    if (!client) {
+      throw new NotFoundError('Customer not found');
+    }
+    await IntakeService.assertReady(client, services, [slot.appointmentDate]);
+
+    booking.rescheduleHistory.push({
+      appointmentDate: booking.appointmentDate,
+      timeSlot: { start: booking.timeSlot.start, end: booking.timeSlot.end },
+      artist: {
+        type: booking.artist.type,
+        name: booking.artist.name,
+        artistId: booking.artist.artistId
+      },
+      rescheduledBy: isAdmin ? 'admin' : 'customer',
+      reason
+    });
+
+    const previous = booking.rescheduleHistory[booking.rescheduleHistory.length - 1];
+    const previousReminder = booking.reminder && booking.reminder.toObject
+      ? booking.reminder.toObject()
+      : { ...booking.reminder };
+
+    booking.appointmentDate = slot.appointmentDate;
+    booking.timeSlot = slot.timeSlot;
+    booking.artist = {
+      type: slot.artist.tier,
+      name: slot.artist.name,
+      artistId: slot.artist._id
+    };
+
+    // Reminders go out again for the new slot
+    booking.reminder = {
+      emailSent: false,
+      smsSent: false
+    };
+
+    await booking.save();
+
+    try {
+      await AvailabilityService.assertNoClash(booking);
+    } catch (err) {
+      // Someone else took the new time as this was saved - put the booking back
+      booking.appointmentDate = previous.appointmentDate;
+      booking.timeSlot = { start: previous.timeSlot.start, end: previous.timeSlot.end };
+      booking.artist = { type: previous.artist.type, name: previous.artist.name, artistId: previous.artist.artistId };
+      booking.reminder = previousReminder;
+      booking.rescheduleHistory.pop();
+      await booking.save();
+      throw err;
+    }
+
+    try {
+      await sendEmail({
+        email: booking.customerInfo.email,
+        subject: 'Booking Rescheduled - Lulu Artistry',
+        html: bookingRescheduledEmail(booking, previous),
+        // Same event UID with a higher sequence, so calendars move the appointment
+        attachments: [CalendarService.bookingInvite(booking)]
+      });
+    } catch (err) {
+      console.error('Booking reschedule email failed:', err.message);
+    }
+
+    return booking;
+  }
+
+  /**
+   * Complete a booking once it is fully paid and the appointment is under way.
+   * Balances paid ahead of time leave it confirmed. Does not save.
+   * @param {Object} booking - Booking document
+   * @returns {Boolean} - Whether the booking was completed
+   */
+  completeIfPaid(booking) {
+    if (!booking.payment.depositPaid || !booking.payment.balancePaid) {
+      return false;
+    }
+
+    const started = booking.status === 'in-progress' ||
+      (booking.status === 'confirmed' && AvailabilityService.startsAt(booking) <= new Date());
+    if (!started) {
+      return false;
+    }
+
+    booking.status = 'completed';
+    return true;
+  }
+
+  /**
+   * Work out what the customer gets back under the cancellation policy
+   * @param {Object} booking - Booking document
+   * @param {Object} options - { noShow } or the admin overrides { refundAmount, fullRefund }
+   * @returns {Object} - { policy, hoursNotice, paid, refundAmount, forfeitedAmount }
+   */
+  refundQuote(booking, { noShow = false, expired = false, refundAmount, fullRefund = false } = {}) {
+    const paid = RefundService.amountPaid('booking', booking);
+    const deposit = booking.payment.depositPaid ? booking.pricing.depositAmount : 0;
+    const balance = paid - deposit;
+    const hoursBefore = (AvailabilityService.startsAt(booking) - Date.now()) / (1000 * 60 * 60);
+    const hoursNotice = Math.round(hoursBefore * 10) / 10;
+
+    let policy;
+    let refund;
+
+    if (refundAmount !== undefined && refundAmount !== null && refundAmount !== '') {
+      refund = Number(refundAmount);
+      if (Number.isNaN(refund) || refund < 0 || refund > paid) {
+        throw new ValidationError(`Refund amount must be between ₦0 and ₦${paid.toLocaleString()}`);
+      }
+      policy = 'override';
+    } else if (fullRefund) {
+      policy = 'override';
+      refund = paid;
+    } else if (noShow || expired) {
+      // An expired hold has normally had nothing paid, but is treated like a no-show if it has
+      policy = expired ? 'expired' : 'no-show';
+      refund = balance + Math.round(deposit * cancellationPolicy.noShowRefundPercent / 100);
+    } else if (hoursNotice >= cancellationPolicy.fullRefundHours) {
+      policy = 'full';
+      refund = paid;
+    } else {
+      policy = 'late';
+      refund = balance + Math.round(deposit * cancellationPolicy.lateRefundPercent / 100);
+    }
+
+    return { policy, hoursNotice, paid, refundAmount: refund, forfeitedAmount: paid - refund };
+  }
+
+  /**
+   * Record the policy outcome on the booking
+   * @param {Object} booking - Booking document
+   * @param {Object} quote - From refundQuote
+   */
+  recordOutcome(booking, quote) {
+    booking.cancellation.policy = quote.policy;
+    booking.cancellation.hoursNotice = quote.hoursNotice;
+    booking.cancellation.forfeitedAmount = quote.forfeitedAmount;
+
+    // Paid but nothing comes back - the deposit is kept
+    if (quote.paid > 0 && quote.refundAmount === 0) {
+      booking.cancellation.refundStatus = 'rejected';
+    }
+  }
+
+  /**
+   * Summarise a policy outcome for the audit trail
+   * @param {Object} quote - From refundQuote
+   * @returns {String}
+   */
+  describeOutcome(quote) {
+    if (quote.paid === 0) {
+      return 'nothing paid';
+    }
+    return `₦${quote.refundAmount.toLocaleString()} refunded, ₦${quote.forfeitedAmount.toLocaleString()} forfeited (${quote.policy} policy)`;
+  }
+
+  /**
+   * Send the refund the policy allows through the gateway that took the payment.
+   * The booking change stands even if the refund fails; it can be retried from the refunds admin.
+   * @param {Object} booking - Saved booking document
+   * @param {Object} quote - From refundQuote
+   * @param {String} reason - Shown on the refund
+   * @param {Object} actor - { id } of the user making the change
+   * @returns {Promise<Object>} - The booking as updated by the refund
+   */
+  async settleRefund(booking, quote, reason, actor) {
+    if (quote.refundAmount <= 0) {
+      return booking;
+    }
+
+    try {
+      const refunds = await RefundService.create({
+        entityType: 'booking',
+        entityId: booking._id,
+        amount: quote.refundAmount,
+        reason,
+        requestedBy: actor.id
+      });
+
+      if (refunds.every(refund => refund.status === 'failed')) {
+        await Booking.updateOne({ _id: booking._id }, { $set: { 'cancellation.refundStatus': 'failed' } });
+      }
+    } catch (err) {
+      console.error('Booking refund failed:', err.message);
+      await Booking.updateOne({ _id: booking._id }, { $set: { 'cancellation.refundStatus': 'failed' } });
+    }
+
+    return Booking.findById(booking._id);
+  }
+
+  /**
+   * Cancel a booking and refund what the policy allows.
+   * Admins may set the refund themselves with refundAmount or fullRefund.
+   * @param {Object} booking - Booking document
+   * @param {Object} options - { reason, refundAmount, fullRefund }
+   * @param {Object} actor - { id, role } of the user cancelling
+   * @returns {Promise<Object>} - Updated booking
+   */
+  async cancel(booking, { reason, refundAmount, fullRefund } = {}, actor) {
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      throw new ValidationError(`A ${booking.status} booking cannot be cancelled`);
+    }
+
+    const isAdmin = actor.role === 'admin';
+    const quote = this.refundQuote(booking, isAdmin ? { refundAmount, fullRefund } : {});
+
+    if (!isAdmin && quote.hoursNotice <= 0) {
+      throw new ValidationError('This appointment has already started');
+    }
+
+    booking.status = 'cancelled';
+    booking.cancellation.isCancelled = true;
+    booking.cancellation.cancelledBy = isAdmin ? 'admin' : 'customer';
+    booking.cancellation.cancelledAt = new Date();
+    booking.cancellation.reason = reason;
+    this.recordOutcome(booking, quote);
+    this.recordStatus(
+      booking,
+      `Cancelled ${quote.hoursNotice}h before the appointment${reason ? ` (${reason})` : ''}: ${this.describeOutcome(quote)}`,
+      isAdmin ? 'admin' : 'customer'
+    );
+
+    await booking.save();
+    await this.offerFreedSlot(booking);
+
+    return this.settleRefund(booking, quote, reason || `Booking ${booking.bookingNumber} cancelled`, actor);
+  }
+
+  /**
+   * Cancel what is left of a recurring series. Appointments already past, started or
+   * closed are left alone; each remaining one is cancelled (and refunded) on its own terms.
+   * @param {Array} bookings - Booking documents in the series
+   * @param {Object} options - { reason, fullRefund }
+   * @param {Object} actor - { role } of the user cancelling
+   * @returns {Promise<Array>} - The bookings cancelled
+   */
+  async cancelSeries(bookings, { reason, fullRefund } = {}, actor) {
+    const now = new Date();
+    const remaining = bookings.filter(booking =>
+      ['pending', 'confirmed'].includes(booking.status) && AvailabilityService.startsAt(booking) > now
+    );
+
+    if (!remaining.length) {
+      throw new ValidationError('There are no upcoming appointments left in this series');
+    }
+
+    const cancelled = [];
+    for (const booking of remaining) {
+      cancelled.push(await this.cancel(booking, { reason, fullRefund }, actor));
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Mark a booking as a no-show; the deposit is forfeited under the policy
+   * @param {Object} booking - Booking document
+   * @param {Object} actor - { id, role } of the user or job making the change
+   * @param {String} note - Why, for the audit trail
+   * @returns {Promise<Object>} - Updated booking
+   */
+  async markNoShow(booking, actor, note) {
+    if (!['pending', 'confirmed'].includes(booking.status)) {
+      throw new ValidationError(`A ${booking.status} booking cannot be marked as a no-show`);
+    }
+
+    const quote = this.refundQuote(booking, { noShow: true });
+
+    booking.status = 'no-show';
+    this.recordOutcome(booking, quote);
+    this.recordStatus(
+      booking,
+      `${note || 'Marked as a no-show'}: ${this.describeOutcome(quote)}`,
+      actor.role === 'admin' ? 'admin' : 'system'
+    );
+
+    await booking.save();
+
+    return this.settleRefund(booking, quote, `Booking ${booking.bookingNumber} no-show`, actor);
+  }
+
+  /**
+   * Cancel a pending booking whose deposit never arrived, freeing its slot.
+   * Only applies if the booking is still pending and unpaid, so a deposit
+   * that lands at the same moment wins.
+   * @param {Object} booking - Booking document
+   * @returns {Promise<Object|null>} - Cancelled booking, null if it was paid or changed meanwhile
+   */
+  async expireHold(booking) {
+    const quote = this.refundQuote(booking, { expired: true });
+    const reason = 'Deposit not paid before the hold expired';
+    const now = new Date();
+
+    const expired = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'pending', 'payment.depositPaid': false },
+      {
+        $set: {
+          status: 'cancelled',
+          'cancellation.isCancelled': true,
+          'cancellation.cancelledBy': 'system',
+          'cancellation.cancelledAt': now,
+          'cancellation.reason': reason,
+          'cancellation.policy': quote.policy,
+          'cancellation.hoursNotice': quote.hoursNotice,
+          'cancellation.forfeitedAmount': quote.forfeitedAmount
+        },
+        $push: {
+          statusHistory: {
+            status: 'cancelled',
+            note: `${reason} - slot released: ${this.describeOutcome(quote)}`,
+            source: 'system',
+            updatedAt: now
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!expired) {
+      return null;
+    }
+
+    if (expired.customerInfo && expired.customerInfo.email) {
+      try {
+        await sendEmail({
+          email: expired.customerInfo.email,
+          subject: 'Booking Released - Lulu Artistry',
+          html: bookingExpiredEmail(expired)
+        });
+      } catch (err) {
+        console.error('Booking expiry email failed:', err.message);
+      }
+    }
+
+    await this.offerFreedSlot(expired);
+
+    return this.settleRefund(expired, quote, `Booking ${expired.bookingNumber} expired`, { role: 'system' });
+  }
+
+  /**
+   * Pass a cancelled booking's slot to the waitlist. The cancellation stands
+   * even if this fails.
+   * @param {Object} booking - Cancelled booking
+   * @returns {Promise<void>}
+   */
+  async offerFreedSlot(booking) {
+    try {
+      await WaitlistService.bookingFreed(booking);
+    } catch (err) {
+      console.error(`Waitlist offer for booking ${booking.bookingNumber} failed:`, err.message);
+    }
+  }
+}
+
+module.exports = new BookingService();
@@ -0,0 +1,235 @@
+/**
+ * src/core/services/CalendarService.js
+ * Calendar invites for confirmation emails, and read-only iCal feeds of upcoming
+ * appointments and course sessions per studio and per artist
+ */
+
+const crypto = require('crypto');
+const Booking = require('../../../models/Booking');
+const Enrollment = require('../../../models/Enrollment');
+const Artist = require('../../../models/Artist');
+const AvailabilityService = require('./AvailabilityService');
+const { getStudio } = require('../../../config/studios');
+const { buildCalendar, calendarAttachment } = require('../../../utils/ical');
+const NotFoundError = require('../errors/NotFoundError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class CalendarService {
+  /**
+   * Feed URLs carry a token signed for one studio or artist, so they can be given to
+   * calendar apps that can't log in. Changing CALENDAR_FEED_SECRET revokes every feed URL.
+   * @param {String} scope - location | artist
+   * @param {String} id - Location key or artist ID
+   * @returns {String}
+   */
+  feedToken(scope, id) {
+    return crypto
+      .createHmac('sha256', process.env.CALENDAR_FEED_SECRET || process.env.JWT_SECRET)
+      .update(`${scope}:${id}`)
+      .digest('hex');
+  }
+
+  /**
+   * Check a feed token
+   * @param {String} scope - location | artist
+   * @param {String} id - Location key or artist ID
+   * @param {String} token - From the feed URL
+   * @returns {Boolean}
+   */
+  verifyToken(scope, id, token) {
+    const expected = Buffer.from(this.feedToken(scope, id));
+    const received = Buffer.from(String(token || ''));
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Calendar event for an appointment
+   * @param {Object} booking - Booking document
+   * @param {Object} options - { staff } - staff events name the customer instead of the studio
+   * @returns {Object} - Event for buildCalendar
+   */
+  bookingEvent(booking, { staff = false } = {}) {
+    const studio = getStudio(booking.location);
+    const customer = [booking.customerInfo.firstName, booking.customerInfo.lastName].filter(Boolean).join(' ');
+    const details = [
+      `Booking #: ${booking.bookingNumber}`,
+      `Artist: ${booking.artist.name || 'Lulu'}`
+    ];
+
+    if (staff) {
+      details.push(`Client: ${customer}${booking.customerInfo.phone ? ` (${booking.customerInfo.phone})` : ''}`);
+      if (booking.notes && booking.notes.customerNotes) {
+        details.push(`Notes: ${booking.notes.customerNotes}`);
+      }
+    } else {
+      details.push('Please arrive 10 minutes early.');
+    }
+
+    return {
+      uid: `booking-${booking._id}@luluartistry.com`,
+      start: AvailabilityService.startsAt(booking),
+      end: AvailabilityService.startsAt({ appointmentDate: booking.appointmentDate, timeSlot: { start: booking.timeSlot.end } }),
+      summary: staff ? `${booking.serviceSnapshot.name} - ${customer}` : `${booking.serviceSnapshot.name} at Lulu Artistry`,
+      description: details.join('\n'),
+      location: studio ? studio.name : booking.location,
+      url: staff ? undefined : `${process.env.FRONTEND_URL}/bookings/${booking.bookingNumber}`,
+      // Unpaid bookings are pencilled in until the deposit arrives
+      status: { pending: 'TENTATIVE', cancelled: 'CANCELLED' }[booking.status] || 'CONFIRMED',
+      // Calendar apps replace an event when the sequence goes up
+      sequence: (booking.rescheduleHistory || []).length,
+      updatedAt: booking.updatedAt
+    };
+  }
+
+  /**
+   * All-day calendar event covering a course run
+   * @param {Object} session - { uid, title, startDate, days, location, description, url }
+   * @returns {Object} - Event for buildCalendar
+   */
+  sessionEvent({ uid, title, startDate, days, location, description, url }) {
+    const studio = getStudio(location);
+    const { start } = AvailabilityService.dayRange(startDate);
+
+    return {
+      uid,
+      allDay: true,
+      start,
+      end: new Date(start.getTime() + Math.max(days || 1, 1) * DAY_MS),
+      summary: title,
+      description,
+      location: studio ? studio.name : location,
+      url
+    };
+  }
+
+  /**
+   * .ics attachment for a booking email
+   * @param {Object} booking - Booking document
+   * @returns {Object} - Nodemailer attachment
+   */
+  bookingInvite(booking) {
+    return calendarAttachment(
+      `${booking.bookingNumber}.ics`,
+      buildCalendar({ events: [this.bookingEvent(booking)] })
+    );
+  }
+
+  /**
+   * .ics attachment for an enrollment email
+   * @param {Object} enrollment - Enrollment document
+   * @param {Number} days - Course length in days
+   * @returns {Object} - Nodemailer attachment
+   */
+  enrollmentInvite(enrollment, days) {
+    const event = this.sessionEvent({
+      uid: `enrollment-${enrollment._id}@luluartistry.com`,
+      title: `${enrollment.courseSnapshot.title} - Lulu Artistry Academy`,
+      startDate: enrollment.startDate,
+      days,
+      location: enrollment.location,
+      description: `Enrollment #: ${enrollment.enrollmentNumber}\nPlease bring a valid ID, a notebook and a pen.`,
+      url: `${process.env.FRONTEND_URL}/enrollments/${enrollment.enrollmentNumber}`
+    });
+
+    return calendarAttachment(`${enrollment.enrollmentNumber}.ics`, buildCalendar({ events: [event] }));
+  }
+
+  /**
+   * Upcoming paid course runs at a studio, one event per course and start date
+   * @param {String} location - Studio key
+   * @returns {Promise<Object[]>} - Events for buildCalendar
+   */
+  async courseSessions(location) {
+    const { start: today } = AvailabilityService.dayRange(new Date());
+
+    const enrollments = await Enrollment.find({
+      location,
+      status: 'active',
+      startDate: { $gte: today }
+    })
+      .populate('course', 'title durationInDays')
+      .sort('startDate');
+
+    const sessions = new Map();
+    enrollments.forEach(enrollment => {
+      if (!enrollment.course) {
+        return;
+      }
+
+      const key = `${enrollment.course._id}-${AvailabilityService.dayRange(enrollment.startDate).day}`;
+      if (!sessions.has(key)) {
+        sessions.set(key, { course: enrollment.course, startDate: enrollment.startDate, students: [] });
+      }
+      sessions.get(key).students.push(
+        [enrollment.studentInfo.firstName, enrollment.studentInfo.lastName].filter(Boolean).join(' ')
+      );
+    });
+
+    return [...sessions.entries()].map(([key, session]) => this.sessionEvent({
+      uid: `course-${key}-${location}@luluartistry.com`,
+      title: `${session.course.title} (${session.students.length} ${session.students.length === 1 ? 'student' : 'students'})`,
+      startDate: session.startDate,
+      days: session.course.durationInDays,
+      location,
+      description: `Students: ${session.students.join(', ')}`
+    }));
+  }
+
+  /**
+   * Feed of a studio's upcoming confirmed appointments and course sessions
+   * @param {String} location - Studio key
+   * @returns {Promise<String>} - iCalendar text
+   */
+  async locationFeed(location) {
+    const studio = getStudio(location);
+    if (!studio) {
+      throw new NotFoundError('Studio not found');
+    }
+
+    const { start: today } = AvailabilityService.dayRange(new Date());
+    const bookings = await Booking.find({
+      location,
+      status: 'confirmed',
+      appointmentDate: { $gte: today }
+    }).sort('appointmentDate timeSlot.start');
+
+    const sessions = await this.courseSessions(location);
+
+    return buildCalendar({
+      name: `Lulu Artistry - ${studio.name}`,
+      events: [
+        ...bookings.map(booking => this.bookingEvent(booking, { staff: true })),
+        ...sessions
+      ]
+    });
+  }
+
+  /**
+   * Feed of an artist's upcoming confirmed appointments. Courses aren't assigned
+   * to artists, so their sessions only appear on the studio feed.
+   * @param {String} artistId - Artist ID
+   * @returns {Promise<String>} - iCalendar text
+   */
+  async artistFeed(artistId) {
+    const artist = await Artist.findById(artistId);
+    if (!artist) {
+      throw new NotFoundError('Artist not found');
+    }
+
+    const { start: today } = AvailabilityService.dayRange(new Date());
+    const bookings = await Booking.find({
+      'artist.artistId': artist._id,
+      status: 'confirmed',
+      appointmentDate: { $gte: today }
+    }).sort('appointmentDate timeSlot.start');
+
+    return buildCalendar({
+      name: `Lulu Artistry - ${artist.name}`,
+      events: bookings.map(booking => this.bookingEvent(booking, { staff: true }))
+    });
+  }
+}
+
+module.exports = new CalendarService();
@@ -0,0 +1,444 @@
+/**
+ * src/core/services/CartService.js
+ * Cart business logic for user and guest (session) carts
+ */
+
+const Cart = require('../../../models/Cart');
+const Product = require('../../../models/Product');
+const CouponService = require('./CouponService');
+const NotFoundError = require('../errors/NotFoundError');
+const ValidationError = require('../errors/ValidationError');
+
+class CartService {
+  constructor() {
+    // Cookie that carries a guest's cart session ID
+    this.sessionCookie = 'cartSession';
+  }
+
+  /**
+   * Build the query that identifies a cart owner
+   * @param {Object} owner - { userId, sessionId }
+   * @returns {Object}
+   */
+  ownerQuery(owner) {
+    if (owner.userId) {
+      return { user: owner.userId };
+    }
+    if (owner.sessionId) {
+      return { sessionId: owner.sessionId };
+    }
+    throw new ValidationError('A user or cart session is required');
+  }
+
+  /**
+   * Get the owner's cart, creating an empty one if needed
+   * @param {Object} owner - { userId, sessionId }
+   * @returns {Promise<Object>}
+   */
+  async getOrCreateCart(owner) {
+    const query = this.ownerQuery(owner);
+    let cart = await Cart.findOne(query);
+    if (!cart) {
+      cart = new Cart(query);
+    }
+    return cart;
+  }
+
+  /**
+   * Resolve a product and optional variant, and the unit price and stock that apply
+   * @param {Object} product - Product document
+   * @param {String} variantId - Variant _id (optional)
+   * @returns {Object} - { variant, unitPrice, available }
+   */
+  resolveLine(product, variantId) {
+    if (product.variants && product.variants.length > 0) {
+      if (!variantId) {
+        throw new ValidationError(`Please select an option for ${product.name}`);
+      }
+      const variant = product.variants.id(variantId);
+      if (!variant) {
+        throw new NotFoundError(`Selected option is not available for ${product.name}`);
+      }
+      return {
+        variant,
+        unitPrice: product.price + (variant.priceAdjustment || 0),
+        available: variant.stock
+      };
+    }
+
+    return { variant: null, unitPrice: product.price, available: product.stock };
+  }
+
+  /**
+   * Find a cart line for a product/variant pair
+   * @param {Object} cart - Cart document
+   * @param {String} productId - Product ID
+   * @param {String} variantId - Variant ID (optional)
+   * @returns {Object|undefined}
+   */
+  findLine(cart, productId, variantId) {
+    return cart.items.find(item =>
+      item.product.toString() === productId.toString() &&
+      String(item.variant?.variantId || '') === String(variantId || '')
+    );
+  }
+
+  /**
+   * Add a product (and variant) to the cart
+   * @param {Object} owner - { userId, sessionId }
+   * @param {Object} data - { productId, variantId, quantity }
+   * @returns {Promise<Object>}
+   */
+  async addItem(owner, { productId, variantId, quantity = 1 }) {
+    quantity = parseInt(quantity, 10);
+    if (!productId || !quantity || quantity < 1) {
+      throw new ValidationError('Please provide a product and a quantity of at least 1');
+    }
+
+    const product = await Product.findById(productId);
+    if (!product || !product.isActive) {
+      throw new NotFoundError('Product not found');
+    }
+
+    const { variant, unitPrice, available } = this.resolveLine(product, variantId);
+    const cart = await this.getOrCreateCart(owner);
+    const line = this.findLine(cart, product._id, variant?._id);
+    const newQuantity = (line ? line.quantity : 0) + quantity;
+
+    if (newQuantity > available) {
+      throw new ValidationError(`Only ${available} of ${product.name} left in stock`);
+    }
+
+    if (line) {
+      line.quantity = newQuantity;
+      line.price = unitPrice;
+    } else {
+      cart.items.push({
+        product: product._id,
+        variant: variant ? {
+          variantId: variant._id,
+          sku: variant.sku,
+          name: variant.type,
+          value: variant.value
+        } : undefined,
+        quantity,
+        price: unitPrice
+      });
+    }
+
+    return await this.refreshCart(cart, owner);
+  }
+
+  /**
+   * Change the quantity of a cart line
+   * @param {Object} owner - { userId, sessionId }
+   * @param {String} itemId - Cart line ID
+   * @param {Number} quantity - New quantity (0 removes the line)
+   * @returns {Promise<Object>}
+   */
+  async updateItem(owner, itemId, quantity) {
+    quantity = parseInt(quantity, 10);
+    if (isNaN(quantity) || quantity < 0) {
+      throw new ValidationError('Quantity must be 0 or more');
+    }
+
+    const cart = await Cart.findOne(this.ownerQuery(owner));
+    const line = cart && cart.items.id(itemId);
+    if (!line) {
+      throw new NotFoundError('Cart item not found');
+    }
+
+    if (quantity === 0) {
+      line.deleteOne();
+      return await this.refreshCart(cart, owner);
+    }
+
+    const product = await Product.findById(line.product);
+    if (!product || !product.isActive) {
+      throw new NotFoundError('Product not found');
+    }
+
+    const { available } = this.resolveLine(product, line.variant?.variantId);
+    if (quantity > available) {
+      throw new ValidationError(`Only ${available} of ${product.name} left in stock`);
+    }
+
+    line.quantity = quantity;
+    return await this.refreshCart(cart, owner);
+  }
+
+  /**
+   * Remove a cart line
+   * @param {Object} owner - { userId, sessionId }
+   * @param {String} itemId - Cart line ID
+   * @returns {Promise<Object>}
+   */
+  async removeItem(owner, itemId) {
+    const cart = await Cart.findOne(this.ownerQuery(owner));
+    const line = cart && cart.items.id(itemId);
+    if (!line) {
+      throw new NotFoundError('Cart item not found');
+    }
+
+    line.deleteOne();
+    return await this.refreshCart(cart, owner);
+  }
+
+  /**
+   * Empty the cart
+   * @param {Object} owner - { userId, sessionId }
+   * @returns {Promise<Object>}
+   */
+  async clearCart(owner) {
+    const cart = await this.getOrCreateCart(owner);
+    cart.items = [];
+    cart.appliedCoupon = undefined;
+    await cart.save();
+    return { cart, changes: [] };
+  }
+
+  /**
+   * Apply a coupon code to the cart
+   * @param {Object} owner - { userId, sessionId }
+   * @param {String} code - Coupon code
+   * @returns {Promise<Object>}
+   */
+  async applyCoupon(owner, code) {
+    if (!code) {
+      throw new ValidationError('Please provide a coupon code');
+    }
+
+    const cart = await Cart.findOne(this.ownerQuery(owner));
+    if (!cart || cart.items.length === 0) {
+      throw new ValidationError('Your cart is empty');
+    }
+
+    // Re-price first so the discount is computed on current prices
+    await this.repriceLines(cart);
+    cart.appliedCoupon = await this.couponSnapshot(cart, code, owner);
+    await cart.save();
+
+    return { cart, changes: [] };
+  }
+
+  /**
+   * Remove the applied coupon
+   * @param {Object} owner - { userId, sessionId }
+   * @returns {Promise<Object>}
+   */
+  async removeCoupon(owner) {
+    const cart = await this.getOrCreateCart(owner);
+    cart.appliedCoupon = undefined;
+    await cart.save();
+    return { cart, changes: [] };
+  }
+
+  /**
+   * Validate a coupon against the cart lines and build the appliedCoupon snapshot
+   * @param {Object} cart - Cart document (already re-priced)
+   * @param {String} code - Coupon code
+   * @param {Object} owner - { userId, sessionId }
+   * @returns {Promise<Object>}
+   */
+  async couponSnapshot(cart, code, owner) {
+    const products = await Product.find({ _id: { $in: cart.items.map(item => item.product) } })
+      .select('category');
+    const categoryById = new Map(products.map(p => [p._id.toString(), p.category]));
+
+    const { coupon, discount } = await CouponService.validate({
+      code,
+      userId: owner.userId,
+      scope: 'products',
+      items: cart.items.map(item => ({
+        product: item.product,
+        category: categoryById.get(item.product.toString()),
+        lineTotal: item.price * item.quantity
+      }))
+    });
+
+    return {
+      code: coupon.code,
+      discountAmount: discount,
+      discountPercentage: coupon.discountType === 'percentage' ? coupon.discountValue : undefined
+    };
+  }
+
+  /**
+   * Re-price every line against the catalog, dropping or capping lines
+   * that are no longer available
+   * @param {Object} cart - Cart document
+   * @returns {Promise<Array>} - Human readable list of changes
+   */
+  async repriceLines(cart) {
+    const changes = [];
+    const productIds = cart.items.map(item => item.product);
+    const products = await Product.find({ _id: { $in: productIds } });
+    const byId = new Map(products.map(p => [p._id.toString(), p]));
+
+    for (const line of [...cart.items]) {
+      const product = byId.get(line.product.toString());
+
+      if (!product || !product.isActive) {
+        changes.push({ item: line._id, type: 'removed', message: 'A product in your cart is no longer available' });
+        line.deleteOne();
+        continue;
+      }
+
+      let resolved;
+      try {
+        resolved = this.resolveLine(product, line.variant?.variantId);
+      } catch (err) {
+        changes.push({ item: line._id, type: 'removed', message: `${product.name}: ${err.message}` });
+        line.deleteOne();
+        continue;
+      }
+
+      if (resolved.available < 1) {
+        changes.push({ item: line._id, type: 'removed', message: `${product.name} is out of stock` });
+        line.deleteOne();
+        continue;
+      }
+
+      if (line.quantity > resolved.available) {
+        changes.push({
+          item: line._id,
+          type: 'quantity',
+          message: `Only ${resolved.available} of ${product.name} left in stock`
+        });
+        line.quantity = resolved.available;
+      }
+
+      if (line.price !== resolved.unitPrice) {
+        changes.push({
+          item: line._id,
+          type: 'price',
+          message: `${product.name} price changed from ₦${line.price.toLocaleString()} to ₦${resolved.unitPrice.toLocaleString()}`
+        });
+        line.price = resolved.unitPrice;
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Re-price the cart, recompute the coupon discount and save if anything changed
+   * @param {Object} cart - Cart document
+   * @param {Object} owner - { userId, sessionId }
+   * @returns {Promise<Object>} - { cart, changes }
+   */
+  async refreshCart(cart, owner) {
+    const changes = await this.repriceLines(cart);
+
+    if (cart.appliedCoupon && cart.appliedCoupon.code) {
+      try {
+        cart.appliedCoupon = await this.couponSnapshot(cart, cart.appliedCoupon.code, owner);
+      } catch (err) {
+        changes.push({ type: 'coupon', message: `Coupon ${cart.appliedCoupon.code} removed: ${err.message}` });
+        cart.appliedCoupon = undefined;
+      }
+    }
+
+    // A cart is only stored once something has been put in it
+    if (cart.isNew ? cart.items.length > 0 : cart.isModified()) {
+      await cart.save();
+    }
+    await cart.populate('items.product', 'name slug images price stock isActive');
+
+    return { cart, changes };
+  }
+
+  /**
+   * Get the owner's cart with up-to-date prices.
+   * Owners without a cart get an empty one that is not saved.
+   * @param {Object} owner - { userId, sessionId }
+   * @returns {Promise<Object>}
+   */
+  async getCart(owner) {
+    const query = this.ownerQuery(owner);
+    const cart = await Cart.findOne(query);
+    if (!cart) {
+      return { cart: new Cart(query), changes: [] };
+    }
+    return await this.refreshCart(cart, owner);
+  }
+
+  /**
+   * Merge a guest session cart into a user's cart after login.
+   * Quantities for the same product/variant are added and capped at available stock.
+   * @param {String} sessionId - Guest cart session ID
+   * @param {String} userId - User ID
+   * @returns {Promise<Object|null>} - { cart, changes } or null if there was nothing to merge
+   */
+  async mergeGuestCart(sessionId, userId) {
+    if (!sessionId) {
+      return null;
+    }
+
+    const guestCart = await Cart.findOne({ sessionId, user: { $exists: false } });
+    if (!guestCart) {
+      return null;
+    }
+
+    const owner = { userId };
+    const cart = await this.getOrCreateCart(owner);
+    const changes = [];
+
+    const products = await Product.find({ _id: { $in: guestCart.items.map(item => item.product) } });
+    const byId = new Map(products.map(p => [p._id.toString(), p]));
+
+    for (const guestLine of guestCart.items) {
+      const product = byId.get(guestLine.product.toString());
+      if (!product || !product.isActive) {
+        continue;
+      }
+
+      let available;
+      try {
+        ({ available } = this.resolveLine(product, guestLine.variant?.variantId));
+      } catch (err) {
+        continue;
+      }
+
+      const line = this.findLine(cart, guestLine.product, guestLine.variant?.variantId);
+      const wanted = (line ? line.quantity : 0) + guestLine.quantity;
+      const quantity = Math.min(wanted, available);
+
+      if (quantity < wanted) {
+        changes.push({
+          type: 'quantity',
+          message: `Only ${available} of ${product.name} left in stock`
+        });
+      }
+
+      if (quantity < 1) {
+        continue;
+      }
+
+      if (line) {
+        line.quantity = quantity;
+      } else {
+        cart.items.push({
+          product: guestLine.product,
+          variant: guestLine.variant,
+          quantity,
+          price: guestLine.price
+        });
+      }
+    }
+
+    // Keep the user's own coupon, otherwise carry the guest's over
+    if ((!cart.appliedCoupon || !cart.appliedCoupon.code) && guestCart.appliedCoupon?.code) {
+      cart.appliedCoupon = guestCart.appliedCoupon;
+    }
+
+    const result = await this.refreshCart(cart, owner);
+    result.changes = changes.concat(result.changes);
+
+    // Only once the merged cart is saved, so a failed merge keeps the guest's items
+    await Cart.deleteOne({ _id: guestCart._id });
+    return result;
+  }
+}
+
+module.exports = new CartService();
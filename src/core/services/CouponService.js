@@ -0,0 +1,167 @@
+/**
+ * src/core/services/CouponService.js
+ * Coupon validation, discount calculation and redemption
+ */
+
+const mongoose = require('mongoose');
+const Coupon = require('../../../models/Coupon');
+const ValidationError = require('../errors/ValidationError');
+const ConflictError = require('../errors/ConflictError');
+
+class CouponService {
+  /**
+   * Find a coupon by its code
+   * @param {String} code - Coupon code (case insensitive)
+   * @returns {Promise<Object|null>}
+   */
+  async findByCode(code) {
+    if (!code || typeof code !== 'string') {
+      return null;
+    }
+    return await Coupon.findOne({ code: code.toUpperCase().trim() });
+  }
+
+  /**
+   * Check a coupon against a set of lines and work out the discount.
+   * Category and product restrictions limit which lines count towards
+   * the minimum order amount and the discount.
+   * @param {Object} options
+   * @param {String} options.code - Coupon code
+   * @param {String} options.userId - User redeeming the coupon (optional for guests)
+   * @param {String} options.scope - 'products', 'services' or 'courses'
+   * @param {Array} options.items - [{ product, category, lineTotal }]
+   * @returns {Promise<Object>} - { coupon, discount, eligibleSubtotal }
+   */
+  async validate({ code, userId, scope = 'products', items = [] }) {
+    const coupon = await this.findByCode(code);
+
+    if (!coupon || !coupon.isValid) {
+      throw new ValidationError('Invalid or expired coupon code');
+    }
+
+    if (coupon.applicableTo !== 'all' && coupon.applicableTo !== scope) {
+      throw new ValidationError(`This coupon cannot be used on ${scope}`);
+    }
+
+    if (userId && !coupon.canUserUse(userId)) {
+      throw new ValidationError('You have already used this coupon');
+    }
+
+    const eligibleSubtotal = this.eligibleSubtotal(coupon, items);
+
+    if (eligibleSubtotal === 0) {
+      throw new ValidationError('This coupon does not apply to any item in your order');
+    }
+
+    if (eligibleSubtotal < coupon.minimumOrderAmount) {
+      throw new ValidationError(
+        `A minimum order of ₦${coupon.minimumOrderAmount.toLocaleString()} is required for this coupon`
+      );
+    }
+
+    return {
+      coupon,
+      discount: coupon.calculateDiscount(eligibleSubtotal),
+      eligibleSubtotal
+    };
+  }
+
+  /**
+   * Sum the lines a coupon applies to
+   * @param {Object} coupon - Coupon document
+   * @param {Array} items - [{ product, category, lineTotal }]
+   * @returns {Number}
+   */
+  eligibleSubtotal(coupon, items) {
+    const categories = (coupon.applicableCategories || []).map(String);
+    const products = (coupon.applicableProducts || []).map(String);
+
+    return items.reduce((total, item) => {
+      const productId = String(item.product?._id || item.product);
+      const categoryId = String(item.category?._id || item.category);
+
+      const matchesCategory = categories.length === 0 || categories.includes(categoryId);
+      const matchesProduct = products.length === 0 || products.includes(productId);
+
+      return matchesCategory && matchesProduct ? total + item.lineTotal : total;
+    }, 0);
+  }
+
+  /**
+   * Record a redemption. The usage limits are re-checked inside the update
+   * so concurrent checkouts cannot push a coupon past its limits.
+   * @param {Object} coupon - Coupon document
+   * @param {String} userId - User ID
+   * @param {String} orderNumber - Order the coupon was used on
+   * @returns {Promise<Object>} - Updated coupon
+   */
+  async redeem(coupon, userId, orderNumber) {
+    // Every use is recorded against a user for the per-user limit
+    if (!userId) {
+      throw new ValidationError('A user is required to redeem a coupon');
+    }
+
+    const userObjectId = new mongoose.Types.ObjectId(String(userId));
+
+    const conditions = [
+      {
+        $or: [
+          { $eq: [{ $ifNull: ['$usageLimit.total', null] }, null] },
+          { $lt: ['$usageCount', '$usageLimit.total'] }
+        ]
+      },
+      {
+        $lt: [
+          {
+            $size: {
+              $filter: {
+                input: { $ifNull: ['$usedBy', []] },
+                cond: { $eq: ['$$this.user', userObjectId] }
+              }
+            }
+          },
+          '$usageLimit.perUser'
+        ]
+      }
+    ];
+
+    const updated = await Coupon.findOneAndUpdate(
+      { _id: coupon._id, isActive: true, $expr: { $and: conditions } },
+      {
+        $inc: { usageCount: 1 },
+        $push: { usedBy: { user: userObjectId, usedAt: new Date(), orderNumber } }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw new ConflictError('This coupon has reached its usage limit');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Undo a redemption, e.g. when the order is cancelled
+   * @param {String} code - Coupon code
+   * @param {String} orderNumber - Order the coupon was used on
+   * @returns {Promise<Boolean>} - Whether a redemption was released
+   */
+  async release(code, orderNumber) {
+    if (!code || !orderNumber) {
+      return false;
+    }
+
+    const result = await Coupon.updateOne(
+      { code: code.toUpperCase().trim(), 'usedBy.orderNumber': orderNumber },
+      {
+        $inc: { usageCount: -1 },
+        $pull: { usedBy: { orderNumber } }
+      }
+    );
+
+    return result.modifiedCount > 0;
+  }
+}
+
+module.exports = new CouponService();
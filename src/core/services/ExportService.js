@@ -0,0 +1,287 @@
+/**
+ * src/core/services/ExportService.js
+ * CSV and Excel exports of the admin lists. Rows are streamed from a database
+ * cursor straight into the response, so exports of any size use little memory.
+ */
+
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const Order = require('../../../models/Order');
+const Booking = require('../../../models/Booking');
+const Enrollment = require('../../../models/Enrollment');
+const User = require('../../../models/User');
+const ValidationError = require('../errors/ValidationError');
+
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const BATCH_SIZE = 500;
+
+const fullName = person => person ? [person.firstName, person.lastName].filter(Boolean).join(' ') : '';
+// Appointment and course dates are stored as UTC midnight of the day
+const day = date => date ? new Date(date).toISOString().slice(0, 10) : '';
+
+// Columns per export: header and how to read the value from a (lean) document
+const EXPORTS = {
+  orders: {
+    model: Order,
+    sheet: 'Orders',
+    sort: { createdAt: -1 },
+    columns: [
+      { header: 'Order #', value: doc => doc.orderNumber },
+      { header: 'Placed', value: doc => doc.createdAt },
+      { header: 'Status', value: doc => doc.orderStatus },
+      { header: 'Customer', value: doc => fullName(doc.customerInfo) },
+      { header: 'Email', value: doc => doc.customerInfo && doc.customerInfo.email },
+      { header: 'Phone', value: doc => doc.customerInfo && doc.customerInfo.phone },
+      {
+        header: 'Items',
+        value: doc => (doc.items || []).map(item => {
+          const variant = item.variant && item.variant.value ? ` (${item.variant.name || 'Variant'}: ${item.variant.value})` : '';
+          return `${item.quantity} x ${item.productSnapshot ? item.productSnapshot.name : item.product}${variant} @ ${item.price}`;
+        }).join('; ')
+      },
+      { header: 'Item Count', value: doc => (doc.items || []).reduce((sum, item) => sum + item.quantity, 0) },
+      { header: 'Subtotal', value: doc => doc.pricing && doc.pricing.subtotal },
+      { header: 'Shipping', value: doc => doc.pricing && doc.pricing.shippingCost },
+      { header: 'Discount', value: doc => doc.pricing && doc.pricing.discount },
+      { header: 'Total', value: doc => doc.pricing && doc.pricing.total },
+      { header: 'Coupon', value: doc => doc.coupon && doc.coupon.code },
+      { header: 'Payment Method', value: doc => doc.payment && doc.payment.method },
+      { header: 'Payment Status', value: doc => doc.payment && doc.payment.status },
+      { header: 'Paid At', value: doc => doc.payment && doc.payment.paidAt },
+      { header: 'Payment Reference', value: doc => doc.payment && (doc.payment.reference || doc.payment.paystackReference) },
+      { header: 'Refunded', value: doc => doc.payment && doc.payment.refundedAmount },
+      { header: 'Delivery Zone', value: doc => doc.deliveryZone && doc.deliveryZone.zone },
+      { header: 'Street', value: doc => doc.shippingAddress && doc.shippingAddress.street },
+      { header: 'City', value: doc => doc.shippingAddress && doc.shippingAddress.city },
+      { header: 'State', value: doc => doc.shippingAddress && doc.shippingAddress.state }
+    ]
+  },
+  bookings: {
+    model: Booking,
+    sheet: 'Bookings',
+    sort: { appointmentDate: 1 },
+    columns: [
+      { header: 'Booking #', value: doc => doc.bookingNumber },
+      { header: 'Booked', value: doc => doc.createdAt },
+      { header: 'Status', value: doc => doc.status },
+      { header: 'Customer', value: doc => fullName(doc.customerInfo) },
+      { header: 'Email', value: doc => doc.customerInfo && doc.customerInfo.email },
+      { header: 'Phone', value: doc => doc.customerInfo && doc.customerInfo.phone },
+      { header: 'Service', value: doc => doc.serviceSnapshot && doc.serviceSnapshot.name },
+      { header: 'Duration (min)', value: doc => doc.serviceSnapshot && doc.serviceSnapshot.duration },
+      { header: 'Artist Tier', value: doc => doc.artist && doc.artist.type },
+      { header: 'Artist', value: doc => doc.artist && doc.artist.name },
+      { header: 'Location', value: doc => doc.location },
+      { header: 'Date', value: doc => day(doc.appointmentDate) },
+      { header: 'Start', value: doc => doc.timeSlot && doc.timeSlot.start },
+      { header: 'End', value: doc => doc.timeSlot && doc.timeSlot.end },
+      { header: 'Series', value: doc => doc.series && doc.series.count ? `${doc.series.index} of ${doc.series.count}` : '' },
+      { header: 'Price', value: doc => doc.pricing && doc.pricing.servicePrice },
+      { header: 'Deposit', value: doc => doc.pricing && doc.pricing.depositAmount },
+      { header: 'Balance', value: doc => doc.pricing && doc.pricing.balanceAmount },
+      { header: 'Deposit Paid At', value: doc => doc.payment && doc.payment.depositPaidAt },
+      { header: 'Balance Paid At', value: doc => doc.payment && doc.payment.balancePaidAt },
+      { header: 'Payment Method', value: doc => doc.payment && doc.payment.paymentMethod },
+      { header: 'Refunded', value: doc => doc.cancellation && doc.cancellation.refundAmount },
+      { header: 'Cancellation Reason', value: doc => doc.cancellation && doc.cancellation.reason }
+    ]
+  },
+  enrollments: {
+    model: Enrollment,
+    sheet: 'Enrollments',
+    sort: { startDate: 1 },
+    columns: [
+      { header: 'Enrollment #', value: doc => doc.enrollmentNumber },
+      { header: 'Enrolled', value: doc => doc.createdAt },
+      { header: 'Status', value: doc => doc.status },
+      { header: 'Student', value: doc => fullName(doc.studentInfo) },
+      { header: 'Email', value: doc => doc.studentInfo && doc.studentInfo.email },
+      { header: 'Phone', value: doc => doc.studentInfo && doc.studentInfo.phone },
+      { header: 'Course', value: doc => doc.courseSnapshot && doc.courseSnapshot.title },
+      { header: 'Location', value: doc => doc.location },
+      { header: 'Start Date', value: doc => day(doc.startDate) },
+      { header: 'Amount', value: doc => doc.payment && doc.payment.amount },
+      { header: 'Payment Status', value: doc => doc.payment && doc.payment.status },
+      { header: 'Payment Method', value: doc => doc.payment && doc.payment.method },
+      { header: 'Paid At', value: doc => doc.payment && doc.payment.paidAt },
+      {
+        header: 'Instalments',
+        value: doc => (doc.payment && doc.payment.installments || [])
+          .map(item => `${item.amount} on ${day(item.paidAt)}`)
+          .join('; ')
+      },
+      { header: 'Refunded', value: doc => doc.payment && doc.payment.refundedAmount }
+    ]
+  },
+  customers: {
+    model: User,
+    sheet: 'Customers',
+    sort: { createdAt: -1 },
+    columns: [
+      { header: 'First Name', value: doc => doc.firstName },
+      { header: 'Last Name', value: doc => doc.lastName },
+      { header: 'Email', value: doc => doc.email },
+      { header: 'Phone', value: doc => doc.phone },
+      { header: 'Verified', value: doc => (doc.isVerified ? 'yes' : 'no') },
+      {
+        header: 'Default Address',
+        value: doc => {
+          const address = (doc.addresses || []).find(item => item.isDefault) || (doc.addresses || [])[0];
+          return address ? [address.street, address.city, address.state].filter(Boolean).join(', ') : '';
+        }
+      },
+      { header: 'Joined', value: doc => doc.createdAt }
+    ]
+  }
+};
+
+class ExportService {
+  /**
+   * Check the requested format before anything is sent
+   * @param {String} format
+   * @returns {String} - csv | xlsx
+   */
+  format(format = 'csv') {
+    const normalized = String(format).toLowerCase();
+    if (!FORMATS[normalized]) {
+      throw new ValidationError('Export format must be csv or xlsx');
+    }
+    return normalized;
+  }
+
+  /**
+   * One spreadsheet row from a document
+   * @param {Array} columns
+   * @param {Object} doc
+   * @returns {Array}
+   */
+  row(columns, doc) {
+    return columns.map(column => {
+      const value = column.value(doc);
+      return value === undefined || value === null ? '' : value;
+    });
+  }
+
+  /**
+   * A value as a CSV field. Text that a spreadsheet would run as a formula is prefixed
+   * with a quote, since customers write their own names and addresses.
+   * @param {*} value
+   * @returns {String}
+   */
+  csvField(value) {
+    let text = value instanceof Date ? value.toISOString() : String(value);
+
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+      text = `"${text.replace(/"/g, '""')}"`;
+    }
+
+    return text;
+  }
+
+  /**
+   * Write a line, waiting for the client to catch up when the buffer is full.
+   * An aborted download never drains, so closing the response ends the wait too.
+   * @param {Object} stream - Writable
+   * @param {String} line
+   */
+  async write(stream, line) {
+    if (stream.write(line) || stream.destroyed) {
+      return;
+    }
+
+    await new Promise(resolve => {
+      const done = () => {
+        stream.off('drain', done);
+        stream.off('close', done);
+        resolve();
+      };
+      stream.on('drain', done);
+      stream.on('close', done);
+    });
+  }
+
+  /**
+   * Stream an export to the response
+   * @param {Object} res - Express response
+   * @param {String} type - orders | bookings | enrollments | customers
+   * @param {Object} filter - Query filter, as built for the matching list endpoint
+   * @param {String} format - csv | xlsx
+   */
+  async send(res, type, filter, format) {
+    const definition = EXPORTS[type];
+    const kind = this.format(format);
+    const filename = `${type}-${new Date().toISOString().slice(0, 10)}.${kind}`;
+
+    const query = definition.model.find(filter);
+
+    // A bad id in the filter has to fail now - once the headers are out it can't be reported
+    try {
+      query.cast();
+    } catch (err) {
+      if (err.name !== 'CastError') {
+        throw err;
+      }
+      throw new ValidationError(`Invalid ${err.path}: ${err.value}`);
+    }
+
+    const cursor = query
+      .sort(definition.sort)
+      .lean()
+      .batchSize(BATCH_SIZE)
+      .cursor();
+
+    res.status(200);
+    res.setHeader('Content-Type', FORMATS[kind]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    try {
+      if (kind === 'csv') {
+        // Byte order mark, so Excel reads the naira sign and names correctly
+        await this.write(res, `\uFEFF${definition.columns.map(column => this.csvField(column.header)).join(',')}\r\n`);
+        for await (const doc of cursor) {
+          // The admin cancelled the download
+          if (res.destroyed) {
+            break;
+          }
+          await this.write(res, `${this.row(definition.columns, doc).map(value => this.csvField(value)).join(',')}\r\n`);
+        }
+        if (!res.destroyed) {
+          res.end();
+        }
+        return;
+      }
+
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+      const sheet = workbook.addWorksheet(definition.sheet);
+      sheet.columns = definition.columns.map(column => ({ header: column.header, width: Math.max(12, column.header.length + 2) }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.getRow(1).commit();
+
+      for await (const doc of cursor) {
+        if (res.destroyed) {
+          break;
+        }
+        sheet.addRow(this.row(definition.columns, doc)).commit();
+      }
+      if (!res.destroyed) {
+        sheet.commit();
+        await workbook.commit();
+      }
+    } catch (err) {
+      // Headers are gone - all we can do is cut the download short
+      console.error(`Export of ${type} failed:`, err.message);
+      res.destroy(err);
+    } finally {
+      await cursor.close().catch(() => {});
+    }
+  }
+}
+
+module.exports = new ExportService();
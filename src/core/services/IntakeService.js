@@ -0,0 +1,305 @@
+/**
+ * src/core/services/IntakeService.js
+ * Intake and consultation forms per service category, and patch tests on the client
+ * profile. Bookings are only taken once the client has a current intake for every
+ * category booked and a valid patch test for services that need one.
+ */
+
+const IntakeForm = require('../../../models/IntakeForm');
+const IntakeSubmission = require('../../../models/IntakeSubmission');
+const User = require('../../../models/User');
+const { intakeRules } = require('../../../config/studios');
+const ValidationError = require('../errors/ValidationError');
+const NotFoundError = require('../errors/NotFoundError');
+
+const YES_NO = { yes: true, no: false, true: true, false: false };
+
+class IntakeService {
+  /**
+   * The date a number of months before another
+   * @param {Date} date
+   * @param {Number} months
+   * @returns {Date}
+   */
+  monthsBefore(date, months) {
+    const result = new Date(date);
+    result.setUTCMonth(result.getUTCMonth() - months);
+    return result;
+  }
+
+  /**
+   * Active intake form for a service category
+   * @param {String} category - brows | lashes | signature
+   * @returns {Promise<Object|null>}
+   */
+  async formFor(category) {
+    return IntakeForm.findOne({ category, isActive: true });
+  }
+
+  /**
+   * Create or replace the form for a category. Any change to an existing form
+   * is a new version, so earlier answers no longer count.
+   * @param {String} category
+   * @param {Object} data - { title, description, questions, consent, isActive }
+   * @returns {Promise<Object>} - Saved form
+   */
+  async saveForm(category, { title, description, questions, consent, isActive }) {
+    const keys = (questions || []).map(question => question.key);
+    if (new Set(keys).size !== keys.length) {
+      throw new ValidationError('Each question needs its own key');
+    }
+
+    const form = await IntakeForm.findOne({ category });
+    if (!form) {
+      return IntakeForm.create({ category, title, description, questions, consent, isActive });
+    }
+
+    Object.assign(form, { title, description, questions, consent });
+    if (isActive !== undefined) {
+      form.isActive = isActive;
+    }
+    form.version += 1;
+
+    return form.save();
+  }
+
+  /**
+   * Check answers against a form
+   * @param {Object} form - IntakeForm document
+   * @param {Object} answers - { [question key]: value }
+   * @param {Object} consent - { signature }
+   * @returns {Object} - { answers, flagged } ready to store
+   * @throws {ValidationError} - Listing every question not answered properly
+   */
+  checkAnswers(form, answers = {}, consent = {}) {
+    const errors = [];
+    const stored = [];
+    const flagged = [];
+
+    form.questions.forEach(question => {
+      let value = answers[question.key];
+      const blank = value === undefined || value === null || String(value).trim() === '';
+
+      if (blank) {
+        if (question.required) {
+          errors.push({ field: question.key, message: `Please answer: ${question.label}` });
+        }
+        return;
+      }
+
+      if (question.type === 'yes-no') {
+        value = YES_NO[String(value).toLowerCase()];
+        if (value === undefined) {
+          errors.push({ field: question.key, message: `Please answer yes or no: ${question.label}` });
+          return;
+        }
+      } else if (question.type === 'choice' && !question.options.includes(value)) {
+        errors.push({ field: question.key, message: `Please choose one of: ${question.options.join(', ')}` });
+        return;
+      } else if (question.type === 'date' && Number.isNaN(new Date(value).getTime())) {
+        errors.push({ field: question.key, message: `Please give a valid date: ${question.label}` });
+        return;
+      } else {
+        value = String(value).trim();
+      }
+
+      const answer = typeof value === 'boolean' ? (value ? 'yes' : 'no') : String(value).toLowerCase();
+      if ((question.flagAnswers || []).some(flag => flag.toLowerCase() === answer)) {
+        flagged.push(question.label);
+      }
+
+      stored.push({ key: question.key, label: question.label, value });
+    });
+
+    if (form.consent.required && !(consent.signature && String(consent.signature).trim())) {
+      errors.push({ field: 'consent', message: 'Please sign the consent by typing your full name' });
+    }
+
+    if (errors.length) {
+      throw new ValidationError('Please complete the intake form', errors);
+    }
+
+    return { answers: stored, flagged };
+  }
+
+  /**
+   * Record a client's answers to the form for a category
+   * @param {Object} user - The client
+   * @param {Object} params - { category, answers, consent: { signature } }
+   * @param {Object} meta - { ipAddress }
+   * @returns {Promise<Object>} - The submission
+   */
+  async submit(user, { category, answers, consent = {} }, meta = {}) {
+    const form = await this.formFor(category);
+    if (!form) {
+      throw new NotFoundError(`There is no intake form for ${category}`);
+    }
+
+    const checked = this.checkAnswers(form, answers, consent);
+
+    return IntakeSubmission.create({
+      customer: user.id,
+      form: form._id,
+      category,
+      formVersion: form.version,
+      answers: checked.answers,
+      flagged: checked.flagged,
+      consent: {
+        signature: consent.signature && String(consent.signature).trim(),
+        signedAt: consent.signature ? new Date() : undefined,
+        ipAddress: meta.ipAddress
+      }
+    });
+  }
+
+  /**
+   * The client's latest submission that still counts for a form
+   * @param {String} customerId
+   * @param {Object} form - IntakeForm document
+   * @returns {Promise<Object|null>}
+   */
+  async currentSubmission(customerId, form) {
+    return IntakeSubmission.findOne({
+      customer: customerId,
+      category: form.category,
+      formVersion: form.version,
+      createdAt: { $gte: this.monthsBefore(new Date(), intakeRules.validMonths) }
+    }).sort('-createdAt');
+  }
+
+  /**
+   * Whether a client has a valid patch test in a category on a date. The latest test
+   * before the date decides: a reaction blocks the service until a new test passes.
+   * @param {Object} user - User document with patchTests
+   * @param {String} category
+   * @param {Date} at - Appointment date
+   * @param {Number} validMonths
+   * @returns {Object} - { valid, test, reason }
+   */
+  patchTestStatus(user, category, at, validMonths = intakeRules.patchTestValidMonths) {
+    const when = new Date(at);
+    const test = (user.patchTests || [])
+      .filter(item => item.category === category && new Date(item.testedAt) <= when)
+      .sort((a, b) => new Date(b.testedAt) - new Date(a.testedAt))[0];
+
+    if (!test) {
+      return { valid: false, reason: `a ${category} patch test is needed before this service` };
+    }
+    if (test.result !== 'pass') {
+      return { valid: false, test, reason: `your last ${category} patch test showed a reaction` };
+    }
+    if (new Date(test.testedAt) < this.monthsBefore(when, validMonths)) {
+      return { valid: false, test, reason: `your ${category} patch test is more than ${validMonths} months old` };
+    }
+
+    return { valid: true, test };
+  }
+
+  /**
+   * Check a client may book these services on these dates. Intake answers sent with
+   * the booking are recorded first.
+   * @param {Object} user - The client (User document)
+   * @param {Array} services - Service documents
+   * @param {Array} dates - Appointment dates
+   * @param {Object|Array} intake - Optional { category, answers, consent } per category
+   * @param {Object} meta - { ipAddress }
+   * @returns {Promise<Array>} - Submissions covering the booking
+   * @throws {ValidationError} - Listing every missing form and patch test
+   */
+  async assertReady(user, services, dates, intake, meta = {}) {
+    const provided = [].concat(intake || []);
+    const categories = [...new Set(services.map(service => service.category))];
+    const submissions = [];
+    const errors = [];
+
+    for (const category of categories) {
+      const form = await this.formFor(category);
+      if (!form) {
+        continue;
+      }
+
+      const answers = provided.find(item => item.category === category) ||
+        (provided.length === 1 && categories.length === 1 && !provided[0].category ? provided[0] : null);
+
+      if (answers) {
+        try {
+          submissions.push(await this.submit(user, { ...answers, category }, meta));
+        } catch (err) {
+          if (!(err instanceof ValidationError)) {
+            throw err;
+          }
+          errors.push(...err.errors.map(error => ({ ...error, category })));
+        }
+        continue;
+      }
+
+      const current = await this.currentSubmission(user.id, form);
+      if (current) {
+        submissions.push(current);
+      } else {
+        errors.push({ category, field: 'intake', message: `Please complete the ${form.title} form` });
+      }
+    }
+
+    services.filter(service => service.patchTest && service.patchTest.required).forEach(service => {
+      const months = service.patchTest.validMonths || intakeRules.patchTestValidMonths;
+      const blocked = dates
+        .map(date => ({ date, status: this.patchTestStatus(user, service.category, date, months) }))
+        .find(item => !item.status.valid);
+
+      if (blocked) {
+        errors.push({ service: service.name, field: 'patchTest', message: `${service.name}: ${blocked.status.reason}` });
+      }
+    });
+
+    if (errors.length) {
+      throw new ValidationError(errors.length === 1 ? errors[0].message : 'This booking needs an intake form or patch test first', errors);
+    }
+
+    return submissions;
+  }
+
+  /**
+   * Link submissions to the bookings they were checked for
+   * @param {Array} submissions
+   * @param {Array} bookings
+   */
+  async linkBookings(submissions, bookings) {
+    if (!submissions.length || !bookings.length) {
+      return;
+    }
+
+    await IntakeSubmission.updateMany(
+      { _id: { $in: submissions.map(submission => submission._id) } },
+      { $addToSet: { bookings: { $each: bookings.map(booking => booking._id) } } }
+    );
+  }
+
+  /**
+   * Add a patch test result to a client's profile
+   * @param {String} customerId
+   * @param {Object} params - { category, result, testedAt, location, notes }
+   * @param {Object} admin - The user recording it
+   * @returns {Promise<Object>} - The updated client
+   */
+  async recordPatchTest(customerId, { category, result, testedAt, location, notes }, admin) {
+    const when = testedAt ? new Date(testedAt) : new Date();
+    if (Number.isNaN(when.getTime()) || when > new Date()) {
+      throw new ValidationError('Please give the date the patch test was done');
+    }
+
+    // Pushed directly - saving the user would run the password hook
+    const customer = await User.findByIdAndUpdate(
+      customerId,
+      { $push: { patchTests: { category, result, testedAt: when, location, notes, recordedBy: admin.id } } },
+      { new: true, runValidators: true }
+    );
+    if (!customer) {
+      throw new NotFoundError('Customer not found');
+    }
+
+    return customer;
+  }
+}
+
+module.exports = new IntakeService();
@@ -0,0 +1,218 @@
+/**
+ * src/core/services/InventoryService.js
+ * Stock reservation for orders: stock is held atomically at checkout,
+ * confirmed when payment succeeds and released when it fails or times out
+ */
+
+const Product = require('../../../models/Product');
+const Order = require('../../../models/Order');
+const ConflictError = require('../errors/ConflictError');
+
+class InventoryService {
+  /**
+   * How long an unpaid order may hold stock
+   * @param {String} paymentMethod - Order payment method
+   * @returns {Date}
+   */
+  reservationExpiry(paymentMethod) {
+    if (paymentMethod === 'bank_transfer') {
+      const hours = parseInt(process.env.BANK_TRANSFER_RESERVATION_HOURS, 10) || 48;
+      return new Date(Date.now() + hours * 60 * 60 * 1000);
+    }
+
+    const minutes = parseInt(process.env.ORDER_RESERVATION_MINUTES, 10) || 30;
+    return new Date(Date.now() + minutes * 60 * 1000);
+  }
+
+  /**
+   * Build the $elemMatch criteria for the variant an order line refers to
+   * @param {Object} item - { variant: { variantId, sku, name, value } }
+   * @returns {Object|null}
+   */
+  variantCriteria(item) {
+    const variant = item.variant;
+    if (!variant) {
+      return null;
+    }
+    if (variant.variantId) {
+      return { _id: variant.variantId };
+    }
+    if (variant.sku) {
+      return { sku: variant.sku };
+    }
+    if (variant.name && variant.value) {
+      // Orders placed before variant IDs were recorded
+      return { type: variant.name, value: variant.value };
+    }
+    return null;
+  }
+
+  /**
+   * Take stock for a single line, only if enough is left.
+   * Variant lines decrement the variant and the product total together
+   * so the total always equals the sum of the variants.
+   * @param {Object} item - { product, variant, quantity }
+   * @returns {Promise<Boolean>}
+   */
+  async takeLine(item) {
+    const productId = item.product._id || item.product;
+    const criteria = this.variantCriteria(item);
+
+    const result = criteria
+      ? await Product.updateOne(
+        { _id: productId, variants: { $elemMatch: { ...criteria, stock: { $gte: item.quantity } } } },
+        { $inc: { 'variants.$.stock': -item.quantity, stock: -item.quantity } }
+      )
+      : await Product.updateOne(
+        { _id: productId, stock: { $gte: item.quantity } },
+        { $inc: { stock: -item.quantity } }
+      );
+
+    return result.modifiedCount === 1;
+  }
+
+  /**
+   * Put stock back for a single line
+   * @param {Object} item - { product, variant, quantity }
+   * @returns {Promise<void>}
+   */
+  async returnLine(item) {
+    const productId = item.product._id || item.product;
+    const criteria = this.variantCriteria(item);
+
+    if (criteria) {
+      const result = await Product.updateOne(
+        { _id: productId, variants: { $elemMatch: criteria } },
+        { $inc: { 'variants.$.stock': item.quantity, stock: item.quantity } }
+      );
+      if (result.matchedCount === 1) {
+        return;
+      }
+      // The variant was removed from the product - fall back to the product total
+    }
+
+    await Product.updateOne(
+      { _id: productId },
+      { $inc: { stock: item.quantity } }
+    );
+  }
+
+  /**
+   * Reserve stock for every line. Either all lines are reserved or none are.
+   * @param {Array} items - [{ product, variant, quantity, productSnapshot }]
+   * @returns {Promise<void>}
+   */
+  async reserve(items) {
+    const taken = [];
+
+    for (const item of items) {
+      const ok = await this.takeLine(item);
+      if (!ok) {
+        await Promise.all(taken.map(line => this.returnLine(line)));
+        const name = item.productSnapshot?.name || item.product;
+        const option = item.variant?.value ? ` (${item.variant.value})` : '';
+        throw new ConflictError(`Insufficient stock for ${name}${option}`);
+      }
+      taken.push(item);
+    }
+  }
+
+  /**
+   * Return reserved stock for every line
+   * @param {Array} items - [{ product, variant, quantity }]
+   * @returns {Promise<void>}
+   */
+  async restock(items) {
+    for (const item of items) {
+      await this.returnLine(item);
+    }
+  }
+
+  /**
+   * Confirm an order's reservation once payment succeeds.
+   * Safe to call more than once. If the reservation had already been
+   * released (payment arrived after expiry) the stock is taken again.
+   * @param {Object} order - Order document
+   * @returns {Promise<Boolean>} - false if stock could not be secured
+   */
+  async confirmOrder(order) {
+    const confirmed = await Order.findOneAndUpdate(
+      { _id: order._id, 'reservation.status': 'reserved' },
+      { $set: { 'reservation.status': 'confirmed', 'reservation.confirmedAt': new Date() } },
+      { new: true }
+    );
+
+    if (!confirmed) {
+      // Released after timeout - claim it back, then try to take the stock again
+      const reclaimed = await Order.findOneAndUpdate(
+        { _id: order._id, 'reservation.status': 'released' },
+        { $set: { 'reservation.status': 'confirmed', 'reservation.confirmedAt': new Date() } }
+      );
+
+      if (!reclaimed) {
+        // Already confirmed by an earlier call
+        return true;
+      }
+
+      try {
+        await this.reserve(order.items);
+      } catch (err) {
+        await Order.updateOne(
+          { _id: order._id },
+          { $set: { 'reservation.status': 'released' }, $unset: { 'reservation.confirmedAt': 1 } }
+        );
+        return false;
+      }
+    }
+
+    for (const item of order.items) {
+      await Product.updateOne(
+        { _id: item.product._id || item.product },
+        { $inc: { totalSales: item.quantity } }
+      );
+    }
+
+    if (order.reservation) {
+      order.reservation.status = 'confirmed';
+      order.reservation.confirmedAt = new Date();
+    }
+
+    return true;
+  }
+
+  /**
+   * Release an order's reservation (payment failed, timed out or order cancelled).
+   * Only the first caller releases; repeated calls are no-ops.
+   * @param {Object} order - Order document
+   * @param {String} reason - Why the stock was released
+   * @returns {Promise<Boolean>} - Whether stock was returned
+   */
+  async releaseOrder(order, reason) {
+    const released = await Order.findOneAndUpdate(
+      { _id: order._id, 'reservation.status': 'reserved' },
+      {
+        $set: {
+          'reservation.status': 'released',
+          'reservation.releasedAt': new Date(),
+          'reservation.releaseReason': reason
+        }
+      }
+    );
+
+    if (!released) {
+      return false;
+    }
+
+    await this.restock(order.items);
+
+    if (order.reservation) {
+      order.reservation.status = 'released';
+      order.reservation.releasedAt = new Date();
+      order.reservation.releaseReason = reason;
+    }
+
+    return true;
+  }
+}
+
+module.exports = new InventoryService();
@@ -0,0 +1,176 @@
+/**
+ * src/core/services/OrderService.js
+ * Server-side order pricing: line prices come from the catalog and
+ * shipping from the delivery zone table, never from the client.
+ * Also cancels orders, giving back their stock and coupon use.
+ */
+
+const Product = require('../../../models/Product');
+const InventoryService = require('./InventoryService');
+const CouponService = require('./CouponService');
+const { getDeliveryZone } = require('../../../config/deliveryZones');
+const NotFoundError = require('../errors/NotFoundError');
+const ValidationError = require('../errors/ValidationError');
+
+class OrderService {
+  /**
+   * Find the variant an order line refers to
+   * @param {Object} product - Product document
+   * @param {Object} item - Order line from the request
+   * @returns {Object|null} - Variant subdocument
+   */
+  findVariant(product, item) {
+    if (!product.variants || product.variants.length === 0) {
+      return null;
+    }
+
+    const variantId = item.variantId || item.variant?.variantId;
+    if (variantId) {
+      return product.variants.id(variantId);
+    }
+
+    const sku = item.sku || item.variant?.sku;
+    if (sku) {
+      return product.variants.find(v => v.sku === sku) || null;
+    }
+
+    if (item.variant && item.variant.name && item.variant.value) {
+      return product.variants.find(v =>
+        v.type === item.variant.name && v.value === item.variant.value
+      ) || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Re-derive every order line from the catalog.
+   * If the client sent a price that differs from the catalog price the
+   * whole order is rejected with the list of differences.
+   * @param {Array} items - [{ product, variantId | sku | variant, quantity, price }]
+   * @returns {Promise<Object>} - { items, products, subtotal }
+   */
+  async priceItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ValidationError('Order must have at least one item');
+    }
+
+    const products = await Product.find({ _id: { $in: items.map(item => item.product) } });
+    const productsById = new Map(products.map(p => [p._id.toString(), p]));
+
+    const pricedItems = [];
+    const mismatches = [];
+
+    for (const item of items) {
+      const product = productsById.get(String(item.product));
+      if (!product || !product.isActive) {
+        throw new NotFoundError(`Product not found: ${item.product}`);
+      }
+
+      const quantity = parseInt(item.quantity, 10);
+      if (!quantity || quantity < 1) {
+        throw new ValidationError(`Invalid quantity for ${product.name}`);
+      }
+
+      const variant = this.findVariant(product, item);
+      if (product.variants.length > 0 && !variant) {
+        throw new ValidationError(`Please select a valid option for ${product.name}`);
+      }
+
+      const available = variant ? variant.stock : product.stock;
+      if (available < quantity) {
+        throw new ValidationError(`Insufficient stock for ${product.name}${variant ? ` (${variant.value})` : ''}`);
+      }
+
+      const unitPrice = product.price + (variant ? variant.priceAdjustment || 0 : 0);
+
+      if (item.price !== undefined && Number(item.price) !== unitPrice) {
+        mismatches.push({
+          product: product._id,
+          name: product.name,
+          variant: variant ? `${variant.type}: ${variant.value}` : undefined,
+          submittedPrice: Number(item.price),
+          currentPrice: unitPrice
+        });
+      }
+
+      pricedItems.push({
+        product: product._id,
+        productSnapshot: {
+          name: product.name,
+          image: product.images && product.images.length > 0 ? product.images[0].url : undefined,
+          price: unitPrice
+        },
+        variant: variant ? {
+          variantId: variant._id,
+          sku: variant.sku,
+          name: variant.type,
+          value: variant.value
+        } : undefined,
+        quantity,
+        price: unitPrice,
+        subtotal: unitPrice * quantity
+      });
+    }
+
+    if (mismatches.length > 0) {
+      throw new ValidationError('Some prices in your cart have changed. Please review your order.', mismatches);
+    }
+
+    return {
+      items: pricedItems,
+      products: productsById,
+      subtotal: pricedItems.reduce((total, item) => total + item.subtotal, 0)
+    };
+  }
+
+  /**
+   * Resolve the delivery zone and its shipping cost
+   * @param {Object|String} deliveryZone - Zone key or { zone }
+   * @returns {Object} - { zone, cost }
+   */
+  quoteShipping(deliveryZone) {
+    const key = typeof deliveryZone === 'string' ? deliveryZone : deliveryZone?.zone;
+    const zone = getDeliveryZone(key);
+
+    if (!zone) {
+      throw new ValidationError('Please select a valid delivery zone');
+    }
+
+    return { zone: zone.zone, cost: zone.cost };
+  }
+
+  /**
+   * Cancel an order: unpaid orders give back their hold, paid orders their
+   * confirmed stock, and the coupon use is released
+   * @param {Object} order - Order document
+   * @param {Object} options - { cancelledBy: 'admin' | 'customer', reason }
+   * @returns {Promise<Object>} - Saved order
+   */
+  async cancel(order, { cancelledBy, reason } = {}) {
+    if (order.orderStatus === 'cancelled') {
+      return order;
+    }
+
+    const released = await InventoryService.releaseOrder(order, `Cancelled by ${cancelledBy}`);
+    // Orders placed before reservations took their stock at checkout
+    if (!released && (!order.reservation?.status || order.reservation.status === 'confirmed')) {
+      await InventoryService.restock(order.items);
+    }
+
+    if (order.coupon && order.coupon.code) {
+      await CouponService.release(order.coupon.code, order.orderNumber);
+    }
+
+    order.orderStatus = 'cancelled';
+    order.cancelledAt = new Date();
+    if (reason) {
+      order.cancellationReason = reason;
+    }
+    await order.save();
+
+    return order;
+  }
+}
+
+module.exports = new OrderService();
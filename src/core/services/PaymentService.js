@@ -0,0 +1,544 @@
+/**
+ * src/core/services/PaymentService.js
+ * Payment ledger: every provider charge is recorded once by its reference
+ * and applied to its order, booking or enrollment at most once
+ */
+
+const Payment = require('../../../models/Payment');
+const Order = require('../../../models/Order');
+const Booking = require('../../../models/Booking');
+const Enrollment = require('../../../models/Enrollment');
+const InventoryService = require('./InventoryService');
+const RefundService = require('./RefundService');
+const BookingService = require('./BookingService');
+const WaitlistService = require('./WaitlistService');
+const { getPaymentProvider, providerFor } = require('../providers/payments');
+const sendEmail = require('../../../utils/sendEmail');
+const { orderConfirmationEmail } = require('../../../utils/emailTemplates');
+const NotFoundError = require('../errors/NotFoundError');
+const ValidationError = require('../errors/ValidationError');
+
+// A claim older than this is assumed to belong to a crashed request
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+class PaymentService {
+  constructor() {
+    this.models = {
+      order: Order,
+      booking: Booking,
+      enrollment: Enrollment
+    };
+  }
+
+  /**
+   * Load the entity a payment is for
+   * @param {String} entityType - order | booking | enrollment
+   * @param {String} entityId - Entity ID
+   * @returns {Promise<Object>}
+   */
+  async getEntity(entityType, entityId) {
+    const Model = this.models[entityType];
+    if (!Model) {
+      throw new ValidationError(`Unknown payment type: ${entityType}`);
+    }
+
+    const entity = await Model.findById(entityId);
+    if (!entity) {
+      throw new NotFoundError(`${Model.modelName} not found`);
+    }
+
+    return entity;
+  }
+
+  /**
+   * Which part of the bill a payment covers. Bookings are paid as a deposit
+   * then a balance; orders and enrollments are paid in full.
+   * @param {String} entityType - order | booking | enrollment
+   * @param {Object} entity - Order, Booking or Enrollment document
+   * @param {String} intent - deposit | balance, as recorded on the payment
+   * @returns {String} - full | deposit | balance
+   */
+  resolveIntent(entityType, entity, intent) {
+    if (entityType !== 'booking') {
+      return 'full';
+    }
+    if (['deposit', 'balance'].includes(intent)) {
+      return intent;
+    }
+    // Charges started before intents were recorded pay whatever comes next
+    return entity.payment.depositPaid ? 'balance' : 'deposit';
+  }
+
+  /**
+   * Amount (₦) currently due on an entity, or null if nothing is due
+   * @param {String} entityType - order | booking | enrollment
+   * @param {Object} entity - Order, Booking or Enrollment document
+   * @param {String} intent - For bookings: deposit | balance (defaults to whichever is next)
+   * @returns {Number|null}
+   */
+  amountDue(entityType, entity, intent) {
+    if (entityType === 'order') {
+      return entity.payment.status === 'paid' ? null : entity.pricing.total;
+    }
+
+    if (entityType === 'booking') {
+      if (this.resolveIntent(entityType, entity, intent) === 'deposit') {
+        return entity.payment.depositPaid ? null : entity.pricing.depositAmount;
+      }
+      return entity.payment.balancePaid ? null : entity.pricing.balanceAmount;
+    }
+
+    if (entityType === 'enrollment') {
+      return entity.payment.status === 'paid' ? null : entity.payment.amount;
+    }
+
+    return null;
+  }
+
+  /**
+   * Start a checkout for whatever is due on an order, booking or enrollment.
+   * The amount always comes from the record, never from the client.
+   * @param {Object} params - { entityType, entityId, email, provider, userId, intent }
+   * @returns {Promise<Object>} - { authorizationUrl, accessCode, reference, amount, provider, intent }
+   */
+  async initialize({ entityType, entityId, email, provider: requested, userId, intent: requestedIntent }) {
+    const entity = await this.getEntity(entityType, entityId);
+
+    if (entityType === 'booking' && requestedIntent && !['deposit', 'balance'].includes(requestedIntent)) {
+      throw new ValidationError('Booking payments must be for the deposit or the balance');
+    }
+
+    const intent = this.resolveIntent(entityType, entity, requestedIntent);
+
+    if (intent === 'balance' && !entity.payment.depositPaid) {
+      throw new ValidationError('Please pay the deposit first');
+    }
+
+    const amount = this.amountDue(entityType, entity, intent);
+
+    if (amount === null) {
+      throw new ValidationError(intent === 'full' ? 'Nothing is due on this record' : `The ${intent} has already been paid`);
+    }
+
+    // Orders placed for Flutterwave stay on Flutterwave unless the customer switches
+    const preferred = requested || (entityType === 'order' && entity.payment.method === 'flutterwave' ? 'flutterwave' : undefined);
+    const provider = providerFor(entityType, preferred);
+    const reference = `${entityType}-${entityId}-${Date.now()}`;
+
+    const checkout = await provider.initialize({
+      reference,
+      amount,
+      currency: 'NGN',
+      email,
+      metadata: {
+        type: entityType,
+        referenceId: String(entityId),
+        userId: userId || null,
+        intent
+      }
+    });
+
+    await this.open({ reference, provider: provider.name, entityType, entityId, userId, amount, intent });
+
+    return { ...checkout, amount, provider: provider.name, intent };
+  }
+
+  /**
+   * Look a reference up with the provider that issued it and record the result
+   * @param {String} reference - Transaction reference
+   * @returns {Promise<Object>} - { charge, payment, applied, duplicate }
+   */
+  async verify(reference) {
+    const ledger = await Payment.findOne({ reference });
+    // References issued before the ledger existed all went through Paystack
+    const provider = getPaymentProvider(ledger ? ledger.provider : 'paystack');
+
+    const charge = await provider.verify(reference);
+    const result = await this.recordCharge(charge, 'verify');
+
+    return { charge, ...result };
+  }
+
+  /**
+   * Authenticate a webhook delivery and record any charge or refund it reports
+   * @param {String} providerName - Provider the webhook was posted for
+   * @param {Buffer} rawBody - Request body exactly as received
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object|null>} - Parsed event, null if not authentic
+   */
+  async handleWebhook(providerName, rawBody, headers) {
+    const provider = getPaymentProvider(providerName);
+    const event = provider.parseWebhook(rawBody, headers);
+
+    if (!event) {
+      return null;
+    }
+
+    if (event.type === 'charge') {
+      const { duplicate } = await this.recordCharge(event.charge, 'webhook');
+      if (duplicate) {
+        console.log(`Webhook for ${event.charge.reference} already processed`);
+      }
+    } else if (event.type === 'refund') {
+      await RefundService.recordProviderUpdate(event.refund);
+    } else {
+      console.log(`Unhandled ${provider.name} webhook event:`, event.name);
+    }
+
+    return event;
+  }
+
+  /**
+   * Open a pending ledger entry when a payment is initialized
+   * @param {Object} params - { reference, provider, entityType, entityId, userId, amount, intent }
+   * @returns {Promise<Object>} - Payment document
+   */
+  async open({ reference, provider, entityType, entityId, userId, amount, intent }) {
+    return Payment.create({
+      reference,
+      provider,
+      entityType,
+      entityId,
+      user: userId,
+      intent,
+      expectedAmount: amount,
+      statusHistory: [{ to: 'pending', source: 'initialize' }]
+    });
+  }
+
+  /**
+   * Find the ledger entry for a charge, creating it if the charge was
+   * not initialized through us (e.g. the webhook arrives first)
+   * @param {Object} charge - Normalised charge
+   * @returns {Promise<Object|null>} - Payment document, null if the charge can't be attributed
+   */
+  async findOrCreate(charge) {
+    const existing = await Payment.findOne({ reference: charge.reference });
+    const update = {
+      amount: charge.amount,
+      currency: charge.currency,
+      channel: charge.channel,
+      providerTransactionId: charge.transactionId,
+      rawPayload: charge.raw
+    };
+
+    if (existing) {
+      return Payment.findByIdAndUpdate(existing._id, { $set: update }, { new: true });
+    }
+
+    const { type, referenceId, userId, intent } = charge.metadata;
+    if (!this.models[type] || !referenceId) {
+      return null;
+    }
+
+    try {
+      return await Payment.create({
+        reference: charge.reference,
+        provider: charge.provider,
+        entityType: type,
+        entityId: referenceId,
+        user: userId || undefined,
+        intent: ['deposit', 'balance'].includes(intent) ? intent : undefined,
+        statusHistory: [{ to: 'pending', source: 'webhook', note: 'Charge seen before initialization was recorded' }],
+        ...update
+      });
+    } catch (err) {
+      // Another delivery created it first
+      if (err.code === 11000) {
+        return Payment.findOneAndUpdate({ reference: charge.reference }, { $set: update }, { new: true });
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Move a ledger entry to a new status and record the transition
+   * @param {Object} payment - Payment document
+   * @param {String} status - New status
+   * @param {String} source - initialize | verify | webhook | admin
+   * @param {String} note - Why
+   * @param {Object} fields - Extra fields to set
+   * @returns {Promise<Object>} - Updated payment
+   */
+  async transition(payment, status, source, note, fields = {}) {
+    return Payment.findByIdAndUpdate(payment._id, {
+      $set: { status, ...fields },
+      $unset: { claimedAt: 1 },
+      $push: { statusHistory: { from: payment.status, to: status, source, note } }
+    }, { new: true });
+  }
+
+  /**
+   * Record a charge reported by the provider and, if it succeeded, apply
+   * it to its entity. Repeated deliveries of the same reference are no-ops.
+   * @param {Object} charge - Normalised charge (see IPaymentProvider)
+   * @param {String} source - verify | webhook
+   * @returns {Promise<Object>} - { payment, applied, duplicate }
+   */
+  async recordCharge(charge, source) {
+    const payment = await this.findOrCreate(charge);
+
+    if (!payment) {
+      console.log(`Payment ${charge.reference} has no order, booking or enrollment attached - ignored`);
+      return { payment: null, applied: false, duplicate: false };
+    }
+
+    if (charge.status !== 'success') {
+      return this.recordFailure(payment, charge.status, source);
+    }
+
+    // Only one request gets to apply the payment
+    const claimed = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        processedAt: { $exists: false },
+        $or: [
+          { claimedAt: { $exists: false } },
+          { claimedAt: { $lt: new Date(Date.now() - CLAIM_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { claimedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!claimed) {
+      return { payment, applied: false, duplicate: true };
+    }
+
+    try {
+      const entity = await this.getEntity(claimed.entityType, claimed.entityId);
+      const intent = this.resolveIntent(claimed.entityType, entity, claimed.intent);
+      const due = this.amountDue(claimed.entityType, entity, intent);
+      const part = intent === 'full' ? claimed.entityType : `${claimed.entityType} ${intent}`;
+
+      if (due === null || charge.currency !== 'NGN' || Math.round(charge.amount * 100) !== Math.round(due * 100)) {
+        const note = due === null
+          ? `Nothing outstanding on this ${part}; received ${charge.currency} ${charge.amount}`
+          : `Expected NGN ${due} for the ${part}, received ${charge.currency} ${charge.amount}`;
+        console.warn(`Payment ${claimed.reference} not applied: ${note}`);
+
+        const updated = await this.transition(claimed, 'amount_mismatch', source, note, { processedAt: new Date() });
+        return { payment: updated, applied: false, duplicate: false };
+      }
+
+      if (claimed.entityType === 'order') {
+        await this.applyOrderPayment(entity, charge);
+      } else if (claimed.entityType === 'booking') {
+        await this.applyBookingPayment(entity, charge, intent);
+      } else {
+        await this.applyEnrollmentPayment(entity, charge);
+      }
+
+      const updated = await this.transition(claimed, 'success', source, undefined, {
+        processedAt: new Date(),
+        paidAt: new Date()
+      });
+      return { payment: updated, applied: true, duplicate: false };
+    } catch (err) {
+      // Let a later delivery retry
+      await Payment.updateOne({ _id: claimed._id }, { $unset: { claimedAt: 1 } });
+      throw err;
+    }
+  }
+
+  /**
+   * Record a failed or abandoned charge. Unpaid orders give their stock back.
+   * @param {Object} payment - Payment document
+   * @param {String} status - Provider status (failed, abandoned...)
+   * @param {String} source - verify | webhook
+   * @returns {Promise<Object>} - { payment, applied, duplicate }
+   */
+  async recordFailure(payment, status, source) {
+    if (payment.processedAt || !['failed', 'abandoned'].includes(status) || payment.status === status) {
+      return { payment, applied: false, duplicate: payment.status === status };
+    }
+
+    const updated = await this.transition(payment, status, source, `Payment ${status}`);
+
+    if (payment.entityType === 'order') {
+      const order = await Order.findById(payment.entityId);
+      if (order && order.payment.status !== 'paid') {
+        await InventoryService.releaseOrder(order, `Payment ${status}`);
+        order.payment.status = 'failed';
+        await order.save();
+        console.log(`Order ${order._id} stock released: Payment ${status}`);
+      }
+    }
+
+    return { payment: updated, applied: false, duplicate: false };
+  }
+
+  /**
+   * Mark an order paid and confirm its stock
+   * @param {Object} order - Order document
+   * @param {Object} charge - Normalised charge
+   * @returns {Promise<void>}
+   */
+  async applyOrderPayment(order, charge) {
+    order.payment.status = 'paid';
+    order.payment.method = charge.method;
+    order.payment.provider = charge.provider;
+    order.payment.paymentId = charge.transactionId;
+    order.payment.reference = charge.reference;
+    if (charge.provider === 'paystack') {
+      order.payment.paystackReference = charge.reference;
+    }
+    order.payment.paidAt = new Date();
+    order.orderStatus = 'processing';
+
+    await this.confirmOrderStock(order);
+    await order.save();
+
+    if (order.customerInfo.email) {
+      try {
+        await order.populate('items.product');
+        await sendEmail({
+          email: order.customerInfo.email,
+          subject: `Order Confirmed - ${order.orderNumber}`,
+          html: orderConfirmationEmail(order)
+        });
+      } catch (err) {
+        console.error('Order confirmation email error:', err.message);
+      }
+    }
+
+    console.log(`Order ${order._id} payment processed successfully`);
+  }
+
+  /**
+   * Confirm reserved stock once an order is paid. Flags the order for the
+   * admin if the hold had expired and the stock is gone.
+   * @param {Object} order - Order document (not saved)
+   * @returns {Promise<Boolean>} - Whether the stock was secured
+   */
+  async confirmOrderStock(order) {
+    const secured = await InventoryService.confirmOrder(order);
+
+    if (!secured) {
+      const note = 'Paid after the stock hold expired and the items are no longer in stock - restock or refund required';
+      order.notes.adminNote = note;
+      order.statusHistory.push({ status: order.orderStatus, note, updatedAt: new Date() });
+    }
+
+    return secured;
+  }
+
+  /**
+   * Mark a booking's deposit or balance paid. A balance paid once the
+   * appointment is under way completes the booking.
+   * @param {Object} booking - Booking document
+   * @param {Object} charge - Normalised charge (or a manual payment shaped like one)
+   * @param {String} intent - deposit | balance
+   * @returns {Promise<void>}
+   */
+  async applyBookingPayment(booking, charge, intent) {
+    if (intent === 'deposit' && booking.status === 'cancelled') {
+      // Usually a deposit that landed after the unpaid hold expired
+      BookingService.recordStatus(booking, 'Deposit received after the booking was cancelled - reinstate or refund', 'system');
+    }
+
+    if (intent === 'deposit') {
+      booking.payment.depositPaid = true;
+      booking.payment.depositPaymentId = charge.transactionId;
+      booking.payment.depositPaidAt = new Date();
+      if (booking.status === 'pending') {
+        booking.status = 'confirmed';
+      }
+    } else {
+      booking.payment.balancePaid = true;
+      booking.payment.balancePaymentId = charge.transactionId;
+      booking.payment.balancePaidAt = new Date();
+    }
+
+    booking.payment.paymentMethod = charge.method;
+    BookingService.completeIfPaid(booking);
+    await booking.save();
+
+    if (intent === 'deposit') {
+      await WaitlistService.claim('booking', booking);
+    }
+
+    console.log(`Booking ${booking._id} payment processed successfully`);
+  }
+
+  /**
+   * Record a deposit or balance paid at the studio in cash or by bank transfer.
+   * It goes on the ledger like a gateway charge, so it shows in reports and
+   * refunds of it are paid out by transfer.
+   * @param {Object} booking - Booking document
+   * @param {Object} params - { intent, method, amount, reference, note }
+   * @param {Object} admin - { id } of the admin recording it
+   * @returns {Promise<Object>} - { booking, payment }
+   */
+  async recordBookingPayment(booking, { intent = 'balance', method, amount, reference, note }, admin) {
+    if (!['cash', 'transfer'].includes(method)) {
+      throw new ValidationError('Payment method must be cash or transfer');
+    }
+    if (!['deposit', 'balance'].includes(intent)) {
+      throw new ValidationError('Booking payments must be for the deposit or the balance');
+    }
+    if (['cancelled', 'no-show'].includes(booking.status)) {
+      throw new ValidationError(`Cannot take payment on a ${booking.status} booking`);
+    }
+    if (intent === 'balance' && !booking.payment.depositPaid) {
+      throw new ValidationError('Please record the deposit first');
+    }
+
+    const due = this.amountDue('booking', booking, intent);
+    if (due === null) {
+      throw new ValidationError(`The ${intent} has already been paid`);
+    }
+    if (amount !== undefined && amount !== null && Math.round(Number(amount) * 100) !== Math.round(due * 100)) {
+      throw new ValidationError(`The ${intent} due is ₦${due.toLocaleString()}`);
+    }
+
+    const payment = await Payment.create({
+      reference: `booking-${booking._id}-${intent}-${method}-${Date.now()}`,
+      provider: 'manual',
+      providerTransactionId: reference,
+      entityType: 'booking',
+      entityId: booking._id,
+      user: booking.customer,
+      intent,
+      expectedAmount: due,
+      amount: due,
+      channel: method,
+      recordedBy: admin.id,
+      statusHistory: [{ to: 'pending', source: 'admin', note }]
+    });
+
+    await this.applyBookingPayment(booking, {
+      provider: 'manual',
+      method,
+      transactionId: reference || payment.reference
+    }, intent);
+
+    const recorded = await this.transition(payment, 'success', 'admin', note, {
+      processedAt: new Date(),
+      paidAt: new Date()
+    });
+
+    return { booking, payment: recorded };
+  }
+
+  /**
+   * Mark an enrollment paid and active
+   * @param {Object} enrollment - Enrollment document
+   * @param {Object} charge - Normalised charge
+   * @returns {Promise<void>}
+   */
+  async applyEnrollmentPayment(enrollment, charge) {
+    enrollment.payment.status = 'paid';
+    enrollment.payment.method = charge.method;
+    enrollment.payment.paymentId = charge.transactionId;
+    enrollment.payment.paidAt = new Date();
+    enrollment.status = 'active';
+
+    await enrollment.save();
+    await WaitlistService.claim('enrollment', enrollment);
+
+    console.log(`Enrollment ${enrollment._id} payment processed successfully`);
+  }
+}
+
+module.exports = new PaymentService();
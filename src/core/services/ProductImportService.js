@@ -0,0 +1,453 @@
+/**
+ * src/core/services/ProductImportService.js
+ * Bulk product import from CSV or Excel. One row per variant: rows with the same slug
+ * (or name) make up one product, and a row with only a SKU updates that variant.
+ * Every import is checked in full first; nothing is saved while any row has an error.
+ */
+
+const ExcelJS = require('exceljs');
+const slugify = require('slugify');
+const Product = require('../../../models/Product');
+const Category = require('../../../models/Category');
+const ValidationError = require('../errors/ValidationError');
+
+const MAX_ROWS = 5000;
+
+// Spreadsheet headings (lower-cased, without spaces, dashes or underscores) to fields
+const HEADERS = {
+  slug: 'slug',
+  name: 'name',
+  description: 'description',
+  category: 'category',
+  subcategory: 'subcategory',
+  price: 'price',
+  compareprice: 'comparePrice',
+  stock: 'stock',
+  lowstockthreshold: 'lowStockThreshold',
+  tags: 'tags',
+  images: 'images',
+  isactive: 'isActive',
+  active: 'isActive',
+  isfeatured: 'isFeatured',
+  featured: 'isFeatured',
+  sku: 'sku',
+  varianttype: 'variantType',
+  variantvalue: 'variantValue',
+  variantstock: 'variantStock',
+  variantpriceadjustment: 'variantPriceAdjustment',
+  priceadjustment: 'variantPriceAdjustment'
+};
+
+const PRODUCT_FIELDS = ['name', 'description', 'category', 'subcategory', 'price', 'comparePrice', 'stock',
+  'lowStockThreshold', 'tags', 'images', 'isActive', 'isFeatured'];
+const NUMBER_FIELDS = ['price', 'comparePrice', 'stock', 'lowStockThreshold', 'variantStock', 'variantPriceAdjustment'];
+const BOOLEAN_FIELDS = ['isActive', 'isFeatured'];
+// Lists in a single cell are separated by "|", as commas are common in the values
+const LIST_FIELDS = ['tags', 'images'];
+const VARIANT_TYPES = Product.schema.path('variants').schema.path('type').enumValues;
+// Variant columns to VariantSchema paths
+const VARIANT_FIELDS = { variantType: 'type', variantValue: 'value', variantStock: 'stock', variantPriceAdjustment: 'priceAdjustment', sku: 'sku' };
+const BOOLEANS = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+class ProductImportService {
+  /**
+   * Split CSV text into rows of cells (RFC 4180: quoted fields, doubled quotes, CRLF)
+   * @param {String} text
+   * @returns {Array<String[]>}
+   */
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') {
+          i++;
+        }
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell !== '' || row.length) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Cells of the first worksheet of an Excel file
+   * @param {Buffer} buffer
+   * @returns {Promise<Array<String[]>>}
+   */
+  async parseXlsx(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const sheet = workbook.worksheets[0];
+    if (!sheet) {
+      return [];
+    }
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, row => {
+      const cells = [];
+      for (let column = 1; column <= sheet.columnCount; column++) {
+        cells.push(row.getCell(column).text);
+      }
+      rows.push(cells);
+    });
+
+    return rows;
+  }
+
+  /**
+   * Read an uploaded file into rows keyed by field
+   * @param {Object} file - Multer file (memory storage)
+   * @returns {Promise<Array>} - [{ row, values }] - row is the spreadsheet row number
+   */
+  async readRows(file) {
+    if (!file) {
+      throw new ValidationError('Please upload a CSV or Excel file');
+    }
+
+    const isExcel = /\.xlsx$/i.test(file.originalname || '');
+    const cells = isExcel ? await this.parseXlsx(file.buffer) : this.parseCsv(file.buffer.toString('utf8'));
+    const [headings = [], ...body] = cells;
+
+    const fields = headings.map(heading => HEADERS[String(heading).toLowerCase().replace(/[\s_-]/g, '')]);
+    const unknown = headings.filter((heading, index) => String(heading).trim() && !fields[index]);
+    if (unknown.length) {
+      throw new ValidationError(`Unknown columns: ${unknown.join(', ')}`);
+    }
+    if (!fields.includes('slug') && !fields.includes('name') && !fields.includes('sku')) {
+      throw new ValidationError('The file needs a slug, name or sku column');
+    }
+
+    const rows = body
+      .map((cellsInRow, index) => {
+        const values = {};
+        fields.forEach((field, column) => {
+          const value = String(cellsInRow[column] === undefined ? '' : cellsInRow[column]).trim();
+          if (field && value !== '') {
+            values[field] = value;
+          }
+        });
+        return { row: index + 2, values };
+      })
+      .filter(row => Object.keys(row.values).length);
+
+    if (rows.length > MAX_ROWS) {
+      throw new ValidationError(`Please import at most ${MAX_ROWS} rows at a time`);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Typed values for a row, with an error for each cell that can't be read
+   * @param {Object} values - Raw cell text by field
+   * @returns {Object} - { values, errors }
+   */
+  parseValues(values) {
+    const parsed = { ...values };
+    const errors = [];
+
+    NUMBER_FIELDS.filter(field => values[field] !== undefined).forEach(field => {
+      const number = Number(values[field].replace(/[₦,\s]/g, ''));
+      const negativeAllowed = field === 'variantPriceAdjustment';
+      if (Number.isNaN(number) || (!negativeAllowed && number < 0)) {
+        errors.push({ field, message: `${field} must be a ${negativeAllowed ? '' : 'positive '}number` });
+      } else {
+        parsed[field] = number;
+      }
+    });
+
+    BOOLEAN_FIELDS.filter(field => values[field] !== undefined).forEach(field => {
+      const flag = BOOLEANS[values[field].toLowerCase()];
+      if (flag === undefined) {
+        errors.push({ field, message: `${field} must be yes or no` });
+      } else {
+        parsed[field] = flag;
+      }
+    });
+
+    LIST_FIELDS.filter(field => values[field] !== undefined).forEach(field => {
+      parsed[field] = values[field].split('|').map(item => item.trim()).filter(Boolean);
+    });
+
+    if (values.variantType !== undefined) {
+      const type = VARIANT_TYPES.find(option => option.toLowerCase() === values.variantType.toLowerCase());
+      if (!type) {
+        errors.push({ field: 'variantType', message: `Variant type must be one of ${VARIANT_TYPES.join(', ')}` });
+      } else {
+        parsed.variantType = type;
+      }
+    }
+
+    return { values: parsed, errors };
+  }
+
+  /**
+   * The product a row belongs to: its slug, or the slug its name would get
+   * @param {Object} values - Cell text by field
+   * @returns {String|undefined}
+   */
+  keyFor(values) {
+    if (values.slug) {
+      return values.slug.toLowerCase();
+    }
+    return values.name && slugify(values.name, { lower: true, strict: true });
+  }
+
+  /**
+   * Work out what an import would do, without saving anything
+   * @param {Array} rows - From readRows
+   * @returns {Promise<Object>} - { products, errors } - products are unsaved documents with their action
+   */
+  async plan(rows) {
+    const errors = [];
+    const fail = (row, field, message) => errors.push({ row, field, message });
+
+    const slugs = [...new Set(rows.map(({ values }) => this.keyFor(values)).filter(Boolean))];
+    const skus = [...new Set(rows.map(({ values }) => values.sku).filter(Boolean))];
+
+    const [categories, existing] = await Promise.all([
+      Category.find({}).select('name slug'),
+      Product.find({ $or: [{ slug: { $in: slugs } }, { 'variants.sku': { $in: skus } }] })
+    ]);
+
+    const categoryFor = name => categories.find(category =>
+      category.name.toLowerCase() === name.toLowerCase() || category.slug === name.toLowerCase());
+    const bySlug = slug => existing.find(product => product.slug === slug);
+    const bySku = sku => existing.find(product => product.variants.some(variant => variant.sku === sku));
+
+    // Rows grouped into products, in file order
+    const groups = new Map();
+    const skuOwners = new Map();
+
+    rows.forEach(({ row, values: raw }) => {
+      const { values, errors: cellErrors } = this.parseValues(raw);
+      cellErrors.forEach(error => fail(row, error.field, error.message));
+
+      let key = this.keyFor(values);
+      if (!key && values.sku) {
+        const owner = skuOwners.get(values.sku) || bySku(values.sku);
+        key = owner && (typeof owner === 'string' ? owner : owner.slug);
+        if (!key) {
+          fail(row, 'sku', `No product has SKU ${values.sku} - add a slug or name to create one`);
+          return;
+        }
+      }
+      if (!key) {
+        fail(row, 'slug', 'Each row needs a slug, name or SKU');
+        return;
+      }
+
+      if (!groups.has(key)) {
+        groups.set(key, { key, rows: [], fields: {}, fieldRows: {}, variants: [], product: bySlug(key) });
+      }
+      const group = groups.get(key);
+      group.rows.push(row);
+
+      PRODUCT_FIELDS.filter(field => values[field] !== undefined).forEach(field => {
+        if (group.fields[field] !== undefined && JSON.stringify(group.fields[field]) !== JSON.stringify(values[field])) {
+          fail(row, field, `${field} differs from row ${group.fieldRows[field]} for the same product`);
+          return;
+        }
+        group.fields[field] = values[field];
+        group.fieldRows[field] = row;
+      });
+
+      const isVariant = Object.keys(VARIANT_FIELDS).some(field => values[field] !== undefined);
+      if (isVariant) {
+        if (values.sku) {
+          if (skuOwners.has(values.sku)) {
+            fail(row, 'sku', `SKU ${values.sku} appears more than once in the file`);
+            return;
+          }
+          skuOwners.set(values.sku, key);
+        }
+        group.variants.push({ row, ...values });
+      }
+    });
+
+    const products = [];
+
+    for (const group of groups.values()) {
+      const firstRow = group.rows[0];
+      const { fields } = group;
+      const product = group.product || new Product({});
+      const action = group.product ? 'update' : 'create';
+
+      if (action === 'create') {
+        if (!fields.name) {
+          fail(firstRow, 'name', `No product with slug ${group.key} - a name is needed to create it`);
+          continue;
+        }
+        const derived = slugify(fields.name, { lower: true, strict: true });
+        if (derived !== group.key) {
+          fail(firstRow, 'slug', `New products take their slug from the name - this one would be ${derived}`);
+          continue;
+        }
+        ['price', 'category'].filter(field => fields[field] === undefined)
+          .forEach(field => fail(firstRow, field, `${field} is needed to create a product`));
+      } else if (fields.name && fields.name !== product.name) {
+        // Saving a new name regenerates the slug, which is what the import keys on
+        const derived = slugify(fields.name, { lower: true, strict: true });
+        if (derived !== product.slug) {
+          fail(group.fieldRows.name, 'name', `Renaming ${product.slug} would change its slug to ${derived} - rename it on the product instead`);
+          continue;
+        }
+      }
+
+      const update = { ...fields };
+      if (fields.category !== undefined) {
+        const category = categoryFor(fields.category);
+        if (!category) {
+          fail(group.fieldRows.category, 'category', `Category "${fields.category}" not found`);
+        } else {
+          update.category = category._id;
+        }
+      }
+      if (fields.images) {
+        update.images = fields.images.map(url => ({ url, alt: fields.name || product.name }));
+      }
+      product.set(update);
+
+      const summary = { variantsAdded: 0, variantsUpdated: 0 };
+      const seen = new Set();
+      group.variants.forEach(item => {
+        const owner = item.sku && bySku(item.sku);
+        if (owner && owner.slug !== group.key) {
+          fail(item.row, 'sku', `SKU ${item.sku} belongs to ${owner.name}`);
+          return;
+        }
+
+        const variant = (item.sku && product.variants.find(existingVariant => existingVariant.sku === item.sku)) ||
+          (item.variantType && item.variantValue && product.variants.find(existingVariant =>
+            existingVariant.type === item.variantType && existingVariant.value === item.variantValue));
+
+        if (variant) {
+          if (seen.has(variant)) {
+            fail(item.row, 'variantValue', `${variant.type} ${variant.value} appears more than once for this product`);
+            return;
+          }
+          Object.keys(VARIANT_FIELDS)
+            .filter(field => item[field] !== undefined)
+            .forEach(field => {
+              variant[VARIANT_FIELDS[field]] = item[field];
+            });
+          seen.add(variant);
+          summary.variantsUpdated += 1;
+        } else {
+          if (!item.variantType || !item.variantValue) {
+            fail(item.row, 'variantType', 'New variants need a variant type and value');
+            return;
+          }
+          product.variants.push({
+            type: item.variantType,
+            value: item.variantValue,
+            sku: item.sku,
+            stock: item.variantStock || 0,
+            priceAdjustment: item.variantPriceAdjustment || 0
+          });
+          seen.add(product.variants[product.variants.length - 1]);
+          summary.variantsAdded += 1;
+        }
+      });
+
+      const invalid = product.validateSync();
+      if (invalid) {
+        Object.values(invalid.errors)
+          // Missing fields for new products are reported above
+          .filter(error => !(action === 'create' && ['price', 'category'].includes(error.path)))
+          .forEach(error => fail(firstRow, error.path, error.message));
+      }
+
+      products.push({
+        row: firstRow,
+        slug: group.key,
+        name: product.name,
+        action,
+        variantsAdded: summary.variantsAdded,
+        variantsUpdated: summary.variantsUpdated,
+        document: product
+      });
+    }
+
+    errors.sort((a, b) => a.row - b.row);
+
+    return { products, errors };
+  }
+
+  /**
+   * Import a file. Without `commit` it is a dry run that only reports what would change.
+   * @param {Object} file - Multer file
+   * @param {Object} options - { commit }
+   * @returns {Promise<Object>} - { dryRun, valid, summary, products, errors }
+   * @throws {ValidationError} - When committing a file that has errors
+   */
+  async run(file, { commit = false } = {}) {
+    const rows = await this.readRows(file);
+    const { products, errors } = await this.plan(rows);
+
+    if (commit && errors.length) {
+      throw new ValidationError(`${errors.length} rows have errors - nothing was imported`, errors);
+    }
+
+    if (commit) {
+      // Checked above, so a failure here is the database (e.g. a SKU taken meanwhile)
+      for (const item of products) {
+        try {
+          await item.document.save();
+        } catch (err) {
+          errors.push({ row: item.row, field: 'product', message: `${item.slug} was not saved: ${err.message}` });
+        }
+      }
+    }
+
+    return {
+      dryRun: !commit,
+      valid: errors.length === 0,
+      summary: {
+        rows: rows.length,
+        products: products.length,
+        created: products.filter(item => item.action === 'create').length,
+        updated: products.filter(item => item.action === 'update').length,
+        variantsAdded: products.reduce((sum, item) => sum + item.variantsAdded, 0),
+        variantsUpdated: products.reduce((sum, item) => sum + item.variantsUpdated, 0),
+        errors: errors.length
+      },
+      products: products.map(({ document, ...item }) => ({ ...item, id: commit ? document._id : undefined })),
+      errors
+    };
+  }
+}
+
+module.exports = new ProductImportService();
@@ -0,0 +1,450 @@
+/**
+ * src/core/services/RefundService.js
+ * Refunds against orders, bookings and enrollments: full or partial,
+ * through the gateway that took the charge or by bank transfer, tracked
+ * from pending to processed or failed
+ */
+
+const Refund = require('../../../models/Refund');
+const Payment = require('../../../models/Payment');
+const Order = require('../../../models/Order');
+const Booking = require('../../../models/Booking');
+const Enrollment = require('../../../models/Enrollment');
+const InventoryService = require('./InventoryService');
+const { getPaymentProvider } = require('../providers/payments');
+const sendEmail = require('../../../utils/sendEmail');
+const { refundStatusEmail } = require('../../../utils/emailTemplates');
+const NotFoundError = require('../errors/NotFoundError');
+const ValidationError = require('../errors/ValidationError');
+
+class RefundService {
+  constructor() {
+    this.models = {
+      order: Order,
+      booking: Booking,
+      enrollment: Enrollment
+    };
+  }
+
+  /**
+   * Load the entity a refund is for
+   * @param {String} entityType - order | booking | enrollment
+   * @param {String} entityId - Entity ID
+   * @returns {Promise<Object>}
+   */
+  async getEntity(entityType, entityId) {
+    const Model = this.models[entityType];
+    if (!Model) {
+      throw new ValidationError(`Unknown refund type: ${entityType}`);
+    }
+
+    const entity = await Model.findById(entityId);
+    if (!entity) {
+      throw new NotFoundError(`${Model.modelName} not found`);
+    }
+
+    return entity;
+  }
+
+  /**
+   * Total the customer has paid on an entity (₦), by any method
+   * @param {String} entityType - order | booking | enrollment
+   * @param {Object} entity - Order, Booking or Enrollment document
+   * @returns {Number}
+   */
+  amountPaid(entityType, entity) {
+    if (entityType === 'order') {
+      return ['paid', 'refunded'].includes(entity.payment.status) ? entity.pricing.total : 0;
+    }
+
+    if (entityType === 'booking') {
+      return (entity.payment.depositPaid ? entity.pricing.depositAmount : 0) +
+        (entity.payment.balancePaid ? entity.pricing.balanceAmount : 0);
+    }
+
+    return ['paid', 'refunded'].includes(entity.payment.status) ? entity.payment.amount : 0;
+  }
+
+  /**
+   * Total already refunded or being refunded on an entity (₦)
+   * @param {String} entityType - order | booking | enrollment
+   * @param {String} entityId - Entity ID
+   * @returns {Promise<Number>}
+   */
+  async amountRefunded(entityType, entityId) {
+    const refunds = await Refund.find({ entityType, entityId, status: { $ne: 'failed' } }).select('amount');
+    return refunds.reduce((total, refund) => total + refund.amount, 0);
+  }
+
+  /**
+   * Who to email about a refund and how to describe what was refunded
+   * @param {String} entityType - order | booking | enrollment
+   * @param {Object} entity - Order, Booking or Enrollment document
+   * @returns {Object} - { email, firstName, label }
+   */
+  customerOf(entityType, entity) {
+    const labels = {
+      order: `Order ${entity.orderNumber}`,
+      booking: `Booking ${entity.bookingNumber}`,
+      enrollment: `Enrollment ${entity.enrollmentNumber}`
+    };
+    const info = (entityType === 'enrollment' ? entity.studentInfo : entity.customerInfo) || {};
+
+    return { email: info.email, firstName: info.firstName, label: labels[entityType] };
+  }
+
+  /**
+   * Work out which order lines are being returned to stock
+   * @param {Object} order - Order document
+   * @param {Array|Boolean} items - [{ product, variantId, quantity }] or true for every line
+   * @returns {Promise<Array>} - Lines to restock
+   */
+  async returnedLines(order, items) {
+    if (order.orderStatus === 'cancelled') {
+      throw new ValidationError('Stock for cancelled orders was returned when they were cancelled');
+    }
+
+    // What earlier refunds already put back
+    const earlier = await Refund.find({ entityType: 'order', entityId: order._id, restockedAt: { $exists: true } });
+    const lineKey = line => `${line.product}:${line.variant?.variantId || line.variant?.value || ''}`;
+    const returned = new Map();
+    earlier.forEach(refund => refund.items.forEach(line => {
+      returned.set(lineKey(line), (returned.get(lineKey(line)) || 0) + line.quantity);
+    }));
+
+    const wanted = items === true
+      ? order.items.map(line => ({ product: line.product, variantId: line.variant?.variantId, quantity: line.quantity }))
+      : items;
+
+    return wanted.map(item => {
+      const line = order.items.find(orderLine =>
+        String(orderLine.product._id || orderLine.product) === String(item.product) &&
+        (!item.variantId || String(orderLine.variant?.variantId) === String(item.variantId))
+      );
+      if (!line) {
+        throw new ValidationError(`Item ${item.product} is not on this order`);
+      }
+
+      const restockLine = {
+        product: line.product._id || line.product,
+        variant: line.variant,
+        quantity: parseInt(item.quantity, 10)
+      };
+      const left = line.quantity - (returned.get(lineKey(restockLine)) || 0);
+      if (!restockLine.quantity || restockLine.quantity < 1 || restockLine.quantity > left) {
+        throw new ValidationError(`Only ${left} of ${line.productSnapshot?.name || 'this item'} can be returned`);
+      }
+
+      return restockLine;
+    }).filter(line => line.quantity > 0);
+  }
+
+  /**
+   * Start a refund. Gateway refunds are split across the entity's charges;
+   * whatever the charges can't cover (cash, bank transfer) is refunded by transfer.
+   * @param {Object} params - { entityType, entityId, amount, reason, method, items, requestedBy }
+   *   amount defaults to everything still refundable; items ([...] or true) are restocked (orders only)
+   * @returns {Promise<Array>} - Refund documents; a gateway refund the provider rejected comes back failed
+   */
+  async create({ entityType, entityId, amount, reason, method = 'gateway', items, requestedBy }) {
+    const entity = await this.getEntity(entityType, entityId);
+
+    const refundable = this.amountPaid(entityType, entity) - await this.amountRefunded(entityType, entityId);
+    const total = amount !== undefined && amount !== null ? Number(amount) : refundable;
+
+    if (refundable <= 0) {
+      throw new ValidationError('Nothing left to refund');
+    }
+    if (!total || total <= 0 || total > refundable) {
+      throw new ValidationError(`Refund amount must be between ₦1 and ₦${refundable.toLocaleString()}`);
+    }
+
+    const lines = entityType === 'order' && items ? await this.returnedLines(entity, items) : [];
+    const customer = this.customerOf(entityType, entity);
+    const base = {
+      entityType,
+      entityId,
+      user: entity.user || entity.customer || entity.student,
+      reason,
+      requestedBy
+    };
+
+    const refunds = [];
+    const settled = [];
+    let remaining = total;
+    let gatewayFailed = false;
+
+    if (method === 'gateway') {
+      // Cash and transfers taken at the studio can only go back by transfer
+      const payments = await Payment.find({ entityType, entityId, status: 'success', provider: { $ne: 'manual' } }).sort('paidAt');
+
+      for (const payment of payments) {
+        if (remaining <= 0) {
+          break;
+        }
+
+        const share = Math.min(remaining, payment.amount - (payment.refundedAmount || 0));
+        if (share <= 0) {
+          continue;
+        }
+
+        // Hold the share on the charge so concurrent refunds can't exceed it
+        const held = await Payment.findOneAndUpdate(
+          { _id: payment._id, $expr: { $lte: [{ $add: ['$refundedAmount', share] }, '$amount'] } },
+          { $inc: { refundedAmount: share } }
+        );
+        if (!held) {
+          continue;
+        }
+
+        const refund = await Refund.create({
+          ...base,
+          method: 'gateway',
+          payment: payment._id,
+          reference: payment.reference,
+          provider: payment.provider,
+          amount: share,
+          statusHistory: [{ status: 'pending', source: 'admin', note: reason }]
+        });
+
+        try {
+          const result = await getPaymentProvider(payment.provider).refund({
+            reference: payment.reference,
+            transactionId: payment.providerTransactionId,
+            amount: share,
+            reason
+          });
+          refund.providerRefundId = result.refundId;
+          await refund.save();
+
+          if (['processed', 'completed'].includes(result.status)) {
+            settled.push(refund);
+          }
+        } catch (err) {
+          // Never reached the customer - free the hold and report it to the admin
+          const message = err.response?.data?.message || err.message;
+          console.error('Refund error:', err.response?.data || err.message);
+          refund.status = 'failed';
+          refund.failedAt = new Date();
+          refund.failureReason = message;
+          refund.statusHistory.push({ status: 'failed', source: 'provider', note: message });
+          await refund.save();
+          await Payment.updateOne({ _id: payment._id }, { $inc: { refundedAmount: -share } });
+          refunds.push(refund);
+          gatewayFailed = true;
+          break;
+        }
+
+        refunds.push(refund);
+        remaining -= share;
+      }
+    }
+
+    // Paid outside the gateway - paid out by bank transfer with the refund number as reference
+    if (remaining > 0 && !gatewayFailed) {
+      refunds.push(await Refund.create({
+        ...base,
+        method: 'transfer',
+        amount: remaining,
+        statusHistory: [{ status: 'pending', source: 'admin', note: reason }]
+      }));
+    }
+
+    const started = refunds.filter(refund => refund.status === 'pending');
+
+    if (lines.length > 0 && started.length > 0) {
+      await InventoryService.restock(lines);
+      started[0].items = lines;
+      started[0].restockedAt = new Date();
+      await started[0].save();
+    }
+
+    await this.updateEntity(entity, entityType, started, 'pending');
+    await Promise.all(started.map(refund => this.notify(refund, customer)));
+
+    // Gateways that settle immediately
+    for (const refund of settled) {
+      const updated = await this.markProcessed(refund, 'provider');
+      if (updated) {
+        refund.set({ status: updated.status, processedAt: updated.processedAt, statusHistory: updated.statusHistory });
+      }
+    }
+
+    return refunds;
+  }
+
+  /**
+   * Mark a pending refund processed. Repeated calls are no-ops.
+   * @param {Object} refund - Refund document
+   * @param {String} source - admin | provider | webhook
+   * @param {String} note - Optional note
+   * @returns {Promise<Object|null>} - Updated refund, null if it wasn't pending
+   */
+  async markProcessed(refund, source, note) {
+    const updated = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: 'pending' },
+      {
+        $set: { status: 'processed', processedAt: new Date() },
+        $push: { statusHistory: { status: 'processed', source, note } }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return null;
+    }
+
+    const entity = await this.getEntity(updated.entityType, updated.entityId);
+    await this.updateEntity(entity, updated.entityType, [updated], 'processed');
+    await this.notify(updated, this.customerOf(updated.entityType, entity));
+
+    return updated;
+  }
+
+  /**
+   * Mark a pending refund failed and free its amount on the charge
+   * @param {Object} refund - Refund document
+   * @param {String} reason - Why it failed
+   * @param {String} source - admin | provider | webhook
+   * @returns {Promise<Object|null>} - Updated refund, null if it wasn't pending
+   */
+  async markFailed(refund, reason, source) {
+    const updated = await Refund.findOneAndUpdate(
+      { _id: refund._id, status: 'pending' },
+      {
+        $set: { status: 'failed', failedAt: new Date(), failureReason: reason },
+        $push: { statusHistory: { status: 'failed', source, note: reason } }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      return null;
+    }
+
+    if (updated.payment) {
+      await Payment.updateOne({ _id: updated.payment }, { $inc: { refundedAmount: -updated.amount } });
+    }
+
+    const entity = await this.getEntity(updated.entityType, updated.entityId);
+    await this.updateEntity(entity, updated.entityType, [updated], 'failed');
+    await this.notify(updated, this.customerOf(updated.entityType, entity));
+
+    return updated;
+  }
+
+  /**
+   * Apply a refund status reported by a provider webhook
+   * @param {Object} update - { provider, reference, refundId, transferReference, status, amount }
+   * @returns {Promise<Object|null>} - Refund that was updated
+   */
+  async recordProviderUpdate(update) {
+    let refund = null;
+
+    if (update.refundId) {
+      refund = await Refund.findOne({ providerRefundId: update.refundId });
+    }
+    if (!refund && update.transferReference) {
+      refund = await Refund.findOne({ refundNumber: update.transferReference, method: 'transfer' });
+    }
+    if (!refund && update.reference) {
+      // Paystack refund events carry the charge reference but not the refund ID
+      refund = await Refund.findOne({
+        reference: update.reference,
+        status: 'pending',
+        ...(update.amount ? { amount: update.amount } : {})
+      }).sort('createdAt');
+    }
+
+    if (!refund) {
+      console.log(`No refund found for ${update.provider} update`, update.refundId || update.transferReference || update.reference);
+      return null;
+    }
+
+    if (update.status === 'processed') {
+      return this.markProcessed(refund, 'webhook');
+    }
+    if (update.status === 'failed') {
+      return this.markFailed(refund, update.reason || 'Reported failed by the payment provider', 'webhook');
+    }
+
+    return refund;
+  }
+
+  /**
+   * Reflect refund progress on the order, booking or enrollment
+   * @param {Object} entity - Order, Booking or Enrollment document
+   * @param {String} entityType - order | booking | enrollment
+   * @param {Array} refunds - Refunds that changed
+   * @param {String} status - pending | processed | failed
+   * @returns {Promise<void>}
+   */
+  async updateEntity(entity, entityType, refunds, status) {
+    if (refunds.length === 0) {
+      return;
+    }
+
+    const amount = refunds.reduce((total, refund) => total + refund.amount, 0);
+    const note = `Refund ${refunds.map(refund => refund.refundNumber).join(', ')} of ₦${amount.toLocaleString()} ${status}`;
+
+    if (entityType === 'order') {
+      if (status === 'processed') {
+        entity.payment.refundedAmount = (entity.payment.refundedAmount || 0) + amount;
+        if (entity.payment.refundedAmount >= entity.pricing.total) {
+          entity.payment.status = 'refunded';
+        }
+      }
+      entity.statusHistory.push({ status: entity.orderStatus, note, updatedAt: new Date() });
+    } else if (entityType === 'booking') {
+      if (!entity.cancellation) {
+        entity.cancellation = {};
+      }
+      if (status === 'pending') {
+        entity.cancellation.refundAmount = (entity.cancellation.refundAmount || 0) + amount;
+      }
+      if (status === 'failed') {
+        entity.cancellation.refundAmount = Math.max(0, (entity.cancellation.refundAmount || 0) - amount);
+      }
+      // Processed only once nothing else is still pending
+      const pending = await Refund.countDocuments({ entityType, entityId: entity._id, status: 'pending' });
+      entity.cancellation.refundStatus = status === 'processed' && pending > 0 ? 'pending' : status;
+    } else if (status === 'processed') {
+      entity.payment.refundedAmount = (entity.payment.refundedAmount || 0) + amount;
+      if (entity.payment.refundedAmount >= entity.payment.amount) {
+        entity.payment.status = 'refunded';
+      }
+    }
+
+    await entity.save();
+  }
+
+  /**
+   * Email the customer about a refund's progress. Never fails the refund.
+   * @param {Object} refund - Refund document
+   * @param {Object} customer - { email, firstName, label }
+   * @returns {Promise<void>}
+   */
+  async notify(refund, customer) {
+    if (!customer.email) {
+      return;
+    }
+
+    const subjects = {
+      pending: 'Your refund is on its way',
+      processed: 'Your refund has been processed',
+      failed: 'We could not complete your refund'
+    };
+
+    try {
+      await sendEmail({
+        email: customer.email,
+        subject: `${subjects[refund.status]} - ${customer.label}`,
+        html: refundStatusEmail(refund, customer)
+      });
+    } catch (err) {
+      console.error('Refund email error:', err.message);
+    }
+  }
+}
+
+module.exports = new RefundService();
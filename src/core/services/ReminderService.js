@@ -0,0 +1,199 @@
+/**
+ * src/core/services/ReminderService.js
+ * Text and WhatsApp reminders for upcoming bookings, sent at the configured
+ * offsets before the appointment, with delivery status kept on the booking
+ */
+
+const Booking = require('../../../models/Booking');
+const AvailabilityService = require('./AvailabilityService');
+const { channelFor } = require('../providers/notifications');
+const { notificationConfig } = require('../../../config/notifications');
+const { bookingReminderSms, bookingReminderParams } = require('../../../utils/smsTemplates');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Statuses a delivery report may not overwrite - reports can arrive out of order
+const LATER_STATUSES = {
+  sent: ['delivered', 'read', 'failed'],
+  delivered: ['read'],
+  read: [],
+  failed: []
+};
+
+class ReminderService {
+  /**
+   * Nigerian numbers in international format without the plus, e.g. 08030000000 -> 2348030000000
+   * @param {String} phone
+   * @returns {String|null} - null if it can't be a phone number
+   */
+  normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+
+    if (digits.length === 11 && digits.startsWith('0')) {
+      return `234${digits.slice(1)}`;
+    }
+    if (digits.length === 10 && !digits.startsWith('0')) {
+      return `234${digits}`;
+    }
+    if (digits.length >= 11 && digits.length <= 15 && !digits.startsWith('0')) {
+      return digits;
+    }
+
+    return null;
+  }
+
+  /**
+   * Which reminder is due for a booking. When several fall due together (a booking
+   * made the day before, or the job was down) only the nearest one is sent.
+   * @param {Object} booking - Booking document
+   * @param {Number} now - Timestamp
+   * @returns {Object} - { offsetHours, skipped } - offsetHours is undefined if nothing is due
+   */
+  dueReminder(booking, now = Date.now()) {
+    const hoursLeft = (AvailabilityService.startsAt(booking).getTime() - now) / HOUR_MS;
+    if (hoursLeft <= 0) {
+      return { skipped: [] };
+    }
+
+    const recorded = new Set((booking.reminder.messages || []).map(message => message.offsetHours));
+    const due = notificationConfig.reminders.offsetsHours
+      .filter(hours => hoursLeft <= hours && !recorded.has(hours))
+      .sort((a, b) => a - b);
+
+    return { offsetHours: due[0], skipped: due.slice(1) };
+  }
+
+  /**
+   * Send a booking reminder on the configured channel and record the outcome
+   * @param {Object} booking - Booking document
+   * @param {Number} offsetHours - Which reminder this is
+   * @param {Number[]} skipped - Earlier reminders superseded by this one
+   * @returns {Promise<Object>} - The delivery record
+   */
+  async sendBookingReminder(booking, offsetHours, skipped = []) {
+    const kind = notificationConfig.reminders.channel;
+    const channel = channelFor(kind);
+    const now = new Date();
+    const to = this.normalizePhone(booking.customerInfo.phone);
+
+    const record = { offsetHours, channel: kind, provider: channel.name, to, sentAt: now, updatedAt: now };
+
+    if (!to) {
+      record.status = 'failed';
+      record.error = 'No valid phone number on the booking';
+    } else {
+      try {
+        const result = await channel.send({
+          to,
+          text: bookingReminderSms(booking),
+          template: {
+            name: notificationConfig.whatsapp.templates.bookingReminder,
+            params: bookingReminderParams(booking)
+          },
+          reference: `booking-${booking._id}-${offsetHours}h`
+        });
+        record.status = result.status;
+        record.messageId = result.messageId;
+      } catch (err) {
+        record.status = 'failed';
+        record.error = (err.response && err.response.data && err.response.data.message) || err.message;
+      }
+    }
+
+    skipped.forEach(hours => booking.reminder.messages.push({
+      offsetHours: hours,
+      channel: kind,
+      provider: channel.name,
+      status: 'skipped',
+      updatedAt: now
+    }));
+    booking.reminder.messages.push(record);
+
+    if (record.status !== 'failed') {
+      booking.reminder.smsSent = true;
+      booking.reminder.smsSentAt = now;
+    }
+
+    await booking.save();
+
+    return record;
+  }
+
+  /**
+   * Send whatever reminders are due for confirmed bookings
+   * @returns {Promise<Object>} - { sent, failed }
+   */
+  async sendDueReminders() {
+    const now = Date.now();
+    const longest = Math.max(0, ...notificationConfig.reminders.offsetsHours);
+    const { start } = AvailabilityService.dayRange(new Date(now));
+    const { end } = AvailabilityService.dayRange(new Date(now + longest * HOUR_MS));
+
+    const bookings = await Booking.find({
+      status: 'confirmed',
+      appointmentDate: { $gte: start, $lt: end }
+    });
+
+    const summary = { sent: 0, failed: 0 };
+
+    for (const booking of bookings) {
+      const { offsetHours, skipped } = this.dueReminder(booking, now);
+      if (offsetHours === undefined) {
+        continue;
+      }
+
+      try {
+        const record = await this.sendBookingReminder(booking, offsetHours, skipped);
+        summary[record.status === 'failed' ? 'failed' : 'sent'] += 1;
+        if (record.status === 'failed') {
+          console.error(`Reminder for booking ${booking.bookingNumber} failed: ${record.error}`);
+        }
+      } catch (err) {
+        summary.failed += 1;
+        console.error(`Reminder for booking ${booking.bookingNumber} failed:`, err.message);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Apply delivery reports to the bookings' reminder records
+   * @param {String} provider - Provider the reports came from
+   * @param {Object[]} updates - Normalised delivery updates
+   * @returns {Promise<Number>} - Records updated
+   */
+  async recordDelivery(provider, updates) {
+    let updated = 0;
+
+    for (const update of updates) {
+      if (!update.messageId || !LATER_STATUSES[update.status]) {
+        continue;
+      }
+
+      const result = await Booking.updateOne(
+        {
+          'reminder.messages': {
+            $elemMatch: {
+              provider,
+              messageId: update.messageId,
+              status: { $nin: LATER_STATUSES[update.status] }
+            }
+          }
+        },
+        {
+          $set: {
+            'reminder.messages.$.status': update.status,
+            'reminder.messages.$.error': update.error,
+            'reminder.messages.$.updatedAt': new Date()
+          }
+        }
+      );
+      updated += result.modifiedCount;
+    }
+
+    return updated;
+  }
+}
+
+module.exports = new ReminderService();
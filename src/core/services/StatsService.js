@@ -0,0 +1,383 @@
+/**
+ * src/core/services/StatsService.js
+ * Figures for the admin dashboard: revenue across products, bookings and courses,
+ * order and product performance, booking utilization, course fill rates and
+ * new versus returning customers, all for a date range in studio time
+ */
+
+const Order = require('../../../models/Order');
+const Booking = require('../../../models/Booking');
+const Enrollment = require('../../../models/Enrollment');
+const Refund = require('../../../models/Refund');
+const Product = require('../../../models/Product');
+const Artist = require('../../../models/Artist');
+const User = require('../../../models/User');
+const AvailabilityService = require('./AvailabilityService');
+const { studios, bookingRules } = require('../../../config/studios');
+const ValidationError = require('../errors/ValidationError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+
+// Grouping keys per reporting interval - weeks are ISO weeks
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+// Bookings that took up the artist's time
+const OCCUPIED_STATUSES = ['confirmed', 'in-progress', 'completed', 'no-show'];
+
+// Revenue streams as reported, keyed by the entity they come from
+const STREAMS = { order: 'products', booking: 'bookings', enrollment: 'courses' };
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+class StatsService {
+  /**
+   * Studio-local date range to report on. Defaults to the last 30 days.
+   * @param {Object} query - { from, to } as "YYYY-MM-DD", both inclusive
+   * @returns {Object} - { from, to, start, end, days } - start/end are instants, end exclusive
+   */
+  range({ from, to } = {}) {
+    const offsetMs = bookingRules.utcOffsetMinutes * 60 * 1000;
+    const today = AvailabilityService.dayRange(new Date()).day;
+
+    const lastDay = AvailabilityService.dayRange(to || today);
+    const firstDay = from
+      ? AvailabilityService.dayRange(from)
+      : AvailabilityService.dayRange(new Date(lastDay.start.getTime() - (DEFAULT_DAYS - 1) * DAY_MS).toISOString().slice(0, 10));
+
+    const days = Math.round((lastDay.end - firstDay.start) / DAY_MS);
+    if (days < 1) {
+      throw new ValidationError('The start of the range must be before the end');
+    }
+    if (days > MAX_DAYS) {
+      throw new ValidationError(`Please choose a range of at most ${MAX_DAYS} days`);
+    }
+
+    return {
+      from: firstDay.day,
+      to: lastDay.day,
+      // Studio midnight as instants, for timestamps such as paidAt
+      start: new Date(firstDay.start.getTime() - offsetMs),
+      end: new Date(lastDay.end.getTime() - offsetMs),
+      // UTC midnights, as appointment dates are stored
+      firstDay: firstDay.start,
+      lastDay: lastDay.end,
+      days
+    };
+  }
+
+  /**
+   * Studio UTC offset in the "+01:00" form aggregation operators take
+   * @returns {String}
+   */
+  timezone() {
+    const minutes = bookingRules.utcOffsetMinutes;
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Group key for a date field by interval
+   * @param {String} field - e.g. '$payment.paidAt'
+   * @param {String} interval - day | week | month
+   * @returns {Object}
+   */
+  period(field, interval) {
+    return { $dateToString: { format: PERIOD_FORMATS[interval], date: field, timezone: this.timezone() } };
+  }
+
+  /**
+   * Money taken per period, split into products, bookings and courses.
+   * Booking deposits and balances count when each is paid; refunds processed in the
+   * range are reported separately and taken off the net total.
+   * @param {Object} range - From range()
+   * @param {String} interval - day | week | month
+   * @returns {Promise<Object>} - { interval, periods, totals }
+   */
+  async revenue(range, interval = 'day') {
+    if (!PERIOD_FORMATS[interval]) {
+      throw new ValidationError('Interval must be day, week or month');
+    }
+
+    const paidInRange = { $gte: range.start, $lt: range.end };
+    const group = field => ({
+      $group: { _id: this.period(field, interval), amount: { $sum: '$payments.amount' }, count: { $sum: 1 } }
+    });
+
+    const [orders, bookings, enrollments, refunds] = await Promise.all([
+      Order.aggregate([
+        { $match: { 'payment.status': { $in: ['paid', 'refunded'] }, 'payment.paidAt': paidInRange } },
+        { $project: { payments: { at: '$payment.paidAt', amount: '$pricing.total' } } },
+        group('$payments.at')
+      ]),
+      Booking.aggregate([
+        { $match: { $or: [{ 'payment.depositPaidAt': paidInRange }, { 'payment.balancePaidAt': paidInRange }] } },
+        {
+          $project: {
+            payments: [
+              { at: '$payment.depositPaidAt', amount: '$pricing.depositAmount' },
+              { at: '$payment.balancePaidAt', amount: '$pricing.balanceAmount' }
+            ]
+          }
+        },
+        { $unwind: '$payments' },
+        { $match: { 'payments.at': paidInRange } },
+        group('$payments.at')
+      ]),
+      Enrollment.aggregate([
+        { $match: { $or: [{ 'payment.paidAt': paidInRange }, { 'payment.installments.paidAt': paidInRange }] } },
+        {
+          // Instalment plans are counted per instalment, one-off payments when paid
+          $project: {
+            payments: {
+              $cond: [
+                { $gt: [{ $size: { $ifNull: ['$payment.installments', []] } }, 0] },
+                { $map: { input: '$payment.installments', as: 'item', in: { at: '$$item.paidAt', amount: '$$item.amount' } } },
+                [{ at: '$payment.paidAt', amount: '$payment.amount' }]
+              ]
+            }
+          }
+        },
+        { $unwind: '$payments' },
+        { $match: { 'payments.at': paidInRange } },
+        group('$payments.at')
+      ]),
+      Refund.aggregate([
+        { $match: { status: 'processed', processedAt: paidInRange } },
+        { $group: { _id: '$entityType', amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const periods = {};
+    const totals = { products: 0, bookings: 0, courses: 0, gross: 0, refunds: 0, net: 0 };
+    const add = (rows, stream) => rows.forEach(row => {
+      periods[row._id] = periods[row._id] || { period: row._id, products: 0, bookings: 0, courses: 0, total: 0 };
+      periods[row._id][stream] += row.amount;
+      periods[row._id].total += row.amount;
+      totals[stream] += row.amount;
+      totals.gross += row.amount;
+    });
+
+    add(orders, 'products');
+    add(bookings, 'bookings');
+    add(enrollments, 'courses');
+
+    totals.refundsByStream = { products: 0, bookings: 0, courses: 0 };
+    refunds.forEach(row => {
+      totals.refundsByStream[STREAMS[row._id]] = row.amount;
+      totals.refunds += row.amount;
+    });
+    totals.net = totals.gross - totals.refunds;
+
+    return {
+      interval,
+      periods: Object.values(periods).sort((a, b) => a.period.localeCompare(b.period)),
+      totals
+    };
+  }
+
+  /**
+   * Orders placed in the range by status and payment status, and the best sellers
+   * @param {Object} range - From range()
+   * @param {Number} limit - How many top products
+   * @returns {Promise<Object>}
+   */
+  async orderStats(range, limit = 10) {
+    const placed = { createdAt: { $gte: range.start, $lt: range.end } };
+
+    const [byStatus, byPayment, paid, topProducts] = await Promise.all([
+      Order.aggregate([
+        { $match: placed },
+        { $group: { _id: '$orderStatus', count: { $sum: 1 } } }
+      ]),
+      Order.aggregate([
+        { $match: placed },
+        { $group: { _id: '$payment.status', count: { $sum: 1 } } }
+      ]),
+      Order.aggregate([
+        { $match: { ...placed, 'payment.status': { $in: ['paid', 'refunded'] } } },
+        { $group: { _id: null, count: { $sum: 1 }, total: { $sum: '$pricing.total' } } }
+      ]),
+      Product.find({ totalSales: { $gt: 0 } })
+        .select('name slug price stock totalSales images')
+        .sort('-totalSales')
+        .limit(limit)
+    ]);
+
+    const counts = rows => rows.reduce((result, row) => ({ ...result, [row._id || 'unknown']: row.count }), {});
+    const paidOrders = paid[0] || { count: 0, total: 0 };
+
+    return {
+      total: byStatus.reduce((sum, row) => sum + row.count, 0),
+      byStatus: counts(byStatus),
+      byPaymentStatus: counts(byPayment),
+      paidOrders: paidOrders.count,
+      averageOrderValue: paidOrders.count ? Math.round(paidOrders.total / paidOrders.count) : 0,
+      topProducts
+    };
+  }
+
+  /**
+   * Minutes an artist could work on a day, less any time off
+   * @param {Object} artist
+   * @param {Object} hours - From AvailabilityService.openingHours
+   * @param {Object} day - From AvailabilityService.dayRange
+   * @returns {Number}
+   */
+  workingMinutes(artist, hours, day) {
+    if (hours.open === null) {
+      return 0;
+    }
+
+    const off = AvailabilityService.timeOffIntervals(artist, day);
+    return AvailabilityService.workingWindows(artist, hours).reduce((sum, window) => {
+      const overlap = off.reduce((taken, period) =>
+        taken + Math.max(0, Math.min(window.end, period.end) - Math.max(window.start, period.start)), 0);
+      return sum + Math.max(0, window.end - window.start - overlap);
+    }, 0);
+  }
+
+  /**
+   * Share of artists' working time taken by appointments, per location and tier
+   * @param {Object} range - From range()
+   * @returns {Promise<Array>} - [{ location, tier, bookings, bookedMinutes, availableMinutes, utilization }]
+   */
+  async bookingUtilization(range) {
+    const [artists, booked] = await Promise.all([
+      Artist.find({ isActive: true }).select('location tier workingHours timeOff'),
+      Booking.aggregate([
+        { $match: { status: { $in: OCCUPIED_STATUSES }, appointmentDate: { $gte: range.firstDay, $lt: range.lastDay } } },
+        {
+          $group: {
+            _id: { location: '$location', tier: '$artist.type' },
+            bookings: { $sum: 1 },
+            minutes: { $sum: { $ifNull: ['$serviceSnapshot.duration', 60] } }
+          }
+        }
+      ])
+    ]);
+
+    const rows = {};
+    const row = (location, tier) => {
+      const key = `${location}:${tier}`;
+      rows[key] = rows[key] || { location, tier, bookings: 0, bookedMinutes: 0, availableMinutes: 0 };
+      return rows[key];
+    };
+
+    for (let i = 0; i < range.days; i++) {
+      const date = new Date(range.firstDay.getTime() + i * DAY_MS);
+      const day = AvailabilityService.dayRange(date.toISOString().slice(0, 10));
+
+      Object.keys(studios).forEach(location => {
+        const hours = AvailabilityService.openingHours(location, day.day);
+        artists
+          .filter(artist => artist.location === location)
+          .forEach(artist => {
+            row(location, artist.tier).availableMinutes += this.workingMinutes(artist, hours, day);
+          });
+      });
+    }
+
+    booked.forEach(item => {
+      const entry = row(item._id.location, item._id.tier);
+      entry.bookings = item.bookings;
+      entry.bookedMinutes = item.minutes;
+    });
+
+    return Object.values(rows)
+      .map(entry => ({
+        ...entry,
+        utilization: entry.availableMinutes ? round(entry.bookedMinutes / entry.availableMinutes) : null
+      }))
+      .sort((a, b) => a.location.localeCompare(b.location) || a.tier.localeCompare(b.tier));
+  }
+
+  /**
+   * Enrollments against seats for course intakes starting in the range
+   * @param {Object} range - From range()
+   * @returns {Promise<Array>} - [{ course, title, startDate, location, enrolled, capacity, fillRate }]
+   */
+  async enrollmentFill(range) {
+    const intakes = await Enrollment.aggregate([
+      { $match: { status: { $ne: 'cancelled' }, startDate: { $gte: range.start, $lt: range.end } } },
+      {
+        $group: {
+          _id: { course: '$course', startDate: '$startDate' },
+          enrolled: { $sum: 1 },
+          paid: { $sum: { $cond: [{ $eq: ['$payment.status', 'paid'] }, 1, 0] } }
+        }
+      },
+      { $lookup: { from: 'courses', localField: '_id.course', foreignField: '_id', as: 'course' } },
+      { $unwind: '$course' },
+      { $sort: { '_id.startDate': 1 } }
+    ]);
+
+    return intakes.map(intake => ({
+      course: intake._id.course,
+      title: intake.course.title,
+      location: intake.course.location,
+      startDate: intake._id.startDate,
+      enrolled: intake.enrolled,
+      paid: intake.paid,
+      capacity: intake.course.maxStudents,
+      fillRate: intake.course.maxStudents ? round(intake.enrolled / intake.course.maxStudents) : null
+    }));
+  }
+
+  /**
+   * Customers who paid for anything in the range, split into first-time and returning
+   * (paid for something before the range), plus sign-ups in the range
+   * @param {Object} range - From range()
+   * @returns {Promise<Object>} - { active, new, returning, signups }
+   */
+  async customerStats(range) {
+    const paidBetween = (start, end) => {
+      const when = { ...(start && { $gte: start }), $lt: end };
+      return Promise.all([
+        Order.distinct('user', { user: { $ne: null }, 'payment.status': { $in: ['paid', 'refunded'] }, 'payment.paidAt': when }),
+        Booking.distinct('customer', { 'payment.depositPaidAt': when }),
+        Enrollment.distinct('student', { $or: [{ 'payment.paidAt': when }, { 'payment.installments.paidAt': when }] })
+      ]).then(lists => new Set(lists.flat().map(String)));
+    };
+
+    const [active, before, signups] = await Promise.all([
+      paidBetween(range.start, range.end),
+      paidBetween(null, range.start),
+      User.countDocuments({ role: 'customer', createdAt: { $gte: range.start, $lt: range.end } })
+    ]);
+
+    const returning = [...active].filter(id => before.has(id)).length;
+
+    return {
+      active: active.size,
+      new: active.size - returning,
+      returning,
+      signups
+    };
+  }
+
+  /**
+   * Everything on the dashboard for a range
+   * @param {Object} range - From range()
+   * @returns {Promise<Object>}
+   */
+  async dashboard(range) {
+    const [revenue, orders, utilization, enrollments, customers] = await Promise.all([
+      this.revenue(range, range.days > 92 ? 'month' : range.days > 31 ? 'week' : 'day'),
+      this.orderStats(range, 5),
+      this.bookingUtilization(range),
+      this.enrollmentFill(range),
+      this.customerStats(range)
+    ]);
+
+    return { revenue, orders, bookings: { utilization }, enrollments, customers };
+  }
+}
+
+module.exports = new StatsService();
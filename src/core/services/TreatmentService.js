@@ -0,0 +1,155 @@
+/**
+ * src/core/services/TreatmentService.js
+ * Treatment records on completed bookings: the product variants used, styling notes
+ * and before/after photos, kept on the client's history and optionally shared with them
+ */
+
+const TreatmentRecord = require('../../../models/TreatmentRecord');
+const Product = require('../../../models/Product');
+const { uploadToCloudinary, deleteFromCloudinary } = require('../../../config/cloudinary');
+const ValidationError = require('../errors/ValidationError');
+const NotFoundError = require('../errors/NotFoundError');
+
+// Bookings a treatment can be recorded against
+const TREATED_STATUSES = ['in-progress', 'completed'];
+
+class TreatmentService {
+  /**
+   * Check the products used and snapshot their names and variants
+   * @param {Array} items - [{ product, variant, notes }]
+   * @returns {Promise<Array>} - productsUsed entries
+   * @throws {ValidationError} - Listing every product or variant that doesn't exist
+   */
+  async resolveProducts(items = []) {
+    const ids = [...new Set(items.map(item => String(item.product)))];
+    const products = ids.length ? await Product.find({ _id: { $in: ids } }).select('name variants') : [];
+    const errors = [];
+
+    const resolved = items.map((item, index) => {
+      const product = products.find(doc => doc._id.toString() === String(item.product));
+      if (!product) {
+        errors.push({ index, field: 'product', message: 'Product not found' });
+        return null;
+      }
+
+      const entry = { product: product._id, name: product.name, notes: item.notes };
+      if (!item.variant) {
+        return entry;
+      }
+
+      const variant = product.variants.id(item.variant);
+      if (!variant) {
+        errors.push({ index, field: 'variant', message: `${product.name} has no such variant` });
+        return null;
+      }
+
+      return {
+        ...entry,
+        variant: variant._id,
+        variantLabel: `${variant.type}: ${variant.value}`,
+        sku: variant.sku
+      };
+    });
+
+    if (errors.length) {
+      throw new ValidationError('Some of the products used could not be found', errors);
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Create or update the treatment record for a booking
+   * @param {Object} booking - Booking document
+   * @param {Object} data - { productsUsed, notes, internalNotes, sharedWithClient }
+   * @param {Object} admin - The user recording it
+   * @returns {Promise<Object>} - The record
+   */
+  async record(booking, { productsUsed, notes, internalNotes, sharedWithClient }, admin) {
+    if (!TREATED_STATUSES.includes(booking.status)) {
+      throw new ValidationError(`A ${booking.status} booking has no treatment to record`);
+    }
+
+    const record = await TreatmentRecord.findOne({ booking: booking._id }) || new TreatmentRecord({
+      booking: booking._id,
+      customer: booking.customer,
+      serviceName: booking.serviceSnapshot.name,
+      artist: { name: booking.artist.name, artistId: booking.artist.artistId },
+      location: booking.location,
+      performedAt: booking.appointmentDate
+    });
+
+    if (productsUsed !== undefined) {
+      record.productsUsed = await this.resolveProducts(productsUsed);
+    }
+    if (notes !== undefined) {
+      record.notes = notes;
+    }
+    if (internalNotes !== undefined) {
+      record.internalNotes = internalNotes;
+    }
+    if (sharedWithClient !== undefined) {
+      record.sharedWithClient = Boolean(sharedWithClient);
+    }
+    record.recordedBy = admin.id;
+
+    return record.save();
+  }
+
+  /**
+   * Upload before or after photos to a record
+   * @param {Object} record - TreatmentRecord document
+   * @param {Array} files - Multer files (memory storage)
+   * @param {Object} params - { stage, caption }
+   * @returns {Promise<Object>} - The saved record
+   */
+  async addImages(record, files = [], { stage, caption } = {}) {
+    if (!['before', 'after'].includes(stage)) {
+      throw new ValidationError('Please say whether the photos are before or after');
+    }
+    if (!files.length) {
+      throw new ValidationError('Please upload at least one image');
+    }
+
+    for (const file of files) {
+      const image = await uploadToCloudinary(file.buffer, `treatments/${record.customer}`);
+      record.images.push({ stage, caption, url: image.url, publicId: image.publicId });
+    }
+
+    return record.save();
+  }
+
+  /**
+   * Remove a photo from a record and from Cloudinary
+   * @param {Object} record - TreatmentRecord document
+   * @param {String} imageId
+   * @returns {Promise<Object>} - The saved record
+   */
+  async removeImage(record, imageId) {
+    const image = record.images.id(imageId);
+    if (!image) {
+      throw new NotFoundError('Image not found');
+    }
+
+    if (image.publicId) {
+      await deleteFromCloudinary(image.publicId);
+    }
+    image.deleteOne();
+
+    return record.save();
+  }
+
+  /**
+   * A record as the client sees it - internal notes removed
+   * @param {Object} record - TreatmentRecord document
+   * @returns {Object}
+   */
+  forClient(record) {
+    const shared = record.toObject();
+    delete shared.internalNotes;
+    delete shared.recordedBy;
+    return shared;
+  }
+}
+
+module.exports = new TreatmentService();
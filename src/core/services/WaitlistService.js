@@ -0,0 +1,469 @@
+/**
+ * src/core/services/WaitlistService.js
+ * Waitlists for fully booked days and full courses. When a booking is cancelled or an
+ * enrollment dropped, the first customer waiting gets the place held for them as an
+ * unpaid booking or enrollment; paying claims it, and an unclaimed hold moves down the queue.
+ */
+
+const Waitlist = require('../../../models/Waitlist');
+const Booking = require('../../../models/Booking');
+const Enrollment = require('../../../models/Enrollment');
+const Course = require('../../../models/Course');
+const Service = require('../../../models/Service');
+const User = require('../../../models/User');
+const AvailabilityService = require('./AvailabilityService');
+const IntakeService = require('./IntakeService');
+const { waitlistRules } = require('../../../config/studios');
+const sendEmail = require('../../../utils/sendEmail');
+const { waitlistBookingOfferEmail, waitlistSeatOfferEmail } = require('../../../utils/emailTemplates');
+const ValidationError = require('../errors/ValidationError');
+const NotFoundError = require('../errors/NotFoundError');
+const ConflictError = require('../errors/ConflictError');
+
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+class WaitlistService {
+  /**
+   * When a hold made now runs out - never later than the appointment or course start
+   * @param {Date} startsAt
+   * @returns {Date}
+   */
+  holdUntil(startsAt) {
+    const held = new Date(Date.now() + waitlistRules.holdMinutes * 60 * 1000);
+    return startsAt < held ? startsAt : held;
+  }
+
+  /**
+   * Add a customer to the waitlist for a day at a studio with an artist tier,
+   * or for a course start date
+   * @param {Object} user - Authenticated user
+   * @param {Object} params - { type, location, service, artistType, date } or { type, location, course, startDate }
+   * @returns {Promise<Object>} - Waitlist entry
+   */
+  async join(user, { type, location, service, artistType, date, course, startDate, notes }) {
+    const entry = {
+      type,
+      customer: user.id,
+      customerInfo: {
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        phone: user.phone
+      },
+      location,
+      notes
+    };
+    let key;
+
+    if (type === 'booking') {
+      const serviceDoc = await Service.findById(service);
+      if (!serviceDoc || !serviceDoc.isActive) {
+        throw new NotFoundError('Service not found');
+      }
+
+      if (!serviceDoc.pricing.some(p => p.artistType === artistType)) {
+        throw new ValidationError('Invalid artist type for this service');
+      }
+
+      const { start, end } = AvailabilityService.dayRange(date);
+      if (end <= new Date()) {
+        throw new ValidationError('Please choose a date in the future');
+      }
+
+      // A freed slot is held as a booking, so the client must be able to book the service
+      await IntakeService.assertReady(user, [serviceDoc], [start]);
+
+      key = { type, location, service: serviceDoc._id, artistType, date: start };
+    } else if (type === 'course') {
+      const courseDoc = await Course.findById(course);
+      if (!courseDoc || !courseDoc.isActive) {
+        throw new NotFoundError('Course not found');
+      }
+
+      if (courseDoc.location !== 'both' && courseDoc.location !== location) {
+        throw new ValidationError(`This course is not offered in ${location}`);
+      }
+
+      const start = new Date(startDate);
+      if (!startDate || Number.isNaN(start.getTime()) || start < new Date()) {
+        throw new ValidationError('Start date must be in the future');
+      }
+
+      const enrolled = await Enrollment.findOne({
+        student: user.id,
+        course: courseDoc._id,
+        status: { $in: ['pending', 'active', 'on-hold'] }
+      });
+      if (enrolled) {
+        throw new ConflictError('You are already enrolled in this course');
+      }
+
+      key = { type, location, course: courseDoc._id, startDate: start };
+    } else {
+      throw new ValidationError('Please specify a booking or course waitlist');
+    }
+
+    const existing = await Waitlist.findOne({ ...key, customer: user.id, status: { $in: OPEN_STATUSES } });
+    if (existing) {
+      throw new ConflictError('You are already on this waitlist');
+    }
+
+    return Waitlist.create({ ...entry, ...key });
+  }
+
+  /**
+   * Take a customer off a waitlist. An offered place stays held until it is paid for or lapses.
+   * @param {Object} entry - Waitlist document
+   * @returns {Promise<Object>} - Updated entry
+   */
+  async leave(entry) {
+    if (entry.status === 'offered') {
+      throw new ValidationError('A place is already being held for you - pay to claim it or let the hold lapse');
+    }
+
+    if (entry.status !== 'waiting') {
+      throw new ValidationError(`This waitlist entry is already ${entry.status}`);
+    }
+
+    entry.status = 'cancelled';
+    await entry.save();
+
+    return entry;
+  }
+
+  /**
+   * Mark the offer behind a paid booking or enrollment as claimed
+   * @param {String} entityType - booking | enrollment
+   * @param {Object} entity - Booking or Enrollment document
+   * @returns {Promise<void>}
+   */
+  async claim(entityType, entity) {
+    await Waitlist.updateOne(
+      { [`offer.${entityType}`]: entity._id, status: 'offered' },
+      { $set: { status: 'claimed', 'offer.claimedAt': new Date() } }
+    );
+  }
+
+  /**
+   * A booking was cancelled: close the offer it held (if it was a waitlist hold)
+   * and hold its slot for the first customer waiting whose service fits it
+   * @param {Object} booking - Cancelled booking
+   * @returns {Promise<Object|null>} - Booking held for the next customer, if any
+   */
+  async bookingFreed(booking) {
+    await Waitlist.updateOne(
+      { 'offer.booking': booking._id, status: 'offered' },
+      { $set: { status: booking.cancellation.cancelledBy === 'system' ? 'expired' : 'declined' } }
+    );
+
+    const { start } = AvailabilityService.dayRange(booking.appointmentDate);
+    const entries = await Waitlist.find({
+      type: 'booking',
+      status: 'waiting',
+      date: start,
+      location: booking.location,
+      artistType: booking.artist.type
+    })
+      .populate('service')
+      .sort('createdAt');
+
+    for (const entry of entries) {
+      const held = await this.holdBooking(entry, booking);
+      if (held) {
+        return held;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Hold the freed start time for a waitlisted customer as an unpaid booking
+   * @param {Object} entry - Waitlist document with service populated
+   * @param {Object} freed - The cancelled booking
+   * @returns {Promise<Object|null>} - Held booking, null if the customer's service doesn't fit
+   * or they can no longer book it (e.g. their patch test has lapsed since they joined)
+   */
+  async holdBooking(entry, freed) {
+    const serviceDoc = entry.service;
+    const artistPricing = serviceDoc && serviceDoc.isActive &&
+      serviceDoc.pricing.find(p => p.artistType === entry.artistType);
+    if (!artistPricing) {
+      return null;
+    }
+
+    let slot;
+    try {
+      slot = await AvailabilityService.assertAvailable({
+        date: entry.date,
+        location: entry.location,
+        artistType: entry.artistType,
+        serviceId: serviceDoc._id,
+        start: freed.timeSlot.start,
+        duration: serviceDoc.duration
+      });
+
+      const client = await User.findById(entry.customer);
+      if (!client) {
+        return null;
+      }
+      await IntakeService.assertReady(client, [serviceDoc], [slot.appointmentDate]);
+    } catch (error) {
+      // A longer service may not fit the gap, or the client needs a new patch test first -
+      // leave this customer waiting and try the next
+      if (error.statusCode && error.statusCode < 500) {
+        return null;
+      }
+      throw error;
+    }
+
+    const servicePrice = artistPricing.price;
+    const depositAmount = Math.round(servicePrice * 0.5); // 50% deposit, as at checkout
+    const expiresAt = this.holdUntil(AvailabilityService.startsAt(slot));
+
+    const booking = await Booking.create({
+      customer: entry.customer,
+      customerInfo: entry.customerInfo,
+      service: serviceDoc._id,
+      serviceSnapshot: {
+        name: serviceDoc.name,
+        description: serviceDoc.description,
+        duration: serviceDoc.duration
+      },
+      artist: {
+        type: slot.artist.tier,
+        name: slot.artist.name,
+        artistId: slot.artist._id
+      },
+      location: entry.location,
+      appointmentDate: slot.appointmentDate,
+      timeSlot: slot.timeSlot,
+      holdExpiresAt: expiresAt,
+      pricing: {
+        servicePrice,
+        depositAmount,
+        balanceAmount: servicePrice - depositAmount
+      },
+      statusHistory: [{
+        status: 'pending',
+        note: `Held from the waitlist after booking ${freed.bookingNumber} was cancelled`,
+        source: 'system'
+      }],
+      notes: {
+        customerNotes: entry.notes
+      }
+    });
+
+    try {
+      await AvailabilityService.assertNoClash(booking);
+    } catch (error) {
+      // Taken by a direct booking while this one was being saved
+      await Booking.deleteOne({ _id: booking._id });
+      if (error instanceof ConflictError) {
+        return null;
+      }
+      throw error;
+    }
+
+    await this.offer(entry, { booking: booking._id, expiresAt });
+
+    if (booking.customerInfo && booking.customerInfo.email) {
+      try {
+        await sendEmail({
+          email: booking.customerInfo.email,
+          subject: 'A Slot Opened Up - Lulu Artistry',
+          html: waitlistBookingOfferEmail(booking)
+        });
+      } catch (err) {
+        console.error('Waitlist offer email failed:', err.message);
+      }
+    }
+
+    return booking;
+  }
+
+  /**
+   * An enrollment was dropped: close the offer it held (if it was a waitlist hold)
+   * and hold the seat for the first student waiting. Seats are counted across the
+   * whole course, so anyone waiting for an upcoming start date can take it.
+   * @param {Object} enrollment - Cancelled enrollment
+   * @returns {Promise<Object|null>} - Enrollment held for the next student, if any
+   */
+  async seatFreed(enrollment) {
+    const lapsed = enrollment.holdExpiresAt && enrollment.holdExpiresAt <= new Date();
+    await Waitlist.updateOne(
+      { 'offer.enrollment': enrollment._id, status: 'offered' },
+      { $set: { status: lapsed ? 'expired' : 'declined' } }
+    );
+
+    const courseDoc = await Course.findById(enrollment.course);
+    if (!courseDoc || !courseDoc.isActive) {
+      return null;
+    }
+
+    const entries = await Waitlist.find({
+      type: 'course',
+      status: 'waiting',
+      course: courseDoc._id,
+      startDate: { $gt: new Date() }
+    }).sort('createdAt');
+
+    if (!entries.length) {
+      return null;
+    }
+
+    // Claim the seat atomically so a direct enrollment can't take it at the same time
+    const seat = await Course.findOneAndUpdate(
+      { _id: courseDoc._id, $expr: { $lt: ['$totalEnrollments', '$maxStudents'] } },
+      { $inc: { totalEnrollments: 1 } },
+      { new: true }
+    );
+    if (!seat) {
+      return null;
+    }
+
+    try {
+      for (const entry of entries) {
+        const enrolled = await Enrollment.findOne({
+          student: entry.customer,
+          course: courseDoc._id,
+          status: { $in: ['pending', 'active', 'on-hold'] }
+        });
+
+        // Enrolled some other way since joining
+        if (enrolled) {
+          entry.status = 'cancelled';
+          await entry.save();
+          continue;
+        }
+
+        return await this.holdSeat(entry, courseDoc);
+      }
+    } catch (err) {
+      await Course.findByIdAndUpdate(courseDoc._id, { $inc: { totalEnrollments: -1 } });
+      throw err;
+    }
+
+    // Nobody left to offer it to
+    await Course.findByIdAndUpdate(courseDoc._id, { $inc: { totalEnrollments: -1 } });
+    return null;
+  }
+
+  /**
+   * Hold a claimed seat for a waitlisted student as an unpaid enrollment
+   * @param {Object} entry - Waitlist document
+   * @param {Object} courseDoc - Course document
+   * @returns {Promise<Object>} - Held enrollment
+   */
+  async holdSeat(entry, courseDoc) {
+    const expiresAt = this.holdUntil(entry.startDate);
+
+    const enrollment = await Enrollment.create({
+      student: entry.customer,
+      studentInfo: {
+        firstName: entry.customerInfo.firstName,
+        lastName: entry.customerInfo.lastName,
+        email: entry.customerInfo.email,
+        phone: entry.customerInfo.phone
+      },
+      course: courseDoc._id,
+      courseSnapshot: {
+        title: courseDoc.title,
+        category: courseDoc.category,
+        type: courseDoc.type,
+        price: courseDoc.price,
+        duration: courseDoc.duration
+      },
+      startDate: entry.startDate,
+      location: entry.location,
+      holdExpiresAt: expiresAt,
+      payment: {
+        amount: courseDoc.price
+      },
+      notes: {
+        studentNotes: entry.notes
+      }
+    });
+
+    await this.offer(entry, { enrollment: enrollment._id, expiresAt });
+
+    if (enrollment.studentInfo.email) {
+      try {
+        await sendEmail({
+          email: enrollment.studentInfo.email,
+          subject: 'A Course Seat Opened Up - Lulu Artistry',
+          html: waitlistSeatOfferEmail(enrollment)
+        });
+      } catch (err) {
+        console.error('Waitlist offer email failed:', err.message);
+      }
+    }
+
+    return enrollment;
+  }
+
+  /**
+   * Release a held seat nobody paid for and pass it down the queue.
+   * Only applies while the enrollment is still pending and unpaid.
+   * @param {Object} enrollment - Enrollment document
+   * @returns {Promise<Object|null>} - Released enrollment, null if it was paid or changed meanwhile
+   */
+  async releaseSeat(enrollment) {
+    const released = await Enrollment.findOneAndUpdate(
+      { _id: enrollment._id, status: 'pending', 'payment.status': 'pending' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+
+    if (!released) {
+      return null;
+    }
+
+    // findOneAndUpdate skips the post-save recount
+    const activeEnrollments = await Enrollment.countDocuments({
+      course: released.course,
+      status: { $in: ['pending', 'active'] }
+    });
+    await Course.findByIdAndUpdate(released.course, { totalEnrollments: activeEnrollments });
+
+    await this.seatFreed(released);
+
+    return released;
+  }
+
+  /**
+   * Close waitlist entries whose day or course start has passed
+   * @returns {Promise<Number>} - Entries closed
+   */
+  async expirePast() {
+    const now = new Date();
+    const { start: today } = AvailabilityService.dayRange(now);
+
+    const result = await Waitlist.updateMany(
+      {
+        status: 'waiting',
+        $or: [
+          { type: 'booking', date: { $lt: today } },
+          { type: 'course', startDate: { $lte: now } }
+        ]
+      },
+      { $set: { status: 'expired' } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * Record a hold against a waitlist entry
+   * @param {Object} entry - Waitlist document
+   * @param {Object} hold - { booking } or { enrollment }, and expiresAt
+   * @returns {Promise<void>}
+   */
+  async offer(entry, hold) {
+    entry.status = 'offered';
+    entry.offer = { ...hold, offeredAt: new Date() };
+    await entry.save();
+  }
+}
+
+module.exports = new WaitlistService();
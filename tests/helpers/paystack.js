@@ -0,0 +1,119 @@
+/**
+ * tests/helpers/paystack.js
+ * Replays recorded Paystack events and stands in for the Paystack API
+ * so payment flows can be tested without network access
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const fixturesDir = path.join(__dirname, '..', 'fixtures', 'paystack');
+
+/**
+ * Load a recorded event and fill its placeholders.
+ * The raw text is returned so it can be sent byte for byte.
+ * @param {String} name - Fixture name, e.g. 'charge.success'
+ * @param {Object} values - { reference, amount (kobo), type, referenceId }
+ * @returns {String}
+ */
+const loadEvent = (name, values = {}) => {
+  const template = fs.readFileSync(path.join(fixturesDir, `${name}.json`), 'utf8');
+  return template
+    .trim()
+    .replace(/{{(\w+)}}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+};
+
+/**
+ * Sign a raw body the way Paystack does
+ * @param {String} rawBody - Request body
+ * @param {String} secret - Paystack secret key
+ * @returns {String}
+ */
+const sign = (rawBody, secret = process.env.PAYSTACK_SECRET_KEY) =>
+  crypto.createHmac('sha512', secret).update(rawBody).digest('hex');
+
+/**
+ * Minimal local Paystack API: transaction initialize and verify
+ */
+class PaystackStub {
+  constructor() {
+    this.transactions = new Map();
+    this.requests = [];
+    this.server = null;
+  }
+
+  /**
+   * Start listening on a free local port
+   * @returns {Promise<String>} - Base URL to use as PAYSTACK_BASE_URL
+   */
+  start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+
+    return new Promise(resolve => {
+      this.server.listen(0, '127.0.0.1', () => {
+        resolve(`http://127.0.0.1:${this.server.address().port}`);
+      });
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+
+  /**
+   * Make a transaction available to /transaction/verify
+   * @param {Object} data - Paystack transaction, e.g. JSON.parse(loadEvent(...)).data
+   */
+  addTransaction(data) {
+    this.transactions.set(data.reference, data);
+  }
+
+  reset() {
+    this.transactions.clear();
+    this.requests = [];
+  }
+
+  handle(req, res) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      this.requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : undefined });
+
+      const send = (status, payload) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+      };
+
+      if (req.method === 'POST' && req.url === '/transaction/initialize') {
+        const { reference } = JSON.parse(body);
+        return send(200, {
+          status: true,
+          message: 'Authorization URL created',
+          data: {
+            authorization_url: `https://checkout.paystack.com/${reference}`,
+            access_code: `ac_${reference}`,
+            reference
+          }
+        });
+      }
+
+      const verify = req.url.match(/^\/transaction\/verify\/(.+)$/);
+      if (req.method === 'GET' && verify) {
+        const transaction = this.transactions.get(decodeURIComponent(verify[1]));
+        return transaction
+          ? send(200, { status: true, message: 'Verification successful', data: transaction })
+          : send(400, { status: false, message: 'Transaction reference not found' });
+      }
+
+      send(404, { status: false, message: 'Not found' });
+    });
+  }
+}
+
+module.exports = {
+  loadEvent,
+  sign,
+  PaystackStub
+};
@@ -0,0 +1,95 @@
+const request = require('supertest');
+const Course = require('../../models/Course');
+const { buildApp, signIn } = require('../helpers/api');
+
+describe('Course Endpoints', () => {
+  const app = buildApp({ '/api/courses': require('../../routes/courseRoutes') });
+
+  const courseData = (fields = {}) => ({
+    title: 'Brow Lamination Basics',
+    category: 'lamination',
+    type: 'private',
+    description: 'One day of brow lamination training',
+    price: 90000,
+    duration: '1 day',
+    durationInDays: 1,
+    maxStudents: 4,
+    ...fields
+  });
+
+  describe('GET /api/courses', () => {
+    it('should hide inactive courses from the public but not from admins', async () => {
+      await Course.create([courseData(), courseData({ title: 'Retired Course', isActive: false })]);
+      const { auth } = await signIn('admin');
+
+      const publicList = await request(app).get('/api/courses').expect(200);
+      expect(publicList.body.data.map(course => course.title)).toEqual(['Brow Lamination Basics']);
+
+      const adminList = await request(app).get('/api/courses').set('Authorization', auth).expect(200);
+      expect(adminList.body.total).toBe(2);
+    });
+
+    it('should include courses offered in both studios when filtering by location', async () => {
+      await Course.create([
+        courseData({ title: 'Calabar Only', location: 'calabar' }),
+        courseData({ title: 'Everywhere', location: 'both' }),
+        courseData({ title: 'Port Harcourt Only', location: 'port-harcourt' })
+      ]);
+
+      const response = await request(app).get('/api/courses?location=calabar').expect(200);
+
+      expect(response.body.data.map(course => course.title).sort()).toEqual(['Calabar Only', 'Everywhere']);
+    });
+  });
+
+  describe('GET /api/courses/:id', () => {
+    it('should not show an inactive course to the public', async () => {
+      const course = await Course.create(courseData({ isActive: false }));
+
+      await request(app).get(`/api/courses/${course._id}`).expect(404);
+    });
+  });
+
+  describe('POST /api/courses', () => {
+    it('should let an admin create a course with a slug', async () => {
+      const { auth } = await signIn('admin');
+
+      const response = await request(app).post('/api/courses').set('Authorization', auth).send(courseData()).expect(201);
+
+      expect(response.body.data.slug).toBe('brow-lamination-basics');
+    });
+
+    it('should refuse customers', async () => {
+      const { auth } = await signIn();
+
+      await request(app).post('/api/courses').set('Authorization', auth).send(courseData()).expect(403);
+      expect(await Course.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('PUT /api/courses/:id', () => {
+    it('should update the slug with the title but leave the enrollment count alone', async () => {
+      const course = await Course.create(courseData({ totalEnrollments: 2 }));
+      const { auth } = await signIn('admin');
+
+      const response = await request(app)
+        .put(`/api/courses/${course._id}`)
+        .set('Authorization', auth)
+        .send({ title: 'Brow Lamination Pro', totalEnrollments: 0 })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ slug: 'brow-lamination-pro', totalEnrollments: 2 });
+    });
+  });
+
+  describe('DELETE /api/courses/:id', () => {
+    it('should only deactivate the course', async () => {
+      const course = await Course.create(courseData());
+      const { auth } = await signIn('admin');
+
+      await request(app).delete(`/api/courses/${course._id}`).set('Authorization', auth).expect(200);
+
+      expect((await Course.findById(course._id)).isActive).toBe(false);
+    });
+  });
+});
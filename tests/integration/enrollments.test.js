@@ -0,0 +1,129 @@
+jest.mock('../../utils/sendEmail');
+
+const request = require('supertest');
+const Course = require('../../models/Course');
+const Enrollment = require('../../models/Enrollment');
+const { buildApp, signIn } = require('../helpers/api');
+
+describe('Enrollment Endpoints', () => {
+  const app = buildApp({ '/api/enrollments': require('../../routes/enrollmentRoutes') });
+  const startDate = new Date(Date.now() + 14 * 24 * 60 * 60 * 1000).toISOString();
+
+  const createCourse = (fields = {}) => Course.create({
+    title: 'Classic Lash Masterclass',
+    category: 'lash',
+    type: 'group',
+    description: 'Three days of classic lash training',
+    price: 150000,
+    duration: '3 days',
+    durationInDays: 3,
+    maxStudents: 2,
+    location: 'calabar',
+    ...fields
+  });
+
+  const enroll = (auth, course) => request(app)
+    .post('/api/enrollments')
+    .set('Authorization', auth)
+    .send({ course: course._id, startDate, location: 'calabar' });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/enrollments', () => {
+    it('should enroll the student and take a seat', async () => {
+      const course = await createCourse();
+      const { user, auth } = await signIn();
+
+      const response = await enroll(auth, course).expect(201);
+
+      expect(response.body.data.student).toBe(user.id);
+      expect(response.body.data.courseSnapshot).toMatchObject({ title: 'Classic Lash Masterclass', type: 'group', price: 150000 });
+      expect((await Course.findById(course._id)).totalEnrollments).toBe(1);
+    });
+
+    it('should refuse a course that is fully booked', async () => {
+      const course = await createCourse({ maxStudents: 1, totalEnrollments: 1 });
+      const { auth } = await signIn();
+
+      const response = await enroll(auth, course).expect(400);
+
+      expect(response.body.error).toContain('fully booked');
+      expect(await Enrollment.countDocuments()).toBe(0);
+    });
+
+    it('should give the last seat to only one of two students', async () => {
+      const course = await createCourse({ maxStudents: 1 });
+      const [first, second] = await Promise.all([signIn(), signIn()]);
+
+      const responses = await Promise.all([enroll(first.auth, course), enroll(second.auth, course)]);
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 400]);
+      expect(await Enrollment.countDocuments({ course: course._id })).toBe(1);
+      expect((await Course.findById(course._id)).totalEnrollments).toBe(1);
+    });
+
+    it('should refuse a second enrollment in the same course', async () => {
+      const course = await createCourse();
+      const { auth } = await signIn();
+
+      await enroll(auth, course).expect(201);
+      const response = await enroll(auth, course).expect(400);
+
+      expect(response.body.error).toBe('You are already enrolled in this course');
+      expect(await Enrollment.countDocuments({ course: course._id })).toBe(1);
+      expect((await Course.findById(course._id)).totalEnrollments).toBe(1);
+    });
+
+    it('should give the seat back if the enrollment cannot be created', async () => {
+      const course = await createCourse();
+      const { auth } = await signIn();
+      jest.spyOn(Enrollment, 'create').mockRejectedValueOnce(new Error('write failed'));
+
+      await enroll(auth, course).expect(500);
+
+      expect(await Enrollment.countDocuments()).toBe(0);
+      expect((await Course.findById(course._id)).totalEnrollments).toBe(0);
+    });
+
+    it('should refuse a location the course is not offered in', async () => {
+      const course = await createCourse();
+      const { auth } = await signIn();
+
+      const response = await request(app)
+        .post('/api/enrollments')
+        .set('Authorization', auth)
+        .send({ course: course._id, startDate, location: 'port-harcourt' })
+        .expect(400);
+
+      expect(response.body.error).toBe('This course is not offered in port-harcourt');
+    });
+  });
+
+  describe('GET /api/enrollments', () => {
+    it('should only list the student\'s own enrollments', async () => {
+      const course = await createCourse();
+      const [mine, theirs] = await Promise.all([signIn(), signIn()]);
+      await enroll(mine.auth, course).expect(201);
+      await enroll(theirs.auth, course).expect(201);
+
+      const response = await request(app)
+        .get('/api/enrollments')
+        .set('Authorization', mine.auth)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.data[0].student).toBe(mine.user.id);
+    });
+
+    it('should keep the admin list to admins', async () => {
+      const { auth } = await signIn();
+
+      await request(app)
+        .get('/api/enrollments/admin/all')
+        .set('Authorization', auth)
+        .expect(403);
+    });
+  });
+});
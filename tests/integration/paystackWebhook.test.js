@@ -0,0 +1,145 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const mongoSanitize = require('express-mongo-sanitize');
+const xss = require('xss-clean');
+const request = require('supertest');
+const Enrollment = require('../../models/Enrollment');
+const Payment = require('../../models/Payment');
+const { captureRawBody } = require('../../middleware/rawBody');
+const errorHandler = require('../../middleware/errorHandler');
+const { loadEvent, sign, PaystackStub } = require('../helpers/paystack');
+
+process.env.PAYSTACK_SECRET_KEY = 'sk_test_webhook_harness';
+
+describe('Paystack webhook', () => {
+  const stub = new PaystackStub();
+  let app;
+
+  beforeAll(async () => {
+    process.env.PAYSTACK_BASE_URL = await stub.start();
+
+    // Same body handling as server.js; routes are loaded once the stub URL is known
+    app = express();
+    app.use(express.json({ verify: captureRawBody }));
+    app.use(mongoSanitize());
+    app.use(xss());
+    app.use('/api/payment', require('../../routes/paymentRoutes'));
+    app.use(errorHandler);
+  });
+
+  afterAll(async () => {
+    await stub.stop();
+  });
+
+  beforeEach(() => {
+    stub.reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createEnrollment = () => Enrollment.create({
+    student: new mongoose.Types.ObjectId(),
+    course: new mongoose.Types.ObjectId(),
+    startDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+    location: 'calabar',
+    payment: { amount: 150000 }
+  });
+
+  const chargeEvent = (enrollment, overrides = {}) => loadEvent('charge.success', {
+    reference: `enrollment-${enrollment._id}-1710411691000`,
+    amount: 150000 * 100,
+    type: 'enrollment',
+    referenceId: enrollment._id,
+    ...overrides
+  });
+
+  const deliver = (rawBody, signature = sign(rawBody)) => request(app)
+    .post('/api/payment/webhook')
+    .set('Content-Type', 'application/json')
+    .set('x-paystack-signature', signature)
+    .send(rawBody);
+
+  it('should reject an event with a bad signature', async () => {
+    const enrollment = await createEnrollment();
+    const rawBody = chargeEvent(enrollment);
+
+    await deliver(rawBody, sign(rawBody, 'sk_test_someone_else')).expect(400);
+
+    const unchanged = await Enrollment.findById(enrollment._id);
+    expect(unchanged.payment.status).toBe('pending');
+  });
+
+  it('should verify the signature over the raw body the sanitizers rewrite', async () => {
+    const enrollment = await createEnrollment();
+    const rawBody = chargeEvent(enrollment);
+
+    // The fixture holds markup and a $-prefixed key that xss-clean and mongo-sanitize change
+    expect(rawBody).toContain('<b>Lashes & brows</b>');
+    expect(rawBody).toContain('"$source"');
+
+    await deliver(rawBody).expect(200);
+
+    const paid = await Enrollment.findById(enrollment._id);
+    expect(paid.payment.status).toBe('paid');
+    expect(paid.payment.paymentId).toBe('3215907481');
+    expect(paid.status).toBe('active');
+  });
+
+  it('should apply a replayed event only once', async () => {
+    const enrollment = await createEnrollment();
+    const rawBody = chargeEvent(enrollment);
+
+    await deliver(rawBody).expect(200);
+    const first = await Enrollment.findById(enrollment._id);
+
+    await deliver(rawBody).expect(200);
+    const second = await Enrollment.findById(enrollment._id);
+
+    expect(second.payment.paidAt.getTime()).toBe(first.payment.paidAt.getTime());
+
+    const payment = await Payment.findOne({ reference: `enrollment-${enrollment._id}-1710411691000` });
+    expect(payment.status).toBe('success');
+    expect(payment.statusHistory.filter(entry => entry.to === 'success')).toHaveLength(1);
+    expect(payment.channel).toBe('card');
+  });
+
+  it('should not mark the enrollment paid when the amount does not match', async () => {
+    const enrollment = await createEnrollment();
+    const rawBody = chargeEvent(enrollment, { amount: 1500 * 100 });
+
+    await deliver(rawBody).expect(200);
+
+    const unpaid = await Enrollment.findById(enrollment._id);
+    expect(unpaid.payment.status).toBe('pending');
+
+    const payment = await Payment.findOne({ entityId: enrollment._id });
+    expect(payment.status).toBe('amount_mismatch');
+    expect(payment.amount).toBe(1500);
+  });
+
+  it('should not apply a webhook again after the payment was verified', async () => {
+    const enrollment = await createEnrollment();
+    const rawBody = chargeEvent(enrollment);
+    const { data } = JSON.parse(rawBody);
+    stub.addTransaction(data);
+
+    await request(app).get(`/api/payment/verify/${data.reference}`).expect(200);
+    expect(stub.requests[0].url).toBe(`/transaction/verify/${data.reference}`);
+
+    await deliver(rawBody).expect(200);
+
+    const payment = await Payment.findOne({ reference: data.reference });
+    expect(payment.statusHistory.filter(entry => entry.to === 'success')).toHaveLength(1);
+    expect(payment.statusHistory[payment.statusHistory.length - 1].source).toBe('verify');
+  });
+
+  it('should acknowledge a transfer that matches no refund', async () => {
+    const rawBody = loadEvent('transfer.success', { reference: 'TRF-test-1', amount: 500000 });
+
+    await deliver(rawBody).expect(200);
+  });
+});
@@ -0,0 +1,84 @@
+const request = require('supertest');
+const Service = require('../../models/Service');
+const { buildApp, signIn } = require('../helpers/api');
+
+describe('Service Endpoints', () => {
+  const app = buildApp({ '/api/services': require('../../routes/serviceRoutes') });
+
+  const serviceData = (fields = {}) => ({
+    name: 'Classic Lashes',
+    category: 'lashes',
+    description: 'A natural full set',
+    pricing: [{ artistType: 'lulu', price: 40000 }, { artistType: 'artist', price: 25000 }],
+    duration: 120,
+    ...fields
+  });
+
+  describe('GET /api/services', () => {
+    it('should hide inactive services from the public but not from admins', async () => {
+      await Service.create([serviceData(), serviceData({ name: 'Old Brow Tint', category: 'brows', isActive: false })]);
+      const { auth } = await signIn('admin');
+
+      const publicList = await request(app).get('/api/services').expect(200);
+      expect(publicList.body.data.map(service => service.name)).toEqual(['Classic Lashes']);
+
+      const inactive = await request(app).get('/api/services?isActive=false').set('Authorization', auth).expect(200);
+      expect(inactive.body.data.map(service => service.name)).toEqual(['Old Brow Tint']);
+    });
+
+    it('should filter by category', async () => {
+      await Service.create([serviceData(), serviceData({ name: 'Brow Lamination', category: 'brows' })]);
+
+      const response = await request(app).get('/api/services/category/brows').expect(200);
+
+      expect(response.body.data.map(service => service.name)).toEqual(['Brow Lamination']);
+    });
+  });
+
+  describe('GET /api/services/:id', () => {
+    it('should not show an inactive service to the public', async () => {
+      const service = await Service.create(serviceData({ isActive: false }));
+
+      await request(app).get(`/api/services/${service._id}`).expect(404);
+    });
+  });
+
+  describe('POST /api/services', () => {
+    it('should let an admin create a service and refuse customers', async () => {
+      const admin = await signIn('admin');
+      const customer = await signIn();
+
+      await request(app).post('/api/services').set('Authorization', customer.auth).send(serviceData()).expect(403);
+      const response = await request(app).post('/api/services').set('Authorization', admin.auth).send(serviceData()).expect(201);
+
+      expect(response.body.data.slug).toBe('classic-lashes');
+      expect(await Service.countDocuments()).toBe(1);
+    });
+  });
+
+  describe('PUT /api/services/:id', () => {
+    it('should update the slug with the name', async () => {
+      const service = await Service.create(serviceData());
+      const { auth } = await signIn('admin');
+
+      const response = await request(app)
+        .put(`/api/services/${service._id}`)
+        .set('Authorization', auth)
+        .send({ name: 'Classic Lash Set' })
+        .expect(200);
+
+      expect(response.body.data.slug).toBe('classic-lash-set');
+    });
+  });
+
+  describe('DELETE /api/services/:id', () => {
+    it('should only deactivate the service', async () => {
+      const service = await Service.create(serviceData());
+      const { auth } = await signIn('admin');
+
+      await request(app).delete(`/api/services/${service._id}`).set('Authorization', auth).expect(200);
+
+      expect((await Service.findById(service._id)).isActive).toBe(false);
+    });
+  });
+});
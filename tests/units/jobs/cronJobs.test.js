@@ -0,0 +1,53 @@
+jest.mock('../../../utils/sendEmail');
+
+const mongoose = require('mongoose');
+const { flagNoShows } = require('../../../utils/cronJobs');
+const RefundService = require('../../../src/core/services/RefundService');
+const Booking = require('../../../models/Booking');
+
+describe('cronJobs', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const daysAgo = days => new Date(`${new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10)}T00:00:00.000Z`);
+
+  const booking = (bookingNumber, appointmentDate) => ({
+    _id: new mongoose.Types.ObjectId(),
+    bookingNumber,
+    status: 'confirmed',
+    appointmentDate,
+    timeSlot: { start: '00:00', end: '02:00' },
+    pricing: { servicePrice: 40000, depositAmount: 20000, balanceAmount: 20000 },
+    payment: { depositPaid: true, balancePaid: true },
+    cancellation: { isCancelled: false },
+    statusHistory: [],
+    save: jest.fn().mockResolvedValue()
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('flagNoShows', () => {
+    it('should only flag and refund bookings from the last day', async () => {
+      const yesterday = booking('BK-000001', daysAgo(1));
+      const lastMonth = booking('BK-000002', daysAgo(30));
+      const bookings = [yesterday, lastMonth];
+
+      jest.spyOn(Booking, 'find').mockImplementation(async ({ status, appointmentDate }) => bookings.filter(candidate =>
+        candidate.status === status && candidate.appointmentDate >= appointmentDate.$gte && candidate.appointmentDate < appointmentDate.$lt
+      ));
+      jest.spyOn(Booking, 'findById').mockImplementation(async id => bookings.find(candidate => candidate._id.equals(id)));
+      jest.spyOn(RefundService, 'create').mockResolvedValue([{ status: 'processing' }]);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await flagNoShows();
+
+      expect(yesterday.status).toBe('no-show');
+      expect(RefundService.create).toHaveBeenCalledTimes(1);
+      expect(RefundService.create).toHaveBeenCalledWith(expect.objectContaining({ entityId: yesterday._id }));
+
+      expect(lastMonth.status).toBe('confirmed');
+      expect(lastMonth.save).not.toHaveBeenCalled();
+    });
+  });
+});
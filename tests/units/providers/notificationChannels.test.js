@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const TermiiChannel = require('../../../src/core/providers/notifications/TermiiChannel');
+const WhatsAppChannel = require('../../../src/core/providers/notifications/WhatsAppChannel');
+const FakeChannel = require('../../../src/core/providers/notifications/FakeChannel');
+
+describe('Notification channels', () => {
+  describe('TermiiChannel', () => {
+    const channel = new TermiiChannel({ baseURL: 'http://127.0.0.1:9', apiKey: 'termii_test', webhookToken: 'token-123' });
+    const rawBody = Buffer.from(JSON.stringify({ type: 'outbound', message_id: 3017544054459, status: 'DELIVERED' }));
+
+    it('should map delivery reports', () => {
+      expect(channel.parseStatus(rawBody, {}, { token: 'token-123' })).toEqual([
+        expect.objectContaining({ messageId: '3017544054459', status: 'delivered' })
+      ]);
+    });
+
+    it('should treat DND and rejections as failures', () => {
+      const dnd = Buffer.from(JSON.stringify({ message_id: 1, status: 'DND Active on Phone Number' }));
+
+      expect(channel.parseStatus(dnd, {}, { token: 'token-123' })[0]).toMatchObject({
+        status: 'failed',
+        error: 'DND Active on Phone Number'
+      });
+    });
+
+    it('should reject a wrong token', () => {
+      expect(channel.parseStatus(rawBody, {}, { token: 'token-124' })).toBeNull();
+    });
+  });
+
+  describe('WhatsAppChannel', () => {
+    const channel = new WhatsAppChannel({ baseURL: 'http://127.0.0.1:9', appSecret: 'app-secret', verifyToken: 'verify-me' });
+    const rawBody = Buffer.from(JSON.stringify({
+      entry: [{
+        changes: [{
+          value: {
+            statuses: [
+              { id: 'wamid.1', status: 'read' },
+              { id: 'wamid.2', status: 'failed', errors: [{ code: 131026, title: 'Message undeliverable' }] }
+            ]
+          }
+        }]
+      }]
+    }));
+    const signature = `sha256=${crypto.createHmac('sha256', 'app-secret').update(rawBody).digest('hex')}`;
+
+    it('should read every status in a signed callback', () => {
+      const updates = channel.parseStatus(rawBody, { 'x-hub-signature-256': signature });
+
+      expect(updates).toEqual([
+        expect.objectContaining({ messageId: 'wamid.1', status: 'read' }),
+        expect.objectContaining({ messageId: 'wamid.2', status: 'failed', error: 'Message undeliverable' })
+      ]);
+    });
+
+    it('should reject a tampered body', () => {
+      const tampered = Buffer.from(rawBody.toString().replace('read', 'delivered'));
+
+      expect(channel.parseStatus(tampered, { 'x-hub-signature-256': signature })).toBeNull();
+    });
+
+    it('should answer the subscription check only with the verify token', () => {
+      expect(channel.verifySubscription({ 'hub.mode': 'subscribe', 'hub.verify_token': 'verify-me', 'hub.challenge': '42' })).toBe('42');
+      expect(channel.verifySubscription({ 'hub.mode': 'subscribe', 'hub.verify_token': 'nope', 'hub.challenge': '42' })).toBeNull();
+    });
+  });
+
+  describe('FakeChannel', () => {
+    it('should keep sent messages and accept its own delivery reports', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const channel = new FakeChannel({ webhookToken: 'fake' });
+
+      const { messageId } = await channel.send({ to: '2348030000000', text: 'Hello' });
+      expect(channel.messages).toEqual([expect.objectContaining({ to: '2348030000000', messageId })]);
+
+      const { rawBody, headers, query } = channel.report(messageId, 'delivered');
+      expect(channel.parseStatus(rawBody, headers, query)).toEqual([expect.objectContaining({ messageId, status: 'delivered' })]);
+      expect(channel.parseStatus(rawBody, headers, { token: 'nope' })).toBeNull();
+
+      console.log.mockRestore();
+    });
+  });
+});
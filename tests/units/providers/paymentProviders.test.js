@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const PaystackProvider = require('../../../src/core/providers/payments/PaystackProvider');
+const FlutterwaveProvider = require('../../../src/core/providers/payments/FlutterwaveProvider');
+const FakeProvider = require('../../../src/core/providers/payments/FakeProvider');
+
+describe('Payment providers', () => {
+  describe('PaystackProvider', () => {
+    const provider = new PaystackProvider({ baseURL: 'http://127.0.0.1:9', secretKey: 'sk_test_unit' });
+    const rawBody = Buffer.from(JSON.stringify({
+      event: 'charge.success',
+      data: { id: 11, reference: 'order-1-1', status: 'success', amount: 2500000, currency: 'NGN', channel: 'card', metadata: { type: 'order', referenceId: '1' } }
+    }));
+    const signature = crypto.createHmac('sha512', 'sk_test_unit').update(rawBody).digest('hex');
+
+    it('should normalise a charge from kobo to Naira', () => {
+      const event = provider.parseWebhook(rawBody, { 'x-paystack-signature': signature });
+
+      expect(event.type).toBe('charge');
+      expect(event.charge).toMatchObject({ provider: 'paystack', reference: 'order-1-1', amount: 25000, transactionId: '11' });
+    });
+
+    it('should reject a tampered body', () => {
+      const tampered = Buffer.from(rawBody.toString().replace('2500000', '2500'));
+
+      expect(provider.parseWebhook(tampered, { 'x-paystack-signature': signature })).toBeNull();
+    });
+  });
+
+  describe('FlutterwaveProvider', () => {
+    const provider = new FlutterwaveProvider({ baseURL: 'http://127.0.0.1:9', secretKey: 'FLWSECK_TEST', webhookHash: 'hash-123' });
+    const rawBody = Buffer.from(JSON.stringify({
+      event: 'charge.completed',
+      data: { id: 285959875, tx_ref: 'booking-2-1', status: 'successful', amount: 15000, currency: 'NGN', payment_type: 'card' }
+    }));
+
+    it('should map successful charges and tx_ref', () => {
+      const event = provider.parseWebhook(rawBody, { 'verif-hash': 'hash-123' });
+
+      expect(event.charge).toMatchObject({ provider: 'flutterwave', reference: 'booking-2-1', status: 'success', amount: 15000 });
+    });
+
+    it('should reject a wrong secret hash', () => {
+      expect(provider.parseWebhook(rawBody, { 'verif-hash': 'hash-124' })).toBeNull();
+    });
+  });
+
+  describe('FakeProvider', () => {
+    it('should settle checkouts in process and sign its own webhooks', async () => {
+      const provider = new FakeProvider({ secret: 'fake', callbackUrl: 'http://localhost:3000/cb' });
+      await provider.initialize({ reference: 'enrollment-3-1', amount: 80000, metadata: { type: 'enrollment' } });
+
+      provider.pay('enrollment-3-1', { amount: 100 });
+      const charge = await provider.verify('enrollment-3-1');
+      expect(charge).toMatchObject({ status: 'success', amount: 100 });
+
+      const { rawBody, headers } = provider.webhook('enrollment-3-1');
+      expect(provider.parseWebhook(Buffer.from(rawBody), headers).charge.reference).toBe('enrollment-3-1');
+      expect(provider.parseWebhook(Buffer.from(rawBody), { 'x-fake-signature': 'nope' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,258 @@
+const mongoose = require('mongoose');
+const AvailabilityService = require('../../../src/core/services/AvailabilityService');
+const Booking = require('../../../models/Booking');
+const Artist = require('../../../models/Artist');
+
+describe('AvailabilityService', () => {
+  // A Monday (09:00-18:00 at both studios) and the Sunday before it
+  const monday = '2030-03-04';
+  const sunday = '2030-03-03';
+
+  const artist = (name, fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name,
+    tier: 'lulu',
+    location: 'calabar',
+    services: [],
+    workingHours: [],
+    timeOff: [],
+    isActive: true,
+    ...fields
+  });
+
+  const ada = artist('Ada');
+  const bisi = artist('Bisi');
+
+  const booked = (who, start, end, duration) => ({
+    timeSlot: { start, end },
+    serviceSnapshot: { duration },
+    artist: { type: 'lulu', artistId: who && who._id },
+    status: 'confirmed'
+  });
+
+  const mockArtists = artists => jest.spyOn(Artist, 'find')
+    .mockReturnValue({ sort: jest.fn().mockResolvedValue(artists) });
+
+  const mockBookings = bookings => jest.spyOn(Booking, 'find')
+    .mockReturnValue({ select: jest.fn().mockResolvedValue(bookings) });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getSlots', () => {
+    it('should only offer starts where the whole service fits before closing', async () => {
+      mockArtists([ada]);
+      mockBookings([]);
+
+      const { availableSlots, openingHours } = await AvailabilityService.getSlots({
+        date: monday, location: 'calabar', artistType: 'lulu', duration: 180
+      });
+
+      expect(openingHours).toEqual({ open: '09:00', close: '18:00' });
+      expect(availableSlots[0]).toMatchObject({ start: '09:00', end: '12:00' });
+      expect(availableSlots[availableSlots.length - 1]).toMatchObject({ start: '15:00', end: '18:00' });
+    });
+
+    it('should keep a long booking and its buffer free, not just its start time', async () => {
+      mockArtists([ada]);
+      const find = mockBookings([booked(ada, '10:00', '13:00', 180)]);
+
+      const { availableSlots, bookedSlots } = await AvailabilityService.getSlots({
+        date: monday, location: 'calabar', artistType: 'lulu', duration: 60
+      });
+      const starts = availableSlots.map(slot => slot.start);
+
+      expect(find).toHaveBeenCalledWith(expect.objectContaining({
+        appointmentDate: { $gte: new Date(`${monday}T00:00:00.000Z`), $lt: new Date('2030-03-05T00:00:00.000Z') },
+        location: 'calabar'
+      }));
+      expect(starts).not.toContain('09:00'); // its buffer would run into the 10:00 start
+      expect(starts).not.toContain('11:00');
+      expect(starts).not.toContain('13:00'); // inside the buffer after the booking
+      expect(starts).toContain('13:30');
+      expect(bookedSlots).toContainEqual({ start: '11:00', end: '12:00' });
+    });
+
+    it('should use the service length of older bookings stored with a one-hour end', async () => {
+      mockArtists([ada]);
+      mockBookings([booked(ada, '09:00', '10:00', 120)]);
+
+      const { availableSlots } = await AvailabilityService.getSlots({
+        date: monday, location: 'calabar', artistType: 'lulu', duration: 60
+      });
+
+      expect(availableSlots[0].start).toBe('11:30');
+    });
+
+    it('should offer a slot while any artist of the tier is free', async () => {
+      mockArtists([ada, bisi]);
+      mockBookings([booked(ada, '09:00', '12:00', 180)]);
+
+      const { availableSlots } = await AvailabilityService.getSlots({
+        date: monday, location: 'calabar', artistType: 'lulu', duration: 60
+      });
+
+      expect(availableSlots[0]).toEqual({
+        start: '09:00',
+        end: '10:00',
+        artists: [{ _id: bisi._id, name: 'Bisi' }]
+      });
+    });
+
+    it('should follow the artist\'s own shifts and time off', async () => {
+      const chioma = artist('Chioma', {
+        workingHours: [{ day: 1, start: '12:00', end: '16:00' }],
+        // 13:00-14:00 studio time (UTC+1)
+        timeOff: [{ start: new Date('2030-03-04T12:00:00.000Z'), end: new Date('2030-03-04T13:00:00.000Z') }]
+      });
+      jest.spyOn(Artist, 'findById').mockResolvedValue(chioma);
+      mockBookings([]);
+
+      const { availableSlots } = await AvailabilityService.getSlots({
+        date: monday, location: 'calabar', artistId: chioma._id, duration: 60
+      });
+
+      expect(availableSlots.map(slot => slot.start)).toEqual(['12:00', '14:00', '14:30', '15:00']);
+    });
+
+    it('should offer the tier\'s studio hours while the location has no artists', async () => {
+      mockArtists([]);
+      jest.spyOn(Artist, 'exists').mockResolvedValue(null);
+      mockBookings([booked(null, '12:00', '13:00', 60)]);
+
+      const { artists, availableSlots } = await AvailabilityService.getSlots({
+        date: monday, location: 'calabar', artistType: 'lulu', serviceId: new mongoose.Types.ObjectId(), duration: 60
+      });
+      const starts = availableSlots.map(slot => slot.start);
+
+      expect(artists).toEqual([]);
+      expect(starts).toContain('09:00');
+      expect(starts).not.toContain('12:00');
+      expect(availableSlots[0].artists).toEqual([]);
+    });
+
+    it('should report closed days without looking up bookings', async () => {
+      mockArtists([ada]);
+      const find = mockBookings([]);
+
+      const availability = await AvailabilityService.getSlots({ date: sunday, location: 'calabar', artistType: 'lulu' });
+
+      expect(availability.closed).toBe(true);
+      expect(availability.availableSlots).toEqual([]);
+      expect(find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assertAvailable', () => {
+    it('should set the end time from the service duration', async () => {
+      mockArtists([ada]);
+      mockBookings([]);
+
+      const slot = await AvailabilityService.assertAvailable({
+        date: monday, location: 'calabar', artistType: 'lulu', start: '14:00', duration: 150
+      });
+
+      expect(slot.timeSlot).toEqual({ start: '14:00', end: '16:30' });
+      expect(slot.appointmentDate).toEqual(new Date(`${monday}T00:00:00.000Z`));
+      expect(slot.artist).toBe(ada);
+    });
+
+    it('should give "any artist" bookings to the free artist with the lightest day', async () => {
+      mockArtists([ada, bisi]);
+      mockBookings([booked(ada, '09:00', '10:00', 60)]);
+
+      const slot = await AvailabilityService.assertAvailable({
+        date: monday, location: 'calabar', artistType: 'lulu', start: '15:00', duration: 60
+      });
+
+      expect(slot.artist).toBe(bisi);
+    });
+
+    it('should count a booking made before artists were assigned against the whole tier', async () => {
+      mockArtists([ada, bisi]);
+      mockBookings([booked(null, '09:00', '12:00', 180)]);
+
+      await expect(AvailabilityService.assertAvailable({
+        date: monday, location: 'calabar', artistType: 'lulu', start: '11:00', duration: 60
+      })).rejects.toThrow('This time slot is already booked');
+    });
+
+    it('should book the tier itself while the location has no artists', async () => {
+      mockArtists([]);
+      jest.spyOn(Artist, 'exists').mockResolvedValue(null);
+      mockBookings([booked(null, '09:00', '10:00', 60)]);
+
+      const slot = await AvailabilityService.assertAvailable({
+        date: monday, location: 'calabar', artistType: 'lulu', serviceId: new mongoose.Types.ObjectId(), start: '14:00'
+      });
+
+      expect(slot.artist).toMatchObject({ _id: null, tier: 'lulu' });
+      await expect(AvailabilityService.assertAvailable({
+        date: monday, location: 'calabar', artistType: 'lulu', start: '09:30'
+      })).rejects.toThrow('This time slot is already booked');
+    });
+
+    it('should not fall back to the tier when its artists don\'t perform the service', async () => {
+      mockArtists([]);
+      jest.spyOn(Artist, 'exists').mockResolvedValue({ _id: ada._id });
+
+      await expect(AvailabilityService.assertAvailable({
+        date: monday, location: 'calabar', artistType: 'lulu', serviceId: new mongoose.Types.ObjectId(), start: '14:00'
+      })).rejects.toThrow('No lulu artist at Calabar Studio offers this service');
+    });
+
+    it('should reject an artist outside their shift', async () => {
+      const chioma = artist('Chioma', { workingHours: [{ day: 1, start: '12:00', end: '16:00' }] });
+      jest.spyOn(Artist, 'findById').mockResolvedValue(chioma);
+      mockBookings([]);
+
+      await expect(AvailabilityService.assertAvailable({
+        date: monday, location: 'calabar', artistId: chioma._id, start: '10:00', duration: 60
+      })).rejects.toThrow('Chioma is not working at that time');
+    });
+
+    it('should reject an artist who does not perform the service', async () => {
+      jest.spyOn(Artist, 'findById').mockResolvedValue(ada);
+
+      await expect(AvailabilityService.assertAvailable({
+        date: monday, location: 'calabar', artistId: ada._id, serviceId: new mongoose.Types.ObjectId(), start: '10:00'
+      })).rejects.toThrow('Ada does not perform this service');
+    });
+
+    it('should reject an appointment that runs past closing time', async () => {
+      await expect(AvailabilityService.assertAvailable({
+        date: monday, location: 'calabar', artistType: 'lulu', start: '16:00', duration: 180
+      })).rejects.toThrow('Calabar Studio is open 09:00-18:00');
+    });
+
+    it('should reject bookings on a closed day', async () => {
+      await expect(AvailabilityService.assertAvailable({
+        date: sunday, location: 'calabar', artistType: 'lulu', start: '10:00', duration: 60
+      })).rejects.toThrow('Calabar Studio is closed on 2030-03-03');
+    });
+  });
+
+  describe('assertNoClash', () => {
+    const saved = (who, start, end) => ({
+      _id: new mongoose.Types.ObjectId(),
+      location: 'calabar',
+      appointmentDate: new Date(`${monday}T00:00:00.000Z`),
+      ...booked(who, start, end, 60)
+    });
+
+    it('should give way to an overlapping booking saved at the same time', async () => {
+      const mine = saved(ada, '10:30', '11:30');
+      const find = mockBookings([booked(ada, '10:00', '11:00', 60)]);
+
+      await expect(AvailabilityService.assertNoClash(mine)).rejects.toThrow('This time slot has just been booked');
+      expect(find).toHaveBeenCalledWith(expect.objectContaining({ _id: { $ne: mine._id } }));
+    });
+
+    it('should pass when the rest of the day is clear of it', async () => {
+      mockBookings([booked(ada, '14:00', '15:00', 60)]);
+
+      await expect(AvailabilityService.assertNoClash(saved(ada, '10:00', '11:00'))).resolves.toBeUndefined();
+    });
+  });
+});
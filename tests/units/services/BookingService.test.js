@@ -0,0 +1,450 @@
+jest.mock('../../../utils/sendEmail');
+
+const mongoose = require('mongoose');
+const BookingService = require('../../../src/core/services/BookingService');
+const AvailabilityService = require('../../../src/core/services/AvailabilityService');
+const RefundService = require('../../../src/core/services/RefundService');
+const WaitlistService = require('../../../src/core/services/WaitlistService');
+const IntakeService = require('../../../src/core/services/IntakeService');
+const Booking = require('../../../models/Booking');
+const Service = require('../../../models/Service');
+const User = require('../../../models/User');
+const ConflictError = require('../../../src/core/errors/ConflictError');
+const ValidationError = require('../../../src/core/errors/ValidationError');
+const sendEmail = require('../../../utils/sendEmail');
+
+describe('BookingService', () => {
+  const ada = { _id: new mongoose.Types.ObjectId(), name: 'Ada', tier: 'lulu' };
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const dayFromNow = days => new Date(`${new Date(Date.now() + days * DAY_MS).toISOString().slice(0, 10)}T00:00:00.000Z`);
+
+  const booking = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    bookingNumber: 'BK-203003-0001',
+    status: 'confirmed',
+    service: new mongoose.Types.ObjectId(),
+    serviceSnapshot: { name: 'Classic Lashes', duration: 120 },
+    customerInfo: { firstName: 'Ada', email: 'ada@example.com' },
+    artist: { type: 'lulu', name: 'Ada', artistId: ada._id },
+    location: 'calabar',
+    appointmentDate: dayFromNow(7),
+    timeSlot: { start: '10:00', end: '12:00' },
+    pricing: { servicePrice: 40000, depositAmount: 20000, balanceAmount: 20000 },
+    payment: { depositPaid: true, depositPaymentId: '3215907481' },
+    cancellation: { isCancelled: false },
+    notes: {},
+    reminder: { emailSent: true, emailSentAt: new Date(), smsSent: true },
+    rescheduleHistory: [],
+    statusHistory: [],
+    save: jest.fn().mockResolvedValue(),
+    ...fields
+  });
+
+  const customer = { id: 'customer', role: 'customer' };
+
+  beforeEach(() => {
+    sendEmail.mockReset().mockResolvedValue();
+    jest.spyOn(WaitlistService, 'bookingFreed').mockResolvedValue(null);
+    jest.spyOn(AvailabilityService, 'assertNoClash').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('reschedule', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: 'customer', patchTests: [] });
+      jest.spyOn(Service, 'find').mockImplementation(async ({ _id }) => _id.$in.map(id => ({ _id: new mongoose.Types.ObjectId(id), category: 'lashes' })));
+      jest.spyOn(IntakeService, 'assertReady').mockResolvedValue([]);
+    });
+
+    it('should move the booking, keep the deposit and record the old slot', async () => {
+      const doc = booking();
+      const newDate = dayFromNow(9);
+      const assert = jest.spyOn(AvailabilityService, 'assertAvailable').mockResolvedValue({
+        appointmentDate: newDate,
+        timeSlot: { start: '14:00', end: '16:00' },
+        artist: ada
+      });
+
+      await BookingService.reschedule(doc, { appointmentDate: newDate, timeSlot: { start: '14:00' }, reason: 'Travel' }, customer);
+
+      expect(assert).toHaveBeenCalledWith(expect.objectContaining({
+        artistType: 'lulu',
+        artistId: ada._id,
+        duration: 120,
+        excludeId: doc._id
+      }));
+      expect(doc.timeSlot).toEqual({ start: '14:00', end: '16:00' });
+      expect(doc.payment.depositPaid).toBe(true);
+      expect(doc.rescheduleHistory).toEqual([expect.objectContaining({
+        timeSlot: { start: '10:00', end: '12:00' },
+        rescheduledBy: 'customer',
+        reason: 'Travel'
+      })]);
+      expect(doc.reminder).toEqual({ emailSent: false, smsSent: false });
+      expect(doc.save).toHaveBeenCalled();
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ subject: 'Booking Rescheduled - Lulu Artistry' }));
+    });
+
+    it('should check the patch test is still valid on the new date', async () => {
+      const doc = booking();
+      const newDate = dayFromNow(60);
+      jest.spyOn(AvailabilityService, 'assertAvailable').mockResolvedValue({
+        appointmentDate: newDate,
+        timeSlot: { start: '10:00', end: '12:00' },
+        artist: ada
+      });
+      IntakeService.assertReady.mockRejectedValue(
+        new ValidationError('Classic Lashes: your lashes patch test is more than 6 months old')
+      );
+
+      await expect(BookingService.reschedule(doc, { appointmentDate: newDate }, { role: 'admin' }))
+        .rejects.toThrow('patch test is more than 6 months old');
+      expect(IntakeService.assertReady).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'customer' }),
+        [expect.objectContaining({ _id: doc.service })],
+        [newDate]
+      );
+      expect(doc.save).not.toHaveBeenCalled();
+    });
+
+    it('should put the booking back if the new time was taken as it was saved', async () => {
+      const doc = booking();
+      const oldDate = doc.appointmentDate;
+      jest.spyOn(AvailabilityService, 'assertAvailable').mockResolvedValue({
+        appointmentDate: dayFromNow(9),
+        timeSlot: { start: '14:00', end: '16:00' },
+        artist: ada
+      });
+      AvailabilityService.assertNoClash.mockRejectedValue(new ConflictError('This time slot has just been booked - please choose another'));
+
+      await expect(BookingService.reschedule(doc, { appointmentDate: dayFromNow(9), timeSlot: { start: '14:00' } }, customer))
+        .rejects.toThrow('This time slot has just been booked');
+      expect(doc.appointmentDate).toEqual(oldDate);
+      expect(doc.timeSlot).toEqual({ start: '10:00', end: '12:00' });
+      expect(doc.reminder).toMatchObject({ emailSent: true, smsSent: true });
+      expect(doc.rescheduleHistory).toEqual([]);
+      expect(doc.save).toHaveBeenCalledTimes(2);
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+
+    it('should hold customers to the notice period', async () => {
+      const doc = booking({ appointmentDate: dayFromNow(0), timeSlot: { start: '23:59', end: '23:59' } });
+      const assert = jest.spyOn(AvailabilityService, 'assertAvailable');
+
+      await expect(BookingService.reschedule(doc, { timeSlot: { start: '15:00' } }, customer))
+        .rejects.toThrow('Cannot reschedule within 24 hours of appointment');
+      expect(assert).not.toHaveBeenCalled();
+    });
+
+    it('should stop customers after the reschedule limit but not admins', async () => {
+      const history = [{ timeSlot: { start: '09:00' } }, { timeSlot: { start: '11:00' } }];
+      jest.spyOn(AvailabilityService, 'assertAvailable').mockResolvedValue({
+        appointmentDate: dayFromNow(8),
+        timeSlot: { start: '14:00', end: '16:00' },
+        artist: ada
+      });
+
+      await expect(BookingService.reschedule(booking({ rescheduleHistory: [...history] }), { timeSlot: { start: '14:00' } }, customer))
+        .rejects.toThrow('already been rescheduled 2 times');
+
+      const doc = booking({ rescheduleHistory: [...history] });
+      await BookingService.reschedule(doc, { timeSlot: { start: '14:00' } }, { role: 'admin' });
+      expect(doc.rescheduleHistory[2].rescheduledBy).toBe('admin');
+    });
+
+    it('should not reschedule a cancelled booking', async () => {
+      await expect(BookingService.reschedule(booking({ status: 'cancelled' }), { timeSlot: { start: '14:00' } }, customer))
+        .rejects.toThrow('A cancelled booking cannot be rescheduled');
+    });
+  });
+
+  describe('cancel', () => {
+    let create;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      create = jest.spyOn(RefundService, 'create').mockResolvedValue([{ status: 'pending' }]);
+      jest.spyOn(Booking, 'findById').mockImplementation(async id => ({ _id: id }));
+    });
+
+    it('should refund the whole deposit with enough notice', async () => {
+      const doc = booking();
+
+      await BookingService.cancel(doc, { reason: 'Travel' }, customer);
+
+      expect(doc.status).toBe('cancelled');
+      expect(doc.cancellation).toMatchObject({ isCancelled: true, cancelledBy: 'customer', policy: 'full', forfeitedAmount: 0 });
+      expect(doc.statusHistory).toEqual([expect.objectContaining({ status: 'cancelled', source: 'customer' })]);
+      expect(doc.statusHistory[0].note).toContain('(Travel): ₦20,000 refunded, ₦0 forfeited (full policy)');
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ entityType: 'booking', entityId: doc._id, amount: 20000 }));
+      expect(WaitlistService.bookingFreed).toHaveBeenCalledWith(doc);
+    });
+
+    it('should refund part of the deposit inside the window', async () => {
+      const doc = booking({ appointmentDate: dayFromNow(1), timeSlot: { start: '23:59', end: '23:59' } });
+      jest.spyOn(Date, 'now').mockReturnValue(new Date(doc.appointmentDate.getTime() + 10 * 60 * 60 * 1000).getTime());
+
+      await BookingService.cancel(doc, {}, customer);
+
+      expect(doc.cancellation).toMatchObject({ policy: 'late', forfeitedAmount: 10000 });
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ amount: 10000 }));
+    });
+
+    it('should let an admin override the refund', async () => {
+      const doc = booking({ appointmentDate: dayFromNow(0), timeSlot: { start: '23:59', end: '23:59' } });
+
+      await BookingService.cancel(doc, { refundAmount: 15000 }, { id: 'admin', role: 'admin' });
+
+      expect(doc.cancellation).toMatchObject({ cancelledBy: 'admin', policy: 'override', forfeitedAmount: 5000 });
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ amount: 15000, requestedBy: 'admin' }));
+    });
+
+    it('should ignore refund overrides from customers', async () => {
+      const doc = booking();
+
+      await BookingService.cancel(doc, { refundAmount: 0 }, customer);
+
+      expect(doc.cancellation.policy).toBe('full');
+    });
+
+    it('should keep the booking cancelled and flag the refund when it cannot be sent', async () => {
+      create.mockRejectedValue(new Error('Nothing left to refund'));
+      const updateOne = jest.spyOn(Booking, 'updateOne').mockResolvedValue({});
+      const doc = booking();
+
+      await BookingService.cancel(doc, {}, customer);
+
+      expect(doc.save).toHaveBeenCalled();
+      expect(updateOne).toHaveBeenCalledWith({ _id: doc._id }, { $set: { 'cancellation.refundStatus': 'failed' } });
+    });
+  });
+
+  describe('markNoShow', () => {
+    it('should forfeit the deposit without calling the gateway', async () => {
+      const create = jest.spyOn(RefundService, 'create');
+      const doc = booking({ appointmentDate: dayFromNow(-1) });
+
+      const updated = await BookingService.markNoShow(doc, { role: 'admin' }, 'Did not arrive');
+
+      expect(updated.status).toBe('no-show');
+      expect(updated.cancellation).toMatchObject({ policy: 'no-show', forfeitedAmount: 20000, refundStatus: 'rejected' });
+      expect(updated.statusHistory).toEqual([expect.objectContaining({
+        status: 'no-show',
+        note: 'Did not arrive: ₦0 refunded, ₦20,000 forfeited (no-show policy)',
+        source: 'admin'
+      })]);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should record the scheduled job as the source', async () => {
+      const doc = booking({ appointmentDate: dayFromNow(-1) });
+
+      const updated = await BookingService.markNoShow(doc, { role: 'system' });
+
+      expect(updated.statusHistory[0]).toMatchObject({ note: expect.stringContaining('Marked as a no-show'), source: 'system' });
+    });
+  });
+
+  describe('create', () => {
+    const service = (name, duration, price) => ({
+      _id: new mongoose.Types.ObjectId(),
+      name,
+      description: `${name}.`,
+      duration,
+      pricing: [{ artistType: 'lulu', price }]
+    });
+    const lashes = service('Classic Lashes', 120, 40000);
+    const brows = service('Brow Lamination', 60, 25000);
+    const user = { id: 'customer', firstName: 'Ada', email: 'ada@example.com' };
+
+    const slotOn = ({ date, start }) => ({
+      appointmentDate: new Date(`${date}T00:00:00.000Z`),
+      timeSlot: { start, end: '13:00' },
+      artist: ada
+    });
+
+    beforeEach(() => {
+      // The database may return them in any order
+      jest.spyOn(Service, 'find').mockResolvedValue([brows, lashes]);
+      jest.spyOn(Booking, 'create').mockImplementation(async doc => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+      jest.spyOn(IntakeService, 'assertReady').mockResolvedValue([]);
+      jest.spyOn(IntakeService, 'linkBookings').mockResolvedValue();
+    });
+
+    it('should book a bundle back-to-back at the combined duration and price', async () => {
+      const assert = jest.spyOn(AvailabilityService, 'assertAvailable').mockImplementation(async params => slotOn(params));
+      const date = dayFromNow(7).toISOString().slice(0, 10);
+
+      const [created] = await BookingService.create(user, {
+        services: [lashes._id, brows._id],
+        artist: { artistId: ada._id },
+        location: 'calabar',
+        appointmentDate: date,
+        timeSlot: { start: '10:00' }
+      });
+
+      expect(assert).toHaveBeenCalledWith(expect.objectContaining({
+        serviceId: [lashes._id, brows._id],
+        duration: 180
+      }));
+      expect(created).toMatchObject({
+        service: lashes._id,
+        serviceSnapshot: { name: 'Classic Lashes + Brow Lamination', duration: 180 },
+        pricing: { servicePrice: 65000, depositAmount: 32500, balanceAmount: 32500 }
+      });
+      expect(created.services.map(item => item.price)).toEqual([40000, 25000]);
+      expect(created.series).toBeUndefined();
+    });
+
+    it('should check every date of a series and book none if any is taken', async () => {
+      const first = dayFromNow(7).toISOString().slice(0, 10);
+      const taken = dayFromNow(21).toISOString().slice(0, 10);
+      const assert = jest.spyOn(AvailabilityService, 'assertAvailable').mockImplementation(async params => {
+        if (params.date === taken) {
+          throw new ConflictError('This time slot is already booked');
+        }
+        return slotOn(params);
+      });
+
+      const attempt = BookingService.create(user, {
+        service: lashes._id,
+        artist: { type: 'lulu' },
+        location: 'calabar',
+        appointmentDate: first,
+        timeSlot: { start: '10:00' },
+        recurrence: { intervalWeeks: 2, occurrences: 3 }
+      });
+
+      await expect(attempt).rejects.toMatchObject({
+        statusCode: 400,
+        message: '1 of 3 dates in this series are not available',
+        errors: [{ date: taken, message: 'This time slot is already booked' }]
+      });
+      expect(assert).toHaveBeenCalledTimes(3);
+      expect(IntakeService.assertReady).not.toHaveBeenCalled();
+      expect(Booking.create).not.toHaveBeenCalled();
+    });
+
+    it('should link a series and hold later dates until their deposit is due', async () => {
+      jest.spyOn(AvailabilityService, 'assertAvailable').mockImplementation(async params => slotOn(params));
+
+      const bookings = await BookingService.create(user, {
+        service: lashes._id,
+        artist: { type: 'lulu' },
+        location: 'calabar',
+        appointmentDate: dayFromNow(7).toISOString().slice(0, 10),
+        timeSlot: { start: '10:00' },
+        recurrence: { intervalWeeks: 1, occurrences: 3 }
+      });
+
+      expect(bookings).toHaveLength(3);
+      expect(bookings.map(item => item.appointmentDate)).toEqual([dayFromNow(7), dayFromNow(14), dayFromNow(21)]);
+      expect(new Set(bookings.map(item => item.series.seriesId.toString())).size).toBe(1);
+      expect(bookings.map(item => item.series.index)).toEqual([1, 2, 3]);
+      expect(bookings[0].holdExpiresAt.getTime()).toBeLessThanOrEqual(Date.now() + 60 * 60 * 1000);
+      expect(bookings[1].holdExpiresAt).toEqual(new Date(AvailabilityService.startsAt(bookings[1]).getTime() - 48 * 60 * 60 * 1000));
+    });
+
+    it('should remove the whole series if another request took one of its times', async () => {
+      jest.spyOn(AvailabilityService, 'assertAvailable').mockImplementation(async params => slotOn(params));
+      AvailabilityService.assertNoClash
+        .mockResolvedValueOnce()
+        .mockRejectedValueOnce(new ConflictError('This time slot has just been booked - please choose another'));
+      const remove = jest.spyOn(Booking, 'deleteMany').mockResolvedValue({});
+
+      await expect(BookingService.create(user, {
+        service: lashes._id,
+        artist: { type: 'lulu' },
+        location: 'calabar',
+        appointmentDate: dayFromNow(7).toISOString().slice(0, 10),
+        timeSlot: { start: '10:00' },
+        recurrence: { intervalWeeks: 1, occurrences: 2 }
+      })).rejects.toThrow('This time slot has just been booked');
+      expect(remove).toHaveBeenCalledWith({ _id: { $in: [expect.anything(), expect.anything()] } });
+      expect(IntakeService.linkBookings).not.toHaveBeenCalled();
+    });
+
+    it('should not accept a series longer than the limit', () => {
+      expect(() => BookingService.occurrenceDates(dayFromNow(7), { intervalWeeks: 1, occurrences: 13 }))
+        .toThrow('A series must have between 2 and 12 appointments');
+    });
+  });
+
+  describe('cancelSeries', () => {
+    it('should cancel only the appointments still to come', async () => {
+      const past = booking({ status: 'completed', appointmentDate: dayFromNow(-7) });
+      const next = booking({ status: 'pending', payment: { depositPaid: false } });
+      const later = booking({ status: 'pending', payment: { depositPaid: false }, appointmentDate: dayFromNow(14) });
+      jest.spyOn(Booking, 'findById').mockImplementation(async id => ({ _id: id, status: 'cancelled' }));
+
+      const cancelled = await BookingService.cancelSeries([past, next, later], { reason: 'Moving away' }, customer);
+
+      expect(cancelled).toHaveLength(2);
+      expect(past.save).not.toHaveBeenCalled();
+      expect(next.status).toBe('cancelled');
+      expect(later.status).toBe('cancelled');
+    });
+  });
+
+  describe('holdExpiry', () => {
+    it('should hold an unpaid booking for the configured window', () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      expect(BookingService.holdExpiry({ appointmentDate: dayFromNow(7), timeSlot: { start: '10:00' } }))
+        .toEqual(new Date(now + 60 * 60 * 1000));
+    });
+
+    it('should never hold past the appointment itself', () => {
+      const slot = { appointmentDate: dayFromNow(1), timeSlot: { start: '10:00' } };
+      jest.spyOn(Date, 'now').mockReturnValue(AvailabilityService.startsAt(slot).getTime() - 10 * 60 * 1000);
+
+      expect(BookingService.holdExpiry(slot)).toEqual(AvailabilityService.startsAt(slot));
+    });
+  });
+
+  describe('expireHold', () => {
+    const unpaid = () => booking({ status: 'pending', payment: { depositPaid: false } });
+
+    it('should cancel an unpaid booking only while it is still pending and unpaid', async () => {
+      const doc = unpaid();
+      const update = jest.spyOn(Booking, 'findOneAndUpdate').mockImplementation(async (filter, changes) => ({
+        ...doc,
+        status: changes.$set.status
+      }));
+      jest.spyOn(Booking, 'findById').mockImplementation(async id => ({ _id: id, status: 'cancelled' }));
+      const create = jest.spyOn(RefundService, 'create');
+
+      const expired = await BookingService.expireHold(doc);
+
+      expect(update).toHaveBeenCalledWith(
+        { _id: doc._id, status: 'pending', 'payment.depositPaid': false },
+        expect.objectContaining({
+          $set: expect.objectContaining({
+            status: 'cancelled',
+            'cancellation.cancelledBy': 'system',
+            'cancellation.policy': 'expired',
+            'cancellation.forfeitedAmount': 0
+          }),
+          $push: { statusHistory: expect.objectContaining({ status: 'cancelled', source: 'system' }) }
+        }),
+        { new: true }
+      );
+      expect(expired.status).toBe('cancelled');
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ subject: 'Booking Released - Lulu Artistry' }));
+      expect(WaitlistService.bookingFreed).toHaveBeenCalledWith(expect.objectContaining({ _id: doc._id, status: 'cancelled' }));
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should leave a booking alone if the deposit arrived first', async () => {
+      jest.spyOn(Booking, 'findOneAndUpdate').mockResolvedValue(null);
+
+      await expect(BookingService.expireHold(unpaid())).resolves.toBeNull();
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,103 @@
+process.env.CALENDAR_FEED_SECRET = 'test-feed-secret';
+
+const mongoose = require('mongoose');
+const CalendarService = require('../../../src/core/services/CalendarService');
+const Booking = require('../../../models/Booking');
+const Enrollment = require('../../../models/Enrollment');
+
+describe('CalendarService', () => {
+  const booking = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    bookingNumber: 'BK-300304-0001',
+    status: 'confirmed',
+    serviceSnapshot: { name: 'Classic Lashes', duration: 120 },
+    customerInfo: { firstName: 'Ada', lastName: 'Obi', phone: '08030000000' },
+    artist: { type: 'lulu', name: 'Bisi' },
+    location: 'calabar',
+    appointmentDate: new Date('2030-03-04T00:00:00.000Z'),
+    timeSlot: { start: '10:00', end: '12:00' },
+    notes: { customerNotes: 'Sensitive eyes; prefers mink' },
+    rescheduleHistory: [],
+    ...fields
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('bookingInvite', () => {
+    it('should attach the appointment in UTC from studio time', () => {
+      const { filename, content, contentType } = CalendarService.bookingInvite(booking());
+
+      expect(filename).toBe('BK-300304-0001.ics');
+      expect(contentType).toContain('text/calendar');
+      // 10:00-12:00 in Calabar (UTC+1)
+      expect(content).toContain('DTSTART:20300304T090000Z\r\n');
+      expect(content).toContain('DTEND:20300304T110000Z\r\n');
+      expect(content).toContain('SUMMARY:Classic Lashes at Lulu Artistry\r\n');
+      expect(content).toContain('LOCATION:Calabar Studio\r\n');
+      expect(content).not.toContain('08030000000');
+    });
+
+    it('should pencil in unpaid bookings and bump the sequence on reschedule', () => {
+      const { content } = CalendarService.bookingInvite(booking({ status: 'pending', rescheduleHistory: [{}] }));
+
+      expect(content).toContain('STATUS:TENTATIVE\r\n');
+      expect(content).toContain('SEQUENCE:1\r\n');
+    });
+  });
+
+  describe('enrollmentInvite', () => {
+    it('should cover every day of the course as an all-day event', () => {
+      const { content } = CalendarService.enrollmentInvite({
+        _id: new mongoose.Types.ObjectId(),
+        enrollmentNumber: 'ENR-2030-00001',
+        courseSnapshot: { title: 'Brow Masterclass' },
+        startDate: new Date('2030-04-01T00:00:00.000Z'),
+        location: 'port-harcourt'
+      }, 3);
+
+      expect(content).toContain('DTSTART;VALUE=DATE:20300401\r\n');
+      expect(content).toContain('DTEND;VALUE=DATE:20300404\r\n');
+      expect(content).toContain('LOCATION:Port Harcourt Studio\r\n');
+    });
+  });
+
+  describe('feeds', () => {
+    it('should only accept the token signed for that feed', () => {
+      const token = CalendarService.feedToken('location', 'calabar');
+
+      expect(CalendarService.verifyToken('location', 'calabar', token)).toBe(true);
+      expect(CalendarService.verifyToken('location', 'port-harcourt', token)).toBe(false);
+      expect(CalendarService.verifyToken('location', 'calabar', undefined)).toBe(false);
+    });
+
+    it('should list confirmed bookings for staff and one event per course run', async () => {
+      const course = { _id: new mongoose.Types.ObjectId(), title: 'Brow Masterclass', durationInDays: 2 };
+      const find = jest.spyOn(Booking, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([booking()]) });
+      jest.spyOn(Enrollment, 'find').mockReturnValue({
+        populate: jest.fn().mockReturnValue({
+          sort: jest.fn().mockResolvedValue([
+            { course, startDate: new Date('2030-04-01T00:00:00.000Z'), studentInfo: { firstName: 'Chi' } },
+            { course, startDate: new Date('2030-04-01T00:00:00.000Z'), studentInfo: { firstName: 'Dayo' } }
+          ])
+        })
+      });
+
+      // Unfold long lines before matching
+      const calendar = (await CalendarService.locationFeed('calabar')).replace(/\r\n /g, '');
+
+      expect(find).toHaveBeenCalledWith(expect.objectContaining({ location: 'calabar', status: 'confirmed' }));
+      expect(calendar).toContain('X-WR-CALNAME:Lulu Artistry - Calabar Studio\r\n');
+      expect(calendar).toContain('SUMMARY:Classic Lashes - Ada Obi\r\n');
+      expect(calendar).toContain('Client: Ada Obi (08030000000)');
+      expect(calendar).toContain('Notes: Sensitive eyes\\; prefers mink');
+      expect(calendar).toContain('SUMMARY:Brow Masterclass (2 students)\r\n');
+      expect(calendar.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    });
+
+    it('should reject unknown studios', async () => {
+      await expect(CalendarService.locationFeed('lagos')).rejects.toThrow('Studio not found');
+    });
+  });
+});
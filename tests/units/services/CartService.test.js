@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+const CartService = require('../../../src/core/services/CartService');
+const CouponService = require('../../../src/core/services/CouponService');
+const Cart = require('../../../models/Cart');
+const Product = require('../../../models/Product');
+
+describe('CartService', () => {
+  const category = new mongoose.Types.ObjectId();
+
+  const glue = new Product({ name: 'Lash Glue', price: 5000, stock: 3, category, isActive: true });
+  const lashes = new Product({
+    name: 'Mink Classic Lashes',
+    price: 8000,
+    category,
+    isActive: true,
+    variants: [
+      { type: 'Length', value: '11mm', sku: 'MCL-11', stock: 4, priceAdjustment: 500 }
+    ]
+  });
+  const [elevenMm] = lashes.variants;
+
+  const guest = { sessionId: 'guest-session' };
+  const member = { userId: new mongoose.Types.ObjectId() };
+
+  const line = (product, quantity, variant) => ({
+    product: product._id,
+    variant: variant ? { variantId: variant._id, sku: variant.sku, name: variant.type, value: variant.value } : undefined,
+    quantity,
+    price: product.price + (variant ? variant.priceAdjustment : 0)
+  });
+
+  // Product.find is awaited directly when re-pricing and with .select() for coupons
+  const mockCatalog = products => jest.spyOn(Product, 'find').mockImplementation(() => {
+    const result = Promise.resolve(products);
+    result.select = () => Promise.resolve(products);
+    return result;
+  });
+
+  beforeEach(() => {
+    mockCatalog([glue, lashes]);
+    jest.spyOn(Product, 'findById').mockImplementation(async id => [glue, lashes].find(product => product._id.equals(id)));
+    jest.spyOn(Cart.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Cart.prototype, 'populate').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('ownerQuery', () => {
+    it('should key carts by user, or by session for guests', () => {
+      expect(CartService.ownerQuery(member)).toEqual({ user: member.userId });
+      expect(CartService.ownerQuery(guest)).toEqual({ sessionId: 'guest-session' });
+      expect(() => CartService.ownerQuery({})).toThrow('A user or cart session is required');
+    });
+  });
+
+  describe('getCart', () => {
+    it('should not save a cart for an owner who has none', async () => {
+      jest.spyOn(Cart, 'findOne').mockResolvedValue(null);
+
+      const { cart, changes } = await CartService.getCart(guest);
+
+      expect(cart.sessionId).toBe('guest-session');
+      expect(cart.items).toHaveLength(0);
+      expect(changes).toEqual([]);
+      expect(Cart.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('should only save an existing cart when something changed', async () => {
+      // As loaded from the database, with nothing modified yet
+      const cart = Cart.hydrate(new Cart({ user: member.userId, items: [line(glue, 1)] }).toObject());
+      jest.spyOn(Cart, 'findOne').mockResolvedValue(cart);
+
+      await CartService.getCart(member);
+      expect(cart.save).not.toHaveBeenCalled();
+
+      cart.items[0].price = 4500;
+      const { changes } = await CartService.getCart(member);
+      expect(changes).toEqual([expect.objectContaining({ type: 'price' })]);
+      expect(cart.save).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('addItem', () => {
+    it('should start a session cart for a guest, priced with the variant', async () => {
+      jest.spyOn(Cart, 'findOne').mockResolvedValue(null);
+
+      const { cart } = await CartService.addItem(guest, { productId: lashes._id, variantId: elevenMm._id, quantity: 2 });
+
+      expect(cart.sessionId).toBe('guest-session');
+      expect(cart.items).toHaveLength(1);
+      expect(cart.items[0]).toMatchObject({ quantity: 2, price: 8500, variant: { sku: 'MCL-11', name: 'Length', value: '11mm' } });
+      expect(cart.save).toHaveBeenCalled();
+    });
+
+    it('should add to the existing line but not past the stock', async () => {
+      const cart = new Cart({ user: member.userId, items: [line(glue, 2)] });
+      jest.spyOn(Cart, 'findOne').mockResolvedValue(cart);
+
+      await CartService.addItem(member, { productId: glue._id, quantity: 1 });
+      expect(cart.items[0].quantity).toBe(3);
+
+      await expect(CartService.addItem(member, { productId: glue._id, quantity: 1 }))
+        .rejects.toThrow('Only 3 of Lash Glue left in stock');
+      expect(cart.items).toHaveLength(1);
+    });
+
+    it('should ask for an option on products with variants', async () => {
+      jest.spyOn(Cart, 'findOne').mockResolvedValue(null);
+
+      await expect(CartService.addItem(guest, { productId: lashes._id }))
+        .rejects.toThrow('Please select an option for Mink Classic Lashes');
+    });
+  });
+
+  describe('updateItem', () => {
+    it('should change the quantity within stock', async () => {
+      const cart = new Cart({ sessionId: 'guest-session', items: [line(lashes, 1, elevenMm)] });
+      jest.spyOn(Cart, 'findOne').mockResolvedValue(cart);
+
+      await CartService.updateItem(guest, cart.items[0]._id, 4);
+      expect(cart.items[0].quantity).toBe(4);
+
+      await expect(CartService.updateItem(guest, cart.items[0]._id, 5))
+        .rejects.toThrow('Only 4 of Mink Classic Lashes left in stock');
+    });
+
+    it('should remove the line at quantity 0', async () => {
+      const cart = new Cart({ sessionId: 'guest-session', items: [line(glue, 1), line(lashes, 1, elevenMm)] });
+      jest.spyOn(Cart, 'findOne').mockResolvedValue(cart);
+
+      await CartService.updateItem(guest, cart.items[0]._id, 0);
+
+      expect(cart.items.map(item => item.product.toString())).toEqual([lashes._id.toString()]);
+    });
+  });
+
+  describe('removeItem', () => {
+    it('should remove a line and refuse one that is not in the cart', async () => {
+      const cart = new Cart({ user: member.userId, items: [line(glue, 1)] });
+      jest.spyOn(Cart, 'findOne').mockResolvedValue(cart);
+
+      const { cart: updated } = await CartService.removeItem(member, cart.items[0]._id);
+      expect(updated.items).toHaveLength(0);
+
+      await expect(CartService.removeItem(member, new mongoose.Types.ObjectId()))
+        .rejects.toThrow('Cart item not found');
+    });
+  });
+
+  describe('mergeGuestCart', () => {
+    it('should add the guest lines to the user cart, capping duplicates at the stock', async () => {
+      const guestCart = new Cart({ sessionId: 'guest-session', items: [line(glue, 2), line(lashes, 1, elevenMm)] });
+      const userCart = new Cart({ user: member.userId, items: [line(glue, 2)] });
+      jest.spyOn(Cart, 'findOne').mockImplementation(async query => (query.sessionId ? guestCart : userCart));
+      const remove = jest.spyOn(Cart, 'deleteOne').mockResolvedValue({});
+
+      const { cart, changes } = await CartService.mergeGuestCart('guest-session', member.userId);
+
+      expect(cart).toBe(userCart);
+      expect(cart.items.map(item => [item.product.toString(), item.quantity])).toEqual([
+        [glue._id.toString(), 3],
+        [lashes._id.toString(), 1]
+      ]);
+      expect(cart.items[1].variant.sku).toBe('MCL-11');
+      expect(changes).toEqual([expect.objectContaining({ type: 'quantity', message: 'Only 3 of Lash Glue left in stock' })]);
+      expect(remove).toHaveBeenCalledWith({ _id: guestCart._id });
+    });
+
+    it('should carry the guest coupon over unless the user already has one', async () => {
+      jest.spyOn(CouponService, 'validate').mockImplementation(async ({ code }) => ({
+        coupon: { code, discountType: 'fixed', discountValue: 1000 },
+        discount: 1000
+      }));
+      jest.spyOn(Cart, 'deleteOne').mockResolvedValue({});
+
+      const guestCart = () => new Cart({ sessionId: 'guest-session', items: [line(glue, 1)], appliedCoupon: { code: 'WELCOME' } });
+
+      const empty = new Cart({ user: member.userId });
+      jest.spyOn(Cart, 'findOne').mockImplementation(async query => (query.sessionId ? guestCart() : empty));
+      await CartService.mergeGuestCart('guest-session', member.userId);
+      expect(empty.appliedCoupon.code).toBe('WELCOME');
+
+      const withCoupon = new Cart({ user: member.userId, items: [line(glue, 1)], appliedCoupon: { code: 'LOYAL10' } });
+      Cart.findOne.mockImplementation(async query => (query.sessionId ? guestCart() : withCoupon));
+      await CartService.mergeGuestCart('guest-session', member.userId);
+      expect(withCoupon.appliedCoupon.code).toBe('LOYAL10');
+    });
+
+    it('should keep the guest cart if the merged cart cannot be saved', async () => {
+      const guestCart = new Cart({ sessionId: 'guest-session', items: [line(glue, 1)] });
+      jest.spyOn(Cart, 'findOne').mockImplementation(async query => (query.sessionId ? guestCart : null));
+      const remove = jest.spyOn(Cart, 'deleteOne').mockResolvedValue({});
+      Cart.prototype.save.mockRejectedValue(new Error('write conflict'));
+
+      await expect(CartService.mergeGuestCart('guest-session', member.userId)).rejects.toThrow('write conflict');
+      expect(remove).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing without a guest cart', async () => {
+      jest.spyOn(Cart, 'findOne').mockResolvedValue(null);
+
+      await expect(CartService.mergeGuestCart(undefined, member.userId)).resolves.toBeNull();
+      await expect(CartService.mergeGuestCart('guest-session', member.userId)).resolves.toBeNull();
+      expect(Cart.findOne).toHaveBeenCalledWith({ sessionId: 'guest-session', user: { $exists: false } });
+    });
+  });
+});
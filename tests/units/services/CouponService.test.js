@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const CouponService = require('../../../src/core/services/CouponService');
+const Coupon = require('../../../models/Coupon');
+
+const buildCoupon = (overrides = {}) => new Coupon({
+  code: 'GLOW10',
+  discountType: 'percentage',
+  discountValue: 10,
+  startDate: new Date(Date.now() - 24 * 60 * 60 * 1000),
+  endDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  createdBy: new mongoose.Types.ObjectId(),
+  ...overrides
+});
+
+describe('CouponService', () => {
+  describe('eligibleSubtotal', () => {
+    const lashes = new mongoose.Types.ObjectId();
+    const brows = new mongoose.Types.ObjectId();
+    const tray = new mongoose.Types.ObjectId();
+    const glue = new mongoose.Types.ObjectId();
+
+    const items = [
+      { product: tray, category: lashes, lineTotal: 10000 },
+      { product: glue, category: brows, lineTotal: 4000 }
+    ];
+
+    it('should count every line when the coupon is unrestricted', () => {
+      expect(CouponService.eligibleSubtotal(buildCoupon(), items)).toBe(14000);
+    });
+
+    it('should only count lines in applicable categories', () => {
+      const coupon = buildCoupon({ applicableCategories: [lashes] });
+      expect(CouponService.eligibleSubtotal(coupon, items)).toBe(10000);
+    });
+
+    it('should only count applicable products', () => {
+      const coupon = buildCoupon({ applicableProducts: [glue] });
+      expect(CouponService.eligibleSubtotal(coupon, items)).toBe(4000);
+    });
+  });
+
+  describe('validate', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should compute the discount from the eligible lines', async () => {
+      jest.spyOn(CouponService, 'findByCode').mockResolvedValue(buildCoupon());
+
+      const result = await CouponService.validate({
+        code: 'glow10',
+        items: [{ product: new mongoose.Types.ObjectId(), lineTotal: 20000 }]
+      });
+
+      expect(result.discount).toBe(2000);
+    });
+
+    it('should reject coupons below the minimum order amount', async () => {
+      jest.spyOn(CouponService, 'findByCode').mockResolvedValue(buildCoupon({ minimumOrderAmount: 50000 }));
+
+      await expect(CouponService.validate({
+        code: 'GLOW10',
+        items: [{ product: new mongoose.Types.ObjectId(), lineTotal: 20000 }]
+      })).rejects.toThrow('minimum order');
+    });
+
+    it('should reject coupons for a different scope', async () => {
+      jest.spyOn(CouponService, 'findByCode').mockResolvedValue(buildCoupon({ applicableTo: 'courses' }));
+
+      await expect(CouponService.validate({
+        code: 'GLOW10',
+        scope: 'products',
+        items: [{ product: new mongoose.Types.ObjectId(), lineTotal: 20000 }]
+      })).rejects.toThrow('cannot be used on products');
+    });
+  });
+
+  describe('redeem', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should record the use against the user', async () => {
+      const coupon = buildCoupon();
+      const userId = new mongoose.Types.ObjectId();
+      jest.spyOn(Coupon, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+        coupon.usedBy.push(update.$push.usedBy);
+        return coupon;
+      });
+
+      await CouponService.redeem(coupon, userId.toString(), 'ORD-000001');
+
+      expect(coupon.usedBy[0]).toMatchObject({ user: userId, orderNumber: 'ORD-000001' });
+      expect(coupon.canUserUse(userId)).toBe(false);
+      expect(coupon.canUserUse(new mongoose.Types.ObjectId())).toBe(true);
+    });
+
+    it('should refuse a redemption without a user', async () => {
+      const update = jest.spyOn(Coupon, 'findOneAndUpdate');
+
+      await expect(CouponService.redeem(buildCoupon(), undefined, 'ORD-000001'))
+        .rejects.toMatchObject({ statusCode: 400, message: 'A user is required to redeem a coupon' });
+      expect(update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const { Writable } = require('stream');
+const ExcelJS = require('exceljs');
+const ExportService = require('../../../src/core/services/ExportService');
+const Order = require('../../../models/Order');
+const Booking = require('../../../models/Booking');
+
+describe('ExportService', () => {
+  const order = {
+    orderNumber: 'ORD-203003-0001',
+    createdAt: new Date('2030-03-04T10:00:00.000Z'),
+    orderStatus: 'processing',
+    customerInfo: { firstName: 'Ada', lastName: 'Obi', email: 'ada@example.com', phone: '08030000000' },
+    items: [
+      { quantity: 2, price: 8000, productSnapshot: { name: 'Mink Classic Lashes' }, variant: { name: 'Length', value: '11mm' } },
+      { quantity: 1, price: 5000, productSnapshot: { name: 'Lash Glue, Clear' } }
+    ],
+    pricing: { subtotal: 21000, shippingCost: 2500, discount: 0, total: 23500 },
+    payment: { method: 'paystack', status: 'paid', paidAt: new Date('2030-03-04T10:05:00.000Z') },
+    shippingAddress: { street: '1 Marian Road', city: 'Calabar', state: 'Cross River' }
+  };
+
+  // An Express-like response that keeps what is written to it
+  const response = () => {
+    const chunks = [];
+    const res = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(Buffer.from(chunk));
+        callback();
+      }
+    });
+    res.headers = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.setHeader = (name, value) => {
+      res.headers[name] = value;
+    };
+    res.body = () => Buffer.concat(chunks);
+    return res;
+  };
+
+  const mockCursor = (model, docs) => {
+    const cursor = {
+      close: jest.fn().mockResolvedValue(),
+      async *[Symbol.asyncIterator]() {
+        yield* docs;
+      }
+    };
+    const query = {
+      cast: jest.fn(),
+      sort: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockReturnThis(),
+      batchSize: jest.fn().mockReturnThis(),
+      cursor: jest.fn().mockReturnValue(cursor)
+    };
+    jest.spyOn(model, 'find').mockReturnValue(query);
+    return cursor;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('csvField', () => {
+    it('should quote commas, quotes and line breaks', () => {
+      expect(ExportService.csvField('Lash Glue, Clear')).toBe('"Lash Glue, Clear"');
+      expect(ExportService.csvField('The "Ada" set')).toBe('"The ""Ada"" set"');
+      expect(ExportService.csvField(23500)).toBe('23500');
+    });
+
+    it('should stop text from running as a spreadsheet formula', () => {
+      expect(ExportService.csvField('=HYPERLINK("http://evil")')).toBe('"\'=HYPERLINK(""http://evil"")"');
+      expect(ExportService.csvField(-500)).toBe('-500');
+    });
+  });
+
+  describe('send', () => {
+    it('should stream orders as CSV with nested fields flattened', async () => {
+      mockCursor(Order, [order]);
+      const res = response();
+
+      await ExportService.send(res, 'orders', { orderStatus: 'processing' }, 'csv');
+
+      expect(Order.find).toHaveBeenCalledWith({ orderStatus: 'processing' });
+      expect(res.headers['Content-Disposition']).toMatch(/^attachment; filename="orders-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+      const [header, row] = res.body().toString('utf8').replace(/^\uFEFF/, '').split('\r\n');
+      expect(header.split(',').slice(0, 4)).toEqual(['Order #', 'Placed', 'Status', 'Customer']);
+      expect(row).toContain('ORD-203003-0001,2030-03-04T10:00:00.000Z,processing,Ada Obi,ada@example.com');
+      expect(row).toContain('"2 x Mink Classic Lashes (Length: 11mm) @ 8000; 1 x Lash Glue, Clear @ 5000",3,21000,2500,0,23500');
+      expect(res.writableEnded).toBe(true);
+    });
+
+    it('should write an Excel workbook', async () => {
+      mockCursor(Booking, [{
+        bookingNumber: 'BK-203003-0001',
+        status: 'confirmed',
+        customerInfo: { firstName: 'Ada', lastName: 'Obi' },
+        serviceSnapshot: { name: 'Classic Lashes', duration: 120 },
+        appointmentDate: new Date('2030-03-04T00:00:00.000Z'),
+        timeSlot: { start: '10:00', end: '12:00' },
+        pricing: { servicePrice: 40000, depositAmount: 20000, balanceAmount: 20000 }
+      }]);
+      const res = response();
+
+      await ExportService.send(res, 'bookings', {}, 'xlsx');
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(res.body());
+      const sheet = workbook.getWorksheet('Bookings');
+      expect(sheet.rowCount).toBe(2);
+      expect(sheet.getRow(2).getCell(1).value).toBe('BK-203003-0001');
+      expect(sheet.getRow(2).getCell(12).value).toBe('2030-03-04');
+      expect(sheet.getRow(2).getCell(16).value).toBe(40000);
+    });
+
+    it('should stop and close the cursor when the download is cancelled', async () => {
+      const cursor = mockCursor(Order, [order, order, order]);
+      // A client that never reads, so the first write fills the buffer
+      const res = new Writable({ highWaterMark: 1, write() {} });
+      res.status = jest.fn();
+      res.setHeader = jest.fn();
+
+      const sending = ExportService.send(res, 'orders', {}, 'csv');
+      setImmediate(() => res.destroy());
+      await sending;
+
+      expect(cursor.close).toHaveBeenCalled();
+      expect(res.writableEnded).toBe(false);
+    });
+
+    it('should reject a filter with a bad id before sending anything', async () => {
+      const res = response();
+
+      await expect(ExportService.send(res, 'orders', { user: 'abc' }, 'csv')).rejects.toThrow('Invalid user: abc');
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('should refuse an unknown format before sending anything', async () => {
+      const res = response();
+
+      await expect(ExportService.send(res, 'orders', {}, 'pdf')).rejects.toThrow('Export format must be csv or xlsx');
+      expect(res.status).not.toHaveBeenCalled();
+    });
+  });
+});
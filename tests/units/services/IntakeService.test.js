@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+const IntakeService = require('../../../src/core/services/IntakeService');
+const IntakeForm = require('../../../models/IntakeForm');
+const IntakeSubmission = require('../../../models/IntakeSubmission');
+
+describe('IntakeService', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const daysAgo = days => new Date(Date.now() - days * DAY_MS);
+
+  const form = {
+    _id: new mongoose.Types.ObjectId(),
+    category: 'lashes',
+    title: 'Lash Consultation',
+    version: 2,
+    questions: [
+      { key: 'allergies', label: 'Any allergies to adhesives or latex?', type: 'text', required: true, flagAnswers: [] },
+      { key: 'pregnant', label: 'Are you pregnant or breastfeeding?', type: 'yes-no', required: true, flagAnswers: ['yes'] },
+      { key: 'sensitivity', label: 'Eye sensitivity', type: 'choice', options: ['none', 'mild', 'severe'], required: false, flagAnswers: ['severe'] }
+    ],
+    consent: { required: true }
+  };
+
+  const user = (patchTests = []) => ({ id: 'customer', patchTests });
+  const lashLift = { name: 'Lash Lift', category: 'lashes', patchTest: { required: true } };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('checkAnswers', () => {
+    it('should store the answers and flag the ones to review', () => {
+      const result = IntakeService.checkAnswers(
+        form,
+        { allergies: 'None', pregnant: 'Yes', sensitivity: 'severe' },
+        { signature: 'Ada Obi' }
+      );
+
+      expect(result.answers).toEqual([
+        { key: 'allergies', label: form.questions[0].label, value: 'None' },
+        { key: 'pregnant', label: form.questions[1].label, value: true },
+        { key: 'sensitivity', label: form.questions[2].label, value: 'severe' }
+      ]);
+      expect(result.flagged).toEqual(['Are you pregnant or breastfeeding?', 'Eye sensitivity']);
+    });
+
+    it('should list every missing answer and the signature', () => {
+      expect.assertions(1);
+      try {
+        IntakeService.checkAnswers(form, { pregnant: 'maybe' });
+      } catch (err) {
+        expect(err.errors.map(error => error.field)).toEqual(['allergies', 'pregnant', 'consent']);
+      }
+    });
+  });
+
+  describe('patchTestStatus', () => {
+    const at = new Date();
+
+    it('should accept a recent pass', () => {
+      const status = IntakeService.patchTestStatus(user([{ category: 'lashes', result: 'pass', testedAt: daysAgo(30) }]), 'lashes', at, 6);
+      expect(status.valid).toBe(true);
+    });
+
+    it('should go by the latest test, so a reaction blocks the service', () => {
+      const status = IntakeService.patchTestStatus(user([
+        { category: 'lashes', result: 'pass', testedAt: daysAgo(60) },
+        { category: 'lashes', result: 'fail', testedAt: daysAgo(10) }
+      ]), 'lashes', at, 6);
+
+      expect(status).toMatchObject({ valid: false, reason: 'your last lashes patch test showed a reaction' });
+    });
+
+    it('should not accept a test that has lapsed or is for another category', () => {
+      expect(IntakeService.patchTestStatus(user([{ category: 'lashes', result: 'pass', testedAt: daysAgo(200) }]), 'lashes', at, 6))
+        .toMatchObject({ valid: false, reason: 'your lashes patch test is more than 6 months old' });
+      expect(IntakeService.patchTestStatus(user([{ category: 'brows', result: 'pass', testedAt: daysAgo(10) }]), 'lashes', at, 6).valid)
+        .toBe(false);
+    });
+  });
+
+  describe('assertReady', () => {
+    it('should pass categories without a form', async () => {
+      jest.spyOn(IntakeForm, 'findOne').mockResolvedValue(null);
+
+      await expect(IntakeService.assertReady(user(), [{ name: 'Brow Shaping', category: 'brows' }], [new Date()]))
+        .resolves.toEqual([]);
+    });
+
+    it('should ask for the form when there is no current submission', async () => {
+      jest.spyOn(IntakeForm, 'findOne').mockResolvedValue(form);
+      const findOne = jest.spyOn(IntakeSubmission, 'findOne').mockReturnValue({ sort: jest.fn().mockResolvedValue(null) });
+
+      await expect(IntakeService.assertReady(user(), [{ name: 'Classic Lashes', category: 'lashes' }], [new Date()]))
+        .rejects.toMatchObject({ statusCode: 400, message: 'Please complete the Lash Consultation form' });
+      expect(findOne).toHaveBeenCalledWith(expect.objectContaining({ category: 'lashes', formVersion: 2 }));
+    });
+
+    it('should record answers sent with the booking', async () => {
+      jest.spyOn(IntakeForm, 'findOne').mockResolvedValue(form);
+      const create = jest.spyOn(IntakeSubmission, 'create').mockImplementation(async doc => doc);
+
+      const submissions = await IntakeService.assertReady(
+        user(),
+        [{ name: 'Classic Lashes', category: 'lashes' }],
+        [new Date()],
+        { answers: { allergies: 'None', pregnant: 'no' }, consent: { signature: 'Ada Obi' } },
+        { ipAddress: '127.0.0.1' }
+      );
+
+      expect(submissions).toHaveLength(1);
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        customer: 'customer',
+        category: 'lashes',
+        formVersion: 2,
+        flagged: [],
+        consent: expect.objectContaining({ signature: 'Ada Obi', ipAddress: '127.0.0.1' })
+      }));
+    });
+
+    it('should block a service that needs a patch test on every date of the booking', async () => {
+      jest.spyOn(IntakeForm, 'findOne').mockResolvedValue(null);
+      const client = user([{ category: 'lashes', result: 'pass', testedAt: daysAgo(170) }]);
+
+      await expect(IntakeService.assertReady(client, [lashLift], [new Date()])).resolves.toEqual([]);
+      await expect(IntakeService.assertReady(client, [lashLift], [new Date(), new Date(Date.now() + 28 * DAY_MS)]))
+        .rejects.toMatchObject({
+          errors: [{ service: 'Lash Lift', field: 'patchTest', message: 'Lash Lift: your lashes patch test is more than 6 months old' }]
+        });
+    });
+  });
+});
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const InventoryService = require('../../../src/core/services/InventoryService');
+const Product = require('../../../models/Product');
+
+describe('InventoryService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('reserve', () => {
+    const items = [
+      { product: new mongoose.Types.ObjectId(), quantity: 2, productSnapshot: { name: 'Lash Glue' } },
+      { product: new mongoose.Types.ObjectId(), quantity: 1, productSnapshot: { name: 'Mink Tray' } }
+    ];
+
+    it('should take stock with a conditional decrement per line', async () => {
+      const updateOne = jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await InventoryService.reserve(items);
+
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: items[0].product, stock: { $gte: 2 } },
+        { $inc: { stock: -2 } }
+      );
+      expect(updateOne).toHaveBeenCalledTimes(2);
+    });
+
+    it('should give back lines already taken when one line is short', async () => {
+      const updateOne = jest.spyOn(Product, 'updateOne')
+        .mockResolvedValueOnce({ modifiedCount: 1 })
+        .mockResolvedValueOnce({ modifiedCount: 0 })
+        .mockResolvedValue({ modifiedCount: 1 });
+
+      await expect(InventoryService.reserve(items)).rejects.toThrow('Insufficient stock for Mink Tray');
+
+      expect(updateOne).toHaveBeenLastCalledWith(
+        { _id: items[0].product },
+        { $inc: { stock: 2 } }
+      );
+    });
+  });
+
+  describe('variant lines', () => {
+    const variantId = new mongoose.Types.ObjectId();
+    const item = {
+      product: new mongoose.Types.ObjectId(),
+      variant: { variantId, sku: 'TRAY-12MM', name: 'Length', value: '12mm' },
+      quantity: 3
+    };
+
+    it('should decrement the variant and the product total together', async () => {
+      const updateOne = jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await InventoryService.takeLine(item);
+
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: item.product, variants: { $elemMatch: { _id: variantId, stock: { $gte: 3 } } } },
+        { $inc: { 'variants.$.stock': -3, stock: -3 } }
+      );
+    });
+
+    it('should restock the same variant', async () => {
+      const updateOne = jest.spyOn(Product, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+
+      await InventoryService.returnLine(item);
+
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: item.product, variants: { $elemMatch: { _id: variantId } } },
+        { $inc: { 'variants.$.stock': 3, stock: 3 } }
+      );
+    });
+  });
+
+  describe('reservationExpiry', () => {
+    it('should hold bank transfers longer than card payments', () => {
+      const card = InventoryService.reservationExpiry('paystack');
+      const transfer = InventoryService.reservationExpiry('bank_transfer');
+      expect(transfer.getTime()).toBeGreaterThan(card.getTime());
+    });
+  });
+});
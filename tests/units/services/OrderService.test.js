@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const OrderService = require('../../../src/core/services/OrderService');
+const InventoryService = require('../../../src/core/services/InventoryService');
+const CouponService = require('../../../src/core/services/CouponService');
+const Product = require('../../../models/Product');
+
+const buildProduct = (overrides = {}) => new Product({
+  name: 'Mink Lash Tray',
+  price: 8000,
+  stock: 20,
+  category: new mongoose.Types.ObjectId(),
+  images: [{ url: 'https://example.com/tray.jpg' }],
+  ...overrides
+});
+
+describe('OrderService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('priceItems', () => {
+    it('should price lines from the catalog including variant adjustments', async () => {
+      const product = buildProduct({
+        variants: [{ type: 'Length', value: '12mm', stock: 5, priceAdjustment: 500 }]
+      });
+      jest.spyOn(Product, 'find').mockResolvedValue([product]);
+
+      const result = await OrderService.priceItems([
+        { product: product._id, variantId: product.variants[0]._id, quantity: 2 }
+      ]);
+
+      expect(result.items[0].price).toBe(8500);
+      expect(result.items[0].productSnapshot.name).toBe('Mink Lash Tray');
+      expect(result.subtotal).toBe(17000);
+    });
+
+    it('should reject tampered prices with the list of differences', async () => {
+      const product = buildProduct();
+      jest.spyOn(Product, 'find').mockResolvedValue([product]);
+
+      const error = await OrderService.priceItems([
+        { product: product._id, quantity: 1, price: 100 }
+      ]).catch(err => err);
+
+      expect(error.statusCode).toBe(400);
+      expect(error.errors).toEqual([
+        expect.objectContaining({ submittedPrice: 100, currentPrice: 8000 })
+      ]);
+    });
+
+    it('should reject quantities above the available stock', async () => {
+      const product = buildProduct({ stock: 1 });
+      jest.spyOn(Product, 'find').mockResolvedValue([product]);
+
+      await expect(OrderService.priceItems([{ product: product._id, quantity: 3 }]))
+        .rejects.toThrow('Insufficient stock');
+    });
+  });
+
+  describe('quoteShipping', () => {
+    it('should take the cost from the delivery zone table', () => {
+      expect(OrderService.quoteShipping({ zone: 'calabar', cost: 0 }).cost).toBe(2000);
+    });
+
+    it('should reject unknown zones', () => {
+      expect(() => OrderService.quoteShipping({ zone: 'moon' })).toThrow('valid delivery zone');
+    });
+  });
+
+  describe('cancel', () => {
+    const order = (fields = {}) => ({
+      orderNumber: 'ORD-000001',
+      orderStatus: 'processing',
+      items: [{ product: new mongoose.Types.ObjectId(), quantity: 2 }],
+      reservation: { status: 'confirmed' },
+      coupon: { code: 'WELCOME10', discount: 1000 },
+      save: jest.fn().mockResolvedValue(),
+      ...fields
+    });
+
+    beforeEach(() => {
+      jest.spyOn(InventoryService, 'restock').mockResolvedValue();
+      jest.spyOn(CouponService, 'release').mockResolvedValue(true);
+    });
+
+    it('should restock a paid order and give the coupon use back', async () => {
+      jest.spyOn(InventoryService, 'releaseOrder').mockResolvedValue(false);
+      const paid = order();
+
+      await OrderService.cancel(paid, { cancelledBy: 'admin' });
+
+      expect(InventoryService.releaseOrder).toHaveBeenCalledWith(paid, 'Cancelled by admin');
+      expect(InventoryService.restock).toHaveBeenCalledWith(paid.items);
+      expect(CouponService.release).toHaveBeenCalledWith('WELCOME10', 'ORD-000001');
+      expect(paid.orderStatus).toBe('cancelled');
+      expect(paid.cancelledAt).toBeInstanceOf(Date);
+      expect(paid.save).toHaveBeenCalled();
+    });
+
+    it('should not restock twice once the hold is released', async () => {
+      jest.spyOn(InventoryService, 'releaseOrder').mockResolvedValue(true);
+      const unpaid = order({ orderStatus: 'pending_payment', reservation: { status: 'reserved' } });
+
+      await OrderService.cancel(unpaid, { cancelledBy: 'customer', reason: 'Ordered the wrong size' });
+
+      expect(InventoryService.restock).not.toHaveBeenCalled();
+      expect(CouponService.release).toHaveBeenCalledWith('WELCOME10', 'ORD-000001');
+      expect(unpaid.cancellationReason).toBe('Ordered the wrong size');
+    });
+
+    it('should leave an order that is already cancelled alone', async () => {
+      jest.spyOn(InventoryService, 'releaseOrder');
+      const cancelled = order({ orderStatus: 'cancelled' });
+
+      await OrderService.cancel(cancelled, { cancelledBy: 'admin' });
+
+      expect(InventoryService.releaseOrder).not.toHaveBeenCalled();
+      expect(CouponService.release).not.toHaveBeenCalled();
+      expect(cancelled.save).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,238 @@
+process.env.PAYMENT_PROVIDERS = 'paystack,fake';
+
+const mongoose = require('mongoose');
+const PaymentService = require('../../../src/core/services/PaymentService');
+const Payment = require('../../../models/Payment');
+const Enrollment = require('../../../models/Enrollment');
+const Booking = require('../../../models/Booking');
+const Waitlist = require('../../../models/Waitlist');
+
+describe('PaymentService', () => {
+  const enrollmentId = new mongoose.Types.ObjectId();
+  const ledger = {
+    _id: new mongoose.Types.ObjectId(),
+    reference: 'enrollment-abc-1',
+    entityType: 'enrollment',
+    entityId: enrollmentId,
+    status: 'pending'
+  };
+
+  const charge = amount => ({
+    provider: 'paystack',
+    method: 'paystack',
+    reference: ledger.reference,
+    transactionId: '4099',
+    status: 'success',
+    amount,
+    currency: 'NGN',
+    channel: 'card',
+    metadata: { type: 'enrollment', referenceId: enrollmentId.toString() }
+  });
+
+  const enrollment = () => ({
+    _id: enrollmentId,
+    payment: { amount: 150000, status: 'pending' },
+    status: 'pending',
+    save: jest.fn().mockResolvedValue()
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(ledger);
+    jest.spyOn(Payment, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Waitlist, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('amountDue', () => {
+    it('should ask for the deposit, then the balance, of a booking', () => {
+      const booking = {
+        pricing: { depositAmount: 10000, balanceAmount: 30000 },
+        payment: { depositPaid: false, balancePaid: false }
+      };
+
+      expect(PaymentService.amountDue('booking', booking)).toBe(10000);
+      booking.payment.depositPaid = true;
+      expect(PaymentService.amountDue('booking', booking)).toBe(30000);
+      booking.payment.balancePaid = true;
+      expect(PaymentService.amountDue('booking', booking)).toBeNull();
+    });
+
+    it('should price the part of a booking named by the intent', () => {
+      const booking = {
+        pricing: { depositAmount: 10000, balanceAmount: 30000 },
+        payment: { depositPaid: true, balancePaid: false }
+      };
+
+      expect(PaymentService.amountDue('booking', booking, 'deposit')).toBeNull();
+      expect(PaymentService.amountDue('booking', booking, 'balance')).toBe(30000);
+    });
+  });
+
+  describe('initialize', () => {
+    it('should charge the amount due through the requested provider', async () => {
+      jest.spyOn(Enrollment, 'findById').mockResolvedValue(enrollment());
+      const create = jest.spyOn(Payment, 'create').mockResolvedValue({});
+
+      const checkout = await PaymentService.initialize({
+        entityType: 'enrollment',
+        entityId: enrollmentId,
+        email: 'ada@example.com',
+        provider: 'fake'
+      });
+
+      expect(checkout.amount).toBe(150000);
+      expect(checkout.provider).toBe('fake');
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        reference: checkout.reference,
+        provider: 'fake',
+        expectedAmount: 150000
+      }));
+    });
+
+    it('should not take a booking balance before the deposit', async () => {
+      jest.spyOn(Booking, 'findById').mockResolvedValue({
+        pricing: { depositAmount: 10000, balanceAmount: 30000 },
+        payment: { depositPaid: false, balancePaid: false }
+      });
+
+      await expect(PaymentService.initialize({
+        entityType: 'booking',
+        entityId: new mongoose.Types.ObjectId(),
+        provider: 'fake',
+        intent: 'balance'
+      })).rejects.toThrow('Please pay the deposit first');
+    });
+
+    it('should refuse a provider that is not enabled', async () => {
+      jest.spyOn(Enrollment, 'findById').mockResolvedValue(enrollment());
+
+      await expect(PaymentService.initialize({
+        entityType: 'enrollment',
+        entityId: enrollmentId,
+        provider: 'flutterwave'
+      })).rejects.toThrow('Payment provider not available: flutterwave');
+    });
+  });
+
+  describe('recordCharge', () => {
+    it('should apply a successful charge once', async () => {
+      const doc = enrollment();
+      jest.spyOn(Payment, 'findByIdAndUpdate')
+        .mockResolvedValueOnce(ledger)
+        .mockResolvedValueOnce({ ...ledger, status: 'success' });
+      jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(ledger);
+      jest.spyOn(Enrollment, 'findById').mockResolvedValue(doc);
+
+      const result = await PaymentService.recordCharge(charge(150000), 'webhook');
+
+      expect(result.applied).toBe(true);
+      expect(doc.payment.status).toBe('paid');
+      expect(doc.payment.paymentId).toBe('4099');
+      expect(doc.status).toBe('active');
+    });
+
+    it('should not apply a reference another delivery already claimed', async () => {
+      jest.spyOn(Payment, 'findByIdAndUpdate').mockResolvedValue({ ...ledger, status: 'success' });
+      jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(null);
+      const findById = jest.spyOn(Enrollment, 'findById');
+
+      const result = await PaymentService.recordCharge(charge(150000), 'webhook');
+
+      expect(result.duplicate).toBe(true);
+      expect(findById).not.toHaveBeenCalled();
+    });
+
+    it('should not mark the enrollment paid when the amount is short', async () => {
+      const doc = enrollment();
+      const findByIdAndUpdate = jest.spyOn(Payment, 'findByIdAndUpdate')
+        .mockResolvedValueOnce(ledger)
+        .mockResolvedValueOnce({ ...ledger, status: 'amount_mismatch' });
+      jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(ledger);
+      jest.spyOn(Enrollment, 'findById').mockResolvedValue(doc);
+
+      const result = await PaymentService.recordCharge(charge(100), 'verify');
+
+      expect(result.applied).toBe(false);
+      expect(result.payment.status).toBe('amount_mismatch');
+      expect(doc.save).not.toHaveBeenCalled();
+      expect(findByIdAndUpdate).toHaveBeenLastCalledWith(ledger._id, expect.objectContaining({
+        $set: expect.objectContaining({ status: 'amount_mismatch' })
+      }), { new: true });
+    });
+  });
+
+  describe('booking payments', () => {
+    const bookingId = new mongoose.Types.ObjectId();
+
+    // Deposit and balance are the same amount, so only the intent tells them apart
+    const booking = fields => ({
+      _id: bookingId,
+      status: 'in-progress',
+      appointmentDate: new Date('2030-03-04T00:00:00.000Z'),
+      timeSlot: { start: '10:00', end: '12:00' },
+      pricing: { depositAmount: 20000, balanceAmount: 20000 },
+      payment: { depositPaid: true, balancePaid: false },
+      save: jest.fn().mockResolvedValue(),
+      ...fields
+    });
+
+    it('should apply a charge to the part its intent names and complete the booking', async () => {
+      const doc = booking();
+      const balanceLedger = { ...ledger, entityType: 'booking', entityId: bookingId, intent: 'balance' };
+      jest.spyOn(Payment, 'findOne').mockResolvedValue(balanceLedger);
+      jest.spyOn(Payment, 'findByIdAndUpdate')
+        .mockResolvedValueOnce(balanceLedger)
+        .mockResolvedValueOnce({ ...balanceLedger, status: 'success' });
+      jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(balanceLedger);
+      jest.spyOn(Booking, 'findById').mockResolvedValue(doc);
+
+      const result = await PaymentService.recordCharge({ ...charge(20000), metadata: {} }, 'webhook');
+
+      expect(result.applied).toBe(true);
+      expect(doc.payment.balancePaid).toBe(true);
+      expect(doc.payment.balancePaymentId).toBe('4099');
+      expect(doc.status).toBe('completed');
+    });
+
+    it('should leave a booking paid ahead of the appointment confirmed', async () => {
+      const doc = booking({ status: 'confirmed' });
+
+      await PaymentService.applyBookingPayment(doc, charge(20000), 'balance');
+
+      expect(doc.payment.balancePaid).toBe(true);
+      expect(doc.status).toBe('confirmed');
+    });
+
+    it('should record a cash balance taken at the studio on the ledger', async () => {
+      const doc = booking();
+      const create = jest.spyOn(Payment, 'create').mockImplementation(async fields => ({ _id: new mongoose.Types.ObjectId(), status: 'pending', ...fields }));
+      jest.spyOn(Payment, 'findByIdAndUpdate').mockImplementation(async (id, update) => ({ _id: id, ...update.$set }));
+
+      const { payment } = await PaymentService.recordBookingPayment(doc, { method: 'cash', note: 'Paid at front desk' }, { id: 'admin' });
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        provider: 'manual',
+        intent: 'balance',
+        amount: 20000,
+        channel: 'cash',
+        recordedBy: 'admin'
+      }));
+      expect(payment.status).toBe('success');
+      expect(doc.payment.paymentMethod).toBe('cash');
+      expect(doc.status).toBe('completed');
+    });
+
+    it('should refuse a studio payment for the wrong amount', async () => {
+      const create = jest.spyOn(Payment, 'create');
+
+      await expect(PaymentService.recordBookingPayment(booking(), { method: 'transfer', amount: 15000 }, { id: 'admin' }))
+        .rejects.toThrow('The balance due is ₦20,000');
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+});
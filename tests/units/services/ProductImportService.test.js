@@ -0,0 +1,149 @@
+const ExcelJS = require('exceljs');
+const ProductImportService = require('../../../src/core/services/ProductImportService');
+const Product = require('../../../models/Product');
+const Category = require('../../../models/Category');
+
+describe('ProductImportService', () => {
+  const trays = new Category({ name: 'Lash Trays', slug: 'lash-trays' });
+  let existing;
+
+  const csv = lines => ({ originalname: 'products.csv', buffer: Buffer.from(lines.join('\r\n')) });
+
+  beforeEach(() => {
+    existing = new Product({
+      name: 'Mink Classic Lashes',
+      slug: 'mink-classic-lashes',
+      price: 8000,
+      category: trays._id,
+      variants: [{ type: 'Length', value: '11mm', sku: 'MCL-11', stock: 6 }]
+    });
+
+    jest.spyOn(Category, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([trays]) });
+    jest.spyOn(Product, 'find').mockResolvedValue([existing]);
+    jest.spyOn(Product.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseCsv', () => {
+    it('should read quoted fields, doubled quotes and a byte order mark', () => {
+      const rows = ProductImportService.parseCsv('\uFEFFname,description\r\n"Tray, Mixed","12"" strip"\n');
+
+      expect(rows).toEqual([['name', 'description'], ['Tray, Mixed', '12" strip']]);
+    });
+  });
+
+  describe('run', () => {
+    it('should expand variant rows into one new product on a dry run', async () => {
+      const result = await ProductImportService.run(csv([
+        'Name,Category,Price,Variant Type,Variant Value,SKU,Variant Stock',
+        'Volume Lash Tray,lash trays,12000,Curl,C,VLT-C,10',
+        'Volume Lash Tray,,,Curl,D,VLT-D,5'
+      ]));
+
+      expect(result.dryRun).toBe(true);
+      expect(result.valid).toBe(true);
+      expect(result.summary).toMatchObject({ rows: 2, products: 1, created: 1, variantsAdded: 2 });
+      expect(result.products[0]).toMatchObject({ slug: 'volume-lash-tray', action: 'create' });
+      expect(Product.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('should update an existing variant found by SKU alone', async () => {
+      const result = await ProductImportService.run(csv([
+        'SKU,Variant Stock,Variant Price Adjustment',
+        'MCL-11,20,500'
+      ]), { commit: true });
+
+      expect(result.summary).toMatchObject({ updated: 1, variantsUpdated: 1, errors: 0 });
+      expect(existing.variants[0]).toMatchObject({ stock: 20, priceAdjustment: 500 });
+      expect(Product.prototype.save).toHaveBeenCalledTimes(1);
+    });
+
+    it('should add new variants to a product matched by slug', async () => {
+      await ProductImportService.run(csv([
+        'Slug,Variant Type,Variant Value,SKU,Variant Stock',
+        'mink-classic-lashes,length,13mm,MCL-13,3'
+      ]), { commit: true });
+
+      expect(existing.variants.map(variant => variant.sku)).toEqual(['MCL-11', 'MCL-13']);
+      expect(existing.variants[1].type).toBe('Length');
+    });
+
+    it('should match slugs whatever their case', async () => {
+      const result = await ProductImportService.run(csv([
+        'Slug,Price',
+        'Mink-Classic-Lashes,9000'
+      ]));
+
+      expect(Product.find).toHaveBeenCalledWith(expect.objectContaining({
+        $or: expect.arrayContaining([{ slug: { $in: ['mink-classic-lashes'] } }])
+      }));
+      expect(result.products[0]).toMatchObject({ slug: 'mink-classic-lashes', action: 'update' });
+    });
+
+    it('should refuse a rename that would move the slug', async () => {
+      const result = await ProductImportService.run(csv([
+        'Slug,Name',
+        'mink-classic-lashes,Mink Classic Lashes Pro'
+      ]));
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([expect.objectContaining({ row: 2, field: 'name' })]);
+      expect(result.errors[0].message).toContain('mink-classic-lashes-pro');
+    });
+
+    it('should report every row error on a dry run', async () => {
+      const result = await ProductImportService.run(csv([
+        'Name,Category,Price,Variant Type,Variant Value,SKU',
+        'Glue Kit,Adhesives,abc,,,',
+        'Lash Tray,Lash Trays,9000,Shape,Round,LT-1',
+        'Lash Tray,Lash Trays,9500,Curl,C,MCL-11'
+      ]));
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(expect.arrayContaining([
+        expect.objectContaining({ row: 2, field: 'price' }),
+        expect.objectContaining({ row: 2, field: 'category', message: 'Category "Adhesives" not found' }),
+        expect.objectContaining({ row: 3, field: 'variantType' }),
+        expect.objectContaining({ row: 4, field: 'price' }),
+        expect.objectContaining({ row: 4, field: 'sku', message: 'SKU MCL-11 belongs to Mink Classic Lashes' })
+      ]));
+    });
+
+    it('should refuse to commit a file with errors', async () => {
+      await expect(ProductImportService.run(csv([
+        'SKU,Variant Stock',
+        'NOPE-1,4'
+      ]), { commit: true })).rejects.toMatchObject({
+        statusCode: 400,
+        errors: [expect.objectContaining({ row: 2, field: 'sku' })]
+      });
+
+      expect(Product.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('should read the first sheet of an Excel file', async () => {
+      const workbook = new ExcelJS.Workbook();
+      const sheet = workbook.addWorksheet('Products');
+      sheet.addRow(['Name', 'Category', 'Price', 'Stock']);
+      sheet.addRow(['Lash Cleanser', 'lash-trays', 4500, 30]);
+
+      const result = await ProductImportService.run({
+        originalname: 'products.xlsx',
+        buffer: Buffer.from(await workbook.xlsx.writeBuffer())
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.products[0]).toMatchObject({ slug: 'lash-cleanser', name: 'Lash Cleanser', action: 'create' });
+    });
+
+    it('should reject unknown columns', async () => {
+      await expect(ProductImportService.run(csv(['Name,Colour', 'Tray,Black'])))
+        .rejects.toThrow('Unknown columns: Colour');
+    });
+  });
+});
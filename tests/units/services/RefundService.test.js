@@ -0,0 +1,105 @@
+process.env.PAYMENT_PROVIDERS = 'paystack,fake';
+
+const mongoose = require('mongoose');
+const RefundService = require('../../../src/core/services/RefundService');
+const { getPaymentProvider } = require('../../../src/core/providers/payments');
+const Refund = require('../../../models/Refund');
+const Payment = require('../../../models/Payment');
+const Order = require('../../../models/Order');
+
+describe('RefundService', () => {
+  const orderId = new mongoose.Types.ObjectId();
+  const productId = new mongoose.Types.ObjectId();
+
+  const order = () => ({
+    _id: orderId,
+    orderNumber: 'ORD-20250314-0001',
+    orderStatus: 'delivered',
+    customerInfo: { email: 'ada@example.com', firstName: 'Ada' },
+    items: [{ product: productId, quantity: 2, productSnapshot: { name: 'Mink Tray' } }],
+    pricing: { total: 20000 },
+    payment: { status: 'paid', refundedAmount: 0 },
+    statusHistory: [],
+    save: jest.fn().mockResolvedValue()
+  });
+
+  const refundDoc = fields => ({
+    _id: new mongoose.Types.ObjectId(),
+    refundNumber: 'RF-202503-0001',
+    status: 'pending',
+    statusHistory: [],
+    save: jest.fn().mockResolvedValue(),
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(RefundService, 'notify').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('create', () => {
+    it('should refund part of a charge through the provider that took it', async () => {
+      const doc = order();
+      const payment = { _id: new mongoose.Types.ObjectId(), reference: 'order-1', provider: 'fake', amount: 20000, refundedAmount: 0 };
+      jest.spyOn(Order, 'findById').mockResolvedValue(doc);
+      jest.spyOn(Refund, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+      jest.spyOn(Refund, 'countDocuments').mockResolvedValue(1);
+      jest.spyOn(Payment, 'find').mockReturnValue({ sort: jest.fn().mockResolvedValue([payment]) });
+      const hold = jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue(payment);
+      const create = jest.spyOn(Refund, 'create').mockImplementation(async fields => refundDoc(fields));
+      const refund = jest.spyOn(getPaymentProvider('fake'), 'refund');
+
+      const refunds = await RefundService.create({ entityType: 'order', entityId: orderId, amount: 5000, reason: 'Damaged tray' });
+
+      expect(hold).toHaveBeenCalledWith(
+        { _id: payment._id, $expr: { $lte: [{ $add: ['$refundedAmount', 5000] }, '$amount'] } },
+        { $inc: { refundedAmount: 5000 } }
+      );
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ method: 'gateway', amount: 5000, reference: 'order-1' }));
+      expect(refund).toHaveBeenCalledWith(expect.objectContaining({ reference: 'order-1', amount: 5000 }));
+      expect(refunds[0].providerRefundId).toMatch(/^fake-refund-/);
+      expect(doc.payment.status).toBe('paid');
+    });
+
+    it('should not refund more than was paid', async () => {
+      jest.spyOn(Order, 'findById').mockResolvedValue(order());
+      jest.spyOn(Refund, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([{ amount: 15000 }]) });
+
+      await expect(RefundService.create({ entityType: 'order', entityId: orderId, amount: 10000 }))
+        .rejects.toThrow('Refund amount must be between ₦1 and ₦5,000');
+    });
+  });
+
+  describe('recordProviderUpdate', () => {
+    it('should mark the order refunded once the full total is processed', async () => {
+      const doc = order();
+      const pending = refundDoc({ entityType: 'order', entityId: orderId, amount: 20000, reference: 'order-1' });
+      jest.spyOn(Refund, 'findOne').mockReturnValue({ sort: jest.fn().mockResolvedValue(pending) });
+      jest.spyOn(Refund, 'findOneAndUpdate').mockResolvedValue({ ...pending, status: 'processed' });
+      jest.spyOn(Order, 'findById').mockResolvedValue(doc);
+
+      const updated = await RefundService.recordProviderUpdate({ provider: 'paystack', reference: 'order-1', status: 'processed', amount: 20000 });
+
+      expect(updated.status).toBe('processed');
+      expect(doc.payment.refundedAmount).toBe(20000);
+      expect(doc.payment.status).toBe('refunded');
+      expect(RefundService.notify).toHaveBeenCalled();
+    });
+
+    it('should ignore an update for a refund that is no longer pending', async () => {
+      const processed = refundDoc({ status: 'processed', providerRefundId: '77' });
+      jest.spyOn(Refund, 'findOne').mockResolvedValue(processed);
+      jest.spyOn(Refund, 'findOneAndUpdate').mockResolvedValue(null);
+      const findById = jest.spyOn(Order, 'findById');
+
+      const updated = await RefundService.recordProviderUpdate({ provider: 'paystack', refundId: '77', status: 'processed' });
+
+      expect(updated).toBeNull();
+      expect(findById).not.toHaveBeenCalled();
+    });
+  });
+});
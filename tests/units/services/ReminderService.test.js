@@ -0,0 +1,110 @@
+process.env.SMS_PROVIDER = 'fake';
+
+const mongoose = require('mongoose');
+const ReminderService = require('../../../src/core/services/ReminderService');
+const Booking = require('../../../models/Booking');
+const { getNotificationChannel } = require('../../../src/core/providers/notifications');
+
+describe('ReminderService', () => {
+  const HOUR_MS = 60 * 60 * 1000;
+  const channel = getNotificationChannel('fake');
+
+  // 10:00 studio time (UTC+1) on 4 March 2030 is 09:00 UTC
+  const startsAt = new Date('2030-03-04T09:00:00.000Z').getTime();
+
+  const booking = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    bookingNumber: 'BK-300304-0001',
+    status: 'confirmed',
+    serviceSnapshot: { name: 'Classic Lashes' },
+    customerInfo: { firstName: 'Ada', phone: '0803 000 0000' },
+    location: 'calabar',
+    appointmentDate: new Date('2030-03-04T00:00:00.000Z'),
+    timeSlot: { start: '10:00', end: '12:00' },
+    reminder: { emailSent: false, smsSent: false, messages: [] },
+    save: jest.fn().mockResolvedValue(),
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    channel.messages = [];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('normalizePhone', () => {
+    it('should put Nigerian numbers in international format', () => {
+      expect(ReminderService.normalizePhone('0803 000 0000')).toBe('2348030000000');
+      expect(ReminderService.normalizePhone('+234 803 000 0000')).toBe('2348030000000');
+      expect(ReminderService.normalizePhone('8030000000')).toBe('2348030000000');
+      expect(ReminderService.normalizePhone('12345')).toBeNull();
+    });
+  });
+
+  describe('dueReminder', () => {
+    it('should send the day-before reminder inside 24 hours', () => {
+      expect(ReminderService.dueReminder(booking(), startsAt - 23 * HOUR_MS)).toEqual({ offsetHours: 24, skipped: [] });
+      expect(ReminderService.dueReminder(booking(), startsAt - 25 * HOUR_MS).offsetHours).toBeUndefined();
+    });
+
+    it('should not repeat a reminder already recorded', () => {
+      const doc = booking({ reminder: { messages: [{ offsetHours: 24, status: 'delivered' }] } });
+
+      expect(ReminderService.dueReminder(doc, startsAt - 20 * HOUR_MS).offsetHours).toBeUndefined();
+      expect(ReminderService.dueReminder(doc, startsAt - HOUR_MS).offsetHours).toBe(2);
+    });
+
+    it('should only send the nearest reminder when several are due', () => {
+      expect(ReminderService.dueReminder(booking(), startsAt - HOUR_MS)).toEqual({ offsetHours: 2, skipped: [24] });
+    });
+
+    it('should send nothing once the appointment has started', () => {
+      expect(ReminderService.dueReminder(booking(), startsAt + HOUR_MS).offsetHours).toBeUndefined();
+    });
+  });
+
+  describe('sendBookingReminder', () => {
+    it('should text the customer and record the delivery', async () => {
+      const doc = booking();
+
+      await ReminderService.sendBookingReminder(doc, 2, [24]);
+
+      expect(channel.messages).toEqual([expect.objectContaining({
+        to: '2348030000000',
+        text: expect.stringContaining('Classic Lashes at Lulu Artistry Calabar Studio, Mon 4 Mar 10:00')
+      })]);
+      expect(doc.reminder.messages).toEqual([
+        expect.objectContaining({ offsetHours: 24, status: 'skipped' }),
+        expect.objectContaining({ offsetHours: 2, channel: 'sms', provider: 'fake', status: 'sent', messageId: channel.messages[0].messageId })
+      ]);
+      expect(doc.reminder.smsSent).toBe(true);
+      expect(doc.save).toHaveBeenCalled();
+    });
+
+    it('should record a failure without a usable phone number', async () => {
+      const doc = booking({ customerInfo: { firstName: 'Ada' } });
+
+      const record = await ReminderService.sendBookingReminder(doc, 24);
+
+      expect(record).toMatchObject({ status: 'failed', error: 'No valid phone number on the booking' });
+      expect(channel.messages).toEqual([]);
+      expect(doc.reminder.smsSent).toBe(false);
+    });
+  });
+
+  describe('recordDelivery', () => {
+    it('should not let a late "sent" report overwrite a delivery', async () => {
+      const updateOne = jest.spyOn(Booking, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+      await ReminderService.recordDelivery('fake', [{ messageId: 'fake-1', status: 'sent' }]);
+
+      expect(updateOne).toHaveBeenCalledWith(
+        { 'reminder.messages': { $elemMatch: { provider: 'fake', messageId: 'fake-1', status: { $nin: ['delivered', 'read', 'failed'] } } } },
+        { $set: expect.objectContaining({ 'reminder.messages.$.status': 'sent' }) }
+      );
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const StatsService = require('../../../src/core/services/StatsService');
+const Order = require('../../../models/Order');
+const Booking = require('../../../models/Booking');
+const Enrollment = require('../../../models/Enrollment');
+const Refund = require('../../../models/Refund');
+const Artist = require('../../../models/Artist');
+const User = require('../../../models/User');
+
+describe('StatsService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('range', () => {
+    it('should cover whole studio days', () => {
+      const range = StatsService.range({ from: '2030-03-01', to: '2030-03-31' });
+
+      expect(range).toMatchObject({ from: '2030-03-01', to: '2030-03-31', days: 31 });
+      // Studio midnight is 23:00 UTC the day before
+      expect(range.start).toEqual(new Date('2030-02-28T23:00:00.000Z'));
+      expect(range.end).toEqual(new Date('2030-03-31T23:00:00.000Z'));
+      expect(range.firstDay).toEqual(new Date('2030-03-01T00:00:00.000Z'));
+    });
+
+    it('should default to the last 30 days', () => {
+      expect(StatsService.range({ to: '2030-03-31' })).toMatchObject({ from: '2030-03-02', days: 30 });
+    });
+
+    it('should reject a backwards or overlong range', () => {
+      expect(() => StatsService.range({ from: '2030-03-31', to: '2030-03-01' }))
+        .toThrow('The start of the range must be before the end');
+      expect(() => StatsService.range({ from: '2029-01-01', to: '2030-03-01' }))
+        .toThrow('Please choose a range of at most 366 days');
+    });
+  });
+
+  describe('revenue', () => {
+    const range = StatsService.range({ from: '2030-03-01', to: '2030-03-31' });
+
+    it('should split each period across products, bookings and courses', async () => {
+      jest.spyOn(Order, 'aggregate').mockResolvedValue([
+        { _id: '2030-03-02', amount: 30000, count: 2 },
+        { _id: '2030-03-01', amount: 12000, count: 1 }
+      ]);
+      jest.spyOn(Booking, 'aggregate').mockResolvedValue([{ _id: '2030-03-01', amount: 20000, count: 1 }]);
+      jest.spyOn(Enrollment, 'aggregate').mockResolvedValue([{ _id: '2030-03-02', amount: 150000, count: 1 }]);
+      jest.spyOn(Refund, 'aggregate').mockResolvedValue([{ _id: 'booking', amount: 10000, count: 1 }]);
+
+      const revenue = await StatsService.revenue(range, 'day');
+
+      expect(revenue.periods).toEqual([
+        { period: '2030-03-01', products: 12000, bookings: 20000, courses: 0, total: 32000 },
+        { period: '2030-03-02', products: 30000, bookings: 0, courses: 150000, total: 180000 }
+      ]);
+      expect(revenue.totals).toMatchObject({
+        products: 42000,
+        bookings: 20000,
+        courses: 150000,
+        gross: 212000,
+        refunds: 10000,
+        net: 202000,
+        refundsByStream: { products: 0, bookings: 10000, courses: 0 }
+      });
+    });
+
+    it('should group by week in studio time', async () => {
+      const aggregate = jest.spyOn(Order, 'aggregate').mockResolvedValue([]);
+      jest.spyOn(Booking, 'aggregate').mockResolvedValue([]);
+      jest.spyOn(Enrollment, 'aggregate').mockResolvedValue([]);
+      jest.spyOn(Refund, 'aggregate').mockResolvedValue([]);
+
+      await StatsService.revenue(range, 'week');
+
+      const pipeline = aggregate.mock.calls[0][0];
+      expect(pipeline[pipeline.length - 1].$group._id).toEqual({
+        $dateToString: { format: '%G-W%V', date: '$payments.at', timezone: '+01:00' }
+      });
+    });
+
+    it('should reject an unknown interval', async () => {
+      await expect(StatsService.revenue(range, 'hour')).rejects.toThrow('Interval must be day, week or month');
+    });
+  });
+
+  describe('bookingUtilization', () => {
+    it('should compare booked minutes with the hours artists work', async () => {
+      // Monday 4 March 2030: the Calabar studio opens 09:00-18:00
+      const range = StatsService.range({ from: '2030-03-04', to: '2030-03-04' });
+      jest.spyOn(Artist, 'find').mockReturnValue({
+        select: jest.fn().mockResolvedValue([
+          { location: 'calabar', tier: 'lulu', workingHours: [], timeOff: [] },
+          {
+            location: 'calabar',
+            tier: 'senior',
+            workingHours: [{ day: 1, start: '09:00', end: '13:00' }],
+            // Off 10:00-11:00 studio time
+            timeOff: [{ start: new Date('2030-03-04T09:00:00.000Z'), end: new Date('2030-03-04T10:00:00.000Z') }]
+          }
+        ])
+      });
+      jest.spyOn(Booking, 'aggregate').mockResolvedValue([
+        { _id: { location: 'calabar', tier: 'lulu' }, bookings: 2, minutes: 270 }
+      ]);
+
+      const rows = await StatsService.bookingUtilization(range);
+
+      expect(rows).toEqual([
+        { location: 'calabar', tier: 'lulu', bookings: 2, bookedMinutes: 270, availableMinutes: 540, utilization: 0.5 },
+        { location: 'calabar', tier: 'senior', bookings: 0, bookedMinutes: 0, availableMinutes: 180, utilization: 0 }
+      ]);
+    });
+  });
+
+  describe('customerStats', () => {
+    it('should count customers who paid before the range as returning', async () => {
+      const ada = new mongoose.Types.ObjectId();
+      const bisi = new mongoose.Types.ObjectId();
+      const range = StatsService.range({ from: '2030-03-01', to: '2030-03-31' });
+
+      // Ada ordered and booked in March and booked in February; Bisi is new
+      jest.spyOn(Order, 'distinct').mockResolvedValueOnce([ada]).mockResolvedValueOnce([]);
+      jest.spyOn(Booking, 'distinct').mockResolvedValueOnce([ada, bisi]).mockResolvedValueOnce([ada]);
+      jest.spyOn(Enrollment, 'distinct').mockResolvedValue([]);
+      jest.spyOn(User, 'countDocuments').mockResolvedValue(4);
+
+      await expect(StatsService.customerStats(range)).resolves.toEqual({ active: 2, new: 1, returning: 1, signups: 4 });
+    });
+  });
+});
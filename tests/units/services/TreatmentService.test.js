@@ -0,0 +1,138 @@
+jest.mock('../../../config/cloudinary');
+
+const mongoose = require('mongoose');
+const TreatmentService = require('../../../src/core/services/TreatmentService');
+const TreatmentRecord = require('../../../models/TreatmentRecord');
+const Product = require('../../../models/Product');
+const { uploadToCloudinary } = require('../../../config/cloudinary');
+
+describe('TreatmentService', () => {
+  const lashes = new Product({
+    name: 'Mink Classic Lashes',
+    price: 8000,
+    category: new mongoose.Types.ObjectId(),
+    variants: [
+      { type: 'Curl', value: 'C', sku: 'MCL-C', stock: 4 },
+      { type: 'Length', value: '11mm', sku: 'MCL-11', stock: 6 }
+    ]
+  });
+
+  const booking = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    customer: new mongoose.Types.ObjectId(),
+    status: 'completed',
+    serviceSnapshot: { name: 'Classic Lashes' },
+    artist: { name: 'Ada', artistId: new mongoose.Types.ObjectId() },
+    location: 'calabar',
+    appointmentDate: new Date('2030-03-04T00:00:00.000Z'),
+    ...fields
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Product, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([lashes]) });
+    jest.spyOn(TreatmentRecord.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveProducts', () => {
+    it('should keep the variant used alongside the product', async () => {
+      const used = await TreatmentService.resolveProducts([
+        { product: lashes._id, variant: lashes.variants[1]._id, notes: 'Outer corners' }
+      ]);
+
+      expect(used).toEqual([{
+        product: lashes._id,
+        name: 'Mink Classic Lashes',
+        notes: 'Outer corners',
+        variant: lashes.variants[1]._id,
+        variantLabel: 'Length: 11mm',
+        sku: 'MCL-11'
+      }]);
+    });
+
+    it('should list products and variants that do not exist', async () => {
+      await expect(TreatmentService.resolveProducts([
+        { product: new mongoose.Types.ObjectId() },
+        { product: lashes._id, variant: new mongoose.Types.ObjectId() }
+      ])).rejects.toMatchObject({
+        statusCode: 400,
+        errors: [
+          { index: 0, field: 'product', message: 'Product not found' },
+          { index: 1, field: 'variant', message: 'Mink Classic Lashes has no such variant' }
+        ]
+      });
+    });
+  });
+
+  describe('record', () => {
+    const admin = { id: new mongoose.Types.ObjectId().toString() };
+
+    it('should start a record from the booking', async () => {
+      jest.spyOn(TreatmentRecord, 'findOne').mockResolvedValue(null);
+      const doc = booking();
+
+      const record = await TreatmentService.record(doc, {
+        productsUsed: [{ product: lashes._id, variant: lashes.variants[0]._id }],
+        notes: 'Cat eye mapping, 9-11mm',
+        internalNotes: 'Sensitive on the left eye'
+      }, admin);
+
+      expect(record).toMatchObject({
+        serviceName: 'Classic Lashes',
+        location: 'calabar',
+        notes: 'Cat eye mapping, 9-11mm',
+        sharedWithClient: false
+      });
+      expect(record.booking).toEqual(doc._id);
+      expect(record.productsUsed[0].variantLabel).toBe('Curl: C');
+    });
+
+    it('should not record a treatment for a booking that never happened', async () => {
+      await expect(TreatmentService.record(booking({ status: 'cancelled' }), {}, admin))
+        .rejects.toThrow('A cancelled booking has no treatment to record');
+    });
+  });
+
+  describe('addImages', () => {
+    it('should upload each photo to the client folder', async () => {
+      uploadToCloudinary.mockReset()
+        .mockResolvedValueOnce({ url: 'https://res.cloudinary.com/before-1.jpg', publicId: 'before-1' })
+        .mockResolvedValueOnce({ url: 'https://res.cloudinary.com/before-2.jpg', publicId: 'before-2' });
+      const record = new TreatmentRecord({ booking: new mongoose.Types.ObjectId(), customer: new mongoose.Types.ObjectId() });
+
+      await TreatmentService.addImages(record, [{ buffer: Buffer.from('a') }, { buffer: Buffer.from('b') }], { stage: 'before' });
+
+      expect(uploadToCloudinary).toHaveBeenCalledWith(expect.any(Buffer), `treatments/${record.customer}`);
+      expect(record.images.map(image => [image.stage, image.publicId])).toEqual([['before', 'before-1'], ['before', 'before-2']]);
+    });
+
+    it('should need to know which stage the photos show', async () => {
+      const record = new TreatmentRecord({ booking: new mongoose.Types.ObjectId(), customer: new mongoose.Types.ObjectId() });
+
+      await expect(TreatmentService.addImages(record, [{ buffer: Buffer.from('a') }], {}))
+        .rejects.toThrow('Please say whether the photos are before or after');
+    });
+  });
+
+  describe('forClient', () => {
+    it('should leave out the internal notes', () => {
+      const record = new TreatmentRecord({
+        booking: new mongoose.Types.ObjectId(),
+        customer: new mongoose.Types.ObjectId(),
+        notes: 'Cat eye mapping',
+        internalNotes: 'Sensitive on the left eye',
+        sharedWithClient: true
+      });
+
+      const shared = TreatmentService.forClient(record);
+
+      expect(shared.notes).toBe('Cat eye mapping');
+      expect(shared.internalNotes).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,228 @@
+jest.mock('../../../utils/sendEmail');
+
+const mongoose = require('mongoose');
+const WaitlistService = require('../../../src/core/services/WaitlistService');
+const AvailabilityService = require('../../../src/core/services/AvailabilityService');
+const IntakeService = require('../../../src/core/services/IntakeService');
+const ConflictError = require('../../../src/core/errors/ConflictError');
+const Waitlist = require('../../../models/Waitlist');
+const Booking = require('../../../models/Booking');
+const Enrollment = require('../../../models/Enrollment');
+const Course = require('../../../models/Course');
+const Service = require('../../../models/Service');
+const User = require('../../../models/User');
+const ValidationError = require('../../../src/core/errors/ValidationError');
+const sendEmail = require('../../../utils/sendEmail');
+
+describe('WaitlistService', () => {
+  const monday = new Date('2030-03-04T00:00:00.000Z');
+  const user = { id: 'customer', firstName: 'Ada', email: 'ada@example.com' };
+  const ada = { _id: new mongoose.Types.ObjectId(), name: 'Ada', tier: 'lulu' };
+
+  const service = (duration, fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Classic Lashes',
+    duration,
+    isActive: true,
+    pricing: [{ artistType: 'lulu', price: 40000 }],
+    ...fields
+  });
+
+  const entry = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    type: 'booking',
+    customer: new mongoose.Types.ObjectId(),
+    customerInfo: { firstName: 'Bisi', email: 'bisi@example.com' },
+    location: 'calabar',
+    artistType: 'lulu',
+    date: monday,
+    status: 'waiting',
+    save: jest.fn().mockResolvedValue(),
+    ...fields
+  });
+
+  const freed = {
+    _id: new mongoose.Types.ObjectId(),
+    bookingNumber: 'BK-300304-0001',
+    location: 'calabar',
+    appointmentDate: monday,
+    timeSlot: { start: '10:00', end: '11:00' },
+    artist: { type: 'lulu', artistId: ada._id },
+    cancellation: { cancelledBy: 'customer' }
+  };
+
+  const mockQueue = entries => jest.spyOn(Waitlist, 'find').mockReturnValue({
+    populate: jest.fn().mockReturnValue({ sort: jest.fn().mockResolvedValue(entries) }),
+    sort: jest.fn().mockResolvedValue(entries)
+  });
+
+  beforeEach(() => {
+    sendEmail.mockReset().mockResolvedValue();
+    jest.spyOn(Waitlist, 'updateOne').mockResolvedValue({});
+    jest.spyOn(AvailabilityService, 'assertNoClash').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('join', () => {
+    beforeEach(() => {
+      jest.spyOn(IntakeService, 'assertReady').mockResolvedValue([]);
+    });
+
+    it('should add a customer to the queue for a day, studio and tier', async () => {
+      const lashes = service(60);
+      jest.spyOn(Service, 'findById').mockResolvedValue(lashes);
+      jest.spyOn(Waitlist, 'findOne').mockResolvedValue(null);
+      const create = jest.spyOn(Waitlist, 'create').mockImplementation(async doc => doc);
+
+      await WaitlistService.join(user, {
+        type: 'booking', location: 'calabar', service: lashes._id, artistType: 'lulu', date: '2030-03-04'
+      });
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        customer: 'customer',
+        service: lashes._id,
+        artistType: 'lulu',
+        date: monday
+      }));
+    });
+
+    it('should not add the same customer twice', async () => {
+      jest.spyOn(Service, 'findById').mockResolvedValue(service(60));
+      jest.spyOn(Waitlist, 'findOne').mockResolvedValue(entry());
+
+      await expect(WaitlistService.join(user, {
+        type: 'booking', location: 'calabar', artistType: 'lulu', date: '2030-03-04'
+      })).rejects.toThrow('You are already on this waitlist');
+    });
+
+    it('should reject a day that has passed', async () => {
+      jest.spyOn(Service, 'findById').mockResolvedValue(service(60));
+
+      await expect(WaitlistService.join(user, {
+        type: 'booking', location: 'calabar', artistType: 'lulu', date: '2020-03-04'
+      })).rejects.toThrow('Please choose a date in the future');
+    });
+  });
+
+  describe('bookingFreed', () => {
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockImplementation(async id => ({ id, patchTests: [] }));
+      jest.spyOn(IntakeService, 'assertReady').mockResolvedValue([]);
+    });
+
+    it('should skip a customer whose patch test has lapsed since they joined', async () => {
+      const lapsed = entry({ service: service(60) });
+      const ready = entry({ service: service(60) });
+      mockQueue([lapsed, ready]);
+      jest.spyOn(AvailabilityService, 'assertAvailable')
+        .mockResolvedValue({ appointmentDate: monday, timeSlot: { start: '10:00', end: '11:00' }, artist: ada });
+      IntakeService.assertReady
+        .mockRejectedValueOnce(new ValidationError('Classic Lashes: your last lashes patch test showed a reaction'));
+      jest.spyOn(Booking, 'create').mockImplementation(async doc => ({ _id: 'held', bookingNumber: 'BK-1', ...doc }));
+
+      await WaitlistService.bookingFreed(freed);
+
+      expect(IntakeService.assertReady).toHaveBeenCalledWith(
+        expect.objectContaining({ id: lapsed.customer }), [lapsed.service], [monday]
+      );
+      expect(Booking.create).toHaveBeenCalledTimes(1);
+      expect(Booking.create).toHaveBeenCalledWith(expect.objectContaining({ customer: ready.customer }));
+      expect(lapsed.status).toBe('waiting');
+      expect(ready.status).toBe('offered');
+    });
+
+    it('should hold the slot for the first customer whose service fits', async () => {
+      const tooLong = entry({ service: service(240) });
+      const fits = entry({ service: service(60) });
+      mockQueue([tooLong, fits]);
+      jest.spyOn(AvailabilityService, 'assertAvailable')
+        .mockRejectedValueOnce(new ConflictError('This time slot is already booked'))
+        .mockResolvedValueOnce({ appointmentDate: monday, timeSlot: { start: '10:00', end: '11:00' }, artist: ada });
+      const create = jest.spyOn(Booking, 'create').mockImplementation(async doc => ({ _id: 'held', bookingNumber: 'BK-1', ...doc }));
+
+      const held = await WaitlistService.bookingFreed(freed);
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        customer: fits.customer,
+        timeSlot: { start: '10:00', end: '11:00' },
+        pricing: { servicePrice: 40000, depositAmount: 20000, balanceAmount: 20000 },
+        holdExpiresAt: expect.any(Date)
+      }));
+      expect(held._id).toBe('held');
+      expect(tooLong.status).toBe('waiting');
+      expect(fits.status).toBe('offered');
+      expect(fits.offer).toMatchObject({ booking: 'held', expiresAt: held.holdExpiresAt });
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ email: 'bisi@example.com' }));
+    });
+
+    it('should drop the hold if a direct booking took the slot first', async () => {
+      const waiting = entry({ service: service(60) });
+      mockQueue([waiting]);
+      jest.spyOn(AvailabilityService, 'assertAvailable')
+        .mockResolvedValue({ appointmentDate: monday, timeSlot: { start: '10:00', end: '11:00' }, artist: ada });
+      AvailabilityService.assertNoClash.mockRejectedValue(new ConflictError('This time slot has just been booked - please choose another'));
+      jest.spyOn(Booking, 'create').mockImplementation(async doc => ({ _id: 'held', ...doc }));
+      const remove = jest.spyOn(Booking, 'deleteOne').mockResolvedValue({});
+
+      const held = await WaitlistService.bookingFreed(freed);
+
+      expect(held).toBeNull();
+      expect(remove).toHaveBeenCalledWith({ _id: 'held' });
+      expect(waiting.status).toBe('waiting');
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+
+    it('should close the offer the cancelled booking was holding', async () => {
+      mockQueue([]);
+
+      await WaitlistService.bookingFreed({ ...freed, cancellation: { cancelledBy: 'system' } });
+
+      expect(Waitlist.updateOne).toHaveBeenCalledWith(
+        { 'offer.booking': freed._id, status: 'offered' },
+        { $set: { status: 'expired' } }
+      );
+    });
+  });
+
+  describe('seatFreed', () => {
+    const course = { _id: new mongoose.Types.ObjectId(), title: 'Brow Masterclass', price: 150000, isActive: true };
+    const dropped = { _id: new mongoose.Types.ObjectId(), course: course._id };
+
+    it('should hold the seat as an unpaid enrollment for the first student waiting', async () => {
+      const waiting = entry({ type: 'course', course: course._id, startDate: new Date('2030-04-01T00:00:00.000Z') });
+      jest.spyOn(Course, 'findById').mockResolvedValue(course);
+      jest.spyOn(Course, 'findOneAndUpdate').mockResolvedValue(course);
+      jest.spyOn(Enrollment, 'findOne').mockResolvedValue(null);
+      mockQueue([waiting]);
+      const create = jest.spyOn(Enrollment, 'create').mockImplementation(async doc => ({ _id: 'held', ...doc }));
+
+      await WaitlistService.seatFreed(dropped);
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        student: waiting.customer,
+        startDate: waiting.startDate,
+        payment: { amount: 150000 },
+        holdExpiresAt: expect.any(Date)
+      }));
+      expect(waiting.status).toBe('offered');
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ subject: 'A Course Seat Opened Up - Lulu Artistry' }));
+    });
+
+    it('should give the seat back when everyone waiting has enrolled since', async () => {
+      const waiting = entry({ type: 'course', course: course._id, startDate: new Date('2030-04-01T00:00:00.000Z') });
+      jest.spyOn(Course, 'findById').mockResolvedValue(course);
+      jest.spyOn(Course, 'findOneAndUpdate').mockResolvedValue(course);
+      const giveBack = jest.spyOn(Course, 'findByIdAndUpdate').mockResolvedValue(course);
+      jest.spyOn(Enrollment, 'findOne').mockResolvedValue({ status: 'active' });
+      mockQueue([waiting]);
+
+      await expect(WaitlistService.seatFreed(dropped)).resolves.toBeNull();
+
+      expect(waiting.status).toBe('cancelled');
+      expect(giveBack).toHaveBeenCalledWith(course._id, { $inc: { totalEnrollments: -1 } });
+    });
+  });
+});
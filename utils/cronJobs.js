@@ -105,6 +105,166 @@ exports.checkLowStock = async () => {
   }
 };
 
+// Release stock held by orders whose payment never arrived
+exports.releaseExpiredReservations = async () => {
+  try {
+    const Order = require('../models/Order');
+    const InventoryService = require('../src/core/services/InventoryService');
+    const CouponService = require('../src/core/services/CouponService');
+
+    const expiredOrders = await Order.find({
+      'reservation.status': 'reserved',
+      'reservation.expiresAt': { $lte: new Date() },
+      'payment.status': { $ne: 'paid' }
+    });
+
+    console.log(`Found ${expiredOrders.length} expired stock reservations`);
+
+    for (const order of expiredOrders) {
+      try {
+        const released = await InventoryService.releaseOrder(order, 'Payment not received in time');
+        if (!released) {
+          continue;
+        }
+
+        order.payment.status = 'failed';
+        order.orderStatus = 'cancelled';
+        order.cancelledAt = new Date();
+        order.cancellationReason = 'Payment not received in time';
+        await order.save();
+
+        if (order.coupon && order.coupon.code) {
+          await CouponService.release(order.coupon.code, order.orderNumber);
+        }
+
+        console.log(`Released stock for unpaid order ${order.orderNumber}`);
+      } catch (error) {
+        console.error(`Failed to release stock for order ${order.orderNumber}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Error releasing expired reservations:', error);
+  }
+};
+
+// Release slots held by bookings whose deposit never arrived
+exports.expireUnpaidBookings = async () => {
+  try {
+    const Booking = require('../models/Booking');
+    const BookingService = require('../src/core/services/BookingService');
+    const { bookingRules } = require('../config/studios');
+
+    const now = new Date();
+    const expiredBookings = await Booking.find({
+      status: 'pending',
+      'payment.depositPaid': false,
+      $or: [
+        { holdExpiresAt: { $lte: now } },
+        // Bookings made before holds were recorded
+        { holdExpiresAt: null, createdAt: { $lte: new Date(now.getTime() - bookingRules.holdMinutes * 60 * 1000) } }
+      ]
+    });
+
+    console.log(`Found ${expiredBookings.length} unpaid bookings past their hold`);
+
+    for (const booking of expiredBookings) {
+      try {
+        const expired = await BookingService.expireHold(booking);
+        if (expired) {
+          console.log(`Released unpaid booking ${booking.bookingNumber}`);
+        }
+      } catch (error) {
+        console.error(`Failed to release booking ${booking.bookingNumber}:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Error expiring unpaid bookings:', error);
+  }
+};
+
+// Mark confirmed bookings nobody checked in as no-shows
+exports.flagNoShows = async () => {
+  try {
+    const Booking = require('../models/Booking');
+    const AvailabilityService = require('../src/core/services/AvailabilityService');
+    const BookingService = require('../src/core/services/BookingService');
+    const { bookingRules } = require('../config/studios');
+
+    const cutoff = Date.now() - bookingRules.noShowGraceMinutes * 60 * 1000;
+    const { end } = AvailabilityService.dayRange(new Date(cutoff));
+    // Only look back a day - anything older was never checked in through the app
+    // and is left for staff, rather than forfeited and refunded in bulk
+    const { start } = AvailabilityService.dayRange(new Date(cutoff - 24 * 60 * 60 * 1000));
+
+    const candidates = await Booking.find({
+      status: 'confirmed',
+      appointmentDate: { $gte: start, $lt: end }
+    });
+    const missed = candidates.filter(booking => AvailabilityService.startsAt(booking).getTime() <= cutoff);
+
+    console.log(`Found ${missed.length} confirmed bookings not checked in`);
+
+    for (const booking of missed) {
+      try {
+        await BookingService.markNoShow(
+          booking,
+          { role: 'system' },
+          `Not checked in within ${bookingRules.noShowGraceMinutes} minutes of the start time`
+        );
+        console.log(`Marked booking ${booking.bookingNumber} as a no-show`);
+      } catch (error) {
+        console.error(`Failed to mark booking ${booking.bookingNumber} as a no-show:`, error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Error flagging no-shows:', error);
+  }
+};
+
+// Pass unpaid waitlist seat holds down the queue and close waitlists that have passed
+exports.expireWaitlistHolds = async () => {
+  try {
+    const Enrollment = require('../models/Enrollment');
+    const WaitlistService = require('../src/core/services/WaitlistService');
+
+    const expiredHolds = await Enrollment.find({
+      status: 'pending',
+      'payment.status': 'pending',
+      holdExpiresAt: { $lte: new Date() }
+    });
+
+    console.log(`Found ${expiredHolds.length} unpaid waitlist seat holds`);
+
+    for (const enrollment of expiredHolds) {
+      try {
+        const released = await WaitlistService.releaseSeat(enrollment);
+        if (released) {
+          console.log(`Released waitlist seat hold ${enrollment.enrollmentNumber}`);
+        }
+      } catch (error) {
+        console.error(`Failed to release seat hold ${enrollment.enrollmentNumber}:`, error.message);
+      }
+    }
+
+    const closed = await WaitlistService.expirePast();
+    console.log(`Closed ${closed} waitlist entries that have passed`);
+  } catch (error) {
+    console.error('Error expiring waitlist holds:', error);
+  }
+};
+
+// Send text/WhatsApp reminders for upcoming bookings
+exports.sendSmsReminders = async () => {
+  try {
+    const ReminderService = require('../src/core/services/ReminderService');
+
+    const { sent, failed } = await ReminderService.sendDueReminders();
+    console.log(`Booking reminders: ${sent} sent, ${failed} failed`);
+  } catch (error) {
+    console.error('Error in booking text reminders:', error);
+  }
+};
+
 // Send booking reminders 24 hours before appointment
 exports.sendBookingReminders = async () => {
   try {
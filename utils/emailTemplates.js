@@ -95,7 +95,8 @@ exports.abandonedCartDiscountEmail = (cart, customerName, discountCode) => baseT
 `);
 
 // Booking confirmation
-exports.bookingConfirmationEmail = (booking) => baseTemplate(`
+// `series` lists every appointment when a recurring series was booked
+exports.bookingConfirmationEmail = (booking, series) => baseTemplate(`
   <h2>Your Appointment is Confirmed! ✨</h2>
   <p>Hi ${booking.customerInfo.firstName},</p>
   <p>We're excited to pamper you soon!</p>
@@ -107,11 +108,77 @@ exports.bookingConfirmationEmail = (booking) => baseTemplate(`
     <strong>Time:</strong> ${booking.timeSlot.start}<br>
     <strong>Location:</strong> ${booking.location === 'calabar' ? 'Calabar Studio' : 'Port Harcourt Studio'}
   </div>
+  ${series ? `<p><strong>Your ${series.length} appointments:</strong><br>${series.map(item => `${new Date(item.appointmentDate).toLocaleDateString()} at ${item.timeSlot.start} - ₦${item.pricing.depositAmount.toLocaleString()} deposit due by ${new Date(item.holdExpiresAt).toLocaleString()}`).join('<br>')}</p>` : ''}
   <p><strong>Please Note:</strong> ${booking.serviceSnapshot.description}</p>
+  ${booking.holdExpiresAt && !booking.payment.depositPaid ? `<p><strong>Your slot is held until ${new Date(booking.holdExpiresAt).toLocaleString()}.</strong> Pay the ₦${booking.pricing.depositAmount.toLocaleString()} deposit before then to keep it.</p>` : ''}
   <a href="${process.env.FRONTEND_URL}/bookings/${booking.bookingNumber}" class="button">View Booking Details</a>
   <p style="margin-top: 20px; font-size: 14px; color: #666;">If you need to reschedule, please contact us at least 24 hours in advance.</p>
 `);
 
+// Booking moved to a new slot
+exports.bookingRescheduledEmail = (booking, previous) => baseTemplate(`
+  <h2>Your Appointment Has Moved 📅</h2>
+  <p>Hi ${booking.customerInfo.firstName},</p>
+  <p>Your appointment has been rescheduled. Any deposit you paid has been carried over.</p>
+  <div style="background: #f8f8f8; padding: 15px; border-radius: 5px; margin: 20px 0;">
+    <strong>Booking #:</strong> ${booking.bookingNumber}<br>
+    <strong>Service:</strong> ${booking.serviceSnapshot.name}<br>
+    <strong>Artist:</strong> ${booking.artist.name || 'Lulu'}<br>
+    <strong>New Date:</strong> ${new Date(booking.appointmentDate).toLocaleDateString()}<br>
+    <strong>New Time:</strong> ${booking.timeSlot.start}<br>
+    <strong>Location:</strong> ${booking.location === 'calabar' ? 'Calabar Studio' : 'Port Harcourt Studio'}
+  </div>
+  <p style="color: #999;">Previously: ${new Date(previous.appointmentDate).toLocaleDateString()} at ${previous.timeSlot.start}</p>
+  <a href="${process.env.FRONTEND_URL}/bookings/${booking.bookingNumber}" class="button">View Booking Details</a>
+`);
+
+// Unpaid booking released after its hold ran out
+exports.bookingExpiredEmail = (booking) => baseTemplate(`
+  <h2>Your Booking Has Been Released</h2>
+  <p>Hi ${booking.customerInfo.firstName},</p>
+  <p>We didn't receive the deposit for your appointment in time, so the slot has been released for other clients.</p>
+  <div style="background: #f8f8f8; padding: 15px; border-radius: 5px; margin: 20px 0;">
+    <strong>Booking #:</strong> ${booking.bookingNumber}<br>
+    <strong>Service:</strong> ${booking.serviceSnapshot.name}<br>
+    <strong>Date:</strong> ${new Date(booking.appointmentDate).toLocaleDateString()}<br>
+    <strong>Time:</strong> ${booking.timeSlot.start}
+  </div>
+  <p>If you'd still like to come in, you're welcome to book again.</p>
+  <a href="${process.env.FRONTEND_URL}/services" class="button">Book Again</a>
+`);
+
+// Waitlisted customer offered a freed slot
+exports.waitlistBookingOfferEmail = (booking) => baseTemplate(`
+  <h2>A Slot Just Opened Up! 🎉</h2>
+  <p>Hi ${booking.customerInfo.firstName},</p>
+  <p>Good news - an appointment you were waiting for is now free, and we're holding it for you.</p>
+  <div style="background: #f8f8f8; padding: 15px; border-radius: 5px; margin: 20px 0;">
+    <strong>Booking #:</strong> ${booking.bookingNumber}<br>
+    <strong>Service:</strong> ${booking.serviceSnapshot.name}<br>
+    <strong>Artist:</strong> ${booking.artist.name || 'Lulu'}<br>
+    <strong>Date:</strong> ${new Date(booking.appointmentDate).toLocaleDateString()}<br>
+    <strong>Time:</strong> ${booking.timeSlot.start}<br>
+    <strong>Location:</strong> ${booking.location === 'calabar' ? 'Calabar Studio' : 'Port Harcourt Studio'}
+  </div>
+  <p><strong>Pay the ₦${booking.pricing.depositAmount.toLocaleString()} deposit by ${new Date(booking.holdExpiresAt).toLocaleString()} to claim it.</strong> After that it goes to the next person on the waitlist.</p>
+  <a href="${process.env.FRONTEND_URL}/bookings/${booking.bookingNumber}" class="button">Claim Your Slot</a>
+`);
+
+// Waitlisted student offered a freed course seat
+exports.waitlistSeatOfferEmail = (enrollment) => baseTemplate(`
+  <h2>A Seat Just Opened Up! 🎉</h2>
+  <p>Hi ${enrollment.studentInfo.firstName},</p>
+  <p>Good news - a seat on a course you were waiting for is now free, and we're holding it for you.</p>
+  <div style="background: #f8f8f8; padding: 15px; border-radius: 5px; margin: 20px 0;">
+    <strong>Enrollment #:</strong> ${enrollment.enrollmentNumber}<br>
+    <strong>Course:</strong> ${enrollment.courseSnapshot.title}<br>
+    <strong>Start Date:</strong> ${new Date(enrollment.startDate).toLocaleDateString()}<br>
+    <strong>Location:</strong> ${enrollment.location === 'calabar' ? 'Calabar Studio' : 'Port Harcourt Studio'}
+  </div>
+  <p><strong>Pay the ₦${enrollment.payment.amount.toLocaleString()} course fee by ${new Date(enrollment.holdExpiresAt).toLocaleString()} to claim it.</strong> After that it goes to the next person on the waitlist.</p>
+  <a href="${process.env.FRONTEND_URL}/enrollments/${enrollment.enrollmentNumber}" class="button">Claim Your Seat</a>
+`);
+
 // Course enrollment confirmation
 exports.enrollmentConfirmationEmail = (enrollment) => baseTemplate(`
   <h2>Welcome to the Course! 📚✨</h2>
@@ -154,4 +221,26 @@ exports.lowStockAlert = (product) => baseTemplate(`
   </div>
   <p>Please restock soon to avoid running out!</p>
   <a href="${process.env.ADMIN_DASHBOARD_URL || process.env.FRONTEND_URL}/admin/products/${product._id}" class="button">Manage Product</a>
-`);
\ No newline at end of file
+`);
+
+// Refund progress (pending, processed, failed)
+exports.refundStatusEmail = (refund, customer) => baseTemplate(`
+  <h2>${{
+    pending: 'Your Refund Is on Its Way 💸',
+    processed: 'Your Refund Has Been Processed ✅',
+    failed: 'We Could Not Complete Your Refund'
+  }[refund.status]}</h2>
+  <p>Hi ${customer.firstName || 'there'},</p>
+  <p>${{
+    pending: 'We have started a refund for you. Card refunds usually reach your account within 5-10 working days.',
+    processed: 'Your refund has been completed. Depending on your bank it may take a little while to show on your statement.',
+    failed: 'Something went wrong while sending your refund. Our team has been notified and will be in touch to sort it out.'
+  }[refund.status]}</p>
+  <div style="background: #f8f8f8; padding: 15px; border-radius: 5px; margin: 20px 0;">
+    <strong>Refund #:</strong> ${refund.refundNumber}<br>
+    <strong>For:</strong> ${customer.label}<br>
+    <strong>Amount:</strong> ₦${refund.amount.toLocaleString()}
+    ${refund.reason ? `<br><strong>Reason:</strong> ${refund.reason}` : ''}
+  </div>
+  <p style="margin-top: 20px;">Questions? Just reply to this email.</p>
+`);
@@ -0,0 +1,119 @@
+// Minimal iCalendar (RFC 5545) writer for booking invites and calendar feeds
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// 2030-03-04T09:00:00Z -> 20300304T090000Z
+const formatDateTime = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+    `T${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+};
+
+// All-day dates use the calendar day of a UTC-midnight date, e.g. 20300304
+const formatDate = (date) => {
+  const d = new Date(date);
+  return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}`;
+};
+
+const escapeText = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space
+const fold = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (size + bytes > 75) {
+      parts.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n');
+};
+
+/**
+ * Build a VEVENT
+ * @param {Object} event - { uid, start, end, allDay, summary, description, location, url, status, sequence }
+ * @returns {String[]} - Unfolded content lines
+ */
+const eventLines = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDateTime(event.updatedAt || new Date())}`
+  ];
+
+  if (event.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(event.end)}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(event.start)}`);
+    lines.push(`DTEND:${formatDateTime(event.end)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.url) {
+    lines.push(`URL:${event.url}`);
+  }
+  lines.push(`STATUS:${event.status || 'CONFIRMED'}`);
+  lines.push(`SEQUENCE:${event.sequence || 0}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+/**
+ * Build a calendar file
+ * @param {Object} calendar - { name, method, events }
+ * @returns {String}
+ */
+exports.buildCalendar = ({ name, method = 'PUBLISH', events = [] }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Lulu Artistry//Bookings//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  events.forEach(event => lines.push(...eventLines(event)));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(fold).join('\r\n') + '\r\n';
+};
+
+/**
+ * Wrap a calendar as an email attachment
+ * @param {String} filename - e.g. BK-300304-0001.ics
+ * @param {String} content - From buildCalendar
+ * @returns {Object} - Nodemailer attachment
+ */
+exports.calendarAttachment = (filename, content) => ({
+  filename,
+  content,
+  contentType: 'text/calendar; charset=utf-8; method=PUBLISH'
+});
+
+exports.formatDateTime = formatDateTime;
+exports.escapeText = escapeText;
@@ -15,7 +15,8 @@ const sendEmail = async (options) => {
     from: process.env.EMAIL_FROM || 'Lulu Artistry <noreply@luluartistry.com>',
     to: options.email,
     subject: options.subject,
-    html: options.html || options.message
+    html: options.html || options.message,
+    attachments: options.attachments
   };
 
   // Send email
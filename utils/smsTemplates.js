@@ -0,0 +1,26 @@
+// Text message templates - keep them short; 160 characters is a single SMS
+
+const studioName = (location) => (location === 'calabar' ? 'Calabar Studio' : 'Port Harcourt Studio');
+
+// appointmentDate is stored as UTC midnight of the studio day
+const appointmentDay = (date) => new Date(date).toLocaleDateString('en-GB', {
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  timeZone: 'UTC'
+});
+
+// Booking reminder (SMS)
+exports.bookingReminderSms = (booking) =>
+  `Hi ${booking.customerInfo.firstName}, reminder: ${booking.serviceSnapshot.name} at Lulu Artistry ` +
+  `${studioName(booking.location)}, ${appointmentDay(booking.appointmentDate)} ${booking.timeSlot.start}. ` +
+  `Ref ${booking.bookingNumber}. Please arrive 10 mins early.`;
+
+// Booking reminder (WhatsApp template body parameters, in template order)
+exports.bookingReminderParams = (booking) => [
+  booking.customerInfo.firstName,
+  booking.serviceSnapshot.name,
+  appointmentDay(booking.appointmentDate),
+  booking.timeSlot.start,
+  studioName(booking.location)
+];